@@ -18,6 +18,8 @@ const request = require('request');
 options.port = options.port || options.p || 8080;
 options.host = options.host || 'localhost';
 options.directory = options.directory || options.D || '.';
+options.mavlinkPort = options['mavlink-port'];
+options.tiles = options.tiles || 'tiles';
 
 // Show command line options
 if (options.help || options.h) {
@@ -26,6 +28,8 @@ if (options.help || options.h) {
     console.log("  --help, -h               Show this message.");
     console.log("  --port, -p <number>      Specify port.");
     console.log("  --directory, -D <bundle>   Serve files from specified directory.");
+    console.log("  --mavlink-port <number>  Bridge MAVLink frames received on this UDP port to ws://<host>:<port>/mavlink.");
+    console.log("  --tiles <directory>      Serve XYZ map tiles from this directory at /tiles (default: tiles).");
     console.log("");
     process.exit(0);
 }
@@ -67,12 +71,50 @@ app.use(require('webpack-hot-middleware')(
     }
 ));
 
+// Serve map tiles from a local directory, laid out as <z>/<x>/<y>.png, so
+// that maps work offline.
+app.use('/tiles', express.static(options.tiles));
+
 // Expose index.html for development users.
 app.get('/', function (req, res) {
     fs.createReadStream('index.html').pipe(res);
 });
 
 // Finally, open the HTTP server and log the instance to the console
-app.listen(options.port, options.host, function() {
+const server = app.listen(options.port, options.host, function() {
     console.log('Open MCT application running at %s:%s', options.host, options.port)
 });
+
+// Stand in for a ground station link: relay MAVLink datagrams from a vehicle
+// (or simulator) to WebSocket clients, and client frames back to the vehicle.
+if (options.mavlinkPort) {
+    const dgram = require('dgram');
+    const WebSocket = require('ws');
+    const udp = dgram.createSocket('udp4');
+    const wss = new WebSocket.Server({
+        server: server,
+        path: '/mavlink'
+    });
+    let vehicle;
+
+    udp.on('message', function (datagram, remote) {
+        vehicle = remote;
+        wss.clients.forEach(function (client) {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(datagram);
+            }
+        });
+    });
+
+    wss.on('connection', function (client) {
+        client.on('message', function (frame) {
+            if (vehicle) {
+                udp.send(frame, vehicle.port, vehicle.address);
+            }
+        });
+    });
+
+    udp.bind(options.mavlinkPort, function () {
+        console.log('Relaying MAVLink from UDP port %s to ws://%s:%s/mavlink', options.mavlinkPort, options.host, options.port);
+    });
+}
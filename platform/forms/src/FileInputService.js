@@ -36,9 +36,11 @@ define(["zepto"], function ($) {
      * Creates, triggers, and destroys a file picker element and returns a
      * promise for an object containing the chosen file's name and contents.
      *
+     * @param {string} [readAs] 'arraybuffer' to read the contents of the
+     *        file as an ArrayBuffer rather than as text
      * @returns {Promise} promise for an object containing file meta-data
      */
-    FileInputService.prototype.getInput = function () {
+    FileInputService.prototype.getInput = function (readAs) {
         var input = this.newInput();
         var read = this.readFile;
         var fileInfo = {};
@@ -51,9 +53,10 @@ define(["zepto"], function ($) {
                 file = this.files[0];
                 input.remove();
                 if (file) {
-                    read(file)
+                    read(file, readAs)
                         .then(function (contents) {
                             fileInfo.name = file.name;
+                            fileInfo.lastModified = file.lastModified;
                             fileInfo.body = contents;
                             resolve(fileInfo);
                         }, function () {
@@ -64,7 +67,7 @@ define(["zepto"], function ($) {
         });
     };
 
-    FileInputService.prototype.readFile = function (file) {
+    FileInputService.prototype.readFile = function (file, readAs) {
         var fileReader = new FileReader();
 
         return new Promise(function (resolve, reject) {
@@ -76,7 +79,11 @@ define(["zepto"], function ($) {
                 return reject(event.target.result);
             };
 
-            fileReader.readAsText(file);
+            if (readAs === 'arraybuffer') {
+                fileReader.readAsArrayBuffer(file);
+            } else {
+                fileReader.readAsText(file);
+            }
         });
     };
 
@@ -57,6 +57,16 @@ define(
                 expect(mockInput.remove).toHaveBeenCalled();
             });
 
+            it("can read a file as an ArrayBuffer", function (done) {
+                mockInput.files = [new File(["file content"], "file name")];
+                fileInputService.getInput('arraybuffer').then(function (result) {
+                    expect(result.body instanceof ArrayBuffer).toBe(true);
+                    expect(result.body.byteLength).toBe("file content".length);
+                    expect(result.lastModified).toEqual(jasmine.any(Number));
+                    done();
+                });
+            });
+
             it("catches file read errors", function () {
                 mockInput.files = ["GARBAGE"];
                 fileInputService.getInput().then(
@@ -22,14 +22,26 @@
 
 define([
     "./src/actions/ExportAsJSONAction",
-    "./src/actions/ImportAsJSONAction"
+    "./src/actions/ImportAsJSONAction",
+    "./src/actions/ImportFlightLogAction",
+    "./src/flightlog/FlightLogStore",
+    "./src/flightlog/FlightLogObjectProvider",
+    "./src/flightlog/FlightLogTelemetryProvider",
+    "raw-loader!./src/workers/FlightLogWorker.js"
 ], function (
     ExportAsJSONAction,
-    ImportAsJSONAction
+    ImportAsJSONAction,
+    ImportFlightLogAction,
+    FlightLogStore,
+    FlightLogObjectProvider,
+    FlightLogTelemetryProvider,
+    FlightLogWorkerText
 ) {
 
     return function ImportExportPlugin() {
         return function (openmct) {
+            var flightLogStore = new FlightLogStore();
+
             ExportAsJSONAction.appliesTo = function (context) {
                 return openmct.$injector.get('policyService')
                     .allow("creation", context.domainObject.getCapability("type")
@@ -38,7 +50,7 @@ define([
 
             openmct.legacyRegistry.register("platform/import-export", {
                 "name": "Import-export plugin",
-                "description": "Allows importing / exporting of domain objects as JSON.",
+                "description": "Allows importing / exporting of domain objects as JSON, and importing flight logs as telemetry.",
                 "extensions": {
                     "actions": [
                         {
@@ -67,11 +79,72 @@ define([
                                 "dialogService",
                                 "openmct"
                             ]
+                        },
+                        {
+                            "key": "import.flightLog",
+                            "name": "Import Flight Log",
+                            "implementation": ImportFlightLogAction,
+                            "category": "contextual",
+                            "cssClass": "icon-import",
+                            "depends": [
+                                "dialogService",
+                                "identifierService",
+                                "workerService",
+                                "flightLogStore",
+                                "openmct"
+                            ]
+                        }
+                    ],
+                    "constants": [
+                        {
+                            "key": "flightLogStore",
+                            "value": flightLogStore
+                        }
+                    ],
+                    "workers": [
+                        {
+                            "key": "flightLogWorker",
+                            "scriptText": FlightLogWorkerText
                         }
                     ]
                 }
             });
 
+            openmct.types.addType(FlightLogObjectProvider.FLIGHT_TYPE, {
+                name: 'Flight Log',
+                description: 'A flight imported from a MAVLink telemetry log or dataflash log.',
+                cssClass: 'icon-folder'
+            });
+            openmct.types.addType(FlightLogObjectProvider.MESSAGE_TYPE, {
+                name: 'Flight Log Message',
+                description: 'The records of one message in an imported flight log.',
+                cssClass: 'icon-telemetry'
+            });
+            openmct.types.addType(FlightLogObjectProvider.FIELD_TYPE, {
+                name: 'Flight Log Field',
+                description: 'One field of a message in an imported flight log.',
+                cssClass: 'icon-telemetry'
+            });
+
+            openmct.objects.addProvider(
+                FlightLogObjectProvider.NAMESPACE,
+                new FlightLogObjectProvider(flightLogStore)
+            );
+            openmct.objects.addRoot(function () {
+                return flightLogStore.getFlights().then(function (flights) {
+                    return flights.map(function (flight) {
+                        return {
+                            namespace: FlightLogObjectProvider.NAMESPACE,
+                            key: flight.key
+                        };
+                    });
+                }, function () {
+                    // Without IndexedDB there are no imported flights.
+                    return [];
+                });
+            });
+            openmct.telemetry.addProvider(new FlightLogTelemetryProvider(flightLogStore));
+
             openmct.legacyRegistry.enable('platform/import-export');
         };
     };
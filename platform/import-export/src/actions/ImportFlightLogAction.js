@@ -0,0 +1,351 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+define([
+    '../../../../src/plugins/mavlink/MAVLinkDialect',
+    '../../../../src/plugins/mavlink/MAVLinkMetadataProvider',
+    '../../../../src/plugins/mavlink/dialectXML',
+    'raw-loader!../../../../src/plugins/mavlink/dialects/common.xml',
+    '../flightlog/FlightLogObjectProvider'
+], function (
+    MAVLinkDialect,
+    MAVLinkMetadataProvider,
+    dialectXML,
+    commonXML,
+    FlightLogObjectProvider
+) {
+
+    // Log formats, by file extension
+    var FORMATS = {
+        tlog: 'tlog',
+        bin: 'bin'
+    };
+
+    var definitions,
+        dialect;
+
+    function getDefinitions() {
+        if (!definitions) {
+            definitions = dialectXML.parseDialectXML(commonXML);
+        }
+
+        return definitions;
+    }
+
+    function getDialect() {
+        if (!dialect) {
+            dialect = new MAVLinkDialect.default(getDefinitions());
+        }
+
+        return dialect;
+    }
+
+    /**
+     * The ImportFlightLogAction is available from context menus and allows a
+     * user to import a MAVLink telemetry log (.tlog) or an ArduPilot
+     * dataflash log (.bin) as historical telemetry. The log is decoded in a
+     * web worker and stored in IndexedDB, and the flight appears as a new
+     * root in the tree. The time conductor is fixed to the span of the log.
+     *
+     * @implements {Action}
+     * @constructor
+     * @memberof platform/import-export
+     */
+    function ImportFlightLogAction(
+        dialogService,
+        identifierService,
+        workerService,
+        flightLogStore,
+        openmct,
+        context
+    ) {
+        this.dialogService = dialogService;
+        this.identifierService = identifierService;
+        this.workerService = workerService;
+        this.store = flightLogStore;
+        this.openmct = openmct;
+        this.context = context;
+    }
+
+    ImportFlightLogAction.prototype.perform = function () {
+        return this.dialogService.getUserInput(this.getFormModel(), {})
+            .then(function (form) {
+                var file = form.selectFile,
+                    format = this.getFormat(file.name);
+
+                if (format) {
+                    return this.importLog(file, format);
+                } else {
+                    this.displayError("Only MAVLink telemetry logs (.tlog) and "
+                        + "dataflash logs (.bin) can be imported.");
+                }
+            }.bind(this));
+    };
+
+    /**
+     * @private
+     */
+    ImportFlightLogAction.prototype.getFormat = function (fileName) {
+        var extension = fileName.split('.').pop().toLowerCase();
+
+        return fileName.includes('.') ? FORMATS[extension] : undefined;
+    };
+
+    /**
+     * Decode, store and display a log.
+     *
+     * @private
+     */
+    ImportFlightLogAction.prototype.importLog = function (file, format) {
+        var notification = this.openmct.notifications.progress('Importing ' + file.name, 0);
+
+        return this.parse(file, format, notification)
+            .then(function (log) {
+                if (!log.messages.length) {
+                    throw new Error("No telemetry was found in " + file.name + ".");
+                }
+
+                var flight = {
+                    key: this.identifierService.generate(),
+                    name: file.name,
+                    format: format,
+                    start: log.start,
+                    end: log.end,
+                    messages: log.messages.map(function (message) {
+                        return {
+                            name: message.name,
+                            values: this.getValues(format, message)
+                        };
+                    }, this)
+                };
+
+                notification.progress('unknown', 'Storing telemetry');
+
+                return this.store.addFlight(flight, log.messages)
+                    .then(function () {
+                        return flight;
+                    });
+            }.bind(this))
+            .then(function (flight) {
+                notification.dismiss();
+                this.showFlight(flight);
+                this.openmct.notifications.info(file.name + " imported successfully.");
+            }.bind(this), function (error) {
+                notification.dismiss();
+                this.displayError(error.message);
+            }.bind(this));
+    };
+
+    /**
+     * Decode a log in a web worker, and find the span of time it covers.
+     * Telemetry logs are decoded by the MAVLink plugin's parser, as live
+     * telemetry is, in a worker bundled with it.
+     *
+     * @private
+     */
+    ImportFlightLogAction.prototype.parse = function (file, format, notification) {
+        var messages = format === FORMATS.tlog
+            ? this.runWorker(this.startTlogWorker(), {
+                request: 'parse',
+                buffer: file.body,
+                definitions: getDefinitions()
+            }, [file.body], notification)
+            : this.runWorker(this.workerService.run('flightLogWorker'), {
+                request: 'parse',
+                buffer: file.body,
+                lastModified: file.lastModified
+            }, [file.body], notification);
+
+        return messages.then(function (decoded) {
+            var start,
+                end;
+
+            decoded.sort(function (a, b) {
+                return a.name < b.name ? -1 : 1;
+            });
+            decoded.forEach(function (message) {
+                var data = message.data;
+
+                // Records are logged in order of arrival, which is not
+                // always the order of their timestamps.
+                data.sort(function (a, b) {
+                    return a.utc - b.utc;
+                });
+
+                if (start === undefined || data[0].utc < start) {
+                    start = data[0].utc;
+                }
+
+                if (end === undefined || data[data.length - 1].utc > end) {
+                    end = data[data.length - 1].utc;
+                }
+            });
+
+            return {
+                start: start,
+                end: end,
+                messages: decoded
+            };
+        });
+    };
+
+    /**
+     * @private
+     */
+    ImportFlightLogAction.prototype.startTlogWorker = function () {
+        // eslint-disable-next-line no-undef
+        return new Worker(this.openmct.getAssetPath() + __OPENMCT_ROOT_RELATIVE__ + 'tlogWorker.js');
+    };
+
+    /**
+     * Send a parse request to a worker, reporting its progress, and resolve
+     * with the decoded messages.
+     *
+     * @private
+     */
+    ImportFlightLogAction.prototype.runWorker = function (worker, request, transfer, notification) {
+        return new Promise(function (resolve, reject) {
+            worker.addEventListener('message', function (event) {
+                var response = event.data;
+
+                if (response.response === 'progress') {
+                    notification.progress(response.progress);
+                } else {
+                    worker.terminate();
+
+                    if (response.response === 'parsed') {
+                        resolve(response.messages);
+                    } else {
+                        reject(new Error(response.message));
+                    }
+                }
+            });
+            worker.addEventListener('error', function (event) {
+                worker.terminate();
+                reject(new Error(event.message));
+            });
+
+            worker.postMessage(request, transfer);
+        });
+    };
+
+    /**
+     * The telemetry metadata of a message in a log. MAVLink messages are
+     * described by the dialect, as they are for live telemetry, while
+     * dataflash messages are described by the log itself.
+     *
+     * @private
+     */
+    ImportFlightLogAction.prototype.getValues = function (format, message) {
+        if (format === FORMATS.tlog) {
+            return new MAVLinkMetadataProvider.default(getDialect()).getMetadata({
+                mavlink: {
+                    message: message.name
+                }
+            }).values;
+        }
+
+        return [{
+            key: 'utc',
+            source: 'utc',
+            name: 'Timestamp',
+            format: 'utc',
+            hints: {
+                domain: 1
+            }
+        }].concat(message.columns.map(function (column, index) {
+            return Object.assign({
+                hints: {
+                    range: index + 1
+                }
+            }, column);
+        }));
+    };
+
+    /**
+     * Add the flight to the tree and fix the time conductor to its span.
+     *
+     * @private
+     */
+    ImportFlightLogAction.prototype.showFlight = function (flight) {
+        this.openmct.objects.addRoot({
+            namespace: FlightLogObjectProvider.NAMESPACE,
+            key: flight.key
+        });
+        this.openmct.time.stopClock();
+        this.openmct.time.timeSystem('utc', {
+            start: flight.start,
+            end: flight.end
+        });
+    };
+
+    ImportFlightLogAction.prototype.getFormModel = function () {
+        return {
+            name: "Import Flight Log",
+            sections: [
+                {
+                    name: "Import A Log File",
+                    rows: [
+                        {
+                            name: 'Select File',
+                            key: 'selectFile',
+                            control: 'file-input',
+                            readAs: 'arraybuffer',
+                            required: true,
+                            text: 'Select File'
+                        }
+                    ]
+                }
+            ]
+        };
+    };
+
+    ImportFlightLogAction.prototype.displayError = function (message) {
+        var dialog,
+            model = {
+                title: "Unable to Import Flight Log",
+                actionText: message,
+                severity: "error",
+                options: [
+                    {
+                        label: "Ok",
+                        callback: function () {
+                            dialog.dismiss();
+                        }
+                    }
+                ]
+            };
+        dialog = this.dialogService.showBlockingMessage(model);
+    };
+
+    ImportFlightLogAction.appliesTo = function (context) {
+        var domainObject = context.domainObject;
+
+        if (domainObject && domainObject.model.locked) {
+            return false;
+        }
+
+        return domainObject !== undefined
+            && domainObject.hasCapability("composition");
+    };
+
+    return ImportFlightLogAction;
+});
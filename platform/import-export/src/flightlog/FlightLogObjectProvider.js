@@ -0,0 +1,177 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([], function () {
+
+    var NAMESPACE = 'flight-log',
+        FLIGHT_TYPE = 'flight-log',
+        MESSAGE_TYPE = 'flight-log.message',
+        FIELD_TYPE = 'flight-log.field';
+
+    /**
+     * Provides the object tree of imported flight logs. Each flight is a
+     * root containing one telemetry object per message in the log, which in
+     * turn contains one telemetry object per field of the message.
+     *
+     * Identifiers are derived from the flight's key: `<flight>` for the
+     * flight, `<flight>.<message>` for a message and
+     * `<flight>.<message>.<field>` for a field.
+     *
+     * @constructor
+     * @memberof platform/import-export
+     * @param {FlightLogStore} store the store of imported flights
+     */
+    function FlightLogObjectProvider(store) {
+        this.store = store;
+    }
+
+    FlightLogObjectProvider.prototype.get = function (identifier) {
+        var path = identifier.key.split('.');
+
+        return this.store.getFlight(path[0]).then(function (flight) {
+            if (!flight) {
+                return undefined;
+            }
+
+            if (path.length === 1) {
+                return this.getFlightObject(flight);
+            }
+
+            var message = flight.messages.find(function (candidate) {
+                return candidate.name === path[1];
+            });
+
+            if (!message) {
+                return undefined;
+            }
+
+            if (path.length === 2) {
+                return this.getMessageObject(flight, message);
+            }
+
+            var value = message.values.find(function (candidate) {
+                return candidate.key === path[2];
+            });
+
+            return value && this.getFieldObject(flight, message, value);
+        }.bind(this));
+    };
+
+    /**
+     * @private
+     */
+    FlightLogObjectProvider.prototype.getFlightObject = function (flight) {
+        return {
+            identifier: {
+                namespace: NAMESPACE,
+                key: flight.key
+            },
+            name: flight.name,
+            type: FLIGHT_TYPE,
+            location: 'ROOT',
+            flightLog: {
+                format: flight.format,
+                start: flight.start,
+                end: flight.end
+            },
+            composition: flight.messages.map(function (message) {
+                return {
+                    namespace: NAMESPACE,
+                    key: flight.key + '.' + message.name
+                };
+            })
+        };
+    };
+
+    /**
+     * @private
+     */
+    FlightLogObjectProvider.prototype.getMessageObject = function (flight, message) {
+        var key = flight.key + '.' + message.name;
+
+        return {
+            identifier: {
+                namespace: NAMESPACE,
+                key: key
+            },
+            name: message.name,
+            type: MESSAGE_TYPE,
+            location: NAMESPACE + ':' + flight.key,
+            flightLog: {
+                flight: flight.key,
+                message: message.name
+            },
+            telemetry: {
+                values: message.values
+            },
+            composition: getRangeValues(message).map(function (value) {
+                return {
+                    namespace: NAMESPACE,
+                    key: key + '.' + value.key
+                };
+            })
+        };
+    };
+
+    /**
+     * @private
+     */
+    FlightLogObjectProvider.prototype.getFieldObject = function (flight, message, value) {
+        var domains = message.values.filter(function (candidate) {
+            return candidate.hints && candidate.hints.domain !== undefined;
+        });
+
+        return {
+            identifier: {
+                namespace: NAMESPACE,
+                key: flight.key + '.' + message.name + '.' + value.key
+            },
+            name: value.name,
+            type: FIELD_TYPE,
+            location: NAMESPACE + ':' + flight.key + '.' + message.name,
+            flightLog: {
+                flight: flight.key,
+                message: message.name
+            },
+            telemetry: {
+                values: domains.concat([Object.assign({}, value, {
+                    hints: {
+                        range: 1
+                    }
+                })])
+            }
+        };
+    };
+
+    function getRangeValues(message) {
+        return message.values.filter(function (value) {
+            return value.hints && value.hints.range !== undefined;
+        });
+    }
+
+    FlightLogObjectProvider.NAMESPACE = NAMESPACE;
+    FlightLogObjectProvider.FLIGHT_TYPE = FLIGHT_TYPE;
+    FlightLogObjectProvider.MESSAGE_TYPE = MESSAGE_TYPE;
+    FlightLogObjectProvider.FIELD_TYPE = FIELD_TYPE;
+
+    return FlightLogObjectProvider;
+});
@@ -0,0 +1,163 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([], function () {
+
+    var DATABASE_NAME = 'openmct-flight-logs',
+        DATABASE_VERSION = 1,
+        FLIGHTS = 'flights',
+        TELEMETRY = 'telemetry',
+        SERIES_INDEX = 'series';
+
+    function promisify(request) {
+        return new Promise(function (resolve, reject) {
+            request.onsuccess = function () {
+                resolve(request.result);
+            };
+
+            request.onerror = function () {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Persists imported flight logs in IndexedDB. Each flight is stored as
+     * a summary of the log (its name, time span and the telemetry metadata
+     * of each message) along with every record of the log, indexed by
+     * flight, message and time so that it can be queried by time range.
+     *
+     * @constructor
+     * @memberof platform/import-export
+     * @param {IDBFactory} [indexedDB] the IndexedDB implementation to use
+     */
+    function FlightLogStore(indexedDB) {
+        this.indexedDB = indexedDB || window.indexedDB;
+    }
+
+    /**
+     * @private
+     */
+    FlightLogStore.prototype.open = function () {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error("IndexedDB is not available"));
+        }
+
+        if (!this.database) {
+            var request = this.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+            request.onupgradeneeded = function () {
+                var database = request.result;
+
+                database.createObjectStore(FLIGHTS, {keyPath: 'key'});
+                database.createObjectStore(TELEMETRY, {autoIncrement: true})
+                    .createIndex(SERIES_INDEX, ['flight', 'message', 'utc']);
+            };
+
+            this.database = promisify(request);
+        }
+
+        return this.database;
+    };
+
+    /**
+     * @returns {Promise.<Object[]>} the summaries of all imported flights
+     */
+    FlightLogStore.prototype.getFlights = function () {
+        return this.open().then(function (database) {
+            return promisify(database.transaction(FLIGHTS).objectStore(FLIGHTS).getAll());
+        });
+    };
+
+    /**
+     * @param {string} key the key of an imported flight
+     * @returns {Promise.<Object>} the summary of the flight, or undefined
+     */
+    FlightLogStore.prototype.getFlight = function (key) {
+        return this.open().then(function (database) {
+            return promisify(database.transaction(FLIGHTS).objectStore(FLIGHTS).get(key));
+        });
+    };
+
+    /**
+     * Store a flight and its records in a single transaction.
+     *
+     * @param {Object} flight the summary of the flight; `key` identifies it
+     * @param {Object[]} messages the `name` and `data` of each message
+     * @returns {Promise} resolved once the flight has been stored
+     */
+    FlightLogStore.prototype.addFlight = function (flight, messages) {
+        return this.open().then(function (database) {
+            var transaction = database.transaction([FLIGHTS, TELEMETRY], 'readwrite'),
+                telemetry = transaction.objectStore(TELEMETRY);
+
+            transaction.objectStore(FLIGHTS).put(flight);
+            messages.forEach(function (message) {
+                message.data.forEach(function (datum) {
+                    telemetry.add({
+                        flight: flight.key,
+                        message: message.name,
+                        utc: datum.utc,
+                        datum: datum
+                    });
+                });
+            });
+
+            return new Promise(function (resolve, reject) {
+                transaction.oncomplete = function () {
+                    resolve();
+                };
+
+                transaction.onerror = function () {
+                    reject(transaction.error);
+                };
+
+                transaction.onabort = function () {
+                    reject(transaction.error);
+                };
+            });
+        });
+    };
+
+    /**
+     * @param {string} flight the key of an imported flight
+     * @param {string} message the name of a message in the flight
+     * @param {number} start the earliest time to return records for
+     * @param {number} end the latest time to return records for
+     * @returns {Promise.<Object[]>} the records of the message between
+     *          `start` and `end` inclusive, in time order
+     */
+    FlightLogStore.prototype.getTelemetry = function (flight, message, start, end) {
+        return this.open().then(function (database) {
+            var range = IDBKeyRange.bound([flight, message, start], [flight, message, end]),
+                index = database.transaction(TELEMETRY).objectStore(TELEMETRY).index(SERIES_INDEX);
+
+            return promisify(index.getAll(range));
+        }).then(function (records) {
+            return records.map(function (record) {
+                return record.datum;
+            });
+        });
+    };
+
+    return FlightLogStore;
+});
@@ -0,0 +1,66 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    './FlightLogObjectProvider'
+], function (
+    FlightLogObjectProvider
+) {
+
+    /**
+     * Serves historical telemetry for the messages and fields of imported
+     * flight logs from the FlightLogStore. The telemetry metadata of these
+     * objects is part of their model.
+     *
+     * @constructor
+     * @memberof platform/import-export
+     * @param {FlightLogStore} store the store of imported flights
+     */
+    function FlightLogTelemetryProvider(store) {
+        this.store = store;
+    }
+
+    FlightLogTelemetryProvider.prototype.supportsRequest = function (domainObject) {
+        return domainObject.type === FlightLogObjectProvider.MESSAGE_TYPE
+            || domainObject.type === FlightLogObjectProvider.FIELD_TYPE;
+    };
+
+    FlightLogTelemetryProvider.prototype.request = function (domainObject, options) {
+        var start = options.start === undefined ? -Infinity : options.start,
+            end = options.end === undefined ? Infinity : options.end;
+
+        return this.store.getTelemetry(
+            domainObject.flightLog.flight,
+            domainObject.flightLog.message,
+            start,
+            end
+        ).then(function (data) {
+            if (options.strategy === 'latest' || options.size === 1) {
+                return data.slice(-1);
+            }
+
+            return data;
+        });
+    };
+
+    return FlightLogTelemetryProvider;
+});
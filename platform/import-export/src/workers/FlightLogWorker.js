@@ -0,0 +1,317 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * Module defining FlightLogWorker. Decodes ArduPilot dataflash logs (.bin)
+ * off the main thread. MAVLink telemetry logs are decoded by the MAVLink
+ * plugin's parser instead.
+ *
+ * The worker accepts a `parse` request carrying the log as an ArrayBuffer
+ * and replies with any number of `progress` messages followed by either a
+ * `parsed` message, containing the decoded records grouped by message name,
+ * or an `error` message.
+ */
+(function () {
+
+    var PROGRESS_INTERVAL = 1024 * 1024,
+        UINT32_RANGE = 0x100000000,
+        // A dataflash log is a sequence of records, each prefixed by a
+        // two byte header and a type, whose layouts are described by FMT
+        // records earlier in the log.
+        DATAFLASH_HEADER = [0xa3, 0x95],
+        DATAFLASH_HEADER_LENGTH = 3,
+        FMT_TYPE = 128,
+        FMT_FORMAT = {
+            type: FMT_TYPE,
+            name: 'FMT',
+            length: 89,
+            format: 'BBnNZ',
+            columns: ['Type', 'Length', 'Name', 'Format', 'Columns']
+        },
+        GPS_EPOCH = Date.UTC(1980, 0, 6),
+        GPS_LEAP_MILLISECONDS = 18000,
+        MILLISECONDS_PER_WEEK = 604800000,
+        // Size and reader of each dataflash format character. Scaled
+        // integers are converted back to their natural units.
+        DATAFLASH_TYPES = {
+            b: numberType('getInt8', 1),
+            B: numberType('getUint8', 1),
+            M: numberType('getUint8', 1),
+            h: numberType('getInt16', 2),
+            H: numberType('getUint16', 2),
+            i: numberType('getInt32', 4),
+            I: numberType('getUint32', 4),
+            f: numberType('getFloat32', 4),
+            d: numberType('getFloat64', 8),
+            c: numberType('getInt16', 2, 0.01),
+            C: numberType('getUint16', 2, 0.01),
+            e: numberType('getInt32', 4, 0.01),
+            E: numberType('getUint32', 4, 0.01),
+            L: numberType('getInt32', 4, 1e-7),
+            q: {
+                size: 8,
+                read: readInt64
+            },
+            Q: {
+                size: 8,
+                read: readUint64
+            },
+            n: stringType(4),
+            N: stringType(16),
+            Z: stringType(64),
+            a: {
+                size: 64,
+                length: 32,
+                read: function (view, offset) {
+                    var values = [];
+                    for (var i = 0; i < 32; i++) {
+                        values.push(view.getInt16(offset + (i * 2), true));
+                    }
+
+                    return values;
+                }
+            }
+        };
+
+    function numberType(method, size, scale) {
+        return {
+            size: size,
+            read: function (view, offset) {
+                var value = view[method](offset, true);
+
+                return scale ? value * scale : value;
+            }
+        };
+    }
+
+    function stringType(size) {
+        return {
+            size: size,
+            string: true,
+            read: function (view, offset) {
+                return readString(new Uint8Array(view.buffer, offset, size));
+            }
+        };
+    }
+
+    function readString(bytes) {
+        var string = '';
+
+        for (var i = 0; i < bytes.length && bytes[i] !== 0; i++) {
+            string += String.fromCharCode(bytes[i]);
+        }
+
+        return string;
+    }
+
+    function readUint64(view, offset) {
+        return (view.getUint32(offset + 4, true) * UINT32_RANGE) + view.getUint32(offset, true);
+    }
+
+    function readInt64(view, offset) {
+        return (view.getInt32(offset + 4, true) * UINT32_RANGE) + view.getUint32(offset, true);
+    }
+
+    function Progress(total) {
+        this.total = total;
+        this.next = PROGRESS_INTERVAL;
+    }
+
+    Progress.prototype.update = function (index) {
+        if (index >= this.next) {
+            this.next = index + PROGRESS_INTERVAL;
+            self.postMessage({
+                response: 'progress',
+                progress: (index / this.total) * 100
+            });
+        }
+    };
+
+    /* ArduPilot dataflash logs */
+
+    function createFormat(record) {
+        var format = {
+            type: record.Type,
+            name: record.Name,
+            length: record.Length,
+            format: record.Format,
+            columns: record.Columns.split(',')
+        };
+
+        if (format.format.split('').some(function (character) {
+            return !DATAFLASH_TYPES[character];
+        })) {
+            return undefined;
+        }
+
+        return format;
+    }
+
+    function decodeRecord(view, offset, format) {
+        var record = {};
+
+        format.format.split('').forEach(function (character, index) {
+            var type = DATAFLASH_TYPES[character],
+                column = format.columns[index],
+                value = type.read(view, offset);
+
+            if (type.length) {
+                value.forEach(function (item, itemIndex) {
+                    record[column + '_' + itemIndex] = item;
+                });
+            } else {
+                record[column] = value;
+            }
+
+            offset += type.size;
+        });
+
+        return record;
+    }
+
+    /**
+     * The columns of a dataflash message, used to describe its telemetry.
+     */
+    function getColumns(format) {
+        var columns = [];
+
+        format.format.split('').forEach(function (character, index) {
+            var type = DATAFLASH_TYPES[character],
+                column = format.columns[index];
+
+            if (type.length) {
+                for (var i = 0; i < type.length; i++) {
+                    columns.push({
+                        key: column + '_' + i,
+                        name: column + '[' + i + ']',
+                        format: 'number'
+                    });
+                }
+            } else {
+                columns.push({
+                    key: column,
+                    name: column,
+                    format: type.string ? 'string' : 'number'
+                });
+            }
+        });
+
+        return columns;
+    }
+
+    function parseDataflash(buffer, lastModified) {
+        var bytes = new Uint8Array(buffer),
+            view = new DataView(buffer),
+            progress = new Progress(bytes.length),
+            formats = {},
+            messages = {},
+            bootTime = 0,
+            offset,
+            index = 0;
+
+        formats[FMT_TYPE] = FMT_FORMAT;
+
+        while (index + DATAFLASH_HEADER_LENGTH <= bytes.length) {
+            var format = formats[bytes[index + 2]];
+
+            progress.update(index);
+
+            if (bytes[index] !== DATAFLASH_HEADER[0]
+                || bytes[index + 1] !== DATAFLASH_HEADER[1]
+                || !format
+                || index + format.length > bytes.length) {
+                index++;
+                continue;
+            }
+
+            var record = decodeRecord(view, index + DATAFLASH_HEADER_LENGTH, format);
+
+            if (format.type === FMT_TYPE) {
+                formats[record.Type] = createFormat(record);
+            } else {
+                if (record.TimeUS !== undefined) {
+                    bootTime = record.TimeUS / 1000;
+                } else if (record.TimeMS !== undefined) {
+                    bootTime = record.TimeMS;
+                }
+
+                // Records are stamped with time since boot; the first GPS
+                // record with a fix relates that to UTC.
+                if (offset === undefined && format.name === 'GPS' && record.GWk > 0) {
+                    offset = GPS_EPOCH + (record.GWk * MILLISECONDS_PER_WEEK) + record.GMS
+                        - GPS_LEAP_MILLISECONDS - bootTime;
+                }
+
+                record.utc = bootTime;
+
+                if (!messages[format.name]) {
+                    messages[format.name] = {
+                        name: format.name,
+                        columns: getColumns(format),
+                        data: []
+                    };
+                }
+
+                messages[format.name].data.push(record);
+            }
+
+            index += format.length;
+        }
+
+        // Without GPS time, assume the log ended when the file was written.
+        if (offset === undefined) {
+            offset = (lastModified || Date.now()) - bootTime;
+        }
+
+        Object.keys(messages).forEach(function (name) {
+            messages[name].data.forEach(function (datum) {
+                datum.utc += offset;
+            });
+        });
+
+        return messages;
+    }
+
+    function parse(request) {
+        var messages = parseDataflash(request.buffer, request.lastModified);
+
+        return {
+            response: 'parsed',
+            messages: Object.keys(messages).map(function (name) {
+                return messages[name];
+            })
+        };
+    }
+
+    self.onmessage = function (event) {
+        if (event.data.request === 'parse') {
+            try {
+                self.postMessage(parse(event.data));
+            } catch (error) {
+                self.postMessage({
+                    response: 'error',
+                    message: error.message
+                });
+            }
+        }
+    };
+}());
@@ -0,0 +1,215 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define(
+    [
+        "../../src/actions/ImportFlightLogAction"
+    ],
+    function (ImportFlightLogAction) {
+
+        describe("The import flight log action", function () {
+            var action,
+                dialogService,
+                identifierService,
+                workerService,
+                worker,
+                store,
+                openmct,
+                notification,
+                file,
+                parsed;
+
+            beforeEach(function () {
+                file = {
+                    name: 'flight.BIN',
+                    body: new ArrayBuffer(8),
+                    lastModified: 2000
+                };
+                parsed = {
+                    response: 'parsed',
+                    messages: [{
+                        name: 'ATT',
+                        columns: [
+                            {
+                                key: 'TimeUS',
+                                name: 'TimeUS',
+                                format: 'number'
+                            },
+                            {
+                                key: 'Roll',
+                                name: 'Roll',
+                                format: 'number'
+                            }
+                        ],
+                        data: [{utc: 2000}, {utc: 1000}]
+                    }]
+                };
+
+                dialogService = jasmine.createSpyObj('dialogService', [
+                    'getUserInput',
+                    'showBlockingMessage'
+                ]);
+                dialogService.getUserInput.and.callFake(function () {
+                    return Promise.resolve({selectFile: file});
+                });
+                identifierService = jasmine.createSpyObj('identifierService', ['generate']);
+                identifierService.generate.and.returnValue('flight-id');
+
+                worker = jasmine.createSpyObj('worker', ['addEventListener', 'postMessage', 'terminate']);
+                worker.postMessage.and.callFake(function () {
+                    var listener = worker.addEventListener.calls.allArgs().find(function (args) {
+                        return args[0] === 'message';
+                    })[1];
+                    listener({
+                        data: {
+                            response: 'progress',
+                            progress: 50
+                        }
+                    });
+                    listener({data: parsed});
+                });
+                workerService = jasmine.createSpyObj('workerService', ['run']);
+                workerService.run.and.returnValue(worker);
+
+                store = jasmine.createSpyObj('store', ['addFlight']);
+                store.addFlight.and.returnValue(Promise.resolve());
+
+                notification = jasmine.createSpyObj('notification', ['progress', 'dismiss']);
+                openmct = {
+                    notifications: jasmine.createSpyObj('notifications', ['progress', 'info']),
+                    objects: jasmine.createSpyObj('objects', ['addRoot']),
+                    time: jasmine.createSpyObj('time', ['stopClock', 'timeSystem'])
+                };
+                openmct.notifications.progress.and.returnValue(notification);
+
+                action = new ImportFlightLogAction(
+                    dialogService,
+                    identifierService,
+                    workerService,
+                    store,
+                    openmct,
+                    {}
+                );
+            });
+
+            it("asks for the log as an ArrayBuffer", function () {
+                return action.perform().then(function () {
+                    var row = dialogService.getUserInput.calls.mostRecent().args[0].sections[0].rows[0];
+
+                    expect(row.control).toBe('file-input');
+                    expect(row.readAs).toBe('arraybuffer');
+                });
+            });
+
+            it("decodes the log in a worker", function () {
+                return action.perform().then(function () {
+                    var request = worker.postMessage.calls.mostRecent().args[0];
+
+                    expect(workerService.run).toHaveBeenCalledWith('flightLogWorker');
+                    expect(request.buffer).toBe(file.body);
+                    expect(request.lastModified).toBe(2000);
+                    expect(notification.progress).toHaveBeenCalledWith(50);
+                    expect(worker.terminate).toHaveBeenCalled();
+                });
+            });
+
+            it("stores the flight with metadata for each message", function () {
+                return action.perform().then(function () {
+                    var flight = store.addFlight.calls.mostRecent().args[0];
+
+                    expect(flight.key).toBe('flight-id');
+                    expect(flight.start).toBe(1000);
+                    expect(flight.end).toBe(2000);
+                    expect(flight.messages[0].name).toBe('ATT');
+                    expect(flight.messages[0].values.map(function (value) {
+                        return value.key;
+                    })).toEqual(['utc', 'TimeUS', 'Roll']);
+                    expect(flight.messages[0].values[0].hints.domain).toBe(1);
+                    expect(flight.messages[0].values[2].hints.range).toBe(2);
+                    expect(store.addFlight.calls.mostRecent().args[1]).toBe(parsed.messages);
+                });
+            });
+
+            it("adds the flight as a root and fixes the time conductor to it", function () {
+                return action.perform().then(function () {
+                    expect(openmct.objects.addRoot).toHaveBeenCalledWith({
+                        namespace: 'flight-log',
+                        key: 'flight-id'
+                    });
+                    expect(openmct.time.stopClock).toHaveBeenCalled();
+                    expect(openmct.time.timeSystem).toHaveBeenCalledWith('utc', {
+                        start: 1000,
+                        end: 2000
+                    });
+                    expect(notification.dismiss).toHaveBeenCalled();
+                });
+            });
+
+            it("decodes telemetry logs in a worker bundled with the MAVLink parser", function () {
+                file.name = 'flight.tlog';
+                spyOn(action, 'startTlogWorker').and.returnValue(worker);
+                parsed = {
+                    response: 'parsed',
+                    messages: [{
+                        name: 'ATTITUDE',
+                        data: [{utc: 1000}]
+                    }]
+                };
+
+                return action.perform().then(function () {
+                    var request = worker.postMessage.calls.mostRecent().args[0],
+                        flight = store.addFlight.calls.mostRecent().args[0];
+
+                    expect(workerService.run).not.toHaveBeenCalled();
+                    expect(request.buffer).toBe(file.body);
+                    expect(request.definitions.messages.length).toBeGreaterThan(0);
+                    expect(worker.terminate).toHaveBeenCalled();
+                    expect(flight.messages[0].values.some(function (value) {
+                        return value.key === 'roll';
+                    })).toBe(true);
+                });
+            });
+
+            it("rejects files which are not flight logs", function () {
+                file.name = 'flight.json';
+
+                return action.perform().then(function () {
+                    expect(workerService.run).not.toHaveBeenCalled();
+                    expect(dialogService.showBlockingMessage).toHaveBeenCalled();
+                });
+            });
+
+            it("reports logs which cannot be decoded", function () {
+                parsed = {
+                    response: 'error',
+                    message: 'Bad log'
+                };
+
+                return action.perform().then(function () {
+                    expect(store.addFlight).not.toHaveBeenCalled();
+                    expect(dialogService.showBlockingMessage.calls.mostRecent().args[0].actionText)
+                        .toBe('Bad log');
+                });
+            });
+        });
+    }
+);
@@ -0,0 +1,183 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    "../../src/flightlog/FlightLogObjectProvider",
+    "../../src/flightlog/FlightLogTelemetryProvider"
+], function (
+    FlightLogObjectProvider,
+    FlightLogTelemetryProvider
+) {
+
+    describe("The flight log providers", function () {
+        var store,
+            flight;
+
+        beforeEach(function () {
+            flight = {
+                key: 'abc',
+                name: 'flight.tlog',
+                format: 'tlog',
+                start: 1000,
+                end: 2000,
+                messages: [{
+                    name: 'VFR_HUD',
+                    values: [
+                        {
+                            key: 'utc',
+                            format: 'utc',
+                            hints: {
+                                domain: 1
+                            }
+                        },
+                        {
+                            key: 'airspeed',
+                            name: 'airspeed',
+                            hints: {
+                                range: 1
+                            }
+                        },
+                        {
+                            key: 'alt',
+                            name: 'alt',
+                            hints: {
+                                range: 2
+                            }
+                        }
+                    ]
+                }]
+            };
+            store = jasmine.createSpyObj('store', ['getFlight', 'getTelemetry']);
+            store.getFlight.and.callFake(function (key) {
+                return Promise.resolve(key === flight.key ? flight : undefined);
+            });
+            store.getTelemetry.and.returnValue(Promise.resolve([
+                {utc: 1000},
+                {utc: 1500}
+            ]));
+        });
+
+        describe("object provider", function () {
+            var provider;
+
+            function get(key) {
+                return provider.get({
+                    namespace: 'flight-log',
+                    key: key
+                });
+            }
+
+            beforeEach(function () {
+                provider = new FlightLogObjectProvider(store);
+            });
+
+            it("provides a flight containing its messages", function () {
+                return get('abc').then(function (object) {
+                    expect(object.type).toBe('flight-log');
+                    expect(object.name).toBe('flight.tlog');
+                    expect(object.flightLog.start).toBe(1000);
+                    expect(object.flightLog.end).toBe(2000);
+                    expect(object.composition).toEqual([{
+                        namespace: 'flight-log',
+                        key: 'abc.VFR_HUD'
+                    }]);
+                });
+            });
+
+            it("provides messages containing their fields", function () {
+                return get('abc.VFR_HUD').then(function (object) {
+                    expect(object.type).toBe('flight-log.message');
+                    expect(object.location).toBe('flight-log:abc');
+                    expect(object.telemetry.values).toBe(flight.messages[0].values);
+                    expect(object.composition.map(function (identifier) {
+                        return identifier.key;
+                    })).toEqual(['abc.VFR_HUD.airspeed', 'abc.VFR_HUD.alt']);
+                });
+            });
+
+            it("provides fields with telemetry for their value only", function () {
+                return get('abc.VFR_HUD.alt').then(function (object) {
+                    expect(object.type).toBe('flight-log.field');
+                    expect(object.flightLog).toEqual({
+                        flight: 'abc',
+                        message: 'VFR_HUD'
+                    });
+                    expect(object.telemetry.values.map(function (value) {
+                        return value.key;
+                    })).toEqual(['utc', 'alt']);
+                    expect(object.telemetry.values[1].hints.range).toBe(1);
+                });
+            });
+
+            it("provides nothing for unknown flights or messages", function () {
+                return Promise.all([
+                    get('xyz'),
+                    get('abc.HEARTBEAT'),
+                    get('abc.VFR_HUD.heading')
+                ]).then(function (objects) {
+                    expect(objects).toEqual([undefined, undefined, undefined]);
+                });
+            });
+        });
+
+        describe("telemetry provider", function () {
+            var provider,
+                domainObject;
+
+            beforeEach(function () {
+                provider = new FlightLogTelemetryProvider(store);
+                domainObject = {
+                    type: 'flight-log.message',
+                    flightLog: {
+                        flight: 'abc',
+                        message: 'VFR_HUD'
+                    }
+                };
+            });
+
+            it("supports flight log telemetry objects", function () {
+                expect(provider.supportsRequest(domainObject)).toBe(true);
+                expect(provider.supportsRequest({type: 'flight-log'})).toBe(false);
+            });
+
+            it("requests telemetry between the start and end times", function () {
+                return provider.request(domainObject, {
+                    start: 1000,
+                    end: 1800
+                }).then(function (data) {
+                    expect(store.getTelemetry).toHaveBeenCalledWith('abc', 'VFR_HUD', 1000, 1800);
+                    expect(data.length).toBe(2);
+                });
+            });
+
+            it("supports the latest strategy", function () {
+                return provider.request(domainObject, {
+                    start: 1000,
+                    end: 1800,
+                    strategy: 'latest'
+                }).then(function (data) {
+                    expect(data).toEqual([{utc: 1500}]);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    "raw-loader!../../src/workers/FlightLogWorker.js"
+], function (
+    FlightLogWorkerText
+) {
+
+    var WORKER_FILE = URL.createObjectURL(new Blob(
+        [FlightLogWorkerText],
+        {type: 'application/javascript'}
+    ));
+
+    function concat(arrays) {
+        var length = arrays.reduce(function (total, array) {
+                return total + array.length;
+            }, 0),
+            result = new Uint8Array(length),
+            offset = 0;
+
+        arrays.forEach(function (array) {
+            result.set(array, offset);
+            offset += array.length;
+        });
+
+        return result;
+    }
+
+    function dataflashRecord(type, length, write) {
+        var record = new Uint8Array(length),
+            view = new DataView(record.buffer);
+
+        record[0] = 0xa3;
+        record[1] = 0x95;
+        record[2] = type;
+        write(view, record);
+
+        return record;
+    }
+
+    function writeString(record, offset, string) {
+        for (var i = 0; i < string.length; i++) {
+            record[offset + i] = string.charCodeAt(i);
+        }
+    }
+
+    describe('FlightLogWorker', function () {
+        var worker;
+
+        function parse(request) {
+            return new Promise(function (resolve) {
+                worker.addEventListener('message', function (event) {
+                    if (event.data.response !== 'progress') {
+                        resolve(event.data);
+                    }
+                });
+                request.request = 'parse';
+                worker.postMessage(request);
+            });
+        }
+
+        beforeEach(function () {
+            worker = new Worker(WORKER_FILE);
+        });
+
+        afterEach(function () {
+            worker.terminate();
+        });
+
+        it('decodes dataflash logs described by FMT records', function () {
+            var log = concat([
+                dataflashRecord(128, 89, function (view, record) {
+                    record[3] = 129;
+                    record[4] = 23;
+                    writeString(record, 5, 'TEST');
+                    writeString(record, 9, 'QfnL');
+                    writeString(record, 25, 'TimeUS,Val,Str,Lat');
+                }),
+                dataflashRecord(129, 23, function (view, record) {
+                    view.setUint32(3, 1000000, true);
+                    view.setFloat32(11, 1.5, true);
+                    writeString(record, 15, 'abc');
+                    view.setInt32(19, 475000000, true);
+                }),
+                dataflashRecord(129, 23, function (view) {
+                    view.setUint32(3, 2000000, true);
+                })
+            ]);
+
+            return parse({
+                buffer: log.buffer,
+                lastModified: 1600000000000
+            }).then(function (result) {
+                var message = result.messages[0];
+
+                expect(result.messages.length).toBe(1);
+                expect(message.name).toBe('TEST');
+                expect(message.columns.map(function (column) {
+                    return column.format;
+                })).toEqual(['number', 'number', 'string', 'number']);
+                expect(message.data[0].Val).toBe(1.5);
+                expect(message.data[0].Str).toBe('abc');
+                expect(message.data[0].Lat).toBeCloseTo(47.5, 5);
+                // Without GPS time, the log is assumed to end at lastModified.
+                expect(message.data[0].utc).toBe(1599999999000);
+                expect(message.data[1].utc).toBe(1600000000000);
+            });
+        });
+
+        it('finds no messages in a log without records', function () {
+            return parse({
+                buffer: new ArrayBuffer(16)
+            }).then(function (result) {
+                expect(result.response).toBe('parsed');
+                expect(result.messages).toEqual([]);
+            });
+        });
+    });
+});
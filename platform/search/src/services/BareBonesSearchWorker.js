@@ -25,14 +25,15 @@
  */
 (function () {
 
-    // An array of objects composed of domain object IDs and names
-    // {id: domainObject's ID, name: domainObject's name}
+    // An array of objects composed of domain object IDs, names and tags
+    // {id: domainObject's ID, name: domainObject's name, tag: its tag, if any}
     var indexedItems = [];
 
     function indexItem(id, model) {
         indexedItems.push({
             id: id,
-            name: model.name.toLowerCase()
+            name: model.name.toLowerCase(),
+            tag: (model.tag || '').toLowerCase()
         });
     }
 
@@ -58,7 +59,8 @@
             };
 
         results = indexedItems.filter((indexedItem) => {
-            return indexedItem.name.includes(input);
+            return indexedItem.name.includes(input)
+                || (indexedItem.tag !== '' && indexedItem.tag.includes(input));
         });
 
         message.total = results.length;
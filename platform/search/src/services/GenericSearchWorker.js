@@ -37,6 +37,11 @@
         vector.cleanName = model.name.trim();
         vector.lowerCaseName = vector.cleanName.toLocaleLowerCase();
         vector.terms = vector.lowerCaseName.split(TERM_SPLITTER);
+        vector.lowerCaseTag = (model.tag || '').trim().toLocaleLowerCase();
+
+        if (vector.lowerCaseTag) {
+            vector.terms = vector.terms.concat(vector.lowerCaseTag.split(TERM_SPLITTER));
+        }
 
         indexedItems.push({
             id: id,
@@ -93,7 +98,8 @@
         query.terms.forEach(function findMatchingItems(term) {
             indexedItems
                 .filter(function matchesItem(item) {
-                    return item.vector.lowerCaseName.indexOf(term) !== -1;
+                    return item.vector.lowerCaseName.indexOf(term) !== -1
+                        || item.vector.lowerCaseTag.indexOf(term) !== -1;
                 })
                 .forEach(function trackMatch(matchedItem) {
                     if (!matches[matchedItem.id]) {
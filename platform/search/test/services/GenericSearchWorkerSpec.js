@@ -205,5 +205,33 @@ define([
                 queryId: 678
             });
         });
+
+        it('matches tags', function (done) {
+            worker.addEventListener('message', function (message) {
+                var data = message.data;
+
+                expect(data.queryId).toBe(789);
+                expect(data.results.length).toBe(1);
+                expect(data.results[0].item.id).toBe('w');
+                expect(data.results[0].matchCount).toBe(1.5);
+
+                done();
+            });
+
+            worker.postMessage({
+                request: 'index',
+                id: 'w',
+                model: {
+                    name: 'Battery low',
+                    tag: 'anomaly'
+                }
+            });
+            worker.postMessage({
+                request: 'search',
+                input: 'anomaly',
+                maxResults: 100,
+                queryId: 789
+            });
+        });
     });
 });
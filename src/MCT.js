@@ -244,6 +244,26 @@ define([
 
         this.contextMenu = new api.ContextMenuRegistry();
 
+        /**
+         * An interface for sending commands to the systems represented by
+         * domain objects.
+         *
+         * @type {module:openmct.CommandAPI}
+         * @memberof module:openmct.MCT#
+         * @name commands
+         */
+        this.commands = new api.CommandAPI(this);
+
+        /**
+         * An interface for creating and finding annotations of points and
+         * spans of time on telemetry.
+         *
+         * @type {module:openmct.AnnotationAPI}
+         * @memberof module:openmct.MCT#
+         * @name annotations
+         */
+        this.annotations = new api.AnnotationAPI(this);
+
         this.router = new ApplicationRouter();
 
         this.branding = BrandingAPI.default;
@@ -271,6 +291,10 @@ define([
         this.install(this.plugins.URLTimeSettingsSynchronizer());
         this.install(this.plugins.NotificationIndicator());
         this.install(this.plugins.NewFolderAction());
+        this.install(this.plugins.SendCommandAction());
+        this.install(this.plugins.Annotations());
+        this.install(this.plugins.ExportTelemetry());
+        this.install(this.plugins.TimeBookmarks());
     }
 
     MCT.prototype = Object.create(EventEmitter.prototype);
@@ -46,7 +46,7 @@ define([
                     'view', legacyView, legacyObject
                 );
             },
-            view: function (domainObject) {
+            view: function (domainObject, objectPath) {
                 let $rootScope = openmct.$injector.get('$rootScope');
                 let templateLinker = openmct.$injector.get('templateLinker');
                 let scope = $rootScope.$new(true);
@@ -56,6 +56,7 @@ define([
                 let element;
                 scope.domainObject = legacyObject;
                 scope.model = legacyObject.getModel();
+                scope.objectPath = objectPath;
                 let child;
                 let parent;
 
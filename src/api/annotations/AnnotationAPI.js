@@ -0,0 +1,230 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import uuid from 'uuid';
+
+export const ANNOTATION_TYPE = 'annotation';
+
+/**
+ * An annotation marks a point in time, or a span of time, on the telemetry
+ * of one or more domain objects. Annotations are persisted as domain objects
+ * of type `annotation`.
+ *
+ * @typedef {object} Annotation
+ * @property {module:openmct.ObjectAPI~Identifier} identifier
+ * @property {string} name the text of the annotation
+ * @property {string} [tag] a short label used to categorize the annotation
+ * @property {number} start the time at which the annotation begins
+ * @property {number} end the time at which the annotation ends; the same as
+ *           start for annotations of a single point in time
+ * @property {string} timeSystem the key of the time system of start and end
+ * @property {string[]} targets the key strings of the telemetry objects
+ *           which are annotated
+ * @memberof module:openmct.AnnotationAPI~
+ */
+
+/**
+ * Creates, finds and shows annotations of telemetry. Annotations are kept in
+ * a single folder, which is My Items unless another location is set.
+ *
+ * Emits `change` whenever an annotation is created, modified or removed.
+ *
+ * @interface AnnotationAPI
+ * @memberof module:openmct
+ */
+export default class AnnotationAPI extends EventEmitter {
+    constructor(openmct) {
+        super();
+
+        this.openmct = openmct;
+        this.location = 'mine';
+        this.annotations = {};
+        this.unobserves = {};
+
+        this.onAdd = this.onAdd.bind(this);
+        this.onRemove = this.onRemove.bind(this);
+    }
+
+    /**
+     * Set the folder in which new annotations are created, and from which
+     * existing annotations are loaded. Must be called before annotations
+     * are first used.
+     *
+     * @param {string} keyString the key string of a folder
+     * @memberof module:openmct.AnnotationAPI#
+     */
+    setLocation(keyString) {
+        this.location = keyString;
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.openmct.objects.get(this.location).then((folder) => {
+                this.folder = folder;
+                this.composition = this.openmct.composition.get(folder);
+                this.composition.on('add', this.onAdd);
+                this.composition.on('remove', this.onRemove);
+
+                return this.composition.load();
+            }).catch(() => {
+                this.folder = undefined;
+            });
+        }
+
+        return this.loaded;
+    }
+
+    /**
+     * @private
+     */
+    onAdd(domainObject) {
+        if (domainObject.type !== ANNOTATION_TYPE) {
+            return;
+        }
+
+        const keyString = this.openmct.objects.makeKeyString(domainObject.identifier);
+
+        if (!this.unobserves[keyString]) {
+            this.unobserves[keyString] = this.openmct.objects.observe(domainObject, '*', (annotation) => {
+                this.annotations[keyString] = annotation;
+                this.emit('change');
+            });
+        }
+
+        this.annotations[keyString] = domainObject;
+        this.emit('change');
+    }
+
+    /**
+     * @private
+     */
+    onRemove(identifier) {
+        const keyString = this.openmct.objects.makeKeyString(identifier);
+
+        if (this.unobserves[keyString]) {
+            this.unobserves[keyString]();
+            delete this.unobserves[keyString];
+        }
+
+        if (this.annotations[keyString]) {
+            delete this.annotations[keyString];
+            this.emit('change');
+        }
+    }
+
+    /**
+     * Get the annotations of any of the given telemetry objects.
+     *
+     * @param {string[]} targets the key strings of telemetry objects
+     * @returns {Promise.<Annotation[]>} the annotations, in order of start time
+     * @memberof module:openmct.AnnotationAPI#
+     */
+    get(targets) {
+        return this.load().then(() => {
+            return Object.values(this.annotations)
+                .filter(annotation => annotation.targets.some(target => targets.includes(target)))
+                .sort((a, b) => a.start - b.start);
+        });
+    }
+
+    /**
+     * Create and persist an annotation.
+     *
+     * @param {object} options
+     * @param {string[]} options.targets the key strings of the annotated
+     *        telemetry objects
+     * @param {string} options.timeSystem the key of the time system of start
+     *        and end
+     * @param {number} options.start
+     * @param {number} [options.end] omitted to annotate a point in time
+     * @param {string} options.name the text of the annotation
+     * @param {string} [options.tag]
+     * @returns {Promise.<Annotation>} the new annotation
+     * @memberof module:openmct.AnnotationAPI#
+     */
+    create({targets, timeSystem, start, end = start, name, tag = ''}) {
+        return this.load().then(() => {
+            if (!this.folder) {
+                throw new Error(`Annotations cannot be saved: ${this.location} was not found`);
+            }
+
+            const annotation = {
+                identifier: {
+                    namespace: this.folder.identifier.namespace,
+                    key: uuid()
+                },
+                type: ANNOTATION_TYPE,
+                name,
+                tag,
+                start: Math.min(start, end),
+                end: Math.max(start, end),
+                timeSystem,
+                targets,
+                location: this.openmct.objects.makeKeyString(this.folder.identifier)
+            };
+
+            this.openmct.objects.mutate(annotation, 'created', Date.now());
+            this.composition.add(annotation);
+
+            return annotation;
+        });
+    }
+
+    /**
+     * Stop the clock and center the time conductor's bounds on an
+     * annotation, switching to the annotation's time system if necessary.
+     * The bounds keep their current duration unless the annotation is too
+     * long to fit.
+     *
+     * @param {Annotation} annotation
+     * @memberof module:openmct.AnnotationAPI#
+     */
+    show(annotation) {
+        const time = this.openmct.time;
+        const bounds = time.bounds();
+        const span = annotation.end - annotation.start;
+        const sameTimeSystem = time.timeSystem().key === annotation.timeSystem;
+        let duration = bounds.end - bounds.start;
+
+        if (span > 0 && (!sameTimeSystem || span * 1.5 > duration)) {
+            duration = span * 1.5;
+        }
+
+        const middle = annotation.start + span / 2;
+        const newBounds = {
+            start: middle - duration / 2,
+            end: middle + duration / 2
+        };
+
+        time.stopClock();
+
+        if (sameTimeSystem) {
+            time.bounds(newBounds);
+        } else {
+            time.timeSystem(annotation.timeSystem, newBounds);
+        }
+    }
+}
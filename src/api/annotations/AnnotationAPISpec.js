@@ -0,0 +1,230 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import AnnotationAPI from './AnnotationAPI';
+
+describe('The Annotation API', () => {
+    let openmct;
+    let annotationAPI;
+    let folder;
+    let children;
+    let listeners;
+    let bounds;
+    let timeSystem;
+
+    function makeKeyString(identifier) {
+        return identifier.namespace ? `${identifier.namespace}:${identifier.key}` : identifier.key;
+    }
+
+    beforeEach(() => {
+        folder = {
+            identifier: {
+                namespace: '',
+                key: 'mine'
+            },
+            type: 'folder'
+        };
+        children = [{
+            identifier: {
+                namespace: '',
+                key: 'a'
+            },
+            type: 'annotation',
+            name: 'Pump restarted',
+            start: 200,
+            end: 200,
+            timeSystem: 'utc',
+            targets: ['pump']
+        }, {
+            identifier: {
+                namespace: '',
+                key: 'b'
+            },
+            type: 'annotation',
+            name: 'Burn',
+            start: 100,
+            end: 150,
+            timeSystem: 'utc',
+            targets: ['engine', 'pump']
+        }, {
+            identifier: {
+                namespace: '',
+                key: 'c'
+            },
+            type: 'folder',
+            name: 'Not an annotation'
+        }];
+        listeners = {};
+
+        const composition = {
+            on: (event, callback) => listeners[event] = callback,
+            load: () => {
+                children.forEach(child => listeners.add(child));
+
+                return Promise.resolve(children);
+            },
+            add: jasmine.createSpy('add').and.callFake(child => listeners.add(child))
+        };
+
+        bounds = {
+            start: 0,
+            end: 1000
+        };
+        timeSystem = {key: 'utc'};
+
+        openmct = {
+            objects: jasmine.createSpyObj('objects', ['get', 'observe', 'mutate', 'makeKeyString']),
+            composition: jasmine.createSpyObj('composition', ['get']),
+            time: jasmine.createSpyObj('time', ['bounds', 'timeSystem', 'stopClock'])
+        };
+        openmct.objects.get.and.returnValue(Promise.resolve(folder));
+        openmct.objects.observe.and.returnValue(() => {});
+        openmct.objects.makeKeyString.and.callFake(makeKeyString);
+        openmct.composition.get.and.returnValue(composition);
+        openmct.time.bounds.and.callFake(() => bounds);
+        openmct.time.timeSystem.and.callFake(() => timeSystem);
+
+        annotationAPI = new AnnotationAPI(openmct);
+    });
+
+    it('finds the annotations of telemetry objects in order of time', () => {
+        return annotationAPI.get(['pump']).then(annotations => {
+            expect(openmct.objects.get).toHaveBeenCalledWith('mine');
+            expect(annotations.map(annotation => annotation.name)).toEqual(['Burn', 'Pump restarted']);
+        });
+    });
+
+    it('ignores objects which are not annotations', () => {
+        return annotationAPI.get(['engine']).then(annotations => {
+            expect(annotations.map(annotation => annotation.name)).toEqual(['Burn']);
+        });
+    });
+
+    it('loads annotations from the location which is set', () => {
+        annotationAPI.setLocation('shared:annotations');
+
+        return annotationAPI.get([]).then(() => {
+            expect(openmct.objects.get).toHaveBeenCalledWith('shared:annotations');
+        });
+    });
+
+    it('creates annotations in its location', () => {
+        const changed = jasmine.createSpy('change');
+
+        return annotationAPI.get([]).then(() => {
+            annotationAPI.on('change', changed);
+
+            return annotationAPI.create({
+                targets: ['engine'],
+                timeSystem: 'utc',
+                start: 500,
+                end: 400,
+                name: 'Shutdown',
+                tag: 'event'
+            });
+        }).then(annotation => {
+            expect(annotation.type).toBe('annotation');
+            expect(annotation.start).toBe(400);
+            expect(annotation.end).toBe(500);
+            expect(annotation.tag).toBe('event');
+            expect(annotation.location).toBe('mine');
+            expect(openmct.objects.mutate).toHaveBeenCalledWith(annotation, 'created', jasmine.any(Number));
+            expect(changed).toHaveBeenCalled();
+
+            return annotationAPI.get(['engine']);
+        }).then(annotations => {
+            expect(annotations.map(annotation => annotation.name)).toEqual(['Burn', 'Shutdown']);
+        });
+    });
+
+    it('annotates points in time when no end is given', () => {
+        return annotationAPI.create({
+            targets: ['engine'],
+            timeSystem: 'utc',
+            start: 300,
+            name: 'Ignition'
+        }).then(annotation => {
+            expect(annotation.end).toBe(300);
+            expect(annotation.tag).toBe('');
+        });
+    });
+
+    it('forgets annotations which are removed', () => {
+        return annotationAPI.get([]).then(() => {
+            listeners.remove(children[1].identifier);
+
+            return annotationAPI.get(['engine']);
+        }).then(annotations => {
+            expect(annotations).toEqual([]);
+        });
+    });
+
+    it('rejects annotations which cannot be saved', () => {
+        openmct.objects.get.and.returnValue(Promise.reject(new Error('Missing')));
+
+        return annotationAPI.create({
+            targets: ['engine'],
+            timeSystem: 'utc',
+            start: 300,
+            name: 'Ignition'
+        }).then(() => {
+            fail('Expected the annotation to be rejected');
+        }, error => {
+            expect(error.message).toContain('mine');
+        });
+    });
+
+    describe('shows annotations', () => {
+        it('by centering the bounds on them', () => {
+            annotationAPI.show(children[0]);
+
+            expect(openmct.time.stopClock).toHaveBeenCalled();
+            expect(openmct.time.bounds).toHaveBeenCalledWith({
+                start: -300,
+                end: 700
+            });
+        });
+
+        it('by widening the bounds to fit long spans', () => {
+            bounds = {
+                start: 0,
+                end: 10
+            };
+            annotationAPI.show(children[1]);
+
+            expect(openmct.time.bounds).toHaveBeenCalledWith({
+                start: 87.5,
+                end: 162.5
+            });
+        });
+
+        it('by changing the time system when needed', () => {
+            timeSystem = {key: 'local'};
+            annotationAPI.show(children[1]);
+
+            expect(openmct.time.timeSystem).toHaveBeenCalledWith('utc', {
+                start: 87.5,
+                end: 162.5
+            });
+        });
+    });
+});
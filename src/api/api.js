@@ -29,6 +29,8 @@ define([
     './indicators/IndicatorAPI',
     './notifications/NotificationAPI',
     './contextMenu/ContextMenuAPI',
+    './commands/CommandAPI',
+    './annotations/AnnotationAPI',
     './Editor'
 
 ], function (
@@ -40,6 +42,8 @@ define([
     IndicatorAPI,
     NotificationAPI,
     ContextMenuAPI,
+    CommandAPI,
+    AnnotationAPI,
     EditorAPI
 ) {
     return {
@@ -51,6 +55,8 @@ define([
         IndicatorAPI: IndicatorAPI,
         NotificationAPI: NotificationAPI.default,
         EditorAPI: EditorAPI,
-        ContextMenuRegistry: ContextMenuAPI.default
+        ContextMenuRegistry: ContextMenuAPI.default,
+        CommandAPI: CommandAPI.default,
+        AnnotationAPI: AnnotationAPI.default
     };
 });
@@ -0,0 +1,172 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * A command which can be sent to the system represented by a domain object.
+ *
+ * @typedef {object} CommandDefinition
+ * @property {string} key uniquely identifies the command within its provider
+ * @property {string} name the human-readable name of the command
+ * @property {string} [description] a longer-form description of the command
+ * @property {boolean} [hazardous] true if the user should confirm the
+ *           command before it is sent
+ * @property {CommandArgument[]} [arguments] values the user supplies when
+ *           sending the command
+ * @memberof module:openmct.CommandAPI~
+ */
+
+/**
+ * @typedef {object} CommandArgument
+ * @property {string} key identifies the argument in the arguments object
+ * @property {string} name the human-readable name of the argument
+ * @property {string} [unit] the unit of the argument
+ * @property {*} [value] the default value of the argument
+ * @property {{name: string, value: *}[]} [options] the values the argument
+ *           is restricted to, if any
+ * @memberof module:openmct.CommandAPI~
+ */
+
+/**
+ * Sends commands to the systems represented by domain objects, such as
+ * vehicles. Commands are sent by command providers, which are registered
+ * for the domain objects they support.
+ *
+ * Progress and failure of a command are reported to the user with
+ * notifications.
+ *
+ * @interface CommandAPI
+ * @memberof module:openmct
+ */
+export default class CommandAPI {
+    constructor(openmct) {
+        this.openmct = openmct;
+        this.providers = [];
+    }
+
+    /**
+     * A CommandProvider sends commands for the domain objects it supports.
+     *
+     * @interface CommandProvider
+     * @memberof module:openmct.CommandAPI~
+     */
+    /**
+     * @method supportsCommands
+     * @memberof module:openmct.CommandAPI~CommandProvider#
+     * @param {module:openmct.DomainObject} domainObject
+     * @returns {boolean} true if this provider sends commands for the domain object
+     */
+    /**
+     * @method getCommands
+     * @memberof module:openmct.CommandAPI~CommandProvider#
+     * @param {module:openmct.DomainObject} domainObject
+     * @returns {CommandDefinition[]} the commands which can be sent
+     */
+    /**
+     * Send a command, resolving when the receiving system has accepted it
+     * and rejecting with an Error describing the failure otherwise.
+     *
+     * @method send
+     * @memberof module:openmct.CommandAPI~CommandProvider#
+     * @param {module:openmct.DomainObject} domainObject
+     * @param {CommandDefinition} command the command to send
+     * @param {object} args the values of the command's arguments, by key
+     * @param {function} progress called with a percentage (or 'unknown')
+     *        and a description as the command progresses
+     * @returns {Promise}
+     */
+
+    /**
+     * Register a command provider.
+     *
+     * @param {CommandProvider} provider
+     * @memberof module:openmct.CommandAPI#
+     */
+    addProvider(provider) {
+        this.providers.push(provider);
+    }
+
+    /**
+     * @private
+     */
+    findProvider(domainObject) {
+        return this.providers.find(provider => provider.supportsCommands(domainObject));
+    }
+
+    /**
+     * @param {module:openmct.DomainObject} domainObject
+     * @returns {boolean} true if commands can be sent for the domain object
+     * @memberof module:openmct.CommandAPI#
+     */
+    supportsCommands(domainObject) {
+        return this.findProvider(domainObject) !== undefined;
+    }
+
+    /**
+     * @param {module:openmct.DomainObject} domainObject
+     * @returns {CommandDefinition[]} the commands which can be sent for the
+     *          domain object
+     * @memberof module:openmct.CommandAPI#
+     */
+    getCommands(domainObject) {
+        const provider = this.findProvider(domainObject);
+
+        return provider ? provider.getCommands(domainObject) : [];
+    }
+
+    /**
+     * Send a command for a domain object. A progress notification is shown
+     * while the command is outstanding, followed by a notification of its
+     * success or failure.
+     *
+     * @param {module:openmct.DomainObject} domainObject
+     * @param {string} key the key of the command to send
+     * @param {object} [args] the values of the command's arguments, by key
+     * @returns {Promise} resolved when the command has been accepted, or
+     *          rejected with an Error if it was not
+     * @memberof module:openmct.CommandAPI#
+     */
+    send(domainObject, key, args = {}) {
+        const provider = this.findProvider(domainObject);
+        const command = provider && provider.getCommands(domainObject)
+            .find(definition => definition.key === key);
+
+        if (!command) {
+            return Promise.reject(new Error(`No command ${key} for ${domainObject.name}`));
+        }
+
+        const notification = this.openmct.notifications.progress(`Sending ${command.name}`, 'unknown');
+
+        return provider.send(domainObject, command, args, (progressPerc, progressText) => {
+            notification.progress(progressPerc, progressText);
+        }).then((result) => {
+            notification.dismiss();
+            this.openmct.notifications.info(`${command.name} accepted`);
+
+            return result;
+        }, (error) => {
+            notification.dismiss();
+            this.openmct.notifications.error(`${command.name} failed: ${error.message}`);
+
+            throw error;
+        });
+    }
+}
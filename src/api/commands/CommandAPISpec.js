@@ -0,0 +1,107 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import CommandAPI from './CommandAPI';
+
+describe('The Command API', () => {
+    let openmct;
+    let commandAPI;
+    let provider;
+    let notification;
+    let domainObject;
+
+    beforeEach(() => {
+        notification = jasmine.createSpyObj('notification', ['progress', 'dismiss']);
+        openmct = {
+            notifications: jasmine.createSpyObj('notifications', ['progress', 'info', 'error'])
+        };
+        openmct.notifications.progress.and.returnValue(notification);
+
+        provider = jasmine.createSpyObj('provider', ['supportsCommands', 'getCommands', 'send']);
+        provider.supportsCommands.and.callFake(object => object.type === 'vehicle');
+        provider.getCommands.and.returnValue([{
+            key: 'arm',
+            name: 'Arm'
+        }]);
+
+        domainObject = {
+            name: 'Vehicle',
+            type: 'vehicle'
+        };
+
+        commandAPI = new CommandAPI(openmct);
+        commandAPI.addProvider(provider);
+    });
+
+    it('finds the commands of supported objects', () => {
+        expect(commandAPI.supportsCommands(domainObject)).toBe(true);
+        expect(commandAPI.getCommands(domainObject).map(command => command.key)).toEqual(['arm']);
+        expect(commandAPI.supportsCommands({type: 'folder'})).toBe(false);
+        expect(commandAPI.getCommands({type: 'folder'})).toEqual([]);
+    });
+
+    it('sends commands through their provider', () => {
+        provider.send.and.returnValue(Promise.resolve());
+
+        return commandAPI.send(domainObject, 'arm', {force: true}).then(() => {
+            const args = provider.send.calls.mostRecent().args;
+
+            expect(args[0]).toBe(domainObject);
+            expect(args[1].key).toBe('arm');
+            expect(args[2]).toEqual({force: true});
+        });
+    });
+
+    it('reports the progress and success of a command', () => {
+        provider.send.and.callFake((object, command, args, progress) => {
+            progress(50, 'Half way');
+
+            return Promise.resolve();
+        });
+
+        return commandAPI.send(domainObject, 'arm').then(() => {
+            expect(openmct.notifications.progress).toHaveBeenCalledWith('Sending Arm', 'unknown');
+            expect(notification.progress).toHaveBeenCalledWith(50, 'Half way');
+            expect(notification.dismiss).toHaveBeenCalled();
+            expect(openmct.notifications.info).toHaveBeenCalledWith('Arm accepted');
+        });
+    });
+
+    it('reports failed commands', () => {
+        provider.send.and.returnValue(Promise.reject(new Error('Denied')));
+
+        return commandAPI.send(domainObject, 'arm').then(() => {
+            fail('Expected the command to fail');
+        }, (error) => {
+            expect(error.message).toBe('Denied');
+            expect(notification.dismiss).toHaveBeenCalled();
+            expect(openmct.notifications.error).toHaveBeenCalledWith('Arm failed: Denied');
+        });
+    });
+
+    it('rejects unknown commands', () => {
+        return commandAPI.send(domainObject, 'launch').then(() => {
+            fail('Expected the command to be rejected');
+        }, () => {
+            expect(provider.send).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -21,22 +21,37 @@
  *****************************************************************************/
 
 define([
-    'lodash'
+    'lodash',
+    'EventEmitter'
 ], function (
-    _
+    _,
+    EventEmitter
 ) {
 
+    /**
+     * Tracks the root-level objects. Emits `add` whenever a root is added,
+     * so that views of the roots can be refreshed.
+     */
     function RootRegistry() {
+        EventEmitter.call(this);
         this.providers = [];
     }
 
+    RootRegistry.prototype = Object.create(EventEmitter.prototype);
+
     RootRegistry.prototype.getRoots = function () {
         const promises = this.providers.map(function (provider) {
             return provider();
         });
 
+        // A root may be both added directly and listed by a provider.
         return Promise.all(promises)
-            .then(_.flatten);
+            .then(_.flatten)
+            .then(function (roots) {
+                return _.uniqBy(roots, function (root) {
+                    return root.namespace + ':' + root.key;
+                });
+            });
     };
 
     function isKey(key) {
@@ -48,8 +63,10 @@ define([
             this.providers.push(function () {
                 return key;
             });
+            this.emit('add');
         } else if (_.isFunction(key)) {
             this.providers.push(key);
+            this.emit('add');
         }
     };
 
@@ -97,5 +97,26 @@ define([
                     expect(roots).toEqual([idA, idB, idC]);
                 });
         });
+
+        it('lists a root registered more than once only once', function () {
+            registry.addRoot(function () {
+                return Promise.resolve([idA, idB]);
+            });
+            registry.addRoot(idB);
+
+            return registry.getRoots()
+                .then(function (roots) {
+                    expect(roots).toEqual([idA, idB]);
+                });
+        });
+
+        it('notifies listeners when a root is added', function () {
+            const listener = jasmine.createSpy('listener');
+            registry.on('add', listener);
+
+            registry.addRoot(idA);
+
+            expect(listener).toHaveBeenCalled();
+        });
     });
 });
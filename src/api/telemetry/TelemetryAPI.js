@@ -24,12 +24,14 @@ define([
     './TelemetryMetadataManager',
     './TelemetryValueFormatter',
     './DefaultMetadataProvider',
+    './TelemetryDecimator',
     'objectUtils',
     'lodash'
 ], function (
     TelemetryMetadataManager,
     TelemetryValueFormatter,
     DefaultMetadataProvider,
+    TelemetryDecimator,
     objectUtils,
     _
 ) {
@@ -112,6 +114,26 @@ define([
      *           (such as `minmax`) which may be recognized by providers;
      *           these will be tried in order until an appropriate provider
      *           is found
+     * @property {string} [strategy] the strategy (such as `minmax`) to
+     *           apply to this request
+     * @property {number} [size] for the `minmax` strategy, the number of
+     *           points of resolution, such as the pixel width of a plot;
+     *           otherwise, the most data the provider should return
+     */
+
+    /**
+     * Check whether a provider implements a request strategy itself.
+     * Telemetry from providers which do not implement the `minmax`
+     * strategy is decimated by the Telemetry API instead. This method is
+     * optional; providers without it are assumed to implement no
+     * strategies.
+     *
+     * @method supportsStrategy
+     * @param {module:openmct.DomainObject} domainObject the object for
+     *        which telemetry is requested
+     * @param {string} strategy the strategy, such as `minmax`
+     * @returns {boolean} true if the provider implements the strategy
+     * @memberof module:openmct.TelemetryAPI~TelemetryProvider#
      */
 
     /**
@@ -140,6 +162,9 @@ define([
         this.metadataCache = new WeakMap();
         this.formatMapCache = new WeakMap();
         this.valueFormatterCache = new WeakMap();
+        this.decimator = new TelemetryDecimator();
+
+        this.openmct.on('destroy', () => this.decimator.destroy());
     }
 
     /**
@@ -260,6 +285,25 @@ define([
         }
     };
 
+    /**
+     * Requests in a time system which telemetry is not stamped in, but can be
+     * converted to, are made in the time system it is converted from.
+     * @private
+     */
+    TelemetryAPI.prototype.convertRequestOptions = function (domainObject, options) {
+        const metadata = this.getMetadata(domainObject);
+        const valueMetadata = metadata && metadata.value(options.domain);
+        const conversion = valueMetadata && valueMetadata.conversion;
+
+        if (!conversion || !this.openmct.time.canConvert(conversion.to, conversion.from)) {
+            return;
+        }
+
+        options.domain = conversion.from;
+        options.start = this.openmct.time.convert(options.start, conversion.to, conversion.from);
+        options.end = this.openmct.time.convert(options.end, conversion.to, conversion.from);
+    };
+
     /**
      * Request historical telemetry for a domain object.
      * The `options` argument allows you to specify filters
@@ -282,6 +326,8 @@ define([
         }
 
         this.standardizeRequestOptions(arguments[1]);
+        this.convertRequestOptions(domainObject, arguments[1]);
+        const options = arguments[1];
         const provider = this.findRequestProvider.apply(this, arguments);
         if (!provider) {
             return Promise.reject('No provider found');
@@ -292,6 +338,38 @@ define([
             console.error(rejected);
 
             return Promise.reject(rejected);
+        }).then((data) => {
+            return this.applyMinMaxStrategy(provider, domainObject, options, data);
+        });
+    };
+
+    /**
+     * Decimate telemetry for `minmax` requests to providers which do not
+     * implement that strategy, keeping the minimum and maximum of each
+     * range value for each point of the requested resolution.
+     *
+     * @private
+     * @returns {object[]|Promise.<object[]>} the telemetry, decimated if
+     *          necessary
+     */
+    TelemetryAPI.prototype.applyMinMaxStrategy = function (provider, domainObject, options, data) {
+        if (options.strategy !== 'minmax' || !options.size || !Array.isArray(data)
+            || (provider.supportsStrategy && provider.supportsStrategy(domainObject, 'minmax'))) {
+            return data;
+        }
+
+        const metadata = this.getMetadata(domainObject);
+        const domain = metadata && metadata.value(options.domain);
+        if (!domain) {
+            return data;
+        }
+
+        return this.decimator.decimate(data, {
+            size: options.size,
+            start: options.start,
+            end: options.end,
+            domain: domain.source,
+            ranges: metadata.valuesForHints(['range']).map(value => value.source)
         });
     };
 
@@ -306,33 +384,36 @@ define([
      *        which has associated telemetry
      * @param {Function} callback the callback to invoke with new data, as
      *        it becomes available
+     * @param {object} [options] options for the subscription, passed to the
+     *        provider; a `timeContext` option gives the time context of the
+     *        subscribing view (see {@link TimeAPI#getContextForView})
      * @returns {Function} a function which may be called to terminate
      *          the subscription
      */
     TelemetryAPI.prototype.subscribe = function (domainObject, callback, options) {
-        const provider = this.findSubscriptionProvider(domainObject);
-
         if (!this.subscribeCache) {
             this.subscribeCache = {};
         }
 
         const keyString = objectUtils.makeKeyString(domainObject.identifier);
-        let subscriber = this.subscribeCache[keyString];
+        // Views following the global time context share its subscribers.
+        const timeContext = options && options.timeContext !== this.openmct.time
+            ? options.timeContext
+            : undefined;
+        const subscribers = this.subscribeCache[keyString] || [];
+        let subscriber = subscribers.find(function (existing) {
+            return existing.timeContext === timeContext;
+        });
 
         if (!subscriber) {
-            subscriber = this.subscribeCache[keyString] = {
+            subscriber = {
+                domainObject: domainObject,
+                timeContext: timeContext,
+                options: this.getProviderOptions(options),
                 callbacks: [callback]
             };
-            if (provider) {
-                subscriber.unsubscribe = provider
-                    .subscribe(domainObject, function (value) {
-                        subscriber.callbacks.forEach(function (cb) {
-                            cb(value);
-                        });
-                    }, options);
-            } else {
-                subscriber.unsubscribe = function () {};
-            }
+            this.subscribeCache[keyString] = subscribers.concat(subscriber);
+            this.connectSubscriber(subscriber);
         } else {
             subscriber.callbacks.push(callback);
         }
@@ -343,11 +424,101 @@ define([
             });
             if (subscriber.callbacks.length === 0) {
                 subscriber.unsubscribe();
-                delete this.subscribeCache[keyString];
+
+                const remaining = this.subscribeCache[keyString].filter(function (existing) {
+                    return existing !== subscriber;
+                });
+
+                if (remaining.length) {
+                    this.subscribeCache[keyString] = remaining;
+                } else {
+                    delete this.subscribeCache[keyString];
+                }
             }
         }.bind(this);
     };
 
+    /**
+     * The options of a subscription which are passed on to its provider.
+     * @private
+     */
+    TelemetryAPI.prototype.getProviderOptions = function (options) {
+        if (!options || options.timeContext === undefined) {
+            return options;
+        }
+
+        const providerOptions = Object.assign({}, options);
+        delete providerOptions.timeContext;
+
+        return providerOptions;
+    };
+
+    /**
+     * The subscription source serves the subscriptions it supports; others
+     * are served by telemetry providers.
+     * @private
+     */
+    TelemetryAPI.prototype.findSubscriptionSource = function (subscriber) {
+        const source = this.subscriptionSource;
+
+        if (source && (!source.supportsSubscribe
+            || source.supportsSubscribe(subscriber.domainObject, subscriber.timeContext))) {
+            return source;
+        }
+
+        return this.findSubscriptionProvider(subscriber.domainObject);
+    };
+
+    /**
+     * Subscribe to the current subscription source on behalf of all the
+     * callbacks of a subscriber.
+     * @private
+     */
+    TelemetryAPI.prototype.connectSubscriber = function (subscriber) {
+        const source = this.findSubscriptionSource(subscriber);
+
+        subscriber.source = source;
+
+        if (source) {
+            subscriber.unsubscribe = source
+                .subscribe(subscriber.domainObject, function (value) {
+                    subscriber.callbacks.forEach(function (cb) {
+                        cb(value);
+                    });
+                }, subscriber.options);
+        } else {
+            subscriber.unsubscribe = function () {};
+        }
+    };
+
+    /**
+     * Serve subscriptions, existing and new, from the given source rather
+     * than from telemetry providers. This allows, for example, historical
+     * telemetry to be replayed to views as though it were realtime telemetry.
+     *
+     * @method setSubscriptionSource
+     * @memberof module:openmct.TelemetryAPI#
+     * @param {object} [source] an object with a `subscribe` method which
+     *        behaves as {@link module:openmct.TelemetryAPI~TelemetryProvider#subscribe},
+     *        or undefined to serve subscriptions from telemetry providers again.
+     *        It may also have a `supportsSubscribe(domainObject, timeContext)`
+     *        method, called with the time context of the subscribing view (or
+     *        undefined for the global time context), to serve only some
+     *        subscriptions.
+     */
+    TelemetryAPI.prototype.setSubscriptionSource = function (source) {
+        this.subscriptionSource = source;
+
+        Object.values(this.subscribeCache || {}).forEach(function (subscribers) {
+            subscribers.forEach(function (subscriber) {
+                if (this.findSubscriptionSource(subscriber) !== subscriber.source) {
+                    subscriber.unsubscribe();
+                    this.connectSubscriber(subscriber);
+                }
+            }, this);
+        }, this);
+    };
+
     /**
      * Get telemetry metadata for a given domain object.  Returns a telemetry
      * metadata manager which provides methods for interrogating telemetry
@@ -366,7 +537,7 @@ define([
 
             this.metadataCache.set(
                 domainObject,
-                new TelemetryMetadataManager(metadata)
+                new TelemetryMetadataManager(metadata, this.openmct.time)
             );
         }
 
@@ -413,7 +584,7 @@ define([
 
             this.valueFormatterCache.set(
                 valueMetadata,
-                new TelemetryValueFormatter(valueMetadata, this.formatService)
+                new TelemetryValueFormatter(valueMetadata, this.formatService, this.openmct.time)
             );
         }
 
@@ -428,7 +599,7 @@ define([
      */
     TelemetryAPI.prototype.getFormatMap = function (metadata) {
         if (!this.formatMapCache.has(metadata)) {
-            const formatMap = metadata.values().reduce(function (map, valueMetadata) {
+            const formatMap = metadata.values().concat(metadata.convertedValues()).reduce(function (map, valueMetadata) {
                 map[valueMetadata.key] = this.getValueFormatter(valueMetadata);
 
                 return map;
@@ -238,6 +238,38 @@ define([
                 expect(unsubFuncs[1]).toHaveBeenCalled();
             });
 
+            it('moves subscriptions to and from a subscription source', function () {
+                const providerUnsubscribe = jasmine.createSpy('provider unsubscribe');
+                const sourceUnsubscribe = jasmine.createSpy('source unsubscribe');
+                const source = jasmine.createSpyObj('source', ['subscribe']);
+                let sourceNotifier;
+                telemetryProvider.supportsSubscribe.and.returnValue(true);
+                telemetryProvider.subscribe.and.returnValue(providerUnsubscribe);
+                source.subscribe.and.callFake(function (obj, cb) {
+                    sourceNotifier = cb;
+
+                    return sourceUnsubscribe;
+                });
+                telemetryAPI.addProvider(telemetryProvider);
+
+                const callback = jasmine.createSpy('callback');
+                const unsubscribe = telemetryAPI.subscribe(domainObject, callback, {filters: {}});
+
+                telemetryAPI.setSubscriptionSource(source);
+                expect(providerUnsubscribe).toHaveBeenCalled();
+                expect(source.subscribe).toHaveBeenCalledWith(domainObject, jasmine.any(Function), {filters: {}});
+
+                sourceNotifier('replayedValue');
+                expect(callback).toHaveBeenCalledWith('replayedValue');
+
+                telemetryAPI.setSubscriptionSource(undefined);
+                expect(sourceUnsubscribe).toHaveBeenCalled();
+                expect(telemetryProvider.subscribe.calls.count()).toBe(2);
+
+                unsubscribe();
+                expect(providerUnsubscribe.calls.count()).toBe(2);
+            });
+
             it('sends requests to matching providers', function () {
                 const telemPromise = Promise.resolve([]);
                 telemetryProvider.supportsRequest.and.returnValue(true);
@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    './decimate',
+    'raw-loader!./decimate.js',
+    '../../utils/ModuleWorker'
+], function (
+    decimate,
+    decimateText,
+    ModuleWorker
+) {
+    /**
+     * Decimates telemetry for `minmax` requests in a Web Worker, so that
+     * large responses do not block the user interface. Decimates on the
+     * main thread instead where workers are unavailable.
+     *
+     * @constructor
+     * @memberof module:openmct.TelemetryAPI~
+     */
+    function TelemetryDecimator() {
+        this.worker = new ModuleWorker.default(decimateText, decimate);
+    }
+
+    /**
+     * Decimate telemetry. Telemetry which could not be decimated is
+     * returned as it is, since undecimated telemetry is better than none.
+     *
+     * @param {object[]} data telemetry, sorted by domain
+     * @param {object} options decimation options; see `decimate`
+     * @returns {Promise.<object[]>} a promise for the decimated telemetry
+     */
+    TelemetryDecimator.prototype.decimate = function (data, options) {
+        return this.worker.call([data, options])
+            .catch(() => data);
+    };
+
+    /**
+     * Stop the worker, when Open MCT is destroyed.
+     */
+    TelemetryDecimator.prototype.destroy = function () {
+        this.worker.destroy();
+    };
+
+    return TelemetryDecimator;
+});
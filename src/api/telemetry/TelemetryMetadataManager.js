@@ -81,20 +81,78 @@ define([
      * Utility class for handling and inspecting telemetry metadata.  Applies
      * reasonable defaults to simplify the task of providing metadata, while
      * also providing methods for interrogating telemetry metadata.
+     *
+     * When given the time API, values for time systems which telemetry is not
+     * stamped in are converted from a time system which it is stamped in, so
+     * that it can be shown against any time system with a conversion.
      */
-    function TelemetryMetadataManager(metadata) {
+    function TelemetryMetadataManager(metadata, timeAPI) {
         this.metadata = metadata;
+        this.timeAPI = timeAPI;
+        this.convertedValueMetadatas = {};
 
         this.valueMetadatas = this.metadata.values ? this.metadata.values.map(applyReasonableDefaults) : [];
     }
 
     /**
-     * Get value metadata for a single key.
+     * Get value metadata for a single key. If there is none, and the key is
+     * that of a time system which one of the domain values can be converted
+     * to, value metadata is returned for the converted value.
      */
     TelemetryMetadataManager.prototype.value = function (key) {
-        return this.valueMetadatas.filter(function (metadata) {
+        const valueMetadata = this.valueMetadatas.filter(function (metadata) {
             return metadata.key === key;
         })[0];
+
+        return valueMetadata || this.convertedValue(key);
+    };
+
+    /**
+     * Returns value metadatas for each registered time system which
+     * telemetry is not stamped in, but can be converted to.
+     */
+    TelemetryMetadataManager.prototype.convertedValues = function () {
+        if (!this.timeAPI) {
+            return [];
+        }
+
+        return this.timeAPI.getAllTimeSystems()
+            .filter(timeSystem => !this.valueMetadatas.some(metadata => metadata.key === timeSystem.key))
+            .map(timeSystem => this.convertedValue(timeSystem.key))
+            .filter(valueMetadata => valueMetadata !== undefined);
+    };
+
+    /**
+     * @private
+     */
+    TelemetryMetadataManager.prototype.convertedValue = function (key) {
+        if (!this.timeAPI || !this.timeAPI.timeSystems.has(key)) {
+            return undefined;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.convertedValueMetadatas, key)) {
+            const domains = this.valuesForHints(['domain']);
+            const sourceMetadata = domains.find(metadata => this.timeAPI.canConvert(metadata.key, key));
+            const timeSystem = this.timeAPI.timeSystems.get(key);
+
+            this.convertedValueMetadatas[key] = sourceMetadata && {
+                key: key,
+                name: timeSystem.name,
+                source: sourceMetadata.source,
+                format: timeSystem.timeFormat,
+                conversion: {
+                    from: sourceMetadata.key,
+                    to: key,
+                    format: sourceMetadata.format
+                },
+                hints: {
+                    domain: domains.length + 1,
+                    priority: this.valueMetadatas.length
+                }
+            };
+        }
+
+        return this.convertedValueMetadatas[key];
     };
 
     /**
@@ -29,7 +29,7 @@ define([
 ) {
 
     // TODO: needs reference to formatService;
-    function TelemetryValueFormatter(valueMetadata, formatService) {
+    function TelemetryValueFormatter(valueMetadata, formatService, timeAPI) {
         const numberFormatter = {
             parse: function (x) {
                 return Number(x);
@@ -80,6 +80,39 @@ define([
             }.bind(this);
         }
 
+        if (valueMetadata.format === 'bitmask') {
+            this.formatter = {};
+            this.flags = (valueMetadata.enumerations || []).filter(function (flag) {
+                return flag.value > 0;
+            });
+            this.formatter.format = function (value) {
+                const number = Number(value);
+
+                if (!Number.isInteger(number)) {
+                    return value;
+                }
+
+                return this.flags.filter(function (flag) {
+                    return Math.floor(number / flag.value) % 2 === 1;
+                }).map(function (flag) {
+                    return flag.string;
+                }).join(', ');
+            }.bind(this);
+            this.formatter.parse = function (value) {
+                if (typeof value !== "string" || value.trim() === '' || !isNaN(value)) {
+                    return Number(value);
+                }
+
+                return value.split(',').reduce(function (number, string) {
+                    const flag = this.flags.find(function (f) {
+                        return f.string === string.trim();
+                    });
+
+                    return flag ? number + flag.value : number;
+                }.bind(this), 0);
+            }.bind(this);
+        }
+
         // Check for formatString support once instead of per format call.
         if (valueMetadata.formatString) {
             const baseFormat = this.formatter.format;
@@ -110,9 +143,28 @@ define([
                 return typeof value === 'string';
             };
         }
+
+        // Values converted from another time system are converted when read
+        // from a datum. Values given alone are already converted.
+        if (valueMetadata.conversion) {
+            this.timeAPI = timeAPI;
+            try {
+                this.sourceFormatter = formatService
+                    .getFormat(valueMetadata.conversion.format, valueMetadata);
+            } catch (e) {
+                this.sourceFormatter = numberFormatter;
+            }
+        }
     }
 
     TelemetryValueFormatter.prototype.parse = function (datum) {
+        if (_.isObject(datum) && this.valueMetadata.conversion) {
+            const conversion = this.valueMetadata.conversion;
+            const value = this.sourceFormatter.parse(datum[this.valueMetadata.source]);
+
+            return this.timeAPI.convert(value, conversion.from, conversion.to, datum);
+        }
+
         if (_.isObject(datum)) {
             return this.formatter.parse(datum[this.valueMetadata.source]);
         }
@@ -121,6 +173,10 @@ define([
     };
 
     TelemetryValueFormatter.prototype.format = function (datum) {
+        if (_.isObject(datum) && this.valueMetadata.conversion) {
+            return this.formatter.format(this.parse(datum));
+        }
+
         if (_.isObject(datum)) {
             return this.formatter.format(datum[this.valueMetadata.source]);
         }
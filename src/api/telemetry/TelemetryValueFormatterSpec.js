@@ -0,0 +1,181 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import TelemetryValueFormatter from './TelemetryValueFormatter';
+import TelemetryMetadataManager from './TelemetryMetadataManager';
+import TimeAPI from '../time/TimeAPI';
+
+describe('The telemetry value formatter', () => {
+    let formatService;
+
+    beforeEach(() => {
+        formatService = jasmine.createSpyObj('formatService', ['getFormat']);
+        formatService.getFormat.and.throwError('No format found');
+    });
+
+    describe('for enumerations', () => {
+        let formatter;
+
+        beforeEach(() => {
+            formatter = new TelemetryValueFormatter({
+                key: 'state',
+                source: 'state',
+                format: 'enum',
+                enumerations: [
+                    {
+                        value: 3,
+                        string: 'STANDBY'
+                    },
+                    {
+                        value: 4,
+                        string: 'ACTIVE'
+                    }
+                ]
+            }, formatService);
+        });
+
+        it('formats values as their enumeration strings', () => {
+            expect(formatter.format({state: 4})).toBe('ACTIVE');
+            expect(formatter.format(9)).toBe(9);
+        });
+
+        it('parses enumeration strings as their values', () => {
+            expect(formatter.parse('STANDBY')).toBe(3);
+            expect(formatter.parse({state: 4})).toBe(4);
+        });
+    });
+
+    describe('for bitmasks', () => {
+        let formatter;
+
+        beforeEach(() => {
+            formatter = new TelemetryValueFormatter({
+                key: 'mode',
+                source: 'mode',
+                format: 'bitmask',
+                enumerations: [
+                    {
+                        value: 1,
+                        string: 'CUSTOM_MODE_ENABLED'
+                    },
+                    {
+                        value: 16,
+                        string: 'STABILIZE_ENABLED'
+                    },
+                    {
+                        value: 128,
+                        string: 'SAFETY_ARMED'
+                    }
+                ]
+            }, formatService);
+        });
+
+        it('formats values as the list of flags which are set', () => {
+            expect(formatter.format({mode: 145})).toBe('CUSTOM_MODE_ENABLED, STABILIZE_ENABLED, SAFETY_ARMED');
+            expect(formatter.format(16)).toBe('STABILIZE_ENABLED');
+            expect(formatter.format(0)).toBe('');
+        });
+
+        it('parses lists of flags as their combined value', () => {
+            expect(formatter.parse('CUSTOM_MODE_ENABLED, SAFETY_ARMED')).toBe(129);
+            expect(formatter.parse('17')).toBe(17);
+            expect(formatter.parse({mode: 145})).toBe(145);
+        });
+
+        it('formats values as an empty list when no flags are defined', () => {
+            formatter = new TelemetryValueFormatter({
+                key: 'mode',
+                source: 'mode',
+                format: 'bitmask'
+            }, formatService);
+
+            expect(formatter.format(145)).toBe('');
+        });
+    });
+
+    describe('for values converted from another time system', () => {
+        let timeAPI;
+        let metadata;
+        let formatter;
+
+        beforeEach(() => {
+            timeAPI = new TimeAPI();
+            timeAPI.addTimeSystem({
+                key: 'utc',
+                name: 'UTC',
+                timeFormat: 'utc'
+            });
+            timeAPI.addTimeSystem({
+                key: 'mission',
+                name: 'Mission Time',
+                timeFormat: 'mission'
+            });
+            timeAPI.addTimeConversion('utc', 'mission', (value, datum) => value - datum.launch);
+
+            metadata = new TelemetryMetadataManager({
+                values: [
+                    {
+                        key: 'utc',
+                        source: 'timestamp',
+                        format: 'utc',
+                        hints: {
+                            domain: 1
+                        }
+                    },
+                    {
+                        key: 'value',
+                        hints: {
+                            range: 1
+                        }
+                    }
+                ]
+            }, timeAPI);
+            formatter = new TelemetryValueFormatter(metadata.value('mission'), formatService, timeAPI);
+        });
+
+        it('describes values for time systems which can be converted to', () => {
+            expect(metadata.value('mission')).toEqual(jasmine.objectContaining({
+                key: 'mission',
+                source: 'timestamp',
+                format: 'mission',
+                conversion: {
+                    from: 'utc',
+                    to: 'mission',
+                    format: 'utc'
+                }
+            }));
+            expect(metadata.convertedValues().map(value => value.key)).toEqual(['mission']);
+            expect(metadata.values().map(value => value.key)).toEqual(['utc', 'value']);
+        });
+
+        it('converts values read from a datum', () => {
+            expect(formatter.parse({
+                timestamp: 1500,
+                launch: 1000
+            })).toBe(500);
+        });
+
+        it('leaves values which are already converted unchanged', () => {
+            expect(formatter.parse(500)).toBe(500);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([], function () {
+
+    /**
+     * Reduce telemetry to a few samples for each of a number of equal
+     * divisions of time ("buckets"), keeping the first and last sample in
+     * each bucket and the samples with the minimum and maximum of each
+     * value. This faithfully represents the extent of the data at the
+     * resolution of a view, such as the pixel width of a plot, and
+     * implements the `minmax` request strategy for providers which do not.
+     *
+     * This is also run in a Web Worker, so must not depend on anything
+     * outside of itself.
+     *
+     * @param {object[]} data telemetry, sorted by domain
+     * @param {object} options
+     * @param {number} options.size the number of buckets
+     * @param {number} [options.start] the start of the first bucket;
+     *        defaults to the domain of the first datum
+     * @param {number} [options.end] the end of the last bucket; defaults
+     *        to the domain of the last datum
+     * @param {string} options.domain the key of the domain value in each
+     *        datum, which must be numeric
+     * @param {string[]} options.ranges the keys of the values whose minimum
+     *        and maximum are kept
+     * @returns {object[]} the decimated telemetry, sorted by domain, or the
+     *          telemetry unchanged if it is already small enough or cannot
+     *          be decimated
+     */
+    function decimate(data, options) {
+        const size = Math.floor(options.size);
+
+        if (!(size > 0) || data.length <= size * 2) {
+            return data;
+        }
+
+        const times = data.map(function (datum) {
+            return Number(datum[options.domain]);
+        });
+
+        if (!times.every(Number.isFinite)) {
+            return data;
+        }
+
+        const start = Number.isFinite(options.start) ? options.start : times[0];
+        const end = Number.isFinite(options.end) ? options.end : times[times.length - 1];
+        const bucketWidth = (end - start) / size;
+
+        if (!(bucketWidth > 0)) {
+            return data;
+        }
+
+        const result = [];
+        let bucket;
+
+        function addBucket() {
+            const indices = [bucket.first, bucket.last];
+
+            options.ranges.forEach(function (key) {
+                if (bucket.min[key] !== undefined) {
+                    indices.push(bucket.min[key], bucket.max[key]);
+                }
+            });
+
+            indices
+                .filter(function (index, position) {
+                    return indices.indexOf(index) === position;
+                })
+                .sort(function (a, b) {
+                    return a - b;
+                })
+                .forEach(function (index) {
+                    result.push(data[index]);
+                });
+        }
+
+        data.forEach(function (datum, index) {
+            const bucketIndex = Math.max(0, Math.min(size - 1, Math.floor((times[index] - start) / bucketWidth)));
+
+            if (!bucket || bucket.index !== bucketIndex) {
+                if (bucket) {
+                    addBucket();
+                }
+
+                bucket = {
+                    index: bucketIndex,
+                    first: index,
+                    last: index,
+                    min: {},
+                    max: {},
+                    minValue: {},
+                    maxValue: {}
+                };
+            }
+
+            bucket.last = index;
+
+            options.ranges.forEach(function (key) {
+                const value = Number(datum[key]);
+
+                if (!Number.isFinite(value)) {
+                    return;
+                }
+
+                if (bucket.min[key] === undefined || value < bucket.minValue[key]) {
+                    bucket.min[key] = index;
+                    bucket.minValue[key] = value;
+                }
+
+                if (bucket.max[key] === undefined || value > bucket.maxValue[key]) {
+                    bucket.max[key] = index;
+                    bucket.maxValue[key] = value;
+                }
+            });
+        });
+
+        addBucket();
+
+        return result;
+    }
+
+    return decimate;
+});
@@ -0,0 +1,101 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import decimate from './decimate';
+
+describe('Telemetry decimation', () => {
+    let options;
+
+    function makeData(values) {
+        return values.map((value, index) => {
+            return {
+                utc: index,
+                value
+            };
+        });
+    }
+
+    beforeEach(() => {
+        options = {
+            size: 2,
+            start: 0,
+            end: 10,
+            domain: 'utc',
+            ranges: ['value']
+        };
+    });
+
+    it('keeps the first, last, minimum and maximum sample of each bucket', () => {
+        const data = makeData([5, 9, 1, 4, 6, 3, 2, 8, 0, 7]);
+
+        expect(decimate(data, options).map(datum => datum.utc)).toEqual([
+            // 0 to 5: first, max, min, last
+            0, 1, 2, 4,
+            // 5 to 10: first, min, max, last
+            5, 7, 8, 9
+        ]);
+    });
+
+    it('keeps the minimum and maximum of every range value', () => {
+        const data = makeData([1, 2, 3, 4, 5, 6]).map((datum, index) => {
+            datum.other = index === 2 ? 100 : 0;
+
+            return datum;
+        });
+
+        options.size = 1;
+        options.ranges = ['value', 'other'];
+
+        expect(decimate(data, options).map(datum => datum.utc)).toEqual([0, 2, 5]);
+    });
+
+    it('does not decimate telemetry which is already small enough', () => {
+        const data = makeData([1, 2, 3, 4]);
+
+        expect(decimate(data, options)).toBe(data);
+    });
+
+    it('does not decimate telemetry without numeric domain values', () => {
+        const data = makeData([5, 9, 1, 4, 6, 3, 2, 8, 0, 7]);
+        data[3].utc = 'yesterday';
+
+        expect(decimate(data, options)).toBe(data);
+    });
+
+    it('buckets telemetry over its own extent without start and end', () => {
+        const data = makeData([5, 9, 1, 4, 6, 3, 2, 8, 0, 7]);
+
+        delete options.start;
+        delete options.end;
+        options.size = 1;
+
+        expect(decimate(data, options).map(datum => datum.utc)).toEqual([0, 1, 8, 9]);
+    });
+
+    it('ignores values which are not numbers', () => {
+        const data = makeData([5, 9, 1, 4, 6, 3, 2, 8, 0, 7]);
+        data[8].value = 'unknown';
+
+        options.size = 1;
+
+        expect(decimate(data, options).map(datum => datum.utc)).toEqual([0, 1, 2, 9]);
+    });
+});
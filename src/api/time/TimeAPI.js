@@ -20,7 +20,13 @@
  * at runtime from the About dialog for additional information.
  *****************************************************************************/
 
-define(['EventEmitter'], function (EventEmitter) {
+define([
+    'EventEmitter',
+    '../objects/object-utils'
+], function (
+    EventEmitter,
+    objectUtils
+) {
 
     /**
      * The public API for setting and querying the temporal state of the
@@ -55,9 +61,11 @@ define(['EventEmitter'], function (EventEmitter) {
         };
 
         this.timeSystems = new Map();
+        this.conversions = new Map();
         this.clocks = new Map();
         this.activeClock = undefined;
         this.offsets = undefined;
+        this.independentContexts = new Map();
 
         this.tick = this.tick.bind(this);
 
@@ -73,8 +81,8 @@ define(['EventEmitter'], function (EventEmitter) {
      *
      * A default time system is provided by Open MCT in the form of the {@link UTCTimeSystem},
      * which represents integer values as ms in the Unix epoch. An example of
-     * another time system might be "sols" for a Martian mission. TimeSystems do
-     * not address the issue of converting between time systems.
+     * another time system might be "sols" for a Martian mission. Conversions
+     * between time systems may be registered with {@link TimeAPI.addTimeConversion}.
      *
      * @typedef {object} TimeSystem
      * @property {string} key A unique identifier
@@ -105,6 +113,84 @@ define(['EventEmitter'], function (EventEmitter) {
         return Array.from(this.timeSystems.values());
     };
 
+    /**
+     * Register a function which converts values of one time system to
+     * another. Values may then be converted between any two time systems
+     * joined by a chain of conversions, for example from GPS time to
+     * time since boot by way of UTC.
+     *
+     * @memberof module:openmct.TimeAPI#
+     * @param {string} fromKey the key of the time system to convert from
+     * @param {string} toKey the key of the time system to convert to
+     * @param {function(number, object=): number} convert converts a value,
+     * optionally using the telemetry datum it is from, for example to find
+     * which vehicle's boot time it is relative to
+     */
+    TimeAPI.prototype.addTimeConversion = function (fromKey, toKey, convert) {
+        if (!this.conversions.has(fromKey)) {
+            this.conversions.set(fromKey, new Map());
+        }
+
+        this.conversions.get(fromKey).set(toKey, convert);
+    };
+
+    /**
+     * @memberof module:openmct.TimeAPI#
+     * @param {string} fromKey the key of a time system
+     * @param {string} toKey the key of another time system
+     * @returns {boolean} true if values can be converted from one time
+     * system to the other
+     */
+    TimeAPI.prototype.canConvert = function (fromKey, toKey) {
+        return this.findConversionPath(fromKey, toKey) !== undefined;
+    };
+
+    /**
+     * Convert a value from one time system to another.
+     *
+     * @memberof module:openmct.TimeAPI#
+     * @param {number} value the value to convert
+     * @param {string} fromKey the key of the time system of the value
+     * @param {string} toKey the key of the time system to convert to
+     * @param {object} [datum] the telemetry datum the value is from
+     * @returns {number} the converted value, or undefined if there is no way
+     * to convert between the time systems
+     */
+    TimeAPI.prototype.convert = function (value, fromKey, toKey, datum) {
+        const path = this.findConversionPath(fromKey, toKey);
+
+        if (path === undefined || value === undefined) {
+            return undefined;
+        }
+
+        return path.reduce(function (converted, convert) {
+            return convert(converted, datum);
+        }, value);
+    };
+
+    /**
+     * Find the shortest chain of conversions between two time systems.
+     * @private
+     */
+    TimeAPI.prototype.findConversionPath = function (fromKey, toKey) {
+        const paths = new Map([[fromKey, []]]);
+        const queue = [fromKey];
+
+        while (queue.length > 0 && !paths.has(toKey)) {
+            const key = queue.shift();
+            const conversions = this.conversions.get(key) || new Map();
+
+            conversions.forEach(function (convert, nextKey) {
+                if (!paths.has(nextKey)) {
+                    paths.set(nextKey, paths.get(key).concat(convert));
+                    queue.push(nextKey);
+                }
+            });
+        }
+
+        return paths.get(toKey);
+    };
+
     /**
      * Clocks provide a timing source that is used to
      * automatically update the time bounds of the data displayed in Open MCT.
@@ -461,5 +547,163 @@ define(['EventEmitter'], function (EventEmitter) {
         }
     };
 
+    /**
+     * Options used to create an independent time context. Either fixed
+     * bounds or a clock and clock offsets should be provided.
+     *
+     * @typedef {object} IndependentContextOptions
+     * @property {TimeConductorBounds} [bounds] fixed bounds for the context
+     * @property {string} [clock] the key of a registered clock to follow
+     * @property {ClockOffsets} [clockOffsets] offsets to apply to the clock
+     */
+
+    /**
+     * Create a time context which is independent of the global time
+     * conductor, so that a part of a view can show a different time span to
+     * the rest of the application. An independent context is itself a
+     * TimeAPI, sharing the time systems, clocks and conversions registered
+     * here, and follows changes to the global time system. Any existing
+     * context with the same key is replaced.
+     *
+     * @param {string} key a unique identifier for the context, typically
+     * the result of {@link TimeAPI.getContextKey} for the object path of the
+     * framed object
+     * @param {IndependentContextOptions} options
+     * @fires module:openmct.TimeAPI~independentContext
+     * @returns {TimeAPI} the new time context
+     * @memberof module:openmct.TimeAPI#
+     * @method addIndependentContext
+     */
+    TimeAPI.prototype.addIndependentContext = function (key, options) {
+        this.removeIndependentContext(key);
+
+        const context = new TimeAPI();
+        context.timeSystems = this.timeSystems;
+        context.conversions = this.conversions;
+        context.clocks = this.clocks;
+        context.timeSystem(this.system, options.bounds || this.boundsVal);
+
+        if (options.clock !== undefined) {
+            context.clock(options.clock, options.clockOffsets);
+        }
+
+        context.followTimeSystem = this.followTimeSystem.bind(this, context);
+        this.on('timeSystem', context.followTimeSystem);
+        this.independentContexts.set(key, context);
+
+        /**
+         * An independent time context has been added or removed.
+         * @event independentContext
+         * @memberof module:openmct.TimeAPI~
+         * @property {string} key the key of the context
+         * @property {TimeAPI} context the new context, or undefined if the
+         * context has been removed
+         */
+        this.emit('independentContext', key, context);
+
+        return context;
+    };
+
+    /**
+     * Remove an independent time context, stopping its clock. Views using
+     * the context will need to resolve their time context again.
+     *
+     * @param {string} key the key of the context
+     * @fires module:openmct.TimeAPI~independentContext
+     * @memberof module:openmct.TimeAPI#
+     * @method removeIndependentContext
+     */
+    TimeAPI.prototype.removeIndependentContext = function (key) {
+        const context = this.independentContexts.get(key);
+
+        if (context === undefined) {
+            return;
+        }
+
+        this.off('timeSystem', context.followTimeSystem);
+        context.stopClock();
+        this.independentContexts.delete(key);
+        this.emit('independentContext', key, undefined);
+    };
+
+    /**
+     * @param {string} key the key of the context
+     * @returns {TimeAPI} the independent context with the given key, or
+     * undefined if there is none
+     * @memberof module:openmct.TimeAPI#
+     * @method getIndependentContext
+     */
+    TimeAPI.prototype.getIndependentContext = function (key) {
+        return this.independentContexts.get(key);
+    };
+
+    /**
+     * Get the key identifying an independent context for an object path.
+     *
+     * @param {Array<DomainObject>} objectPath the path to an object, with the
+     * object itself first
+     * @returns {string}
+     * @memberof module:openmct.TimeAPI#
+     * @method getContextKey
+     */
+    TimeAPI.prototype.getContextKey = function (objectPath) {
+        return objectPath
+            .map(domainObject => objectUtils.makeKeyString(domainObject.identifier))
+            .join('/');
+    };
+
+    /**
+     * Find the time context which applies to a view of an object. This is the
+     * independent context of the nearest object in its path, or the global
+     * time context if no object in the path has been given its own.
+     * Telemetry-consuming views should use the returned context rather than
+     * the global TimeAPI.
+     *
+     * @param {Array<DomainObject>} [objectPath] the path to the viewed
+     * object, with the object itself first
+     * @returns {TimeAPI} the time context for the view
+     * @memberof module:openmct.TimeAPI#
+     * @method getContextForView
+     */
+    TimeAPI.prototype.getContextForView = function (objectPath) {
+        if (!objectPath || this.independentContexts.size === 0) {
+            return this;
+        }
+
+        for (let index = 0; index < objectPath.length; index++) {
+            const context = this.independentContexts.get(this.getContextKey(objectPath.slice(index)));
+
+            if (context !== undefined) {
+                return context;
+            }
+        }
+
+        return this;
+    };
+
+    /**
+     * Update an independent context when the global time system changes.
+     * Fixed bounds are converted to the new time system where possible,
+     * and otherwise the new global bounds are adopted.
+     * @private
+     */
+    TimeAPI.prototype.followTimeSystem = function (context, timeSystem) {
+        const previousKey = context.timeSystem().key;
+
+        if (context.clock() !== undefined) {
+            context.timeSystem(timeSystem);
+            context.clockOffsets(context.clockOffsets());
+        } else if (this.canConvert(previousKey, timeSystem.key)) {
+            const bounds = context.bounds();
+
+            context.timeSystem(timeSystem, {
+                start: this.convert(bounds.start, previousKey, timeSystem.key),
+                end: this.convert(bounds.end, previousKey, timeSystem.key)
+            });
+        } else {
+            this.once('bounds', (bounds) => context.timeSystem(timeSystem, bounds));
+        }
+    };
+
     return TimeAPI;
 });
@@ -255,5 +255,163 @@ define(['./TimeAPI'], function (TimeAPI) {
                 end: 1100
             }, true);
         });
+
+        describe("time conversions", function () {
+            beforeEach(function () {
+                api.addTimeConversion("a", "b", function (value) {
+                    return value + 10;
+                });
+                api.addTimeConversion("b", "c", function (value, datum) {
+                    return value * datum.scale;
+                });
+            });
+
+            it("converts values directly between time systems", function () {
+                expect(api.convert(1, "a", "b")).toBe(11);
+            });
+
+            it("converts values through a chain of time systems", function () {
+                expect(api.canConvert("a", "c")).toBe(true);
+                expect(api.convert(1, "a", "c", {scale: 2})).toBe(22);
+            });
+
+            it("does not convert values without a conversion", function () {
+                expect(api.canConvert("c", "a")).toBe(false);
+                expect(api.convert(1, "c", "a")).toBeUndefined();
+            });
+
+            it("leaves values in the same time system unchanged", function () {
+                expect(api.convert(1, "a", "a")).toBe(1);
+            });
+        });
+
+        describe("independent time contexts", function () {
+            let layout;
+            let frame;
+            let plot;
+
+            beforeEach(function () {
+                api.addTimeSystem(timeSystem);
+                api.addClock(clock);
+                api.timeSystem(timeSystemKey, bounds);
+
+                layout = {
+                    identifier: {
+                        namespace: "",
+                        key: "layout"
+                    }
+                };
+                frame = {
+                    identifier: {
+                        namespace: "",
+                        key: "frame"
+                    }
+                };
+                plot = {
+                    identifier: {
+                        namespace: "",
+                        key: "plot"
+                    }
+                };
+            });
+
+            it("uses the global context for views without an independent context", function () {
+                expect(api.getContextForView([plot, layout])).toBe(api);
+                expect(api.getContextForView()).toBe(api);
+            });
+
+            it("resolves views to the nearest independent context in their path", function () {
+                const context = api.addIndependentContext(api.getContextKey([frame, layout]), {
+                    bounds: {
+                        start: 10,
+                        end: 20
+                    }
+                });
+
+                expect(api.getContextForView([plot, frame, layout])).toBe(context);
+                expect(api.getContextForView([frame, layout])).toBe(context);
+                expect(api.getContextForView([frame])).toBe(api);
+                expect(context.bounds()).toEqual({
+                    start: 10,
+                    end: 20
+                });
+                expect(api.bounds()).toEqual(bounds);
+            });
+
+            it("keeps independent contexts separate from the global context", function () {
+                const context = api.addIndependentContext("frame", {
+                    clock: clockKey,
+                    clockOffsets: {
+                        start: -10,
+                        end: 0
+                    }
+                });
+
+                expect(context.clock()).toBe(clock);
+                expect(context.bounds()).toEqual({
+                    start: 90,
+                    end: 100
+                });
+                expect(api.clock()).toBeUndefined();
+
+                api.bounds({
+                    start: 2,
+                    end: 3
+                });
+                expect(context.bounds().start).toBe(90);
+            });
+
+            it("removes independent contexts", function () {
+                const context = api.addIndependentContext("frame", {
+                    clock: clockKey,
+                    clockOffsets: {
+                        start: -10,
+                        end: 0
+                    }
+                });
+                api.on("independentContext", eventListener);
+
+                api.removeIndependentContext("frame");
+
+                expect(context.clock()).toBeUndefined();
+                expect(api.getIndependentContext("frame")).toBeUndefined();
+                expect(eventListener).toHaveBeenCalledWith("frame", undefined);
+            });
+
+            it("converts fixed bounds when the global time system changes", function () {
+                const context = api.addIndependentContext("frame", {bounds: bounds});
+                api.addTimeSystem({key: "other"});
+                api.addTimeConversion(timeSystemKey, "other", function (value) {
+                    return value + 100;
+                });
+
+                api.timeSystem("other", {
+                    start: 0,
+                    end: 1000
+                });
+
+                expect(context.timeSystem().key).toBe("other");
+                expect(context.bounds()).toEqual({
+                    start: 100,
+                    end: 101
+                });
+            });
+
+            it("adopts the global bounds when fixed bounds cannot be converted", function () {
+                const context = api.addIndependentContext("frame", {bounds: bounds});
+                api.addTimeSystem({key: "other"});
+
+                api.timeSystem("other", {
+                    start: 0,
+                    end: 1000
+                });
+
+                expect(context.timeSystem().key).toBe("other");
+                expect(context.bounds()).toEqual({
+                    start: 0,
+                    end: 1000
+                });
+            });
+        });
     });
 });
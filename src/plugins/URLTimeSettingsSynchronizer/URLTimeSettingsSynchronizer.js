@@ -31,6 +31,7 @@ const SEARCH_START_BOUND = 'tc.startBound';
 const SEARCH_END_BOUND = 'tc.endBound';
 const SEARCH_START_DELTA = 'tc.startDelta';
 const SEARCH_END_DELTA = 'tc.endDelta';
+const SEARCH_TIME_OF_INTEREST = 'tc.toi';
 const MODE_FIXED = 'fixed';
 
 export default class URLTimeSettingsSynchronizer {
@@ -43,6 +44,7 @@ export default class URLTimeSettingsSynchronizer {
         this.updateTimeSettings = this.updateTimeSettings.bind(this);
         this.setUrlFromTimeApi = this.setUrlFromTimeApi.bind(this);
         this.updateBounds = this.updateBounds.bind(this);
+        this.updateTimeOfInterest = this.updateTimeOfInterest.bind(this);
 
         openmct.on('start', this.initialize);
         openmct.on('destroy', this.destroy);
@@ -56,6 +58,7 @@ export default class URLTimeSettingsSynchronizer {
             this.openmct.time.on(event, this.setUrlFromTimeApi);
         });
         this.openmct.time.on('bounds', this.updateBounds);
+        this.openmct.time.on('timeOfInterest', this.updateTimeOfInterest);
     }
 
     destroy() {
@@ -67,6 +70,7 @@ export default class URLTimeSettingsSynchronizer {
             this.openmct.time.off(event, this.setUrlFromTimeApi);
         });
         this.openmct.time.off('bounds', this.updateBounds);
+        this.openmct.time.off('timeOfInterest', this.updateTimeOfInterest);
     }
 
     updateTimeSettings() {
@@ -104,11 +108,17 @@ export default class URLTimeSettingsSynchronizer {
             end: endOffset
         };
 
+        let timeOfInterest = parseInt(searchParams.get(SEARCH_TIME_OF_INTEREST), 10);
+        if (isNaN(timeOfInterest)) {
+            timeOfInterest = undefined;
+        }
+
         return {
             mode,
             timeSystem,
             bounds,
-            clockOffsets
+            clockOffsets,
+            timeOfInterest
         };
     }
 
@@ -139,6 +149,10 @@ export default class URLTimeSettingsSynchronizer {
                 this.openmct.time.timeSystem(timeParameters.timeSystem);
             }
         }
+
+        if (this.openmct.time.timeOfInterest() !== timeParameters.timeOfInterest) {
+            this.openmct.time.timeOfInterest(timeParameters.timeOfInterest);
+        }
     }
 
     updateBounds(bounds, isTick) {
@@ -147,6 +161,22 @@ export default class URLTimeSettingsSynchronizer {
         }
     }
 
+    /**
+     * The time of interest follows the cursor over plots, so replaces the
+     * current browser history entry rather than adding one for each change.
+     */
+    updateTimeOfInterest() {
+        let searchParams = getAllSearchParams();
+        let previous = searchParams.toString();
+
+        this.setTimeOfInterestParam(searchParams);
+
+        if (searchParams.toString() !== previous) {
+            this.isUrlUpdateInProgress = true;
+            setAllSearchParams(searchParams, true);
+        }
+    }
+
     setUrlFromTimeApi() {
         let searchParams = getAllSearchParams();
         let clock = this.openmct.time.clock();
@@ -176,10 +206,22 @@ export default class URLTimeSettingsSynchronizer {
         }
 
         searchParams.set(SEARCH_TIME_SYSTEM, this.openmct.time.timeSystem().key);
+
+        this.setTimeOfInterestParam(searchParams);
+
         this.isUrlUpdateInProgress = true;
         setAllSearchParams(searchParams);
     }
 
+    setTimeOfInterestParam(searchParams) {
+        let timeOfInterest = this.openmct.time.timeOfInterest();
+        if (timeOfInterest !== undefined) {
+            searchParams.set(SEARCH_TIME_OF_INTEREST, timeOfInterest);
+        } else {
+            searchParams.delete(SEARCH_TIME_OF_INTEREST);
+        }
+    }
+
     areTimeParametersValid(timeParameters) {
         let isValid = false;
 
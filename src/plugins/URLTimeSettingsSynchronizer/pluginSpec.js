@@ -198,7 +198,40 @@ describe("The URLTimeSettingsSynchronizer", () => {
             //Test that expected initial conditions are no longer true
             expect(window.location.hash.includes('tc.timeSystem=utc')).toBe(false);
         });
+
+        it("when the time of interest is set via the time API, it is immediately reflected in the URL", () => {
+            expect(window.location.hash.includes('tc.toi=')).toBe(false);
+
+            openmct.time.timeOfInterest(1);
+            expect(window.location.hash.includes('tc.toi=1')).toBe(true);
+
+            openmct.time.timeOfInterest(undefined);
+            expect(window.location.hash.includes('tc.toi=')).toBe(false);
+        });
+
+        it("when the time of interest changes, the browser history entry is replaced rather than added to", () => {
+            const historyLength = window.history.length;
+
+            openmct.time.timeOfInterest(1);
+            openmct.time.timeOfInterest(2);
+            openmct.time.timeOfInterest(undefined);
+
+            expect(window.history.length).toBe(historyLength);
+        });
         describe("when set in the url", () => {
+            it("the time of interest is correctly set in the API from the URL parameters", () => {
+                let resolveFunction;
+
+                return new Promise((resolve) => {
+                    resolveFunction = resolve;
+                    openmct.time.on('timeOfInterest', resolveFunction);
+                    window.location.hash = window.location.hash + '&tc.toi=1';
+                }).then(() => {
+                    expect(openmct.time.timeOfInterest()).toBe(1);
+
+                    openmct.time.off('timeOfInterest', resolveFunction);
+                });
+            });
             it("time system changes are reflected in the API", () => {
                 let resolveFunction;
 
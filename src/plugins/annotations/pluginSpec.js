@@ -0,0 +1,113 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import Vue from 'vue';
+import {
+    createOpenMct,
+    resetApplicationState
+} from 'utils/testing';
+
+describe('The Annotations plugin', () => {
+    let openmct;
+    let annotation;
+
+    beforeEach((done) => {
+        annotation = {
+            identifier: {
+                namespace: '',
+                key: 'annotation'
+            },
+            type: 'annotation',
+            name: 'Pump restarted',
+            tag: 'anomaly',
+            start: 100,
+            end: 200,
+            timeSystem: 'utc',
+            targets: ['pump']
+        };
+
+        openmct = createOpenMct();
+        openmct.on('start', done);
+        openmct.startHeadless();
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('defines an annotation type which is not created directly', () => {
+        const type = openmct.types.get('annotation');
+
+        expect(type).toBeDefined();
+        expect(type.definition.creatable).toBe(false);
+    });
+
+    it('provides a view for annotations', () => {
+        expect(openmct.objectViews.get(annotation).map(provider => provider.key)).toContain('annotation');
+    });
+
+    describe('the annotation view', () => {
+        let element;
+        let view;
+
+        beforeEach(() => {
+            spyOn(openmct.objects, 'get').and.returnValue(Promise.resolve({
+                identifier: {
+                    namespace: '',
+                    key: 'pump'
+                },
+                type: 'generator',
+                name: 'Pump Pressure'
+            }));
+            spyOn(openmct.annotations, 'show');
+
+            element = document.createElement('div');
+            document.body.appendChild(element);
+
+            const provider = openmct.objectViews.get(annotation).find(candidate => candidate.key === 'annotation');
+            view = provider.view(annotation, [annotation]);
+            view.show(element);
+
+            return Promise.resolve().then(Vue.nextTick);
+        });
+
+        afterEach(() => {
+            view.destroy();
+            element.remove();
+        });
+
+        it('shows the text and tag of the annotation', () => {
+            expect(element.querySelector('.c-annotation__text').textContent).toBe('Pump restarted');
+            expect(element.querySelector('.c-annotation__tag').textContent).toBe('anomaly');
+        });
+
+        it('shows the annotated objects', () => {
+            expect(element.querySelector('.c-annotation__target').textContent).toBe('Pump Pressure');
+        });
+
+        it('shows the annotation in the time conductor', () => {
+            element.querySelector('.c-annotation button').click();
+
+            expect(openmct.annotations.show).toHaveBeenCalledWith(annotation);
+        });
+    });
+});
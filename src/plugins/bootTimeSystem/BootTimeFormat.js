@@ -0,0 +1,85 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const PATTERN = /^\s*(?:T?([+-]))?\s*(\d+):([0-5]?\d):([0-5]?\d(?:\.\d*)?)\s*$/;
+
+function pad(number, length) {
+    return String(number).padStart(length, '0');
+}
+
+/**
+ * Formats times since boot as hours, minutes and seconds, such as
+ * `T+01:02:03.456`.
+ *
+ * On a scale, such as a time axis, times are labelled with only the hours
+ * and minutes, the seconds, or the milliseconds, as suits the time.
+ *
+ * @implements {Format}
+ */
+export default class BootTimeFormat {
+    constructor() {
+        this.key = 'boot';
+    }
+
+    format(value, minValue, maxValue) {
+        if (value === undefined) {
+            return value;
+        }
+
+        const sign = value < 0 ? '-' : '+';
+        const time = Math.abs(Math.round(value));
+        const hours = Math.floor(time / HOUR);
+        const minutes = Math.floor(time % HOUR / MINUTE);
+        const seconds = Math.floor(time % MINUTE / SECOND);
+        const milliseconds = time % SECOND;
+
+        if (minValue === undefined || maxValue === undefined) {
+            return `T${sign}${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}.${pad(milliseconds, 3)}`;
+        }
+
+        if (milliseconds !== 0) {
+            return `.${pad(milliseconds, 3)}`;
+        } else if (seconds !== 0) {
+            return `:${pad(seconds, 2)}`;
+        } else {
+            return `T${sign}${pad(hours, 2)}:${pad(minutes, 2)}`;
+        }
+    }
+
+    parse(text) {
+        if (typeof text === 'number') {
+            return text;
+        }
+
+        const [, sign, hours, minutes, seconds] = PATTERN.exec(text);
+        const time = Number(hours) * HOUR + Number(minutes) * MINUTE + Math.round(Number(seconds) * SECOND);
+
+        return sign === '-' ? -time : time;
+    }
+
+    validate(text) {
+        return PATTERN.test(text);
+    }
+}
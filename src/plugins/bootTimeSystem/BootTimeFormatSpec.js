@@ -0,0 +1,55 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import BootTimeFormat from './BootTimeFormat';
+
+describe('The time since boot format', () => {
+    let format;
+
+    beforeEach(() => {
+        format = new BootTimeFormat();
+    });
+
+    it('formats times as hours, minutes and seconds', () => {
+        expect(format.format(3723456)).toBe('T+01:02:03.456');
+        expect(format.format(-1500)).toBe('T-00:00:01.500');
+        expect(format.format(360000000)).toBe('T+100:00:00.000');
+    });
+
+    it('formats times on a scale as briefly as suits them', () => {
+        expect(format.format(3720000, 0, 1)).toBe('T+01:02');
+        expect(format.format(3723000, 0, 1)).toBe(':03');
+        expect(format.format(3723450, 0, 1)).toBe('.450');
+    });
+
+    it('parses hours, minutes and seconds', () => {
+        expect(format.validate('T+01:02:03.456')).toBe(true);
+        expect(format.parse('T+01:02:03.456')).toBe(3723456);
+        expect(format.parse('1:02:03')).toBe(3723000);
+        expect(format.parse('-00:00:01.5')).toBe(-1500);
+    });
+
+    it('rejects other text', () => {
+        expect(format.validate('01:02')).toBe(false);
+        expect(format.validate('01:99:00')).toBe(false);
+    });
+});
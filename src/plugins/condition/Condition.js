@@ -256,11 +256,11 @@ export default class Condition extends EventEmitter {
         };
     }
 
-    requestLADConditionResult() {
+    requestLADConditionResult(requestOptions) {
         let latestTimestamp;
         let criteriaResults = {};
         const criteriaRequests = this.criteria
-            .map(criterion => criterion.requestLAD(this.conditionManager.telemetryObjects));
+            .map(criterion => criterion.requestLAD(this.conditionManager.telemetryObjects, requestOptions));
 
         return Promise.all(criteriaRequests)
             .then(results => {
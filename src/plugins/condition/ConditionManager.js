@@ -256,7 +256,7 @@ export default class ConditionManager extends EventEmitter {
         return currentCondition;
     }
 
-    requestLADConditionSetOutput() {
+    requestLADConditionSetOutput(requestOptions) {
         if (!this.conditions.length) {
             return Promise.resolve([]);
         }
@@ -265,7 +265,7 @@ export default class ConditionManager extends EventEmitter {
             let latestTimestamp;
             let conditionResults = {};
             const conditionRequests = this.conditions
-                .map(condition => condition.requestLADConditionResult());
+                .map(condition => condition.requestLADConditionResult(requestOptions));
 
             return Promise.all(conditionRequests)
                 .then((results) => {
@@ -40,10 +40,17 @@ export default class ConditionSetTelemetryProvider {
         return domainObject.type === 'conditionSet';
     }
 
-    request(domainObject) {
+    request(domainObject, options = {}) {
         let conditionManager = this.getConditionManager(domainObject);
 
-        return conditionManager.requestLADConditionSetOutput()
+        // Evaluate the latest telemetry within the requested time span, which
+        // may come from an independent time context rather than the conductor
+        let requestOptions = {};
+        ['start', 'end', 'domain']
+            .filter(key => options[key] !== undefined)
+            .forEach(key => requestOptions[key] = options[key]);
+
+        return conditionManager.requestLADConditionSetOutput(requestOptions)
             .then(latestOutput => {
                 return latestOutput;
             });
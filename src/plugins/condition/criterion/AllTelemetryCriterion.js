@@ -147,11 +147,11 @@ export default class AllTelemetryCriterion extends TelemetryCriterion {
         this.result = evaluateResults(Object.values(this.telemetryDataCache), this.telemetry);
     }
 
-    requestLAD(telemetryObjects) {
-        const options = {
+    requestLAD(telemetryObjects, requestOptions) {
+        const options = Object.assign({}, requestOptions, {
             strategy: 'latest',
             size: 1
-        };
+        });
 
         if (!this.isValid()) {
             return this.formatData({}, telemetryObjects);
@@ -133,11 +133,11 @@ export default class TelemetryCriterion extends EventEmitter {
         }
     }
 
-    requestLAD() {
-        const options = {
+    requestLAD(telemetryObjects, requestOptions) {
+        const options = Object.assign({}, requestOptions, {
             strategy: 'latest',
             size: 1
-        };
+        });
 
         if (!this.isValid()) {
             return {
@@ -38,6 +38,12 @@ function joinValues(values, length) {
     return values.slice(0, length).join(', ');
 }
 
+// Whether the single-bit flag is set in the value, without the 32-bit limit
+// of bitwise operators.
+function hasFlag(value, flag) {
+    return Number.isInteger(value) && flag > 0 && Math.floor(value / flag) % 2 === 1;
+}
+
 export const OPERATIONS = [
     {
         name: 'equalTo',
@@ -209,7 +215,7 @@ export const OPERATIONS = [
             return typeof input[0] === 'undefined';
         },
         text: 'is undefined',
-        appliesTo: ['string', 'number', 'enum'],
+        appliesTo: ['string', 'number', 'enum', 'bitmask'],
         inputCount: 0,
         getDescription: function () {
             return ' is undefined';
@@ -221,7 +227,7 @@ export const OPERATIONS = [
             return typeof input[0] !== 'undefined';
         },
         text: 'is defined',
-        appliesTo: ['string', 'number', 'enum'],
+        appliesTo: ['string', 'number', 'enum', 'bitmask'],
         inputCount: 0,
         getDescription: function () {
             return ' is defined';
@@ -255,6 +261,34 @@ export const OPERATIONS = [
             return ' is not ' + joinValues(values, 1);
         }
     },
+    {
+        name: 'bitmaskHasFlag',
+        operation: function (input) {
+            let numberInputs = convertToNumbers(input);
+
+            return hasFlag(numberInputs[0], numberInputs[1]);
+        },
+        text: 'has flag',
+        appliesTo: ['bitmask'],
+        inputCount: 1,
+        getDescription: function (values) {
+            return ' has flag ' + joinValues(values, 1);
+        }
+    },
+    {
+        name: 'bitmaskDoesNotHaveFlag',
+        operation: function (input) {
+            let numberInputs = convertToNumbers(input);
+
+            return !hasFlag(numberInputs[0], numberInputs[1]);
+        },
+        text: 'does not have flag',
+        appliesTo: ['bitmask'],
+        inputCount: 1,
+        getDescription: function (values) {
+            return ' does not have flag ' + joinValues(values, 1);
+        }
+    },
     {
         name: 'isOneOf',
         operation: function (input) {
@@ -27,6 +27,8 @@ let isBetween = OPERATIONS.find((operation) => operation.name === 'between');
 let isNotBetween = OPERATIONS.find((operation) => operation.name === 'notBetween');
 let enumIsOperation = OPERATIONS.find((operation) => operation.name === 'enumValueIs');
 let enumIsNotOperation = OPERATIONS.find((operation) => operation.name === 'enumValueIsNot');
+let hasFlagOperation = OPERATIONS.find((operation) => operation.name === 'bitmaskHasFlag');
+let doesNotHaveFlagOperation = OPERATIONS.find((operation) => operation.name === 'bitmaskDoesNotHaveFlag');
 
 describe('operations', function () {
 
@@ -139,4 +141,29 @@ describe('operations', function () {
         const inputs = [undefined, "45"];
         expect(Boolean(enumIsNotOperation.operation(inputs))).toBeTrue();
     });
+
+    it('should evaluate bitmaskHasFlag to true when the flag is set', () => {
+        const inputs = [129, "128"];
+        expect(Boolean(hasFlagOperation.operation(inputs))).toBeTrue();
+    });
+
+    it('should evaluate bitmaskHasFlag to false when the flag is not set', () => {
+        const inputs = [129, "16"];
+        expect(Boolean(hasFlagOperation.operation(inputs))).toBeFalse();
+    });
+
+    it('should evaluate bitmaskHasFlag for flags beyond 32 bits', () => {
+        const inputs = [Math.pow(2, 40) + 1, String(Math.pow(2, 40))];
+        expect(Boolean(hasFlagOperation.operation(inputs))).toBeTrue();
+    });
+
+    it('should evaluate bitmaskDoesNotHaveFlag to true when the flag is not set', () => {
+        const inputs = [129, "16"];
+        expect(Boolean(doesNotHaveFlagOperation.operation(inputs))).toBeTrue();
+    });
+
+    it('should evaluate bitmaskDoesNotHaveFlag to false when the flag is set', () => {
+        const inputs = [129, "1"];
+        expect(Boolean(doesNotHaveFlagOperation.operation(inputs))).toBeFalse();
+    });
 });
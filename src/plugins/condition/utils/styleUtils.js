@@ -31,7 +31,9 @@ const styleProps = {
             return !type ? true : (type === 'text-view'
                                       || type === 'telemetry-view'
                                       || type === 'box-view'
-                                      || type === 'subobject-view');
+                                      || type === 'subobject-view'
+                                      || type === 'attitude-view'
+                                      || type === 'hsi-view');
         }
     },
     border: {
@@ -43,7 +45,9 @@ const styleProps = {
                                             || type === 'box-view'
                                             || type === 'image-view'
                                             || type === 'line-view'
-                                            || type === 'subobject-view');
+                                            || type === 'subobject-view'
+                                            || type === 'attitude-view'
+                                            || type === 'hsi-view');
         }
     },
     color: {
@@ -52,7 +56,9 @@ const styleProps = {
         applicableForType: type => {
             return !type ? true : (type === 'text-view'
                                     || type === 'telemetry-view'
-                                    || type === 'subobject-view');
+                                    || type === 'subobject-view'
+                                    || type === 'attitude-view'
+                                    || type === 'hsi-view');
         }
     },
     imageUrl: {
@@ -0,0 +1,158 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import { bindVariables } from './sources';
+
+/**
+ * Evaluates an expression over telemetry from its sources, aligned by
+ * time: each time any source has a sample, the expression is evaluated
+ * with the latest value of each variable, once every source has a value.
+ */
+export default class DerivedSeries {
+    /**
+     * @param {Object} openmct
+     * @param {Object} expression a compiled expression
+     * @param {Array<Object>} sources the `domainObject` and telemetry
+     *        `metadata` of each source
+     * @throws {Error} if variables of the expression are not values of
+     *         the sources
+     */
+    constructor(openmct, expression, sources) {
+        const bindings = bindVariables(expression.variables, sources);
+
+        this.openmct = openmct;
+        this.expression = expression;
+        // Only sources with values in the expression are needed.
+        this.sources = sources.filter(source => bindings.some(binding => binding.source === source));
+        this.bindings = bindings.map((binding) => {
+            return {
+                variable: binding.variable,
+                sourceIndex: this.sources.indexOf(binding.source),
+                formatter: openmct.telemetry.getValueFormatter(binding.metadata)
+            };
+        });
+        this.latest = this.sources.map(() => undefined);
+        this.timeFormatters = {};
+    }
+
+    /**
+     * @private
+     */
+    getTime(sourceIndex, datum, timeKey) {
+        const source = this.sources[sourceIndex];
+        const formatterKey = `${sourceIndex}:${timeKey}`;
+
+        if (!this.timeFormatters[formatterKey]) {
+            const timeMetadata = source.metadata.value(timeKey);
+
+            if (!timeMetadata) {
+                throw new Error(`${source.domainObject.name} has no ${timeKey} time`);
+            }
+
+            this.timeFormatters[formatterKey] = this.openmct.telemetry.getValueFormatter(timeMetadata);
+        }
+
+        return this.timeFormatters[formatterKey].parse(datum);
+    }
+
+    /**
+     * @private
+     */
+    evaluate(time, timeKey) {
+        if (this.latest.includes(undefined)) {
+            return undefined;
+        }
+
+        const values = {};
+
+        this.bindings.forEach((binding) => {
+            values[binding.variable] = binding.formatter.parse(this.latest[binding.sourceIndex]);
+        });
+
+        const value = this.expression.evaluate(values, time);
+
+        if (!Number.isFinite(value)) {
+            return undefined;
+        }
+
+        return {
+            [timeKey]: time,
+            value
+        };
+    }
+
+    /**
+     * Add a sample from a source in real-time.
+     *
+     * @param {number} sourceIndex the index of the source in `sources`
+     * @param {Object} datum the sample
+     * @param {string} timeKey the key of the current time system
+     * @returns {Object|undefined} the derived datum, if there is one
+     */
+    add(sourceIndex, datum, timeKey) {
+        const time = this.getTime(sourceIndex, datum, timeKey);
+
+        this.latest[sourceIndex] = datum;
+
+        return this.evaluate(time, timeKey);
+    }
+
+    /**
+     * Derive historical telemetry, with a datum for each distinct time of
+     * the samples of all sources.
+     *
+     * @param {Array<Array<Object>>} results the samples of each source
+     * @param {string} timeKey the key of the time system requested
+     * @returns {Array<Object>} the derived data, in time order
+     */
+    merge(results, timeKey) {
+        const samples = [];
+        const data = [];
+
+        results.forEach((sourceData, sourceIndex) => {
+            sourceData.forEach((datum) => {
+                samples.push({
+                    sourceIndex,
+                    datum,
+                    time: this.getTime(sourceIndex, datum, timeKey)
+                });
+            });
+        });
+
+        samples.sort((a, b) => a.time - b.time);
+
+        samples.forEach((sample, index) => {
+            const next = samples[index + 1];
+
+            this.latest[sample.sourceIndex] = sample.datum;
+
+            if (!next || next.time !== sample.time) {
+                const derived = this.evaluate(sample.time, timeKey);
+
+                if (derived) {
+                    data.push(derived);
+                }
+            }
+        });
+
+        return data;
+    }
+}
@@ -0,0 +1,104 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import DerivedSeries from './DerivedSeries';
+import { compileExpression } from './expression';
+
+export default class DerivedTelemetryProvider {
+    constructor(openmct) {
+        this.openmct = openmct;
+    }
+
+    supportsRequest(domainObject) {
+        return domainObject.type === 'telemetry.derived';
+    }
+
+    supportsSubscribe(domainObject) {
+        return domainObject.type === 'telemetry.derived';
+    }
+
+    /**
+     * @private
+     */
+    getSeries(domainObject) {
+        return this.openmct.composition.get(domainObject).load().then((children) => {
+            const sources = children
+                .filter(child => this.openmct.telemetry.isTelemetryObject(child))
+                .map((child) => {
+                    return {
+                        domainObject: child,
+                        metadata: this.openmct.telemetry.getMetadata(child)
+                    };
+                });
+
+            return new DerivedSeries(this.openmct, compileExpression(domainObject.expression), sources);
+        });
+    }
+
+    request(domainObject, options = {}) {
+        const timeKey = options.domain || this.openmct.time.timeSystem().key;
+        // Sources are requested at full resolution, as decimated samples
+        // would not align; derived telemetry is decimated instead.
+        const sourceOptions = {
+            start: options.start,
+            end: options.end,
+            domain: timeKey
+        };
+
+        return this.getSeries(domainObject).then((series) => {
+            return Promise.all(series.sources.map((source) => {
+                return this.openmct.telemetry.request(source.domainObject, sourceOptions);
+            })).then((results) => {
+                const data = series.merge(results, timeKey);
+
+                return options.strategy === 'latest' ? data.slice(-1) : data;
+            });
+        });
+    }
+
+    subscribe(domainObject, callback) {
+        let unsubscribes = [];
+        let unsubscribed = false;
+
+        this.getSeries(domainObject).then((series) => {
+            if (unsubscribed) {
+                return;
+            }
+
+            unsubscribes = series.sources.map((source, sourceIndex) => {
+                return this.openmct.telemetry.subscribe(source.domainObject, (datum) => {
+                    const derived = series.add(sourceIndex, datum, this.openmct.time.timeSystem().key);
+
+                    if (derived) {
+                        callback(derived);
+                    }
+                });
+            });
+        }).catch((error) => {
+            this.openmct.notifications.error(`${domainObject.name}: ${error.message}`);
+        });
+
+        return () => {
+            unsubscribed = true;
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        };
+    }
+}
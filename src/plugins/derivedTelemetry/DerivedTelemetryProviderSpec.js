@@ -0,0 +1,241 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import DerivedTelemetryProvider from './DerivedTelemetryProvider';
+import TelemetryMetadataManager from '../../api/telemetry/TelemetryMetadataManager';
+import TelemetryValueFormatter from '../../api/telemetry/TelemetryValueFormatter';
+import {getMockTelemetryObject} from 'utils/testing';
+
+describe('The Derived Telemetry provider', () => {
+    let openmct;
+    let provider;
+    let derivedObject;
+    let velocityObject;
+    let attitudeObject;
+    let history;
+    let subscriptions;
+
+    beforeEach(() => {
+        velocityObject = getMockTelemetryObject('velocity', [
+            {
+                key: 'vx',
+                hints: {
+                    range: 1
+                }
+            },
+            {
+                key: 'vy',
+                hints: {
+                    range: 2
+                }
+            },
+            {
+                key: 'time',
+                hints: {
+                    range: 3
+                }
+            }
+        ]);
+        attitudeObject = getMockTelemetryObject('Attitude', [
+            {
+                key: 'roll',
+                hints: {
+                    range: 1
+                }
+            },
+            {
+                key: 'time',
+                hints: {
+                    range: 2
+                }
+            }
+        ]);
+        derivedObject = {
+            identifier: {
+                namespace: '',
+                key: 'derived'
+            },
+            name: 'Derived',
+            type: 'telemetry.derived',
+            expression: 'hypot(vx, vy) + rad2deg(roll)',
+            composition: [velocityObject.identifier, attitudeObject.identifier]
+        };
+        history = {
+            velocity: [
+                {
+                    utc: 1000,
+                    vx: 3,
+                    vy: 4
+                },
+                {
+                    utc: 3000,
+                    vx: 6,
+                    vy: 8
+                }
+            ],
+            Attitude: [
+                {
+                    utc: 2000,
+                    roll: 0
+                },
+                {
+                    utc: 3000,
+                    roll: Math.PI
+                }
+            ]
+        };
+        subscriptions = {};
+
+        openmct = {
+            composition: {
+                get() {
+                    return {
+                        load: () => Promise.resolve([velocityObject, attitudeObject])
+                    };
+                }
+            },
+            telemetry: {
+                isTelemetryObject: domainObject => domainObject.telemetry !== undefined,
+                getMetadata: domainObject => new TelemetryMetadataManager(domainObject.telemetry),
+                getValueFormatter: valueMetadata => new TelemetryValueFormatter(valueMetadata),
+                request: jasmine.createSpy('request').and.callFake((domainObject) => {
+                    return Promise.resolve(history[domainObject.identifier.key]);
+                }),
+                subscribe: jasmine.createSpy('subscribe').and.callFake((domainObject, callback) => {
+                    subscriptions[domainObject.identifier.key] = callback;
+
+                    return jasmine.createSpy('unsubscribe');
+                })
+            },
+            time: {
+                timeSystem: () => {
+                    return {key: 'utc'};
+                }
+            },
+            notifications: {
+                error: jasmine.createSpy('error')
+            }
+        };
+        provider = new DerivedTelemetryProvider(openmct);
+    });
+
+    it('provides telemetry for derived telemetry objects only', () => {
+        expect(provider.supportsRequest(derivedObject)).toBe(true);
+        expect(provider.supportsSubscribe(derivedObject)).toBe(true);
+        expect(provider.supportsRequest(velocityObject)).toBe(false);
+    });
+
+    it('aligns historical telemetry from each source by time', () => {
+        return provider.request(derivedObject, {
+            start: 0,
+            end: 5000,
+            domain: 'utc'
+        }).then((data) => {
+            expect(data).toEqual([
+                {
+                    utc: 2000,
+                    value: 5
+                },
+                {
+                    utc: 3000,
+                    value: 190
+                }
+            ]);
+        });
+    });
+
+    it('returns the latest datum for the latest strategy', () => {
+        return provider.request(derivedObject, {
+            start: 0,
+            end: 5000,
+            domain: 'utc',
+            strategy: 'latest',
+            size: 1
+        }).then((data) => {
+            expect(data).toEqual([
+                {
+                    utc: 3000,
+                    value: 190
+                }
+            ]);
+        });
+    });
+
+    it('requests only sources with values in the expression', () => {
+        derivedObject.expression = 'vx * 2';
+
+        return provider.request(derivedObject, {
+            start: 0,
+            end: 5000
+        }).then((data) => {
+            expect(openmct.telemetry.request).toHaveBeenCalledTimes(1);
+            expect(data.map(datum => datum.value)).toEqual([6, 12]);
+        });
+    });
+
+    it('qualifies values which more than one source has', () => {
+        derivedObject.expression = 'time';
+
+        return provider.request(derivedObject, {}).then(() => {
+            fail('expected the request to be rejected');
+        }, (error) => {
+            expect(error.message).toContain('velocity.time, Attitude.time');
+            derivedObject.expression = 'Attitude.time';
+
+            return provider.request(derivedObject, {});
+        });
+    });
+
+    it('derives telemetry in real-time once each source has a value', () => {
+        const callback = jasmine.createSpy('callback');
+
+        provider.subscribe(derivedObject, callback);
+
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            subscriptions.velocity({
+                utc: 1000,
+                vx: 3,
+                vy: 4
+            });
+
+            expect(callback).not.toHaveBeenCalled();
+
+            subscriptions.Attitude({
+                utc: 1500,
+                roll: 0
+            });
+
+            expect(callback).toHaveBeenCalledWith({
+                utc: 1500,
+                value: 5
+            });
+        });
+    });
+
+    it('reports invalid expressions when subscribing', () => {
+        derivedObject.expression = 'pitch';
+        provider.subscribe(derivedObject, () => {});
+
+        return new Promise(resolve => setTimeout(resolve)).then(() => {
+            expect(openmct.notifications.error).toHaveBeenCalledWith('Derived: No source has a value \'pitch\'');
+        });
+    });
+});
@@ -0,0 +1,383 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+function rad2deg(radians) {
+    return radians * 180 / Math.PI;
+}
+
+function deg2rad(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Functions which may be called in expressions, with the number of
+ * arguments each takes: a number, or the minimum and maximum.
+ */
+const FUNCTIONS = {
+    abs: [1, Math.abs],
+    sign: [1, Math.sign],
+    sqrt: [1, Math.sqrt],
+    cbrt: [1, Math.cbrt],
+    exp: [1, Math.exp],
+    log: [1, Math.log],
+    log2: [1, Math.log2],
+    log10: [1, Math.log10],
+    pow: [2, Math.pow],
+    sin: [1, Math.sin],
+    cos: [1, Math.cos],
+    tan: [1, Math.tan],
+    asin: [1, Math.asin],
+    acos: [1, Math.acos],
+    atan: [1, Math.atan],
+    atan2: [2, Math.atan2],
+    sinh: [1, Math.sinh],
+    cosh: [1, Math.cosh],
+    tanh: [1, Math.tanh],
+    floor: [1, Math.floor],
+    ceil: [1, Math.ceil],
+    round: [1, Math.round],
+    trunc: [1, Math.trunc],
+    min: [[1, Infinity], Math.min],
+    max: [[1, Infinity], Math.max],
+    hypot: [[1, Infinity], Math.hypot],
+    rad2deg: [1, rad2deg],
+    deg2rad: [1, deg2rad]
+};
+
+/**
+ * Functions of a value over time, which keep the previous value and time
+ * of each call in an expression.
+ */
+const TIME_FUNCTIONS = {
+    // The change in a value per second.
+    rate(value, time, previous) {
+        return (value - previous.value) / ((time - previous.time) / 1000);
+    },
+    // The change in a value since the previous sample.
+    delta(value, time, previous) {
+        return value - previous.value;
+    }
+};
+
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '^': (a, b) => Math.pow(a, b)
+};
+
+const TOKEN_PATTERN = /(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]\w*(?:\.[a-z_]\w*)?)|([-+*/%^(),])|(\S)/gi;
+
+function tokenize(text) {
+    const tokens = [...text.matchAll(TOKEN_PATTERN)].map((match) => {
+        const [, number, name, operator, other] = match;
+        const position = match.index;
+
+        if (other !== undefined) {
+            throw new Error(`Unexpected '${other}' at position ${position + 1}`);
+        }
+
+        if (number !== undefined) {
+            return {
+                type: 'number',
+                value: Number(number),
+                position
+            };
+        }
+
+        if (name !== undefined) {
+            return {
+                type: 'name',
+                value: name,
+                position
+            };
+        }
+
+        return {
+            type: operator,
+            position
+        };
+    });
+
+    tokens.push({
+        type: 'end',
+        position: text.length
+    });
+
+    return tokens;
+}
+
+/**
+ * Parses expressions into functions of the values of variables, by
+ * recursive descent, from the lowest precedence operators to the highest:
+ *
+ *     sum      = product { ("+" | "-") product }
+ *     product  = unary { ("*" | "/" | "%") unary }
+ *     unary    = ("-" | "+") unary | power
+ *     power    = primary [ "^" unary ]
+ *     primary  = number | name | name "(" sum { "," sum } ")" | "(" sum ")"
+ */
+class Parser {
+    constructor(text) {
+        this.tokens = tokenize(text);
+        this.index = 0;
+        this.variables = [];
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    expect(type) {
+        const token = this.next();
+
+        if (token.type !== type) {
+            throw unexpected(token);
+        }
+
+        return token;
+    }
+
+    parse() {
+        const evaluate = this.sum();
+
+        this.expect('end');
+
+        return evaluate;
+    }
+
+    sum() {
+        let left = this.product();
+
+        while (this.peek().type === '+' || this.peek().type === '-') {
+            left = binary(this.next().type, left, this.product());
+        }
+
+        return left;
+    }
+
+    product() {
+        let left = this.unary();
+
+        while (['*', '/', '%'].includes(this.peek().type)) {
+            left = binary(this.next().type, left, this.unary());
+        }
+
+        return left;
+    }
+
+    unary() {
+        if (this.peek().type === '-') {
+            this.next();
+            const operand = this.unary();
+
+            return context => -operand(context);
+        }
+
+        if (this.peek().type === '+') {
+            this.next();
+
+            return this.unary();
+        }
+
+        return this.power();
+    }
+
+    power() {
+        const base = this.primary();
+
+        if (this.peek().type === '^') {
+            return binary(this.next().type, base, this.unary());
+        }
+
+        return base;
+    }
+
+    primary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            return () => token.value;
+        }
+
+        if (token.type === '(') {
+            const inner = this.sum();
+
+            this.expect(')');
+
+            return inner;
+        }
+
+        if (token.type === 'name') {
+            if (this.peek().type === '(') {
+                return this.call(token);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+                return () => CONSTANTS[token.value];
+            }
+
+            if (!this.variables.includes(token.value)) {
+                this.variables.push(token.value);
+            }
+
+            return context => context.values[token.value];
+        }
+
+        throw unexpected(token);
+    }
+
+    call(nameToken) {
+        const name = nameToken.value;
+        const args = [];
+
+        this.expect('(');
+
+        if (this.peek().type !== ')') {
+            args.push(this.sum());
+
+            while (this.peek().type === ',') {
+                this.next();
+                args.push(this.sum());
+            }
+        }
+
+        this.expect(')');
+
+        if (Object.prototype.hasOwnProperty.call(TIME_FUNCTIONS, name)) {
+            checkArity(name, 1, args.length);
+
+            return timeFunction(TIME_FUNCTIONS[name], args[0]);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            throw new Error(`Unknown function '${name}' at position ${nameToken.position + 1}`);
+        }
+
+        const [arity, fn] = FUNCTIONS[name];
+
+        checkArity(name, arity, args.length);
+
+        return context => fn(...args.map(arg => arg(context)));
+    }
+}
+
+function unexpected(token) {
+    if (token.type === 'end') {
+        return new Error('Unexpected end of expression');
+    }
+
+    const text = token.type === 'number' || token.type === 'name' ? token.value : token.type;
+
+    return new Error(`Unexpected '${text}' at position ${token.position + 1}`);
+}
+
+function checkArity(name, arity, count) {
+    const [min, max] = Array.isArray(arity) ? arity : [arity, arity];
+
+    if (count < min || count > max) {
+        const expected = min === max ? String(min) : `at least ${min}`;
+
+        throw new Error(`${name}() takes ${expected} argument${min === 1 ? '' : 's'}, not ${count}`);
+    }
+}
+
+function binary(operator, left, right) {
+    const operate = BINARY_OPERATORS[operator];
+
+    return context => operate(left(context), right(context));
+}
+
+function timeFunction(fn, argument) {
+    let previous;
+
+    return (context) => {
+        const value = argument(context);
+        const result = previous === undefined ? NaN : fn(value, context.time, previous);
+
+        previous = {
+            value,
+            time: context.time
+        };
+
+        return result;
+    };
+}
+
+/**
+ * Compile an expression, such as `sqrt(vx^2 + vy^2)`, into a function of
+ * the values of its variables. Expressions may use numbers, variables,
+ * the constants `pi` and `e`, the operators `+`, `-`, `*`, `/`, `%` and `^`
+ * (power), parentheses, and the functions in FUNCTIONS, as well as `rate`
+ * and `delta`, which compare a value with its value when the expression
+ * was last evaluated. As those keep state, an expression should be
+ * compiled for each series it is evaluated over.
+ *
+ * @param {string} text the expression
+ * @returns {Object} the names of the `variables` in the expression, and a
+ *          function to `evaluate` it, given the value of each variable
+ *          and the time in milliseconds
+ * @throws {Error} if the expression is invalid, describing why
+ */
+export function compileExpression(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Expression is empty');
+    }
+
+    const parser = new Parser(text);
+    const evaluate = parser.parse();
+
+    return {
+        variables: parser.variables,
+        evaluate(values, time) {
+            return evaluate({
+                values,
+                time
+            });
+        }
+    };
+}
+
+/**
+ * @param {string} text an expression
+ * @returns {string|undefined} why the expression is invalid, or undefined
+ *          if it is valid
+ */
+export function validateExpression(text) {
+    try {
+        compileExpression(text);
+    } catch (e) {
+        return e.message;
+    }
+
+    return undefined;
+}
@@ -0,0 +1,99 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    compileExpression,
+    validateExpression
+} from './expression';
+
+describe('Derived telemetry expressions', () => {
+    function evaluate(text, values = {}, time = 0) {
+        return compileExpression(text).evaluate(values, time);
+    }
+
+    it('evaluates arithmetic with the usual precedence', () => {
+        expect(evaluate('1 + 2 * 3')).toBe(7);
+        expect(evaluate('(1 + 2) * 3')).toBe(9);
+        expect(evaluate('10 - 4 - 3')).toBe(3);
+        expect(evaluate('7 % 4')).toBe(3);
+        expect(evaluate('1.5e2 / .5')).toBe(300);
+    });
+
+    it('raises to powers right to left, before negation', () => {
+        expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+        expect(evaluate('-2 ^ 2')).toBe(-4);
+        expect(evaluate('2 ^ -1')).toBe(0.5);
+    });
+
+    it('evaluates variables, constants and functions', () => {
+        expect(evaluate('sqrt(vx^2 + vy^2 + vz^2)', {
+            vx: 2,
+            vy: 3,
+            vz: 6
+        })).toBe(7);
+        expect(evaluate('rad2deg(roll)', {roll: Math.PI / 2})).toBe(90);
+        expect(evaluate('max(a, b, 3)', {
+            a: 1,
+            b: 2
+        })).toBe(3);
+        expect(evaluate('cos(pi)')).toBe(-1);
+    });
+
+    it('lists the variables of an expression once each', () => {
+        expect(compileExpression('hypot(Attitude.roll, pitch) + pitch').variables)
+            .toEqual(['Attitude.roll', 'pitch']);
+    });
+
+    it('evaluates rates of change per second', () => {
+        const expression = compileExpression('rate(altitude)');
+
+        expect(expression.evaluate({altitude: 100}, 1000)).toBeNaN();
+        expect(expression.evaluate({altitude: 110}, 3000)).toBe(5);
+        expect(expression.evaluate({altitude: 110}, 4000)).toBe(0);
+    });
+
+    it('keeps the state of each call to a time function', () => {
+        const expression = compileExpression('delta(a) + delta(b)');
+
+        expression.evaluate({
+            a: 1,
+            b: 10
+        }, 0);
+
+        expect(expression.evaluate({
+            a: 2,
+            b: 30
+        }, 1)).toBe(21);
+    });
+
+    it('describes why expressions are invalid', () => {
+        expect(validateExpression('sqrt(vx^2 + vy^2)')).toBeUndefined();
+        expect(validateExpression('')).toBe('Expression is empty');
+        expect(validateExpression('1 +')).toBe('Unexpected end of expression');
+        expect(validateExpression('(1 + 2')).toBe('Unexpected end of expression');
+        expect(validateExpression('1 + 2)')).toBe('Unexpected \')\' at position 6');
+        expect(validateExpression('a # b')).toBe('Unexpected \'#\' at position 3');
+        expect(validateExpression('sqroot(a)')).toBe('Unknown function \'sqroot\' at position 1');
+        expect(validateExpression('atan2(y)')).toBe('atan2() takes 2 arguments, not 1');
+        expect(validateExpression('max()')).toBe('max() takes at least 1 argument, not 0');
+        expect(validateExpression('rate(a, b)')).toBe('rate() takes 1 argument, not 2');
+    });
+});
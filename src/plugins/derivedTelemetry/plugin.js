@@ -0,0 +1,85 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import DerivedTelemetryMetadataProvider from './DerivedTelemetryMetadataProvider';
+import DerivedTelemetryProvider from './DerivedTelemetryProvider';
+import ExpressionControlController from './ExpressionControlController';
+import derivedTelemetryCompositionPolicy from './DerivedTelemetryCompositionPolicy';
+import expressionControlTemplate from './res/templates/expression-control.html';
+
+/**
+ * Provides telemetry derived from other telemetry by an expression, such
+ * as `sqrt(vx^2 + vy^2 + vz^2)` over values of the telemetry objects it
+ * contains.
+ */
+export default function DerivedTelemetryPlugin() {
+    return function install(openmct) {
+        openmct.types.addType('telemetry.derived', {
+            name: 'Derived Telemetry',
+            creatable: true,
+            description: 'Telemetry calculated from the values of other telemetry by an expression, such as the magnitude of a vector or a rate of change.',
+            cssClass: 'icon-telemetry',
+            initialize(domainObject) {
+                domainObject.composition = [];
+                domainObject.telemetry = {};
+            },
+            form: [
+                {
+                    key: 'expression',
+                    name: 'Expression',
+                    control: 'derived-telemetry-expression',
+                    description: 'An expression of values of the telemetry in this object, such as sqrt(vx^2 + vy^2)',
+                    required: true,
+                    cssClass: 'l-input-lg'
+                },
+                {
+                    key: 'units',
+                    name: 'Units',
+                    control: 'textfield',
+                    required: false,
+                    cssClass: 'l-input-sm'
+                },
+                {
+                    key: 'formatString',
+                    name: 'Format',
+                    control: 'textfield',
+                    description: 'A printf-style format for values, such as %0.2f',
+                    required: false,
+                    cssClass: 'l-input-sm'
+                }
+            ]
+        });
+
+        openmct.legacyExtension('controls', {
+            key: 'derived-telemetry-expression',
+            template: expressionControlTemplate
+        });
+        openmct.legacyExtension('controllers', {
+            key: 'DerivedTelemetryExpressionController',
+            implementation: ExpressionControlController,
+            depends: ['$scope']
+        });
+
+        openmct.telemetry.addProvider(new DerivedTelemetryMetadataProvider(openmct));
+        openmct.telemetry.addProvider(new DerivedTelemetryProvider(openmct));
+        openmct.composition.addPolicy(derivedTelemetryCompositionPolicy(openmct));
+    };
+}
@@ -0,0 +1,72 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+/**
+ * The name by which the values of a source may be qualified in an
+ * expression, where sources have values with the same key: its name, with
+ * anything but letters, digits and underscores replaced by underscores.
+ *
+ * @param {DomainObject} domainObject a source of a derived telemetry object
+ * @returns {string}
+ */
+export function getSourceName(domainObject) {
+    return domainObject.name.replace(/\W+/g, '_').replace(/^(?=\d)/, '_');
+}
+
+/**
+ * Find the telemetry value for each variable of an expression: a value of
+ * the only source with that key, or for qualified variables, such as
+ * `Attitude.roll`, of the source with that name.
+ *
+ * @param {Array<string>} variables the variables of an expression
+ * @param {Array<Object>} sources the `domainObject` and telemetry
+ *        `metadata` of each source
+ * @returns {Array<Object>} the `variable`, `source` and value `metadata`
+ *          of each variable
+ * @throws {Error} if any variable is not the value of exactly one source
+ */
+export function bindVariables(variables, sources) {
+    return variables.map((variable) => {
+        const separator = variable.indexOf('.');
+        const sourceName = separator === -1 ? undefined : variable.slice(0, separator);
+        const key = separator === -1 ? variable : variable.slice(separator + 1);
+        const candidates = sources.filter((source) => {
+            return (sourceName === undefined || getSourceName(source.domainObject) === sourceName)
+                && source.metadata.value(key) !== undefined;
+        });
+
+        if (candidates.length === 0) {
+            throw new Error(`No source has a value '${variable}'`);
+        }
+
+        if (candidates.length > 1) {
+            const names = candidates.map(candidate => getSourceName(candidate.domainObject));
+
+            throw new Error(`More than one source has a value '${variable}'; use one of ${names.map(name => `${name}.${key}`).join(', ')}`);
+        }
+
+        return {
+            variable,
+            source: candidates[0],
+            metadata: candidates[0].metadata.value(key)
+        };
+    });
+}
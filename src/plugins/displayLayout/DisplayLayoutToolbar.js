@@ -20,7 +20,7 @@
  * at runtime from the About dialog for additional information.
  *****************************************************************************/
 
-define(['lodash'], function (_) {
+define(['lodash', './gauges'], function (_, gauges) {
     function DisplayLayoutToolbar(openmct) {
         return {
             name: "Display Layout Toolbar",
@@ -153,7 +153,9 @@ define(['lodash'], function (_) {
                             || type === 'box-view'
                             || type === 'image-view'
                             || type === 'line-view'
-                            || type === 'subobject-view';
+                            || type === 'subobject-view'
+                            || type === 'attitude-view'
+                            || type === 'hsi-view';
                     });
                 }
 
@@ -193,6 +195,14 @@ define(['lodash'], function (_) {
                                 {
                                     "name": "Image",
                                     "class": "icon-image"
+                                },
+                                {
+                                    "name": "Attitude",
+                                    "class": "icon-gauge"
+                                },
+                                {
+                                    "name": "HSI",
+                                    "class": "icon-crosshair-in-circle"
                                 }
                             ]
                         };
@@ -451,6 +461,43 @@ define(['lodash'], function (_) {
                     }
                 }
 
+                function getGaugeValueMenus(selectionPath, selection) {
+                    if (selection.length !== 1) {
+                        return [];
+                    }
+
+                    let layoutItem = selectionPath[0].context.layoutItem;
+                    let telemetryObjects = selectionPath[1].context.getTelemetryObjects();
+                    let options = [];
+
+                    telemetryObjects.forEach(telemetryObject => {
+                        let keyString = openmct.objects.makeKeyString(telemetryObject.identifier);
+
+                        openmct.telemetry.getMetadata(telemetryObject).values()
+                            .filter(value => !value.hints.domain)
+                            .forEach(value => {
+                                options.push({
+                                    name: `${telemetryObject.name}.${value.name}`,
+                                    value: gauges.makeBinding(keyString, value.key)
+                                });
+                            });
+                    });
+
+                    return gauges.GAUGE_INPUTS[layoutItem.type].map(input => {
+                        return {
+                            control: "select-menu",
+                            domainObject: selectionPath[1].context.item,
+                            applicableSelectedItems: selection,
+                            property: function (path) {
+                                return getPath(path) + ".telemetry." + input.key;
+                            },
+                            title: `Set the telemetry value shown as ${input.name.toLowerCase()}`,
+                            placeholder: input.name,
+                            options: options
+                        };
+                    });
+                }
+
                 function getDisplayModeMenu(selectedParent, selection) {
                     if (selection.length === 1) {
                         return {
@@ -778,6 +825,24 @@ define(['lodash'], function (_) {
                             ];
                         }
 
+                        if (toolbar.remove.length === 0) {
+                            toolbar.remove = [getRemoveButton(selectedParent, selectionPath, selectedObjects)];
+                        }
+                    } else if (gauges.isGauge(layoutItem)) {
+                        if (toolbar['telemetry-value'].length === 0) {
+                            toolbar['telemetry-value'] = getGaugeValueMenus(selectionPath, selectedObjects);
+                        }
+
+                        if (toolbar.position.length === 0) {
+                            toolbar.position = [
+                                getStackOrder(selectedParent, selectionPath),
+                                getXInput(selectedParent, selectedObjects),
+                                getYInput(selectedParent, selectedObjects),
+                                getHeightInput(selectedParent, selectedObjects),
+                                getWidthInput(selectedParent, selectedObjects)
+                            ];
+                        }
+
                         if (toolbar.remove.length === 0) {
                             toolbar.remove = [getRemoveButton(selectedParent, selectionPath, selectedObjects)];
                         }
@@ -0,0 +1,94 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * The inputs of each type of gauge in a Display Layout. Each input is bound
+ * to a telemetry value, which is saved on the layout item as a string made
+ * by `makeBinding`, keyed by the input's key in `item.telemetry`.
+ */
+export const GAUGE_INPUTS = {
+    'attitude-view': [
+        {
+            key: 'roll',
+            name: 'Roll'
+        },
+        {
+            key: 'pitch',
+            name: 'Pitch'
+        }
+    ],
+    'hsi-view': [
+        {
+            key: 'heading',
+            name: 'Heading'
+        },
+        {
+            key: 'course',
+            name: 'Course'
+        },
+        {
+            key: 'bearing',
+            name: 'Bearing'
+        }
+    ]
+};
+
+const SEPARATOR = '/';
+
+export function isGauge(item) {
+    return GAUGE_INPUTS[item.type] !== undefined;
+}
+
+export function makeBinding(keyString, valueKey) {
+    return keyString + SEPARATOR + valueKey;
+}
+
+/**
+ * @param {string} binding
+ * @returns {Object|undefined} the `keyString` of the telemetry object and
+ *          the `valueKey` of its value, or undefined if the input is unbound
+ */
+export function parseBinding(binding) {
+    let index = binding ? binding.lastIndexOf(SEPARATOR) : -1;
+
+    if (index < 0) {
+        return undefined;
+    }
+
+    return {
+        keyString: binding.substring(0, index),
+        valueKey: binding.substring(index + 1)
+    };
+}
+
+/**
+ * @returns {string[]} the key strings of the telemetry objects which a
+ *          gauge is bound to, without duplicates
+ */
+export function getBoundKeyStrings(item) {
+    let keyStrings = Object.values(item.telemetry || {})
+        .map(parseBinding)
+        .filter(binding => binding !== undefined)
+        .map(binding => binding.keyString);
+
+    return Array.from(new Set(keyStrings));
+}
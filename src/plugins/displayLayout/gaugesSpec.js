@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    getBoundKeyStrings,
+    isGauge,
+    makeBinding,
+    parseBinding
+} from './gauges';
+
+describe('Gauge bindings', () => {
+    it('identify gauges', () => {
+        expect(isGauge({type: 'attitude-view'})).toBe(true);
+        expect(isGauge({type: 'hsi-view'})).toBe(true);
+        expect(isGauge({type: 'telemetry-view'})).toBe(false);
+    });
+
+    it('round trip through a string', () => {
+        expect(parseBinding(makeBinding('mavlink:ATTITUDE', 'roll'))).toEqual({
+            keyString: 'mavlink:ATTITUDE',
+            valueKey: 'roll'
+        });
+    });
+
+    it('are undefined when an input is not bound', () => {
+        expect(parseBinding('')).toBeUndefined();
+        expect(parseBinding(undefined)).toBeUndefined();
+    });
+
+    it('list each telemetry object a gauge is bound to once', () => {
+        expect(getBoundKeyStrings({
+            type: 'hsi-view',
+            telemetry: {
+                heading: makeBinding('mavlink:VFR_HUD', 'heading'),
+                course: makeBinding('mavlink:NAV_CONTROLLER_OUTPUT', 'nav_bearing'),
+                bearing: makeBinding('mavlink:NAV_CONTROLLER_OUTPUT', 'target_bearing')
+            }
+        })).toEqual(['mavlink:VFR_HUD', 'mavlink:NAV_CONTROLLER_OUTPUT']);
+        expect(getBoundKeyStrings({
+            type: 'attitude-view',
+            telemetry: {
+                roll: '',
+                pitch: ''
+            }
+        })).toEqual([]);
+    });
+});
@@ -0,0 +1,210 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import conditionalStylesMixin from './objectStyles-mixin';
+import {GAUGE_INPUTS, parseBinding} from '../gauges';
+import {toDegrees} from '@/plugins/map/position';
+import _ from 'lodash';
+
+/**
+ * Shared behaviour of the gauges in a Display Layout: makes the gauge
+ * selectable, and keeps `values` up to date with the latest value of each
+ * input, in degrees, from the telemetry it is bound to.
+ */
+export default {
+    inject: ['openmct', 'objectPath'],
+    mixins: [conditionalStylesMixin],
+    props: {
+        item: {
+            type: Object,
+            required: true
+        },
+        gridSize: {
+            type: Array,
+            required: true,
+            validator: (arr) => arr && arr.length === 2
+                && arr.every(el => typeof el === 'number')
+        },
+        index: {
+            type: Number,
+            required: true
+        },
+        initSelect: Boolean,
+        isEditing: {
+            type: Boolean,
+            required: true
+        }
+    },
+    data() {
+        return {
+            values: {}
+        };
+    },
+    computed: {
+        hasData() {
+            return Object.values(this.values).some(value => value !== undefined);
+        }
+    },
+    watch: {
+        index(newIndex) {
+            if (!this.context) {
+                return;
+            }
+
+            this.context.index = newIndex;
+        },
+        item(newItem) {
+            if (this.context) {
+                this.context.layoutItem = newItem;
+            }
+
+            if (!_.isEqual(newItem.telemetry, this.boundTelemetry)) {
+                this.bind();
+            }
+        }
+    },
+    mounted() {
+        this.context = {
+            layoutItem: this.item,
+            index: this.index
+        };
+        this.removeSelectable = this.openmct.selection.selectable(
+            this.$el, this.context, this.immediatelySelect || this.initSelect);
+        delete this.immediatelySelect;
+
+        this.timeContext = this.openmct.time.getContextForView(this.objectPath);
+        this.timeContext.on('bounds', this.refreshData);
+        this.bind();
+    },
+    destroyed() {
+        this.unbind();
+        this.timeContext.off('bounds', this.refreshData);
+
+        if (this.removeSelectable) {
+            this.removeSelectable();
+        }
+    },
+    methods: {
+        bind() {
+            let values = {};
+
+            this.unbind();
+            this.boundTelemetry = Object.assign({}, this.item.telemetry);
+            this.sources = {};
+
+            GAUGE_INPUTS[this.item.type].forEach(input => {
+                let binding = parseBinding(this.boundTelemetry[input.key]);
+
+                values[input.key] = undefined;
+
+                if (binding) {
+                    let source = this.sources[binding.keyString] || {
+                        inputs: []
+                    };
+
+                    source.inputs.push({
+                        key: input.key,
+                        valueKey: binding.valueKey
+                    });
+                    this.sources[binding.keyString] = source;
+                }
+            });
+
+            this.values = values;
+
+            Object.keys(this.sources).forEach(keyString => {
+                let source = this.sources[keyString];
+
+                this.openmct.objects.get(keyString).then(domainObject => {
+                    if (this.sources[keyString] === source) {
+                        this.addSource(source, domainObject);
+                    }
+                });
+            });
+        },
+        unbind() {
+            Object.values(this.sources || {}).forEach(source => {
+                if (source.unsubscribe) {
+                    source.unsubscribe();
+                }
+            });
+            this.sources = {};
+        },
+        addSource(source, domainObject) {
+            let metadata = this.openmct.telemetry.getMetadata(domainObject);
+
+            source.domainObject = domainObject;
+            source.inputs.forEach(input => {
+                let valueMetadata = metadata && metadata.value(input.valueKey);
+
+                if (valueMetadata) {
+                    input.unit = valueMetadata.unit;
+                    input.formatter = this.openmct.telemetry.getValueFormatter(valueMetadata);
+                }
+            });
+            source.unsubscribe = this.openmct.telemetry.subscribe(domainObject, (datum) => {
+                if (this.timeContext.clock() !== undefined) {
+                    this.updateValues(source, datum);
+                }
+            }, {
+                timeContext: this.timeContext
+            });
+            this.requestLatest(source);
+        },
+        requestLatest(source) {
+            let bounds = this.timeContext.bounds();
+
+            this.openmct.telemetry.request(source.domainObject, {
+                start: bounds.start,
+                end: bounds.end,
+                size: 1,
+                strategy: 'latest'
+            }).then(data => {
+                if (data.length > 0 && this.sources[this.openmct.objects.makeKeyString(source.domainObject.identifier)] === source) {
+                    this.updateValues(source, data[data.length - 1]);
+                }
+            });
+        },
+        updateValues(source, datum) {
+            source.inputs.forEach(input => {
+                if (input.formatter) {
+                    this.values[input.key] = toDegrees(input.formatter.parse(datum), input.unit);
+                }
+            });
+        },
+        refreshData(bounds, isTick) {
+            if (isTick) {
+                return;
+            }
+
+            Object.values(this.sources).forEach(source => {
+                source.inputs.forEach(input => {
+                    this.values[input.key] = undefined;
+                });
+
+                if (source.domainObject) {
+                    this.requestLatest(source);
+                }
+            });
+        }
+    }
+};
@@ -22,6 +22,7 @@
 
 import { createOpenMct, resetApplicationState } from 'utils/testing';
 import DisplayLayoutPlugin from './plugin';
+import Vue from 'vue';
 
 describe('the plugin', function () {
     let element;
@@ -343,4 +344,159 @@ describe('the plugin', function () {
             expect(displayLayoutToolbar.length).toBe(9);
         });
     });
+
+    describe('the gauges', () => {
+        let displayLayoutItem;
+        let attitudeTelemetry;
+
+        beforeEach(() => {
+            attitudeTelemetry = {
+                identifier: {
+                    namespace: '',
+                    key: 'attitude'
+                },
+                name: 'ATTITUDE',
+                type: 'test-object',
+                telemetry: {
+                    values: [
+                        {
+                            key: 'utc',
+                            name: 'Time',
+                            format: 'utc',
+                            hints: {
+                                domain: 1
+                            }
+                        },
+                        {
+                            key: 'roll',
+                            name: 'roll',
+                            unit: 'rad',
+                            hints: {
+                                range: 1
+                            }
+                        },
+                        {
+                            key: 'pitch',
+                            name: 'pitch',
+                            unit: 'rad',
+                            hints: {
+                                range: 2
+                            }
+                        }
+                    ]
+                }
+            };
+            displayLayoutItem = {
+                composition: [attitudeTelemetry.identifier],
+                configuration: {
+                    items: [
+                        {
+                            x: 1,
+                            y: 1,
+                            width: 20,
+                            height: 20,
+                            telemetry: {
+                                roll: 'attitude/roll',
+                                pitch: 'attitude/pitch'
+                            },
+                            stroke: '',
+                            fill: '',
+                            color: '',
+                            type: 'attitude-view',
+                            id: 'a1c4ad5e-7d5a-4a41-b1f6-1e4b24f1f0a7'
+                        }
+                    ],
+                    layoutGrid: [10, 10]
+                },
+                name: 'Display Layout',
+                type: 'layout',
+                identifier: {
+                    namespace: '',
+                    key: 'layout'
+                }
+            };
+        });
+
+        it('can be added from the toolbar', () => {
+            const toolbar = openmct.toolbars.get([[{
+                context: {
+                    item: displayLayoutItem,
+                    supportsMultiSelect: true
+                }
+            }]]);
+            const names = toolbar[0].options.map(option => option.name);
+
+            expect(names).toContain('Attitude');
+            expect(names).toContain('HSI');
+        });
+
+        it('bind each input to a telemetry value in the layout from the toolbar', () => {
+            const toolbar = openmct.toolbars.get([[
+                {
+                    context: {
+                        layoutItem: displayLayoutItem.configuration.items[0],
+                        index: 0
+                    }
+                },
+                {
+                    context: {
+                        item: displayLayoutItem,
+                        supportsMultiSelect: true,
+                        getTelemetryObjects: () => [attitudeTelemetry]
+                    }
+                }
+            ]]);
+            const valueMenus = toolbar.filter(control => control.placeholder);
+
+            expect(valueMenus.map(control => control.placeholder)).toEqual(['Roll', 'Pitch']);
+            expect(valueMenus[0].options).toEqual([
+                {
+                    name: 'ATTITUDE.roll',
+                    value: 'attitude/roll'
+                },
+                {
+                    name: 'ATTITUDE.pitch',
+                    value: 'attitude/pitch'
+                }
+            ]);
+        });
+
+        describe('the attitude indicator', () => {
+            let view;
+
+            function getRotation(selector) {
+                const transform = child.querySelector(selector).getAttribute('transform');
+
+                return parseFloat(transform.match(/rotate\((-?[\d.e-]+)\)/)[1]);
+            }
+
+            beforeEach(() => {
+                spyOn(openmct.objects, 'get').and.returnValue(Promise.resolve(attitudeTelemetry));
+                spyOn(openmct.telemetry, 'subscribe').and.returnValue(() => {});
+                spyOn(openmct.telemetry, 'request').and.returnValue(Promise.resolve([
+                    {
+                        utc: 1,
+                        roll: Math.PI / 6,
+                        pitch: Math.PI / 18
+                    }
+                ]));
+
+                const provider = openmct.objectViews.get(displayLayoutItem)
+                    .find(viewProvider => viewProvider.key === 'layout.view');
+                view = provider.view(displayLayoutItem, [displayLayoutItem]);
+                view.show(child, false);
+
+                return new Promise(resolve => setTimeout(resolve)).then(Vue.nextTick);
+            });
+
+            afterEach(() => {
+                view.destroy();
+            });
+
+            it('shows the latest roll and pitch in degrees', () => {
+                expect(getRotation('.c-attitude-view__roll-pointer')).toBeCloseTo(-30, 6);
+                expect(child.querySelector('.c-attitude-view').getAttribute('title')).toBe('Roll 30.0°, pitch 10.0°');
+            });
+        });
+    });
 });
@@ -0,0 +1,339 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import TelemetryExporter from './TelemetryExporter';
+import {FORMATS} from './formats';
+import FileSystemStreamWriter from './writers/FileSystemStreamWriter';
+import BlobStreamWriter from './writers/BlobStreamWriter';
+
+export default class ExportTelemetryAction {
+    constructor(openmct) {
+        this.name = 'Export Telemetry...';
+        this.key = 'exportTelemetry';
+        this.description = 'Export the telemetry of this object, or of the objects it contains, to a file.';
+        this.cssClass = 'icon-download';
+
+        this._openmct = openmct;
+    }
+
+    invoke(objectPath) {
+        let domainObject = objectPath[0];
+        let timeSystem = this._openmct.time.timeSystem();
+        // The file picker may only be opened while handling the user's click,
+        // so is opened before anything else.
+        let fileHandle = this._pickFile(domainObject.name);
+
+        return Promise.all([
+            fileHandle,
+            this._getTelemetryObjects(domainObject, timeSystem)
+        ]).then(([file, telemetryObjects]) => {
+            if (!telemetryObjects.length) {
+                this._openmct.notifications.alert(`${domainObject.name} has no telemetry in ${timeSystem.name} to export`);
+
+                return;
+            }
+
+            let values = this._getValues(telemetryObjects);
+            let dialogService = this._openmct.$injector.get('dialogService');
+            let timeFormatter = this._openmct.telemetry.getValueFormatter({
+                key: timeSystem.key,
+                source: timeSystem.key,
+                format: timeSystem.timeFormat
+            });
+            let bounds = this._openmct.time.bounds();
+            let defaults = values.reduce((input, value) => {
+                input[this._getFieldKey(value)] = true;
+
+                return input;
+            }, {
+                start: timeFormatter.format(bounds.start),
+                end: timeFormatter.format(bounds.end),
+                format: file ? this._getFormatKey(file.name) : 'csv',
+                timestampFormat: 'formatted',
+                filename: domainObject.name
+            });
+
+            return dialogService.getUserInput(this._getExportForm(timeSystem, values, file), defaults).then(input => {
+                return this._export(domainObject, telemetryObjects, values, timeSystem, timeFormatter, input, file);
+            }, () => {
+                // Cancelled by the user.
+            });
+        }).catch(error => {
+            if (error && error.name === 'AbortError') {
+                // Choosing the file was cancelled by the user.
+                return;
+            }
+
+            this._openmct.notifications.error(`Unable to export telemetry from ${domainObject.name}`);
+            console.error(error);
+        });
+    }
+
+    appliesTo(objectPath) {
+        let domainObject = objectPath[0];
+
+        return this._openmct.telemetry.isTelemetryObject(domainObject)
+            || this._openmct.composition.get(domainObject) !== undefined;
+    }
+
+    _getTelemetryObjects(domainObject, timeSystem) {
+        let objects;
+
+        if (this._openmct.telemetry.isTelemetryObject(domainObject)) {
+            objects = Promise.resolve([domainObject]);
+        } else {
+            objects = this._openmct.composition.get(domainObject).load();
+        }
+
+        return objects.then(composition => composition.filter(object => {
+            return this._openmct.telemetry.isTelemetryObject(object)
+                && this._openmct.telemetry.getMetadata(object).value(timeSystem.key) !== undefined;
+        }));
+    }
+
+    /**
+     * The telemetry values of all the given objects, without repeating keys.
+     */
+    _getValues(telemetryObjects) {
+        return telemetryObjects.reduce((values, telemetryObject) => {
+            this._openmct.telemetry.getMetadata(telemetryObject).values().forEach(metadatum => {
+                if (!values.some(value => value.key === metadatum.key)) {
+                    values.push(metadatum);
+                }
+            });
+
+            return values;
+        }, []);
+    }
+
+    _getFieldKey(value) {
+        return 'field-' + value.key;
+    }
+
+    /**
+     * The key of the format of a file, by its extension.
+     */
+    _getFormatKey(filename) {
+        return Object.keys(FORMATS).find(key => filename.endsWith(FORMATS[key].extension)) || 'csv';
+    }
+
+    /**
+     * The form for the export. The file name is only asked for when the
+     * file has not already been chosen.
+     */
+    _getExportForm(timeSystem, values, file) {
+        return {
+            name: 'Export Telemetry',
+            sections: [
+                {
+                    rows: [
+                        {
+                            key: 'start',
+                            control: 'textfield',
+                            name: `Start (${timeSystem.name})`,
+                            required: true
+                        },
+                        {
+                            key: 'end',
+                            control: 'textfield',
+                            name: `End (${timeSystem.name})`,
+                            required: true
+                        },
+                        {
+                            key: 'format',
+                            control: 'select',
+                            name: 'Format',
+                            required: true,
+                            options: Object.keys(FORMATS).map(key => {
+                                return {
+                                    name: FORMATS[key].name,
+                                    value: key
+                                };
+                            })
+                        },
+                        {
+                            key: 'timestampFormat',
+                            control: 'select',
+                            name: 'Timestamps',
+                            required: true,
+                            options: [
+                                {
+                                    name: 'Formatted',
+                                    value: 'formatted'
+                                },
+                                {
+                                    name: 'Raw values',
+                                    value: 'raw'
+                                }
+                            ]
+                        },
+                        {
+                            key: 'filename',
+                            control: 'textfield',
+                            name: 'File Name',
+                            required: true
+                        }
+                    ].filter(row => !file || row.key !== 'filename')
+                },
+                {
+                    name: 'Fields',
+                    rows: values.map(value => {
+                        return {
+                            key: this._getFieldKey(value),
+                            control: 'checkbox',
+                            name: value.name
+                        };
+                    })
+                }
+            ]
+        };
+    }
+
+    /**
+     * Asks the user to choose the file to export to, where the browser
+     * supports writing directly to files. Resolves with no file where it
+     * does not, and rejects if the user cancels choosing the file.
+     */
+    _pickFile(name) {
+        if (typeof window.showSaveFilePicker !== 'function') {
+            return Promise.resolve();
+        }
+
+        return window.showSaveFilePicker({
+            suggestedName: name + FORMATS.csv.extension,
+            types: Object.values(FORMATS).map(format => {
+                return {
+                    description: format.name,
+                    accept: {
+                        [format.mimeType]: [format.extension]
+                    }
+                };
+            })
+        }).catch(error => {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
+            // The file picker is not available, eg. without a user gesture.
+            return undefined;
+        });
+    }
+
+    /**
+     * Writes directly to the file chosen by the user where there is one,
+     * otherwise saves the file once it is complete.
+     */
+    _createWriter(file, filename, format) {
+        if (!file) {
+            return Promise.resolve(new BlobStreamWriter(filename, format.mimeType));
+        }
+
+        return file.createWritable()
+            .then(writable => new FileSystemStreamWriter(writable));
+    }
+
+    _export(domainObject, telemetryObjects, values, timeSystem, timeFormatter, input, file) {
+        let start = timeFormatter.parse(input.start);
+        let end = timeFormatter.parse(input.end);
+        let fields = values.filter(value => input[this._getFieldKey(value)]).map(value => value.key);
+        let format = FORMATS[input.format];
+
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+            this._openmct.notifications.error('Unable to export telemetry: invalid time range');
+
+            return;
+        }
+
+        if (!fields.length) {
+            this._openmct.notifications.error('Unable to export telemetry: no fields selected');
+
+            return;
+        }
+
+        let exporter = new TelemetryExporter(this._openmct, {
+            telemetryObjects,
+            timeSystem,
+            start,
+            end,
+            fields,
+            format: input.format,
+            timestampFormat: input.timestampFormat
+        });
+
+        return this._createWriter(file, input.filename + format.extension, format).then(writer => {
+            let progressDialog = this._openmct.overlays.progressDialog({
+                progressPerc: 0,
+                progressText: 'Requesting telemetry',
+                iconClass: 'info',
+                title: `Exporting ${domainObject.name}`,
+                message: 'Do not navigate away from this page or close this browser tab while this message is displayed.',
+                buttons: [
+                    {
+                        label: 'Cancel',
+                        callback: () => {
+                            exporter.cancel();
+                            progressDialog.dismiss();
+                        }
+                    }
+                ]
+            });
+
+            let truncated = false;
+
+            exporter.on('progress', (progressPerc, rowCount) => {
+                progressDialog.updateProgress(progressPerc, `${rowCount} rows exported`);
+            });
+            exporter.on('truncated', () => {
+                truncated = true;
+            });
+
+            if (writer instanceof BlobStreamWriter) {
+                writer.once('sizeWarning', () => {
+                    this._openmct.notifications.alert('This browser holds the whole export in memory until it is saved. '
+                        + 'Export a shorter time range if the browser runs out of memory.');
+                });
+            }
+
+            return exporter.export(writer).then(rowCount => {
+                if (exporter.cancelled) {
+                    return;
+                }
+
+                progressDialog.dismiss();
+
+                if (truncated) {
+                    this._openmct.notifications.alert(`Exported ${rowCount} rows from ${domainObject.name}, `
+                        + 'but some telemetry may be missing where too much was requested at once');
+                } else {
+                    this._openmct.notifications.info(`Exported ${rowCount} rows from ${domainObject.name}`);
+                }
+            }, error => {
+                if (!exporter.cancelled) {
+                    progressDialog.dismiss();
+                }
+
+                this._openmct.notifications.error(`Unable to export telemetry from ${domainObject.name}`);
+                console.error(error);
+            });
+        });
+    }
+}
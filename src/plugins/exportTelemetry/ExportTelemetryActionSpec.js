@@ -0,0 +1,143 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ExportTelemetryAction from './ExportTelemetryAction';
+
+describe('The export telemetry action', () => {
+    let openmct;
+    let dialogService;
+    let action;
+    let domainObject;
+    let file;
+    let originalShowSaveFilePicker;
+
+    beforeEach(() => {
+        domainObject = {
+            identifier: {
+                namespace: '',
+                key: 'a'
+            },
+            name: 'A'
+        };
+        file = {
+            name: 'A.ndjson',
+            createWritable: jasmine.createSpy('createWritable')
+        };
+        dialogService = jasmine.createSpyObj('dialogService', ['getUserInput']);
+        openmct = {
+            $injector: {
+                get: () => dialogService
+            },
+            time: {
+                timeSystem: () => ({
+                    key: 'utc',
+                    name: 'UTC',
+                    timeFormat: 'utc'
+                }),
+                bounds: () => ({
+                    start: 0,
+                    end: 100
+                })
+            },
+            telemetry: {
+                isTelemetryObject: () => true,
+                getMetadata: () => ({
+                    value: key => ({key}),
+                    values: () => [
+                        {
+                            key: 'utc',
+                            name: 'Time'
+                        },
+                        {
+                            key: 'value',
+                            name: 'Value'
+                        }
+                    ]
+                }),
+                getValueFormatter: () => ({
+                    format: String,
+                    parse: Number
+                })
+            },
+            notifications: jasmine.createSpyObj('notifications', ['alert', 'error', 'info'])
+        };
+        originalShowSaveFilePicker = window.showSaveFilePicker;
+        window.showSaveFilePicker = jasmine.createSpy('showSaveFilePicker').and.returnValue(Promise.resolve(file));
+        action = new ExportTelemetryAction(openmct);
+    });
+
+    afterEach(() => {
+        window.showSaveFilePicker = originalShowSaveFilePicker;
+    });
+
+    it('chooses the file before asking for the export options', (done) => {
+        dialogService.getUserInput.and.returnValue(Promise.reject());
+
+        const invoked = action.invoke([domainObject]);
+
+        expect(window.showSaveFilePicker).toHaveBeenCalled();
+        expect(dialogService.getUserInput).not.toHaveBeenCalled();
+
+        invoked.then(() => {
+            const [form, defaults] = dialogService.getUserInput.calls.mostRecent().args;
+            const rowKeys = form.sections[0].rows.map(row => row.key);
+
+            expect(rowKeys).not.toContain('filename');
+            expect(defaults.format).toBe('ndjson');
+        }).then(done, done.fail);
+    });
+
+    it('does not report cancelling the export options', (done) => {
+        dialogService.getUserInput.and.returnValue(Promise.reject());
+
+        action.invoke([domainObject]).then(() => {
+            expect(openmct.notifications.error).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+
+    it('does not report cancelling the choice of file', (done) => {
+        const abort = new Error('The user aborted a request.');
+        abort.name = 'AbortError';
+        window.showSaveFilePicker.and.returnValue(Promise.reject(abort));
+
+        action.invoke([domainObject]).then(() => {
+            expect(dialogService.getUserInput).not.toHaveBeenCalled();
+            expect(openmct.notifications.error).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+
+    it('reports failures', (done) => {
+        spyOn(console, 'error');
+        file.createWritable.and.returnValue(Promise.reject(new Error('Not allowed')));
+        dialogService.getUserInput.and.returnValue(Promise.resolve({
+            start: '0',
+            end: '100',
+            format: 'ndjson',
+            timestampFormat: 'raw',
+            'field-value': true
+        }));
+
+        action.invoke([domainObject]).then(() => {
+            expect(openmct.notifications.error).toHaveBeenCalledWith('Unable to export telemetry from A');
+        }).then(done, done.fail);
+    });
+});
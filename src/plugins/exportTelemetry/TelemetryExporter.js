@@ -0,0 +1,308 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import {FORMATS} from './formats';
+
+const INITIAL_CHUNK_COUNT = 100;
+const MAX_CHUNK_COUNT = 10000;
+const TARGET_CHUNK_SIZE = 10000;
+const MAX_REQUEST_SIZE = 100000;
+
+/**
+ * Exports the telemetry of one or more telemetry objects over a time range.
+ * The range is requested in chunks of time which are encoded and written
+ * one at a time, so the whole export is never held in memory. The duration
+ * of each chunk is adjusted to aim for TARGET_CHUNK_SIZE data per chunk.
+ *
+ * Each request asks for at most `requestSize` data. A chunk for which
+ * any object returns that many may have been cut short by its provider, so
+ * it is discarded and requested again in halves. If a chunk can not be
+ * split any further it is written as returned, and a 'truncated' event is
+ * emitted with its start and end.
+ *
+ * @param {OpenMCT} openmct
+ * @param {object} options
+ * @param {object[]} options.telemetryObjects the objects to export
+ * @param {TimeSystem} options.timeSystem the time system of the range
+ * @param {number} options.start the start of the range
+ * @param {number} options.end the end of the range
+ * @param {string[]} options.fields keys of the telemetry values to export
+ * @param {string} options.format the key of one of the export formats
+ * @param {string} [options.timestampFormat] 'formatted' to write timestamps
+ * with their format, or 'raw' to write their values. Defaults to 'formatted'.
+ * @param {number} [options.requestSize] the most data to request for one
+ * object at a time. Defaults to MAX_REQUEST_SIZE.
+ */
+export default class TelemetryExporter extends EventEmitter {
+    constructor(openmct, options) {
+        super();
+
+        this.openmct = openmct;
+        this.timeSystem = options.timeSystem;
+        this.start = options.start;
+        this.end = options.end;
+        this.timestampFormat = options.timestampFormat || 'formatted';
+        this.requestSize = options.requestSize || MAX_REQUEST_SIZE;
+        this.sources = options.telemetryObjects
+            .map(telemetryObject => this.createSource(telemetryObject, options.fields))
+            .filter(source => source.timeFormatter !== undefined);
+        this.columns = this.getColumns(options.fields);
+        this.encoder = new FORMATS[options.format].Encoder(this.columns);
+        this.rowCount = 0;
+        this.cancelled = false;
+    }
+
+    /**
+     * Export to the given writer, which is closed when the export is
+     * complete, or aborted if the export fails or is cancelled.
+     * @returns {Promise} resolving to the number of rows exported
+     */
+    export(writer) {
+        this.writer = writer;
+
+        return this.writer.write(this.encoder.header())
+            .then(() => this.exportFrom(this.start, (this.end - this.start) / INITIAL_CHUNK_COUNT))
+            .then(() => {
+                if (this.cancelled) {
+                    return this.writer.abort();
+                }
+
+                return this.writer.write(this.encoder.footer())
+                    .then(() => this.writer.close());
+            }, (error) => {
+                this.writer.abort();
+
+                throw error;
+            })
+            .then(() => this.rowCount);
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * @private
+     */
+    exportFrom(chunkStart, chunkDuration) {
+        let chunkEnd = Math.min(chunkStart + chunkDuration, this.end);
+
+        return this.requestChunk(chunkStart, chunkEnd).then(sourceChunks => {
+            if (this.cancelled) {
+                return;
+            }
+
+            let truncated = sourceChunks.some(sourceChunk => sourceChunk.truncated);
+            let halfDuration = (chunkEnd - chunkStart) / 2;
+
+            if (truncated && chunkStart < chunkStart + halfDuration && chunkStart + halfDuration < chunkEnd) {
+                return this.exportFrom(chunkStart, halfDuration);
+            }
+
+            if (truncated) {
+                this.emit('truncated', chunkStart, chunkEnd);
+            }
+
+            let rows = this.acceptChunk(sourceChunks);
+            let written = rows.length ? this.writer.write(this.encoder.encode(rows)) : Promise.resolve();
+
+            return written.then(() => {
+                this.rowCount += rows.length;
+                this.emit('progress', this.getProgress(chunkEnd), this.rowCount);
+
+                if (chunkEnd < this.end && !this.cancelled) {
+                    return this.exportFrom(chunkEnd, this.getNextChunkDuration(chunkDuration, rows.length));
+                }
+            });
+        });
+    }
+
+    /**
+     * Requests a chunk of telemetry for every object.
+     * @private
+     */
+    requestChunk(start, end) {
+        return Promise.all(this.sources.map(source => {
+            return this.openmct.telemetry.request(source.domainObject, {
+                start,
+                end,
+                domain: this.timeSystem.key,
+                size: this.requestSize
+            }).then(data => this.getChunkData(source, data, start, end));
+        }));
+    }
+
+    /**
+     * Remembers the data at the end of each object's chunk, and merges the
+     * chunks in time order.
+     * @private
+     */
+    acceptChunk(sourceChunks) {
+        sourceChunks.forEach(sourceChunk => {
+            sourceChunk.source.boundary = sourceChunk.boundary;
+        });
+
+        return [].concat(...sourceChunks.map(sourceChunk => sourceChunk.items))
+            .sort((a, b) => a.time - b.time)
+            .map(item => item.row);
+    }
+
+    /**
+     * Data at the boundary between two chunks may be returned for both, so
+     * data at the end of each chunk is remembered to avoid writing it twice.
+     * The boundary is only remembered once the chunk is accepted, as a
+     * truncated chunk is requested again.
+     * @private
+     */
+    getChunkData(source, data, start, end) {
+        let previousBoundary = source.boundary;
+        let boundary = {
+            time: end,
+            data: new Set()
+        };
+
+        let items = data.reduce((chunkItems, datum) => {
+            let time = source.timeFormatter.parse(datum);
+
+            if (time < start || time > end) {
+                return chunkItems;
+            }
+
+            let serialized = JSON.stringify(datum);
+
+            if (previousBoundary && time === previousBoundary.time && previousBoundary.data.has(serialized)) {
+                return chunkItems;
+            }
+
+            if (time === end) {
+                boundary.data.add(serialized);
+            }
+
+            chunkItems.push({
+                time,
+                row: this.getRow(source, datum)
+            });
+
+            return chunkItems;
+        }, []);
+
+        return {
+            source,
+            items,
+            boundary,
+            truncated: data.length >= this.requestSize
+        };
+    }
+
+    /**
+     * @private
+     */
+    getRow(source, datum) {
+        let row = {};
+
+        if (this.sources.length > 1) {
+            row.object = source.domainObject.name;
+        }
+
+        source.values.forEach(value => {
+            if (value.isTimestamp) {
+                row[value.key] = this.timestampFormat === 'formatted'
+                    ? value.formatter.format(datum)
+                    : value.formatter.parse(datum);
+            } else {
+                row[value.key] = datum[value.source];
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * @private
+     */
+    getNextChunkDuration(chunkDuration, chunkSize) {
+        let scale = chunkSize === 0 ? 2 : Math.min(Math.max(TARGET_CHUNK_SIZE / chunkSize, 0.5), 2);
+
+        return Math.max(chunkDuration * scale, (this.end - this.start) / MAX_CHUNK_COUNT);
+    }
+
+    /**
+     * @private
+     */
+    getProgress(time) {
+        if (this.end === this.start) {
+            return 100;
+        }
+
+        return Math.round((time - this.start) / (this.end - this.start) * 100);
+    }
+
+    /**
+     * @private
+     */
+    createSource(telemetryObject, fields) {
+        let metadata = this.openmct.telemetry.getMetadata(telemetryObject);
+        let timeMetadatum = metadata.value(this.timeSystem.key);
+
+        return {
+            domainObject: telemetryObject,
+            timeFormatter: timeMetadatum && this.openmct.telemetry.getValueFormatter(timeMetadatum),
+            values: metadata.values()
+                .filter(metadatum => fields.includes(metadatum.key))
+                .map(metadatum => {
+                    return {
+                        key: metadatum.key,
+                        name: metadatum.name,
+                        source: metadatum.source || metadatum.key,
+                        isTimestamp: Object.prototype.hasOwnProperty.call(metadatum.hints || {}, 'domain'),
+                        formatter: this.openmct.telemetry.getValueFormatter(metadatum)
+                    };
+                })
+        };
+    }
+
+    /**
+     * @private
+     */
+    getColumns(fields) {
+        let columns = this.sources.length > 1 ? [{
+            key: 'object',
+            name: 'Object'
+        }] : [];
+
+        fields.forEach(field => {
+            let value = this.sources
+                .map(source => source.values.find(sourceValue => sourceValue.key === field))
+                .find(sourceValue => sourceValue !== undefined);
+
+            if (value) {
+                columns.push({
+                    key: value.key,
+                    name: value.name
+                });
+            }
+        });
+
+        return columns;
+    }
+}
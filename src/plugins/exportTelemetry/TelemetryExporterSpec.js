@@ -0,0 +1,279 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import TelemetryExporter from './TelemetryExporter';
+
+describe('The telemetry exporter', () => {
+    let openmct;
+    let telemetryObjects;
+    let telemetry;
+    let writer;
+    let written;
+
+    function createTelemetryObject(key) {
+        return {
+            identifier: {
+                namespace: '',
+                key
+            },
+            name: key.toUpperCase(),
+            telemetry: {
+                values: [
+                    {
+                        key: 'utc',
+                        name: 'Time',
+                        hints: {
+                            domain: 1
+                        }
+                    },
+                    {
+                        key: 'value',
+                        name: 'Value',
+                        hints: {
+                            range: 1
+                        }
+                    }
+                ]
+            }
+        };
+    }
+
+    function createExporter(options) {
+        return new TelemetryExporter(openmct, Object.assign({
+            telemetryObjects,
+            timeSystem: {
+                key: 'utc'
+            },
+            start: 0,
+            end: 100,
+            fields: ['utc', 'value'],
+            format: 'csv'
+        }, options));
+    }
+
+    function writtenText() {
+        return written.join('');
+    }
+
+    beforeEach(() => {
+        telemetryObjects = [createTelemetryObject('a')];
+        telemetry = {
+            a: [],
+            b: []
+        };
+
+        for (let time = 0; time <= 100; time += 10) {
+            telemetry.a.push({
+                utc: time,
+                value: time / 10
+            });
+            telemetry.b.push({
+                utc: time + 5,
+                value: 'b, ' + time
+            });
+        }
+
+        openmct = {
+            telemetry: jasmine.createSpyObj('telemetry', ['getMetadata', 'getValueFormatter', 'request'])
+        };
+        openmct.telemetry.getMetadata.and.callFake(domainObject => {
+            return {
+                values: () => domainObject.telemetry.values,
+                value: key => domainObject.telemetry.values.find(value => value.key === key)
+            };
+        });
+        openmct.telemetry.getValueFormatter.and.callFake(metadatum => {
+            return {
+                parse: datum => datum[metadatum.key],
+                format: datum => 'T' + datum[metadatum.key]
+            };
+        });
+        openmct.telemetry.request.and.callFake((domainObject, options) => {
+            // Include data at both ends of the requested range.
+            return Promise.resolve(telemetry[domainObject.identifier.key]
+                .filter(datum => datum.utc >= options.start && datum.utc <= options.end));
+        });
+
+        written = [];
+        writer = jasmine.createSpyObj('writer', ['write', 'close', 'abort']);
+        writer.write.and.callFake(chunk => {
+            written.push(chunk);
+
+            return Promise.resolve();
+        });
+        writer.close.and.returnValue(Promise.resolve());
+        writer.abort.and.returnValue(Promise.resolve());
+    });
+
+    it('requests the range in chunks', () => {
+        return createExporter().export(writer).then(rowCount => {
+            expect(rowCount).toBe(11);
+            expect(openmct.telemetry.request.calls.count()).toBeGreaterThan(1);
+            expect(writer.close).toHaveBeenCalled();
+        });
+    });
+
+    it('writes data at chunk boundaries once', () => {
+        return createExporter().export(writer).then(() => {
+            let lines = writtenText().split('\r\n');
+
+            expect(lines[0]).toBe('Time,Value');
+            expect(lines.slice(1, -1)).toEqual([
+                'T0,0', 'T10,1', 'T20,2', 'T30,3', 'T40,4', 'T50,5',
+                'T60,6', 'T70,7', 'T80,8', 'T90,9', 'T100,10'
+            ]);
+        });
+    });
+
+    it('merges the data of several objects in time order', () => {
+        telemetryObjects.push(createTelemetryObject('b'));
+
+        return createExporter({
+            end: 20,
+            timestampFormat: 'raw'
+        }).export(writer).then(() => {
+            expect(writtenText().split('\r\n')).toEqual([
+                'Object,Time,Value',
+                'A,0,0',
+                'B,5,"b, 0"',
+                'A,10,1',
+                'B,15,"b, 10"',
+                'A,20,2',
+                ''
+            ]);
+        });
+    });
+
+    it('writes newline-delimited JSON', () => {
+        return createExporter({
+            end: 10,
+            format: 'ndjson',
+            timestampFormat: 'raw'
+        }).export(writer).then(() => {
+            expect(writtenText().trim().split('\n').map(line => JSON.parse(line))).toEqual([
+                {
+                    utc: 0,
+                    value: 0
+                },
+                {
+                    utc: 10,
+                    value: 1
+                }
+            ]);
+        });
+    });
+
+    it('writes columnar row groups', () => {
+        return createExporter({
+            format: 'columnar',
+            timestampFormat: 'raw'
+        }).export(writer).then(() => {
+            let chunks = written.filter(chunk => chunk.byteLength > 0);
+            let magic = new TextDecoder().decode(chunks[0]);
+            let values = [];
+
+            chunks.slice(1).forEach(chunk => {
+                let dataView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+                let headerLength = dataView.getUint32(0, true);
+                let header = JSON.parse(new TextDecoder().decode(chunk.subarray(4, 4 + headerLength)));
+                let valueOffset = 4 + headerLength + header.columns[0].byteLength;
+
+                expect(header.columns.map(column => column.type)).toEqual(['float64', 'float64']);
+
+                for (let i = 0; i < header.rowCount; i++) {
+                    values.push(dataView.getFloat64(valueOffset + i * 8, true));
+                }
+            });
+
+            expect(magic).toBe('OMCOL1\n');
+            expect(values).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        });
+    });
+
+    it('requests a chunk again in halves when as much data as requested is returned', () => {
+        let truncated = jasmine.createSpy('truncated');
+        let exporter = createExporter({
+            requestSize: 3
+        });
+        let request = openmct.telemetry.request.and.callFake((domainObject, options) => {
+            return Promise.resolve(telemetry[domainObject.identifier.key]
+                .filter(datum => datum.utc >= options.start && datum.utc <= options.end)
+                .slice(0, options.size));
+        });
+        exporter.on('truncated', truncated);
+
+        return exporter.export(writer).then(rowCount => {
+            expect(request.calls.all().every(call => call.args[1].size === 3)).toBe(true);
+            expect(rowCount).toBe(11);
+            expect(writtenText().split('\r\n').slice(1, -1)).toEqual([
+                'T0,0', 'T10,1', 'T20,2', 'T30,3', 'T40,4', 'T50,5',
+                'T60,6', 'T70,7', 'T80,8', 'T90,9', 'T100,10'
+            ]);
+            expect(truncated).not.toHaveBeenCalled();
+        });
+    });
+
+    it('writes a chunk which can not be split as returned, and reports it', () => {
+        let truncated = jasmine.createSpy('truncated');
+        let exporter = createExporter({
+            requestSize: 3
+        });
+        telemetry.a = [1, 2, 3, 4, 5].map(value => {
+            return {
+                utc: 50,
+                value
+            };
+        });
+        openmct.telemetry.request.and.callFake((domainObject, options) => {
+            return Promise.resolve(telemetry[domainObject.identifier.key]
+                .filter(datum => datum.utc >= options.start && datum.utc <= options.end)
+                .slice(0, options.size));
+        });
+        exporter.on('truncated', truncated);
+
+        return exporter.export(writer).then(rowCount => {
+            expect(rowCount).toBe(3);
+            expect(truncated).toHaveBeenCalled();
+        });
+    });
+
+    it('aborts the file when cancelled', () => {
+        let exporter = createExporter();
+        exporter.on('progress', () => exporter.cancel());
+
+        return exporter.export(writer).then(() => {
+            expect(openmct.telemetry.request.calls.count()).toBe(1);
+            expect(writer.abort).toHaveBeenCalled();
+            expect(writer.close).not.toHaveBeenCalled();
+        });
+    });
+
+    it('aborts the file when a request fails', () => {
+        openmct.telemetry.request.and.returnValue(Promise.reject(new Error('failed')));
+
+        return createExporter().export(writer).then(() => {
+            fail('expected the export to fail');
+        }, () => {
+            expect(writer.abort).toHaveBeenCalled();
+        });
+    });
+});
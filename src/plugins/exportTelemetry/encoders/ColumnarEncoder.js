@@ -0,0 +1,108 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+const MAGIC = 'OMCOL1\n';
+
+/**
+ * A simple columnar binary format, written as a sequence of row groups so
+ * that it can be streamed. The file starts with the bytes "OMCOL1\n". Each
+ * row group is a little-endian uint32 giving the length of a UTF-8 JSON
+ * header, the header itself, and then the data of each column in header
+ * order. The header gives the number of rows, and the key, name, type and
+ * byte length of each column. Columns of type 'float64' are little-endian
+ * 64 bit floats, with NaN for missing values. Columns of type 'string' are a
+ * UTF-8 JSON array.
+ */
+export default class ColumnarEncoder {
+    constructor(columns) {
+        this.columns = columns;
+        this.textEncoder = new TextEncoder();
+    }
+
+    header() {
+        return this.textEncoder.encode(MAGIC);
+    }
+
+    encode(rows) {
+        let columnData = this.columns.map(column => this.encodeColumn(column, rows));
+        let header = this.textEncoder.encode(JSON.stringify({
+            rowCount: rows.length,
+            columns: columnData.map(data => {
+                return {
+                    key: data.column.key,
+                    name: data.column.name,
+                    type: data.type,
+                    byteLength: data.bytes.byteLength
+                };
+            })
+        }));
+        let byteLength = columnData.reduce((total, data) => total + data.bytes.byteLength, 4 + header.byteLength);
+        let bytes = new Uint8Array(byteLength);
+        let offset = 4;
+
+        new DataView(bytes.buffer).setUint32(0, header.byteLength, true);
+        bytes.set(header, offset);
+        offset += header.byteLength;
+
+        columnData.forEach(data => {
+            bytes.set(data.bytes, offset);
+            offset += data.bytes.byteLength;
+        });
+
+        return bytes;
+    }
+
+    footer() {
+        return '';
+    }
+
+    /**
+     * @private
+     */
+    encodeColumn(column, rows) {
+        let values = rows.map(row => row[column.key]);
+        let isNumeric = values.every(value => typeof value === 'number' || value === undefined || value === null);
+
+        if (!isNumeric) {
+            return {
+                column,
+                type: 'string',
+                bytes: this.textEncoder.encode(JSON.stringify(values.map(value => {
+                    return value === undefined || value === null ? null : String(value);
+                })))
+            };
+        }
+
+        let bytes = new Uint8Array(values.length * 8);
+        let dataView = new DataView(bytes.buffer);
+
+        values.forEach((value, index) => {
+            dataView.setFloat64(index * 8, typeof value === 'number' ? value : NaN, true);
+        });
+
+        return {
+            column,
+            type: 'float64',
+            bytes
+        };
+    }
+}
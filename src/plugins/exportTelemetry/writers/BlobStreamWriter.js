@@ -0,0 +1,74 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import {saveAs} from 'file-saver/FileSaver';
+
+const WARNING_SIZE = 500 * 1024 * 1024;
+
+/**
+ * A fallback for browsers which can not write to a file as it is exported.
+ * This does not stream: every chunk is held in memory as a part of a Blob,
+ * which is saved when closed, so the size of an export is bounded by the
+ * memory available to the browser. The chunks are never joined into a
+ * single string.
+ *
+ * Emits a 'sizeWarning' event, once, when more than WARNING_SIZE bytes
+ * have been written.
+ */
+export default class BlobStreamWriter extends EventEmitter {
+    constructor(filename, mimeType) {
+        super();
+
+        this.filename = filename;
+        this.mimeType = mimeType;
+        this.parts = [];
+        this.size = 0;
+    }
+
+    write(chunk) {
+        let warned = this.size > WARNING_SIZE;
+
+        this.parts.push(chunk);
+        // The length of a string is a lower bound of its size once encoded.
+        this.size += typeof chunk === 'string' ? chunk.length : chunk.byteLength;
+
+        if (!warned && this.size > WARNING_SIZE) {
+            this.emit('sizeWarning', this.size);
+        }
+
+        return Promise.resolve();
+    }
+
+    close() {
+        saveAs(new Blob(this.parts, { type: this.mimeType }), this.filename);
+        this.parts = [];
+
+        return Promise.resolve();
+    }
+
+    abort() {
+        this.parts = [];
+
+        return Promise.resolve();
+    }
+}
@@ -0,0 +1,93 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import moment from 'moment';
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const WEEK_SECONDS_PATTERN = /^\s*(\d+)[:\s]\s*(\d+(?:\.\d*)?)\s*$/;
+const UTC_DATE_FORMATS = [
+    'YYYY-MM-DD HH:mm:ss.SSSZ',
+    'YYYY-MM-DD HH:mm:ss.SSS',
+    'YYYY-MM-DD HH:mm:ss',
+    'YYYY-MM-DD HH:mm',
+    'YYYY-MM-DD'
+];
+
+/**
+ * Formats GPS times as the GPS week and the seconds of that week, such as
+ * `2125:345600.000`. Also parses UTC dates, converting them to GPS time with
+ * the leap seconds in effect at the time.
+ *
+ * On a scale, such as a time axis, times are labelled with only the week at
+ * the start of a week, the seconds of the week, or the milliseconds, as
+ * suits the time.
+ *
+ * @implements {Format}
+ */
+export default class GPSTimeFormat {
+    /**
+     * @param {LeapSecondTable} leapSeconds
+     */
+    constructor(leapSeconds) {
+        this.key = 'gps';
+        this.leapSeconds = leapSeconds;
+    }
+
+    format(value, minValue, maxValue) {
+        if (value === undefined) {
+            return value;
+        }
+
+        const week = Math.floor(value / WEEK);
+        const seconds = (value - week * WEEK) / 1000;
+
+        if (minValue === undefined || maxValue === undefined) {
+            return `${week}:${seconds.toFixed(3).padStart(10, '0')}`;
+        }
+
+        if (value % WEEK === 0) {
+            return `Week ${week}`;
+        } else if (value % 1000 !== 0) {
+            return `.${String(value % 1000).padStart(3, '0')}`;
+        } else {
+            return String(seconds);
+        }
+    }
+
+    parse(text) {
+        if (typeof text === 'number') {
+            return text;
+        }
+
+        const match = WEEK_SECONDS_PATTERN.exec(text);
+
+        if (match) {
+            return Number(match[1]) * WEEK + Math.round(Number(match[2]) * 1000);
+        }
+
+        return this.leapSeconds.utcToGPS(moment.utc(text, UTC_DATE_FORMATS).valueOf());
+    }
+
+    validate(text) {
+        return WEEK_SECONDS_PATTERN.test(text) || moment.utc(text, UTC_DATE_FORMATS, true).isValid();
+    }
+}
@@ -0,0 +1,60 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import GPSTimeFormat from './GPSTimeFormat';
+import LeapSecondTable, { GPS_EPOCH } from './LeapSecondTable';
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+describe('The GPS time format', () => {
+    let format;
+
+    beforeEach(() => {
+        format = new GPSTimeFormat(new LeapSecondTable());
+    });
+
+    it('formats times as weeks and seconds of the week', () => {
+        expect(format.format(2125 * WEEK + 345600500)).toBe('2125:345600.500');
+        expect(format.format(2125 * WEEK + 1000)).toBe('2125:000001.000');
+    });
+
+    it('formats times on a scale as briefly as suits them', () => {
+        expect(format.format(2125 * WEEK, 0, 1)).toBe('Week 2125');
+        expect(format.format(2125 * WEEK + 60000, 0, 1)).toBe('60');
+        expect(format.format(2125 * WEEK + 60050, 0, 1)).toBe('.050');
+    });
+
+    it('parses weeks and seconds of the week', () => {
+        expect(format.validate('2125:345600.5')).toBe(true);
+        expect(format.parse('2125:345600.5')).toBe(2125 * WEEK + 345600500);
+        expect(format.parse('2125 60')).toBe(2125 * WEEK + 60000);
+    });
+
+    it('parses UTC dates using the leap seconds in effect', () => {
+        expect(format.validate('2020-01-01 00:00:00')).toBe(true);
+        expect(format.parse('2020-01-01 00:00:00')).toBe(Date.UTC(2020, 0, 1) - GPS_EPOCH + 18000);
+    });
+
+    it('rejects other text', () => {
+        expect(format.validate('tomorrow')).toBe(false);
+    });
+});
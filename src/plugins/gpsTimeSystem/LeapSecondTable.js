@@ -0,0 +1,107 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * The start of GPS time, in ms since the UNIX epoch.
+ */
+export const GPS_EPOCH = Date.UTC(1980, 0, 6);
+
+/**
+ * The UTC times at which leap seconds took effect, and the number of seconds
+ * by which GPS time was then ahead of UTC.
+ */
+export const LEAP_SECONDS = [
+    [Date.UTC(1981, 6, 1), 1],
+    [Date.UTC(1982, 6, 1), 2],
+    [Date.UTC(1983, 6, 1), 3],
+    [Date.UTC(1985, 6, 1), 4],
+    [Date.UTC(1988, 0, 1), 5],
+    [Date.UTC(1990, 0, 1), 6],
+    [Date.UTC(1991, 0, 1), 7],
+    [Date.UTC(1992, 6, 1), 8],
+    [Date.UTC(1993, 6, 1), 9],
+    [Date.UTC(1994, 6, 1), 10],
+    [Date.UTC(1996, 0, 1), 11],
+    [Date.UTC(1997, 6, 1), 12],
+    [Date.UTC(1999, 0, 1), 13],
+    [Date.UTC(2006, 0, 1), 14],
+    [Date.UTC(2009, 0, 1), 15],
+    [Date.UTC(2012, 6, 1), 16],
+    [Date.UTC(2015, 6, 1), 17],
+    [Date.UTC(2017, 0, 1), 18]
+];
+
+/**
+ * Converts between UTC times, in ms since the UNIX epoch, and GPS times, in
+ * ms since the GPS epoch. GPS time does not have leap seconds, so it moves
+ * ahead of UTC by a second for each leap second. As UTC times cannot
+ * represent a leap second itself, GPS times within it convert to the second
+ * after it.
+ */
+export default class LeapSecondTable {
+    /**
+     * @param {Array.<number[]>} [leapSeconds] pairs of the UTC time at which
+     *        a leap second took effect and the offset of GPS from UTC after
+     *        it, in seconds; defaults to the leap seconds to date
+     */
+    constructor(leapSeconds = LEAP_SECONDS) {
+        this.entries = leapSeconds
+            .map(([utc, offset]) => ({
+                utc,
+                gps: utc - GPS_EPOCH + offset * 1000,
+                offset
+            }))
+            .sort((a, b) => a.utc - b.utc);
+    }
+
+    utcToGPS(utc) {
+        const entry = this.findLast(leapSecond => leapSecond.utc <= utc);
+
+        return utc - GPS_EPOCH + this.offsetOf(entry) * 1000;
+    }
+
+    gpsToUTC(gps) {
+        const entry = this.findLast(leapSecond => leapSecond.gps <= gps);
+
+        return gps + GPS_EPOCH - this.offsetOf(entry) * 1000;
+    }
+
+    /**
+     * @private
+     */
+    findLast(predicate) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (predicate(this.entries[i])) {
+                return this.entries[i];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    offsetOf(entry) {
+        return entry ? entry.offset : 0;
+    }
+}
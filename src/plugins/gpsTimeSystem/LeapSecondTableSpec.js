@@ -0,0 +1,59 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import LeapSecondTable, { GPS_EPOCH } from './LeapSecondTable';
+
+describe('The leap second table', () => {
+    let table;
+
+    beforeEach(() => {
+        table = new LeapSecondTable();
+    });
+
+    it('converts the GPS epoch', () => {
+        expect(table.utcToGPS(GPS_EPOCH)).toBe(0);
+        expect(table.gpsToUTC(0)).toBe(GPS_EPOCH);
+    });
+
+    it('accounts for the leap seconds in effect', () => {
+        const utc = Date.UTC(2020, 0, 1);
+        const gps = utc - GPS_EPOCH + 18000;
+
+        expect(table.utcToGPS(utc)).toBe(gps);
+        expect(table.gpsToUTC(gps)).toBe(utc);
+        expect(table.utcToGPS(Date.UTC(2016, 11, 31, 23, 59, 59))).toBe(Date.UTC(2016, 11, 31, 23, 59, 59) - GPS_EPOCH + 17000);
+    });
+
+    it('converts GPS times within a leap second to the second after it', () => {
+        const leapSecond = Date.UTC(2017, 0, 1) - GPS_EPOCH + 17000;
+
+        expect(table.gpsToUTC(leapSecond + 500)).toBe(Date.UTC(2017, 0, 1, 0, 0, 0, 500));
+        expect(table.gpsToUTC(leapSecond + 1000)).toBe(Date.UTC(2017, 0, 1));
+    });
+
+    it('accepts other leap seconds', () => {
+        table = new LeapSecondTable([[Date.UTC(2000, 0, 1), 40]]);
+
+        expect(table.utcToGPS(Date.UTC(2000, 0, 1))).toBe(Date.UTC(2000, 0, 1) - GPS_EPOCH + 40000);
+        expect(table.utcToGPS(Date.UTC(1999, 0, 1))).toBe(Date.UTC(1999, 0, 1) - GPS_EPOCH);
+    });
+});
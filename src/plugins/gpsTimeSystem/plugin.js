@@ -0,0 +1,45 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import GPSTimeSystem from './GPSTimeSystem';
+import GPSTimeFormat from './GPSTimeFormat';
+import LeapSecondTable from './LeapSecondTable';
+
+/**
+ * Installs a time system of GPS times, and conversions between UTC and GPS
+ * times which account for leap seconds.
+ *
+ * @param {object} [options]
+ * @param {Array.<number[]>} [options.leapSeconds] pairs of the UTC time at
+ *        which a leap second took effect and the offset of GPS from UTC
+ *        after it, in seconds, to use in place of the leap seconds to date
+ */
+export default function (options = {}) {
+    return function (openmct) {
+        const leapSeconds = new LeapSecondTable(options.leapSeconds);
+
+        openmct.time.addTimeSystem(new GPSTimeSystem());
+        openmct.telemetry.addFormat(new GPSTimeFormat(leapSeconds));
+        openmct.time.addTimeConversion('utc', 'gps', utc => leapSeconds.utcToGPS(utc));
+        openmct.time.addTimeConversion('gps', 'utc', gps => leapSeconds.gpsToUTC(gps));
+    };
+}
@@ -20,7 +20,7 @@ export default function ImageryViewProvider(openmct) {
         canView: function (domainObject) {
             return hasImageTelemetry(domainObject);
         },
-        view: function (domainObject) {
+        view: function (domainObject, objectPath) {
             let component;
 
             return {
@@ -32,7 +32,8 @@ export default function ImageryViewProvider(openmct) {
                         },
                         provide: {
                             openmct,
-                            domainObject
+                            domainObject,
+                            objectPath
                         },
                         template: '<imagery-view-layout ref="ImageryLayout"></imagery-view-layout>'
                     });
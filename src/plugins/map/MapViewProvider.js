@@ -0,0 +1,69 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MapView from './components/MapView.vue';
+import { getPositionValues } from './position';
+import Vue from 'vue';
+
+export default function MapViewProvider(openmct, options) {
+    function hasPositionTelemetry(domainObject) {
+        return openmct.telemetry.isTelemetryObject(domainObject)
+            && getPositionValues(openmct.telemetry.getMetadata(domainObject)) !== undefined;
+    }
+
+    return {
+        key: 'map',
+        name: 'Map',
+        cssClass: 'icon-target',
+        canView(domainObject) {
+            return domainObject.type === 'telemetry.map' || hasPositionTelemetry(domainObject);
+        },
+        view(domainObject, objectPath) {
+            let component;
+
+            return {
+                show(element) {
+                    component = new Vue({
+                        el: element,
+                        components: {
+                            MapView
+                        },
+                        provide: {
+                            openmct,
+                            domainObject,
+                            objectPath,
+                            mapOptions: options
+                        },
+                        template: '<map-view></map-view>'
+                    });
+                },
+                destroy() {
+                    component.$destroy();
+                    component = undefined;
+                }
+            };
+        },
+        priority() {
+            return 1;
+        }
+    };
+}
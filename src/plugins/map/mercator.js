@@ -0,0 +1,149 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * Web Mercator projection, as used by XYZ ("slippy map") tile servers.
+ * Positions are projected to pixels of the whole world map at a zoom
+ * level, which is 256 * 2^zoom pixels square.
+ */
+
+export const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.0511287798;
+
+function getWorldSize(zoom) {
+    return TILE_SIZE * Math.pow(2, zoom);
+}
+
+/**
+ * @param {number} latitude degrees
+ * @param {number} longitude degrees
+ * @param {number} zoom
+ * @returns {Object} `x` and `y` in world pixels
+ */
+export function project(latitude, longitude, zoom) {
+    const size = getWorldSize(zoom);
+    const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+    const sinLatitude = Math.sin(clamped * Math.PI / 180);
+
+    return {
+        x: (longitude + 180) / 360 * size,
+        y: (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI)) * size
+    };
+}
+
+/**
+ * @param {number} x world pixels
+ * @param {number} y world pixels
+ * @param {number} zoom
+ * @returns {Object} `latitude` and `longitude` in degrees
+ */
+export function unproject(x, y, zoom) {
+    const size = getWorldSize(zoom);
+    const n = Math.PI - 2 * Math.PI * y / size;
+
+    return {
+        latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+        longitude: x / size * 360 - 180
+    };
+}
+
+/**
+ * Find the closest view which shows all of the given positions.
+ *
+ * @param {Object[]} positions `latitude` and `longitude` of each position
+ * @param {number} width the width of the view in pixels
+ * @param {number} height the height of the view in pixels
+ * @param {number} maxZoom the highest zoom level to use
+ * @param {number} [padding=20] pixels to leave around the positions
+ * @returns {Object|undefined} the `center` and `zoom` of the view, or
+ *          undefined if there are no positions
+ */
+export function fitPositions(positions, width, height, maxZoom, padding = 20) {
+    if (!positions.length) {
+        return undefined;
+    }
+
+    const latitudes = positions.map(position => position.latitude);
+    const longitudes = positions.map(position => position.longitude);
+    const north = Math.max(...latitudes);
+    const south = Math.min(...latitudes);
+    const east = Math.max(...longitudes);
+    const west = Math.min(...longitudes);
+    const center = {
+        latitude: (north + south) / 2,
+        longitude: (east + west) / 2
+    };
+    let zoom = maxZoom;
+
+    for (; zoom > 0; zoom--) {
+        const northWest = project(north, west, zoom);
+        const southEast = project(south, east, zoom);
+
+        if (southEast.x - northWest.x <= width - 2 * padding
+            && southEast.y - northWest.y <= height - 2 * padding) {
+            break;
+        }
+    }
+
+    return {
+        center,
+        zoom
+    };
+}
+
+/**
+ * List the tiles which cover a view.
+ *
+ * @param {Object} center the `latitude` and `longitude` at the center of
+ *        the view
+ * @param {number} zoom
+ * @param {number} width the width of the view in pixels
+ * @param {number} height the height of the view in pixels
+ * @returns {Object[]} for each tile, its `x`, `y` and `z` tile coordinates
+ *          and the `left` and `top` of the tile in the view, in pixels
+ */
+export function getTiles(center, zoom, width, height) {
+    const tileCount = Math.pow(2, zoom);
+    const centerPixel = project(center.latitude, center.longitude, zoom);
+    const originX = centerPixel.x - width / 2;
+    const originY = centerPixel.y - height / 2;
+    const tiles = [];
+
+    for (let tileY = Math.floor(originY / TILE_SIZE); tileY * TILE_SIZE < originY + height; tileY++) {
+        if (tileY < 0 || tileY >= tileCount) {
+            continue;
+        }
+
+        for (let tileX = Math.floor(originX / TILE_SIZE); tileX * TILE_SIZE < originX + width; tileX++) {
+            tiles.push({
+                // Tiles repeat east and west of the antimeridian.
+                x: ((tileX % tileCount) + tileCount) % tileCount,
+                y: tileY,
+                z: zoom,
+                left: tileX * TILE_SIZE - originX,
+                top: tileY * TILE_SIZE - originY
+            });
+        }
+    }
+
+    return tiles;
+}
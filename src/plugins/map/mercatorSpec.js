@@ -0,0 +1,100 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    TILE_SIZE,
+    fitPositions,
+    getTiles,
+    project,
+    unproject
+} from './mercator';
+
+describe('The Web Mercator projection', () => {
+    it('puts the origin at the center of the world', () => {
+        expect(project(0, 0, 0)).toEqual({
+            x: TILE_SIZE / 2,
+            y: TILE_SIZE / 2
+        });
+    });
+
+    it('doubles in size with each zoom level', () => {
+        const position = project(47.4, 8.5, 3);
+        const zoomedIn = project(47.4, 8.5, 4);
+
+        expect(zoomedIn.x).toBeCloseTo(position.x * 2, 6);
+        expect(zoomedIn.y).toBeCloseTo(position.y * 2, 6);
+    });
+
+    it('inverts projected positions', () => {
+        const pixel = project(47.397742, 8.545594, 15);
+        const position = unproject(pixel.x, pixel.y, 15);
+
+        expect(position.latitude).toBeCloseTo(47.397742, 6);
+        expect(position.longitude).toBeCloseTo(8.545594, 6);
+    });
+
+    it('fits a view around positions', () => {
+        const positions = [
+            {
+                latitude: 47.39,
+                longitude: 8.54
+            },
+            {
+                latitude: 47.40,
+                longitude: 8.55
+            }
+        ];
+        const view = fitPositions(positions, 400, 300, 18);
+        const northWest = project(47.40, 8.54, view.zoom);
+        const southEast = project(47.39, 8.55, view.zoom);
+        const tighter = fitPositions(positions, 400, 300, view.zoom + 1);
+
+        expect(view.center.latitude).toBeCloseTo(47.395, 6);
+        expect(view.center.longitude).toBeCloseTo(8.545, 6);
+        expect(southEast.x - northWest.x).toBeLessThanOrEqual(360);
+        expect(tighter.zoom).toBe(view.zoom);
+        expect(fitPositions([], 400, 300, 18)).toBeUndefined();
+    });
+
+    it('lists the tiles which cover a view', () => {
+        const tiles = getTiles({
+            latitude: 0,
+            longitude: 0
+        }, 1, 512, 512);
+
+        expect(tiles.map(tile => `${tile.x}/${tile.y}`).sort()).toEqual(['0/0', '0/1', '1/0', '1/1']);
+        expect(tiles.find(tile => tile.x === 0 && tile.y === 0)).toEqual(jasmine.objectContaining({
+            left: 0,
+            top: 0
+        }));
+    });
+
+    it('wraps tiles across the antimeridian', () => {
+        const tiles = getTiles({
+            latitude: 0,
+            longitude: 180
+        }, 1, 256, 256);
+
+        const columns = [...new Set(tiles.map(tile => tile.x))].sort();
+
+        expect(columns).toEqual([0, 1]);
+    });
+});
@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MapViewProvider from './MapViewProvider';
+import mapCompositionPolicy from './MapCompositionPolicy';
+
+const DEFAULT_MIN_ZOOM = 1;
+const DEFAULT_MAX_ZOOM = 18;
+
+/**
+ * Shows the position, heading and track of vehicles on a map, for
+ * telemetry whose metadata has `latitude` and `longitude` hints (and,
+ * optionally, a `heading` hint). Tiles are read from an XYZ tile server,
+ * which may be a directory of tiles served alongside Open MCT for use
+ * offline; without one, or where tiles are missing, a blank grid is drawn.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.tileUrl] the URL of each tile, with `{z}`,
+ *        `{x}` and `{y}` in place of the zoom level and tile coordinates,
+ *        such as `/tiles/{z}/{x}/{y}.png`
+ * @param {number} [options.minZoom=1] the lowest zoom level to show
+ * @param {number} [options.maxZoom=18] the highest zoom level to show,
+ *        which should be the highest level the tile server has
+ */
+export default function MapPlugin(options = {}) {
+    return function install(openmct) {
+        const mapOptions = {
+            tileUrl: options.tileUrl,
+            minZoom: options.minZoom === undefined ? DEFAULT_MIN_ZOOM : options.minZoom,
+            maxZoom: options.maxZoom === undefined ? DEFAULT_MAX_ZOOM : options.maxZoom
+        };
+
+        openmct.types.addType('telemetry.map', {
+            name: 'Map',
+            creatable: true,
+            description: 'A map of the position, heading and track of one or more vehicles over the current time bounds.',
+            cssClass: 'icon-target',
+            initialize(domainObject) {
+                domainObject.composition = [];
+            }
+        });
+
+        openmct.objectViews.addProvider(new MapViewProvider(openmct, mapOptions));
+        openmct.composition.addPolicy(mapCompositionPolicy(openmct));
+    };
+}
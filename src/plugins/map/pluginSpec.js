@@ -0,0 +1,177 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import MapPlugin from './plugin';
+import Vue from 'vue';
+import {
+    createOpenMct,
+    getMockTelemetryObject,
+    resetApplicationState
+} from 'utils/testing';
+
+describe('The Map plugin', () => {
+    let openmct;
+    let positionObject;
+    let otherTelemetryObject;
+
+    beforeEach((done) => {
+        positionObject = getMockTelemetryObject('position', [
+            {
+                key: 'lat',
+                unit: 'degE7',
+                hints: {
+                    range: 1,
+                    latitude: 1
+                }
+            },
+            {
+                key: 'lon',
+                unit: 'degE7',
+                hints: {
+                    range: 2,
+                    longitude: 1
+                }
+            },
+            {
+                key: 'hdg',
+                unit: 'cdeg',
+                hints: {
+                    range: 3,
+                    heading: 1
+                }
+            }
+        ]);
+        otherTelemetryObject = getMockTelemetryObject('other', [
+            {
+                key: 'value',
+                hints: {
+                    range: 1
+                }
+            }
+        ]);
+
+        openmct = createOpenMct();
+        openmct.install(MapPlugin());
+        openmct.time.bounds({
+            start: 0,
+            end: 10
+        });
+        openmct.on('start', done);
+        openmct.startHeadless();
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('defines a creatable map type', () => {
+        expect(openmct.types.get('telemetry.map').definition.creatable).toBe(true);
+    });
+
+    it('provides a map view for telemetry with a position', () => {
+        const keys = openmct.objectViews.get(positionObject).map(provider => provider.key);
+
+        expect(keys).toContain('map');
+    });
+
+    it('does not provide a map view for other telemetry', () => {
+        const keys = openmct.objectViews.get(otherTelemetryObject).map(provider => provider.key);
+
+        expect(keys).not.toContain('map');
+    });
+
+    it('only allows telemetry with a position in maps', () => {
+        const map = {
+            identifier: {
+                namespace: '',
+                key: 'map'
+            },
+            type: 'telemetry.map',
+            composition: []
+        };
+
+        expect(openmct.composition.checkPolicy(map, positionObject)).toBe(true);
+        expect(openmct.composition.checkPolicy(map, otherTelemetryObject)).toBe(false);
+    });
+
+    describe('the map view', () => {
+        let element;
+        let view;
+
+        beforeEach(() => {
+            spyOn(openmct.telemetry, 'request').and.returnValue(Promise.resolve([
+                {
+                    utc: 1,
+                    lat: 473977420,
+                    lon: 85455940,
+                    hdg: 9000
+                },
+                {
+                    utc: 2,
+                    lat: 473987420,
+                    lon: 85465940,
+                    hdg: 9000
+                }
+            ]));
+
+            element = document.createElement('div');
+            element.style.width = '400px';
+            element.style.height = '300px';
+            document.body.appendChild(element);
+
+            const provider = openmct.objectViews.get(positionObject).find(candidate => candidate.key === 'map');
+            view = provider.view(positionObject, [positionObject]);
+            view.show(element);
+
+            return Promise.resolve().then(Vue.nextTick);
+        });
+
+        afterEach(() => {
+            view.destroy();
+            element.remove();
+        });
+
+        it('requests the track for the current bounds', () => {
+            expect(openmct.telemetry.request).toHaveBeenCalledWith(positionObject, jasmine.objectContaining({
+                start: 0,
+                end: 10
+            }));
+        });
+
+        it('draws the track and a heading glyph', () => {
+            expect(element.querySelector('.c-map__track-line').getAttribute('points').split(' ').length).toBe(2);
+            expect(element.querySelector('.c-map__vehicle').getAttribute('transform')).toContain('rotate(90)');
+        });
+
+        it('marks the position at the time of interest', () => {
+            openmct.time.timeOfInterest(1);
+
+            return Vue.nextTick().then(() => {
+                expect(element.querySelector('.c-map__toi')).not.toBeNull();
+            });
+        });
+
+        it('draws a blank grid without a tile server', () => {
+            expect(element.querySelectorAll('.c-map__tile--blank').length).toBeGreaterThan(0);
+            expect(element.querySelector('img.c-map__tile')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+const HINTS = ['latitude', 'longitude', 'heading'];
+const UNIT_SCALES = {
+    deg: 1,
+    degE7: 1e-7,
+    cdeg: 0.01,
+    rad: 180 / Math.PI
+};
+
+/**
+ * Find the values of telemetry which give a position and heading, by
+ * their `latitude`, `longitude` and `heading` hints.
+ *
+ * @param {TelemetryMetadataManager} metadata
+ * @returns {Object|undefined} the `latitude`, `longitude` and (if any)
+ *          `heading` value metadata, or undefined if the telemetry has no
+ *          position
+ */
+export function getPositionValues(metadata) {
+    if (!metadata) {
+        return undefined;
+    }
+
+    const values = HINTS.reduce((result, hint) => {
+        result[hint] = metadata.valuesForHints([hint])[0];
+
+        return result;
+    }, {});
+
+    return values.latitude && values.longitude ? values : undefined;
+}
+
+/**
+ * Convert an angle to degrees from the units given in its metadata:
+ * `deg` (the default), `degE7`, `cdeg` or `rad`.
+ *
+ * @param {number} value
+ * @param {string} [unit]
+ * @returns {number|undefined} the angle in degrees, or undefined if the
+ *          value is not a number
+ */
+export function toDegrees(value, unit) {
+    const number = Number(value) * (UNIT_SCALES[unit] || 1);
+
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Read the position of a vehicle from a telemetry datum.
+ *
+ * @param {Object} datum
+ * @param {Object} values value metadata from getPositionValues
+ * @returns {Object|undefined} `latitude`, `longitude` and `heading` in
+ *          degrees, or undefined if the datum has no valid position;
+ *          heading is undefined if it is not known
+ */
+export function getPosition(datum, values) {
+    const latitude = toDegrees(datum[values.latitude.source], values.latitude.unit);
+    const longitude = toDegrees(datum[values.longitude.source], values.longitude.unit);
+    let heading = values.heading
+        ? toDegrees(datum[values.heading.source], values.heading.unit)
+        : undefined;
+
+    if (latitude === undefined || longitude === undefined
+        || Math.abs(latitude) > 90 || Math.abs(longitude) > 180
+        || (latitude === 0 && longitude === 0)) {
+        return undefined;
+    }
+
+    // Headings out of range, such as UINT16_MAX, mean unknown.
+    if (heading !== undefined && (heading < 0 || heading > 360)) {
+        heading = undefined;
+    }
+
+    return {
+        latitude,
+        longitude,
+        heading
+    };
+}
@@ -0,0 +1,102 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    getPosition,
+    getPositionValues,
+    toDegrees
+} from './position';
+
+describe('Position telemetry', () => {
+    let values;
+
+    beforeEach(() => {
+        values = {
+            latitude: {
+                source: 'lat',
+                unit: 'degE7'
+            },
+            longitude: {
+                source: 'lon',
+                unit: 'degE7'
+            },
+            heading: {
+                source: 'hdg',
+                unit: 'cdeg'
+            }
+        };
+    });
+
+    it('is found by hints', () => {
+        const hinted = {
+            latitude: {key: 'lat'},
+            longitude: {key: 'lon'}
+        };
+        const metadata = {
+            valuesForHints: ([hint]) => hinted[hint] ? [hinted[hint]] : []
+        };
+
+        expect(getPositionValues(metadata)).toEqual({
+            latitude: hinted.latitude,
+            longitude: hinted.longitude,
+            heading: undefined
+        });
+        expect(getPositionValues({
+            valuesForHints: () => []
+        })).toBeUndefined();
+    });
+
+    it('converts angles to degrees', () => {
+        expect(toDegrees(473977420, 'degE7')).toBeCloseTo(47.397742, 7);
+        expect(toDegrees(9000, 'cdeg')).toBe(90);
+        expect(toDegrees(Math.PI, 'rad')).toBe(180);
+        expect(toDegrees(12.5)).toBe(12.5);
+        expect(toDegrees('not a number')).toBeUndefined();
+    });
+
+    it('is read from datums', () => {
+        const position = getPosition({
+            lat: 473977420,
+            lon: 85455940,
+            hdg: 9000
+        }, values);
+
+        expect(position.latitude).toBeCloseTo(47.397742, 7);
+        expect(position.longitude).toBeCloseTo(8.545594, 7);
+        expect(position.heading).toBe(90);
+    });
+
+    it('ignores positions without a fix', () => {
+        expect(getPosition({
+            lat: 0,
+            lon: 0,
+            hdg: 0
+        }, values)).toBeUndefined();
+    });
+
+    it('treats out of range headings as unknown', () => {
+        expect(getPosition({
+            lat: 473977420,
+            lon: 85455940,
+            hdg: 65535
+        }, values).heading).toBeUndefined();
+    });
+});
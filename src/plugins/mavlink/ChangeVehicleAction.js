@@ -0,0 +1,145 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    getReferencedVehicles,
+    changeVehicle
+} from './vehicles';
+import {
+    MIN_SYSID,
+    MAX_SYSID
+} from './utils';
+
+const APPLICABLE_TYPES = ['layout', 'conditionSet'];
+
+/**
+ * Re-points a Display Layout or Condition Set built from the telemetry of
+ * one vehicle to the same telemetry of another, keeping its layout,
+ * conditions and styles.
+ *
+ * @param {OpenMCT} openmct
+ * @param {Function} addVehicleProvider called with the system id of the
+ *        vehicle to change to, so that its objects can be loaded before it
+ *        is heard from
+ */
+export default class ChangeVehicleAction {
+    constructor(openmct, addVehicleProvider) {
+        this.name = 'Change Vehicle';
+        this.key = 'mavlink.changeVehicle';
+        this.description = 'Show the telemetry of another vehicle in place of the vehicle this object uses.';
+        this.cssClass = 'icon-refresh';
+
+        this._openmct = openmct;
+        this._addVehicleProvider = addVehicleProvider;
+    }
+
+    invoke(objectPath) {
+        let domainObject = objectPath[0];
+        let vehicles = getReferencedVehicles(domainObject);
+
+        if (!vehicles.length) {
+            this._openmct.notifications.alert(`${domainObject.name} does not use telemetry from a MAVLink vehicle`);
+
+            return Promise.resolve();
+        }
+
+        let dialogService = this._openmct.$injector.get('dialogService');
+
+        return dialogService.getUserInput(this._getForm(vehicles), {
+            from: vehicles[0]
+        }).then((input) => {
+            let fromSysid = Number(input.from);
+            let toSysid = Number(input.to);
+
+            if (!Number.isInteger(toSysid) || toSysid < MIN_SYSID || toSysid > MAX_SYSID) {
+                this._openmct.notifications.error(`System ID must be between ${MIN_SYSID} and ${MAX_SYSID}`);
+
+                return;
+            }
+
+            this._addVehicleProvider(toSysid);
+            this._changeVehicle(domainObject, fromSysid, toSysid);
+        }).catch(() => {
+            // Cancelled by the user.
+        });
+    }
+
+    appliesTo(objectPath) {
+        return APPLICABLE_TYPES.includes(objectPath[0].type);
+    }
+
+    _getForm(vehicles) {
+        return {
+            name: 'Change Vehicle',
+            sections: [
+                {
+                    rows: [
+                        {
+                            key: 'from',
+                            control: 'select',
+                            name: 'Replace Vehicle',
+                            required: true,
+                            options: vehicles.map(sysid => {
+                                return {
+                                    name: `Vehicle ${sysid}`,
+                                    value: sysid
+                                };
+                            })
+                        },
+                        {
+                            key: 'to',
+                            control: 'numberfield',
+                            name: 'With System ID',
+                            required: true,
+                            min: MIN_SYSID,
+                            max: MAX_SYSID,
+                            cssClass: 'l-input-sm l-numeric'
+                        }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Composition is changed last, so that views have already re-read the
+     * rest of the object when the composition change adds and removes
+     * children, and keep their items rather than replacing them.
+     */
+    _changeVehicle(domainObject, fromSysid, toSysid) {
+        let properties = Object.keys(domainObject)
+            .filter(key => key !== 'identifier' && key !== 'composition');
+
+        if (domainObject.composition) {
+            properties.push('composition');
+        }
+
+        properties.forEach((property) => {
+            let value = domainObject[property];
+            let changed = changeVehicle(value, fromSysid, toSysid);
+
+            if (JSON.stringify(changed) !== JSON.stringify(value)) {
+                this._openmct.objects.mutate(domainObject, property, changed);
+            }
+        });
+    }
+}
@@ -0,0 +1,104 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+// A fall in the time since boot larger than this is the vehicle rebooting,
+// rather than a late message.
+const REBOOT_TOLERANCE = 1000;
+
+/**
+ * Estimates when each vehicle on a MAVLink connection booted, from the
+ * time since boot (`time_boot_ms`) of its messages and the UTC time at
+ * which they arrive, so that times since boot can be converted to and from
+ * UTC. As messages are delayed in transit, the earliest estimate since the
+ * vehicle last booted is kept.
+ *
+ * Times in telemetry from a vehicle are converted using when that vehicle
+ * booted. Other times are converted using when the vehicle heard from most
+ * recently booted.
+ */
+export default class MAVLinkBootTimes {
+    /**
+     * @param {MAVLinkConnection} connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+        this.bootTimes = {};
+        this.lastSysid = undefined;
+
+        this.onMessage = this.onMessage.bind(this);
+        this.connection.on('message', this.onMessage);
+    }
+
+    /**
+     * @param {number} [sysid] the system id of a vehicle, or undefined for
+     *        the vehicle heard from most recently
+     * @returns {number} the UTC time at which the vehicle booted, or
+     *          undefined if not known
+     */
+    getBootTime(sysid) {
+        const bootTime = this.bootTimes[sysid === undefined ? this.lastSysid : sysid];
+
+        return bootTime && bootTime.utc;
+    }
+
+    bootToUTC(timeSinceBoot, datum) {
+        const bootTime = this.getBootTime(datum && datum.sysid);
+
+        return bootTime === undefined ? undefined : bootTime + timeSinceBoot;
+    }
+
+    utcToBoot(utc, datum) {
+        const bootTime = this.getBootTime(datum && datum.sysid);
+
+        return bootTime === undefined ? undefined : utc - bootTime;
+    }
+
+    destroy() {
+        this.connection.off('message', this.onMessage);
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        const timeSinceBoot = message.fields.time_boot_ms;
+
+        if (typeof timeSinceBoot !== 'number') {
+            return;
+        }
+
+        const estimate = Date.now() - timeSinceBoot;
+        const bootTime = this.bootTimes[message.sysid];
+
+        if (!bootTime || timeSinceBoot < bootTime.timeSinceBoot - REBOOT_TOLERANCE) {
+            this.bootTimes[message.sysid] = {
+                utc: estimate,
+                timeSinceBoot
+            };
+        } else {
+            bootTime.utc = Math.min(bootTime.utc, estimate);
+            bootTime.timeSinceBoot = Math.max(bootTime.timeSinceBoot, timeSinceBoot);
+        }
+
+        this.lastSysid = message.sysid;
+    }
+}
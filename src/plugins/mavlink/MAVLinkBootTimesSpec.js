@@ -0,0 +1,86 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import MAVLinkBootTimes from './MAVLinkBootTimes';
+
+describe('MAVLink boot times', () => {
+    let connection;
+    let bootTimes;
+
+    function receive(sysid, timeSinceBoot, utc) {
+        jasmine.clock().mockDate(new Date(utc));
+        connection.emit('message', {
+            name: 'ATTITUDE',
+            sysid,
+            compid: 1,
+            fields: {
+                time_boot_ms: timeSinceBoot
+            }
+        });
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        connection = new EventEmitter();
+        bootTimes = new MAVLinkBootTimes(connection);
+    });
+
+    afterEach(() => {
+        bootTimes.destroy();
+        jasmine.clock().uninstall();
+    });
+
+    it('keeps the earliest estimate of when each vehicle booted', () => {
+        receive(1, 1000, 10050);
+        receive(1, 2000, 11010);
+        receive(1, 3000, 12100);
+
+        expect(bootTimes.getBootTime(1)).toBe(9010);
+    });
+
+    it('converts times for the vehicle a datum is from', () => {
+        receive(1, 1000, 11000);
+        receive(2, 1000, 21000);
+
+        expect(bootTimes.bootToUTC(500, {sysid: 1})).toBe(10500);
+        expect(bootTimes.utcToBoot(20500, {sysid: 2})).toBe(500);
+    });
+
+    it('converts other times for the vehicle heard from most recently', () => {
+        receive(1, 1000, 11000);
+        receive(2, 1000, 21000);
+
+        expect(bootTimes.bootToUTC(500)).toBe(20500);
+    });
+
+    it('starts a new estimate when a vehicle reboots', () => {
+        receive(1, 60000, 70000);
+        receive(1, 1000, 80000);
+
+        expect(bootTimes.getBootTime(1)).toBe(79000);
+    });
+
+    it('does not convert times before a vehicle is heard from', () => {
+        expect(bootTimes.bootToUTC(500)).toBeUndefined();
+    });
+});
@@ -0,0 +1,356 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    MAVLINK_NAMESPACE,
+    getVehicleSysid
+} from './utils';
+import { ROOT_KEY } from './MAVLinkObjectProvider';
+
+const DEFAULT_TIMEOUT = 1500;
+const DEFAULT_ATTEMPTS = 3;
+// Commands which take time to complete report progress while they run,
+// rather than being acknowledged once.
+const IN_PROGRESS_TIMEOUT = 10000;
+
+const MAV_AUTOPILOT_INVALID = 8;
+const MAV_RESULT_ACCEPTED = 0;
+const MAV_RESULT_IN_PROGRESS = 5;
+const MAV_MODE_FLAG_CUSTOM_MODE_ENABLED = 1;
+const UNKNOWN_PROGRESS = 255;
+const MAV_FRAME_GLOBAL_RELATIVE_ALT = 3;
+const MAV_DO_REPOSITION_FLAGS_CHANGE_MODE = 1;
+// COMMAND_INT carries latitude and longitude as degrees * 1E7.
+const DEGREES_E7 = 1e7;
+
+const MAV_CMD_NAV_RETURN_TO_LAUNCH = 20;
+const MAV_CMD_NAV_TAKEOFF = 22;
+const MAV_CMD_DO_SET_MODE = 176;
+const MAV_CMD_DO_REPOSITION = 192;
+const MAV_CMD_COMPONENT_ARM_DISARM = 400;
+
+function getPendingKey(sysid, command) {
+    return `${sysid}:${command}`;
+}
+
+/**
+ * The commands which can be sent to a vehicle. Each is sent as the MAVLink
+ * `message` (COMMAND_LONG or COMMAND_INT) carrying the `command` id, with
+ * the parameters and other fields produced from the user's arguments by
+ * `params`.
+ */
+const COMMANDS = [
+    {
+        key: 'arm',
+        name: 'Arm',
+        description: 'Arm the vehicle\'s motors.',
+        hazardous: true,
+        message: 'COMMAND_LONG',
+        command: MAV_CMD_COMPONENT_ARM_DISARM,
+        params: () => ({
+            param1: 1
+        })
+    },
+    {
+        key: 'disarm',
+        name: 'Disarm',
+        description: 'Disarm the vehicle\'s motors.',
+        hazardous: true,
+        message: 'COMMAND_LONG',
+        command: MAV_CMD_COMPONENT_ARM_DISARM,
+        params: () => ({
+            param1: 0
+        })
+    },
+    {
+        key: 'setMode',
+        name: 'Set Mode',
+        description: 'Switch the vehicle to an autopilot-specific flight mode.',
+        hazardous: true,
+        message: 'COMMAND_LONG',
+        command: MAV_CMD_DO_SET_MODE,
+        arguments: [
+            {
+                key: 'customMode',
+                name: 'Custom Mode',
+                value: 0
+            }
+        ],
+        params: (args) => ({
+            param1: MAV_MODE_FLAG_CUSTOM_MODE_ENABLED,
+            param2: Number(args.customMode)
+        })
+    },
+    {
+        key: 'takeoff',
+        name: 'Takeoff',
+        description: 'Take off from the current position.',
+        hazardous: true,
+        message: 'COMMAND_LONG',
+        command: MAV_CMD_NAV_TAKEOFF,
+        arguments: [
+            {
+                key: 'altitude',
+                name: 'Altitude',
+                unit: 'm',
+                value: 10
+            }
+        ],
+        // NaN leaves the heading, latitude and longitude to the autopilot,
+        // where zeros would mean north and 0°, 0°.
+        params: (args) => ({
+            param4: NaN,
+            param5: NaN,
+            param6: NaN,
+            param7: Number(args.altitude)
+        })
+    },
+    {
+        key: 'goTo',
+        name: 'Go To',
+        description: 'Fly to a position, switching to the autopilot\'s guided mode if necessary.',
+        hazardous: true,
+        message: 'COMMAND_INT',
+        command: MAV_CMD_DO_REPOSITION,
+        arguments: [
+            {
+                key: 'latitude',
+                name: 'Latitude',
+                unit: 'deg',
+                value: 0
+            },
+            {
+                key: 'longitude',
+                name: 'Longitude',
+                unit: 'deg',
+                value: 0
+            },
+            {
+                key: 'altitude',
+                name: 'Altitude',
+                unit: 'm',
+                value: 10
+            }
+        ],
+        // A negative speed keeps the default speed, and NaN the heading.
+        params: (args) => ({
+            frame: MAV_FRAME_GLOBAL_RELATIVE_ALT,
+            param1: -1,
+            param2: MAV_DO_REPOSITION_FLAGS_CHANGE_MODE,
+            param4: NaN,
+            x: Math.round(Number(args.latitude) * DEGREES_E7),
+            y: Math.round(Number(args.longitude) * DEGREES_E7),
+            z: Number(args.altitude)
+        })
+    },
+    {
+        key: 'returnToLaunch',
+        name: 'Return to Launch',
+        description: 'Return to the launch position and land.',
+        message: 'COMMAND_LONG',
+        command: MAV_CMD_NAV_RETURN_TO_LAUNCH,
+        params: () => ({})
+    }
+];
+
+/**
+ * Sends commands to the vehicle over a MAVLink connection, as COMMAND_LONG
+ * or COMMAND_INT messages. Commands sent to the root of a vehicle's tree
+ * are addressed to that vehicle's autopilot, and commands sent to the
+ * MAVLink root to the autopilot most recently heard from. A command is
+ * resent if it is not acknowledged with a COMMAND_ACK in time, and fails
+ * once all attempts have been made.
+ *
+ * MAVLink allows only one instance of each command to be outstanding, so a
+ * command cannot be sent to a vehicle again until the previous one has
+ * completed.
+ */
+export default class MAVLinkCommandProvider {
+    /**
+     * @param {MAVLinkConnection} connection
+     * @param {MAVLinkDialect} dialect
+     * @param {Object} [options]
+     * @param {number} [options.timeout=1500] milliseconds to wait for an
+     *        acknowledgement before resending a command
+     * @param {number} [options.attempts=3] the number of times to send a
+     *        command before giving up
+     */
+    constructor(connection, dialect, options = {}) {
+        this.connection = connection;
+        this.dialect = dialect;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.attempts = options.attempts || DEFAULT_ATTEMPTS;
+        this.pending = {};
+        this.vehicles = {};
+
+        this.onMessage = this.onMessage.bind(this);
+        this.connection.on('message', this.onMessage);
+    }
+
+    supportsCommands(domainObject) {
+        const namespace = domainObject.identifier.namespace;
+
+        return (namespace === MAVLINK_NAMESPACE || getVehicleSysid(namespace) !== undefined)
+            && domainObject.identifier.key === ROOT_KEY;
+    }
+
+    getCommands() {
+        return COMMANDS;
+    }
+
+    send(domainObject, command, args = {}, progress = () => {}) {
+        const sysid = getVehicleSysid(domainObject.identifier.namespace);
+        const vehicle = sysid === undefined ? this.vehicle : this.vehicles[sysid];
+
+        if (!vehicle) {
+            return Promise.reject(new Error(sysid === undefined
+                ? 'No vehicle has been heard from'
+                : `Vehicle ${sysid} has not been heard from`));
+        }
+
+        const key = getPendingKey(vehicle.sysid, command.command);
+
+        // Arm and disarm share a command id, so would also share the
+        // acknowledgement.
+        if (this.pending[key]) {
+            return Promise.reject(new Error(`${this.pending[key].command.name} has not completed`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = {
+                key,
+                command,
+                progress,
+                resolve,
+                reject,
+                attempt: 0,
+                fields: Object.assign({
+                    target_system: vehicle.sysid,
+                    target_component: vehicle.compid,
+                    command: command.command
+                }, command.params(args))
+            };
+
+            this.pending[key] = pending;
+            this.transmit(pending);
+        });
+    }
+
+    destroy() {
+        this.connection.off('message', this.onMessage);
+        Object.values(this.pending).forEach((pending) => {
+            this.finish(pending, new Error('The connection was closed'));
+        });
+    }
+
+    /**
+     * @private
+     */
+    transmit(pending) {
+        if (pending.attempt === this.attempts) {
+            this.finish(pending, new Error(`No acknowledgement after ${this.attempts} attempts`));
+
+            return;
+        }
+
+        if (pending.command.message === 'COMMAND_LONG') {
+            pending.fields.confirmation = pending.attempt;
+        }
+
+        pending.attempt++;
+
+        if (!this.connection.send(pending.command.message, pending.fields)) {
+            this.finish(pending, new Error('Not connected to a vehicle'));
+
+            return;
+        }
+
+        if (pending.attempt > 1) {
+            pending.progress('unknown', `Resending (attempt ${pending.attempt} of ${this.attempts})`);
+        }
+
+        pending.timeout = setTimeout(() => this.transmit(pending), this.timeout);
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        if (message.name === 'HEARTBEAT' && message.fields.autopilot !== MAV_AUTOPILOT_INVALID) {
+            this.vehicle = this.vehicles[message.sysid] = {
+                sysid: message.sysid,
+                compid: message.compid
+            };
+        } else if (message.name === 'COMMAND_ACK') {
+            this.acknowledge(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    acknowledge(message) {
+        const ack = message.fields;
+        const pending = this.pending[getPendingKey(message.sysid, ack.command)];
+
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timeout);
+
+        if (ack.result === MAV_RESULT_IN_PROGRESS) {
+            pending.progress(ack.progress === UNKNOWN_PROGRESS ? 'unknown' : ack.progress, 'In progress');
+            pending.timeout = setTimeout(() => {
+                this.finish(pending, new Error('Timed out while in progress'));
+            }, IN_PROGRESS_TIMEOUT);
+        } else if (ack.result === MAV_RESULT_ACCEPTED) {
+            this.finish(pending);
+        } else {
+            this.finish(pending, new Error(this.getResultName(ack.result)));
+        }
+    }
+
+    /**
+     * @private
+     */
+    getResultName(result) {
+        const results = this.dialect.getEnum('MAV_RESULT');
+        const entry = results && results.entries.find(candidate => candidate.value === result);
+
+        return entry ? entry.name : `Result ${result}`;
+    }
+
+    /**
+     * @private
+     */
+    finish(pending, error) {
+        clearTimeout(pending.timeout);
+        delete this.pending[pending.key];
+
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve();
+        }
+    }
+}
@@ -0,0 +1,282 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import EventEmitter from 'EventEmitter';
+import MAVLinkCommandProvider from './MAVLinkCommandProvider';
+import MAVLinkDialect from './MAVLinkDialect';
+import MAVLinkParser from './MAVLinkParser';
+import encodeMessage from './MAVLinkEncoder';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+describe('The MAVLink command provider', () => {
+    let connection;
+    let dialect;
+    let provider;
+    let vehicle;
+
+    function receive(name, fields, sysid = 1) {
+        connection.emit('message', {
+            name,
+            sysid,
+            compid: 1,
+            fields
+        });
+    }
+
+    function getCommand(key) {
+        return provider.getCommands(vehicle).find(command => command.key === key);
+    }
+
+    // Commands left outstanding are rejected when the provider is destroyed.
+    function send(key, args, progress) {
+        const promise = provider.send(vehicle, getCommand(key), args || {}, progress);
+        promise.catch(() => {});
+
+        return promise;
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+
+        connection = new EventEmitter();
+        connection.send = jasmine.createSpy('send').and.returnValue(true);
+
+        dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        provider = new MAVLinkCommandProvider(connection, dialect, {
+            timeout: 1000,
+            attempts: 3
+        });
+        vehicle = {
+            identifier: {
+                namespace: 'mavlink',
+                key: 'root'
+            },
+            name: 'MAVLink'
+        };
+
+        receive('HEARTBEAT', {autopilot: 3});
+    });
+
+    afterEach(() => {
+        provider.destroy();
+        jasmine.clock().uninstall();
+    });
+
+    it('supports the MAVLink root', () => {
+        expect(provider.supportsCommands(vehicle)).toBe(true);
+        expect(provider.supportsCommands({
+            identifier: {
+                namespace: 'mavlink',
+                key: 'HEARTBEAT'
+            }
+        })).toBe(false);
+    });
+
+    it('supports the roots of vehicles', () => {
+        expect(provider.supportsCommands({
+            identifier: {
+                namespace: 'mavlink-2',
+                key: 'root'
+            }
+        })).toBe(true);
+    });
+
+    it('sends commands from a vehicle root to that vehicle', () => {
+        receive('HEARTBEAT', {autopilot: 3}, 2);
+
+        provider.send({
+            identifier: {
+                namespace: 'mavlink-1',
+                key: 'root'
+            }
+        }, getCommand('arm')).catch(() => {});
+
+        expect(connection.send).toHaveBeenCalledWith('COMMAND_LONG', jasmine.objectContaining({
+            target_system: 1
+        }));
+    });
+
+    it('sends the same command to several vehicles at once', () => {
+        receive('HEARTBEAT', {autopilot: 3}, 2);
+
+        [1, 2].forEach((sysid) => {
+            provider.send({
+                identifier: {
+                    namespace: `mavlink-${sysid}`,
+                    key: 'root'
+                }
+            }, getCommand('arm')).catch(() => {});
+        });
+
+        expect(connection.send.calls.allArgs().map(args => args[1].target_system)).toEqual([1, 2]);
+    });
+
+    it('fails to send to a vehicle which has not been heard from', (done) => {
+        provider.send({
+            identifier: {
+                namespace: 'mavlink-9',
+                key: 'root'
+            }
+        }, getCommand('arm')).catch((error) => {
+            expect(error.message).toBe('Vehicle 9 has not been heard from');
+            done();
+        });
+    });
+
+    it('sends COMMAND_LONG to the vehicle last heard from', () => {
+        send('arm');
+
+        expect(connection.send).toHaveBeenCalledWith('COMMAND_LONG', jasmine.objectContaining({
+            target_system: 1,
+            target_component: 1,
+            command: 400,
+            confirmation: 0,
+            param1: 1
+        }));
+    });
+
+    it('sends takeoff to an altitude, leaving the heading and position to the autopilot', () => {
+        send('takeoff', {altitude: '25'});
+
+        const fields = connection.send.calls.mostRecent().args[1];
+        expect(connection.send.calls.mostRecent().args[0]).toBe('COMMAND_LONG');
+        expect(fields.command).toBe(22);
+        expect(fields.param4).toBeNaN();
+        expect(fields.param5).toBeNaN();
+        expect(fields.param6).toBeNaN();
+        expect(fields.param7).toBe(25);
+    });
+
+    it('sends commands as COMMAND_INT, with positions as scaled integers', () => {
+        send('goTo', {
+            latitude: '47.3977419',
+            longitude: '-122.3068365',
+            altitude: '30'
+        });
+
+        const args = connection.send.calls.mostRecent().args;
+        const frame = encodeMessage(dialect, args[0], args[1]);
+        const message = new MAVLinkParser(dialect).parse(frame)[0];
+
+        expect(message.msgid).toBe(75);
+        expect(message.fields.command).toBe(192);
+        expect(message.fields.frame).toBe(3);
+        expect(message.fields.x).toBe(473977419);
+        expect(message.fields.y).toBe(-1223068365);
+        expect(message.fields.z).toBe(30);
+        expect(args[1].confirmation).toBeUndefined();
+    });
+
+    it('resolves when the command is accepted', (done) => {
+        send('returnToLaunch').then(done);
+
+        receive('COMMAND_ACK', {
+            command: 20,
+            result: 0
+        });
+    });
+
+    it('rejects with the result when the command is not accepted', (done) => {
+        send('arm').catch((error) => {
+            expect(error.message).toBe('MAV_RESULT_DENIED');
+            done();
+        });
+
+        receive('COMMAND_ACK', {
+            command: 400,
+            result: 2
+        });
+    });
+
+    it('resends unacknowledged commands with an incremented confirmation', () => {
+        const progress = jasmine.createSpy('progress');
+        send('arm', {}, progress);
+
+        jasmine.clock().tick(1001);
+
+        expect(connection.send.calls.count()).toBe(2);
+        expect(connection.send.calls.mostRecent().args[1].confirmation).toBe(1);
+        expect(progress).toHaveBeenCalledWith('unknown', 'Resending (attempt 2 of 3)');
+    });
+
+    it('fails once every attempt has timed out', (done) => {
+        send('arm').catch((error) => {
+            expect(connection.send.calls.count()).toBe(3);
+            expect(error.message).toBe('No acknowledgement after 3 attempts');
+            done();
+        });
+
+        jasmine.clock().tick(3001);
+    });
+
+    it('reports the progress of commands in progress', () => {
+        const progress = jasmine.createSpy('progress');
+        send('takeoff', {altitude: 10}, progress);
+
+        receive('COMMAND_ACK', {
+            command: 22,
+            result: 5,
+            progress: 40
+        });
+        jasmine.clock().tick(5000);
+
+        expect(progress).toHaveBeenCalledWith(40, 'In progress');
+        expect(connection.send.calls.count()).toBe(1);
+    });
+
+    it('does not send a command while the same command is outstanding', (done) => {
+        const arm = send('arm');
+
+        send('disarm').catch((error) => {
+            expect(error.message).toBe('Arm has not completed');
+            expect(connection.send.calls.count()).toBe(1);
+
+            receive('COMMAND_ACK', {
+                command: 400,
+                result: 0
+            });
+
+            return arm;
+        }).then(done);
+    });
+
+    it('ignores acknowledgements from other systems', () => {
+        send('arm');
+
+        receive('COMMAND_ACK', {
+            command: 400,
+            result: 0
+        }, 2);
+        jasmine.clock().tick(1001);
+
+        expect(connection.send.calls.count()).toBe(2);
+    });
+
+    it('fails when not connected', (done) => {
+        connection.send.and.returnValue(false);
+
+        send('arm').catch((error) => {
+            expect(error.message).toBe('Not connected to a vehicle');
+            done();
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import MAVLinkParser from './MAVLinkParser';
+import encodeMessage from './MAVLinkEncoder';
+
+const DEFAULT_RECONNECT_INTERVAL = 5000;
+
+/**
+ * A link to a vehicle over a WebSocket which carries raw MAVLink frames,
+ * such as the UDP bridge served by `app.js --mavlink-port`.
+ *
+ * Emits `message` for every decoded message, and `connected` and
+ * `disconnected` as the socket opens and closes. The socket is reopened
+ * after it closes, until the connection is destroyed.
+ */
+export default class MAVLinkConnection extends EventEmitter {
+    /**
+     * @param {string} url the WebSocket URL to connect to
+     * @param {MAVLinkDialect} dialect the message definitions to use
+     * @param {Object} [options]
+     * @param {number} [options.reconnectInterval=5000] milliseconds to wait
+     *        before reconnecting after the socket closes
+     * @param {number} [options.sysid=255] the system id to send as
+     * @param {number} [options.compid=190] the component id to send as
+     */
+    constructor(url, dialect, options = {}) {
+        super();
+
+        this.url = url;
+        this.dialect = dialect;
+        this.options = options;
+        this.parser = new MAVLinkParser(dialect);
+        this.seq = 0;
+        this.connected = false;
+        this.destroyed = false;
+
+        this.onSocketOpen = this.onSocketOpen.bind(this);
+        this.onSocketClose = this.onSocketClose.bind(this);
+        this.onSocketMessage = this.onSocketMessage.bind(this);
+    }
+
+    connect() {
+        if (this.socket || this.destroyed) {
+            return;
+        }
+
+        this.socket = new WebSocket(this.url);
+        this.socket.binaryType = 'arraybuffer';
+        this.socket.addEventListener('open', this.onSocketOpen);
+        this.socket.addEventListener('close', this.onSocketClose);
+        this.socket.addEventListener('message', this.onSocketMessage);
+    }
+
+    /**
+     * Encode and send a message to the vehicle.
+     *
+     * @param {string} name the name of the message
+     * @param {Object} fields field values, keyed by field name
+     * @returns {boolean} true if the message was sent
+     */
+    send(name, fields) {
+        if (!this.connected) {
+            return false;
+        }
+
+        const frame = encodeMessage(this.dialect, name, fields, {
+            seq: this.seq,
+            sysid: this.options.sysid,
+            compid: this.options.compid
+        });
+        this.seq = (this.seq + 1) % 256;
+        this.socket.send(frame);
+
+        return true;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.reconnectTimeout);
+
+        if (this.socket) {
+            this.removeSocketListeners();
+            this.socket.close();
+            delete this.socket;
+        }
+
+        this.connected = false;
+        this.removeAllListeners();
+    }
+
+    /**
+     * @private
+     */
+    onSocketOpen() {
+        this.connected = true;
+        this.emit('connected');
+    }
+
+    /**
+     * @private
+     */
+    onSocketClose() {
+        const wasConnected = this.connected;
+
+        this.removeSocketListeners();
+        delete this.socket;
+        this.connected = false;
+        this.parser.reset();
+
+        if (wasConnected) {
+            this.emit('disconnected');
+        }
+
+        if (!this.destroyed) {
+            this.reconnectTimeout = setTimeout(
+                this.connect.bind(this),
+                this.options.reconnectInterval || DEFAULT_RECONNECT_INTERVAL
+            );
+        }
+    }
+
+    /**
+     * @private
+     */
+    onSocketMessage(event) {
+        this.parser.parse(event.data).forEach((message) => {
+            this.emit('message', message);
+        });
+    }
+
+    /**
+     * @private
+     */
+    removeSocketListeners() {
+        this.socket.removeEventListener('open', this.onSocketOpen);
+        this.socket.removeEventListener('close', this.onSocketClose);
+        this.socket.removeEventListener('message', this.onSocketMessage);
+    }
+}
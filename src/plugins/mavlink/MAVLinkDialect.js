@@ -0,0 +1,235 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import { x25String } from './crc';
+
+/**
+ * Wire sizes, in bytes, of the primitive MAVLink field types.
+ */
+export const TYPE_SIZES = {
+    'char': 1,
+    'int8_t': 1,
+    'uint8_t': 1,
+    'uint8_t_mavlink_version': 1,
+    'int16_t': 2,
+    'uint16_t': 2,
+    'int32_t': 4,
+    'uint32_t': 4,
+    'float': 4,
+    'int64_t': 8,
+    'uint64_t': 8,
+    'double': 8
+};
+
+/**
+ * Parse a field type as written in a message definition (eg. `uint16_t[10]`)
+ * into its primitive type and array length.
+ * @private
+ */
+function parseFieldType(typeString) {
+    const match = /^([a-z0-9_]+)(?:\[(\d+)\])?$/.exec(typeString);
+
+    if (!match || !Object.prototype.hasOwnProperty.call(TYPE_SIZES, match[1])) {
+        throw new Error(`Unsupported MAVLink field type "${typeString}"`);
+    }
+
+    return {
+        type: match[1],
+        arrayLength: match[2] === undefined ? 0 : Number(match[2])
+    };
+}
+
+/**
+ * A set of MAVLink message and enum definitions, with messages indexed by
+ * id and name. Wire ordering, payload lengths and CRC_EXTRA seeds are
+ * derived from the definitions as they are added, so definitions may be
+ * written (or parsed) in the order they are declared in a dialect.
+ */
+export default class MAVLinkDialect {
+    /**
+     * @param {Object} [definitions]
+     * @param {Object[]} [definitions.messages] message definitions
+     * @param {Object[]} [definitions.enums] enum definitions
+     */
+    constructor(definitions = {}) {
+        this.messagesById = {};
+        this.messagesByName = {};
+        this.enums = {};
+
+        this.addDefinitions(definitions);
+    }
+
+    /**
+     * Add the enums and messages of a dialect, such as those returned by
+     * `parseDialectXML`.
+     *
+     * @param {Object} definitions
+     * @param {Object[]} [definitions.messages] message definitions
+     * @param {Object[]} [definitions.enums] enum definitions
+     */
+    addDefinitions(definitions) {
+        (definitions.enums || []).forEach(this.addEnum, this);
+        (definitions.messages || []).forEach(this.addMessage, this);
+    }
+
+    /**
+     * Add an enum definition to this dialect. Dialects may extend enums
+     * defined by the dialects they include, so the entries of an enum which
+     * is already defined are merged, with later entries taking precedence.
+     *
+     * @param {Object} definition
+     * @param {string} definition.name the enum name, eg. `MAV_STATE`
+     * @param {boolean} [definition.bitmask] true if entries are bit flags
+     * @param {Object[]} definition.entries the `name` and `value` of each
+     *        entry
+     * @returns {Object} the merged enum definition
+     */
+    addEnum(definition) {
+        const existing = this.enums[definition.name];
+        const entries = existing ? existing.entries.filter((entry) => {
+            return !definition.entries.some(other => other.value === entry.value);
+        }) : [];
+
+        this.enums[definition.name] = Object.assign({}, existing, definition, {
+            bitmask: Boolean(definition.bitmask || (existing && existing.bitmask)),
+            entries: entries.concat(definition.entries).sort((a, b) => a.value - b.value)
+        });
+
+        return this.enums[definition.name];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|undefined} the definition of the enum with this name
+     */
+    getEnum(name) {
+        return this.enums[name];
+    }
+
+    /**
+     * Add a message definition to this dialect. A later definition with the
+     * same id replaces an earlier one.
+     *
+     * @param {Object} definition
+     * @param {number} definition.id the message id
+     * @param {string} definition.name the message name, eg. `HEARTBEAT`
+     * @param {Object[]} definition.fields the fields of the message, in
+     *        declaration order. Each has a `name`, a `type` (eg. `float` or
+     *        `char[50]`), and optionally `extension: true`, `units`, `enum`,
+     *        `display` and `description`.
+     * @returns {Object} the normalized message definition
+     */
+    addMessage(definition) {
+        const fields = definition.fields.map((field) => {
+            return Object.assign({}, field, parseFieldType(field.type), {
+                extension: Boolean(field.extension)
+            });
+        });
+        const baseFields = fields.filter(field => !field.extension);
+        const extensionFields = fields.filter(field => field.extension);
+
+        // Base fields are sent largest type first; the sort is stable, so
+        // declaration order is kept within a type size. Extensions follow in
+        // declaration order.
+        const wireFields = baseFields
+            .map((field, index) => ({
+                field,
+                index
+            }))
+            .sort((a, b) => {
+                return (TYPE_SIZES[b.field.type] - TYPE_SIZES[a.field.type]) || (a.index - b.index);
+            })
+            .map(entry => entry.field)
+            .concat(extensionFields);
+
+        let offset = 0;
+        wireFields.forEach((field) => {
+            field.offset = offset;
+            field.size = TYPE_SIZES[field.type] * Math.max(field.arrayLength, 1);
+            offset += field.size;
+        });
+
+        const baseLength = baseFields.reduce((length, field) => length + field.size, 0);
+        const message = Object.assign({}, definition, {
+            fields,
+            wireFields,
+            baseLength,
+            length: offset,
+            crcExtra: computeCrcExtra(definition.name, wireFields)
+        });
+
+        this.messagesById[message.id] = message;
+        this.messagesByName[message.name] = message;
+
+        return message;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Object|undefined} the definition of the message with this id
+     */
+    getMessageById(id) {
+        return this.messagesById[id];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|undefined} the definition of the message with this name
+     */
+    getMessageByName(name) {
+        return this.messagesByName[name];
+    }
+
+    /**
+     * @returns {Object[]} all message definitions, ordered by id
+     */
+    getMessages() {
+        return Object.values(this.messagesById)
+            .sort((a, b) => a.id - b.id);
+    }
+}
+
+/**
+ * The CRC_EXTRA seed is a checksum over the message name and the type and
+ * name of each non-extension field in wire order, which lets a receiver
+ * reject messages whose layout differs from its own definition.
+ * @private
+ */
+function computeCrcExtra(name, wireFields) {
+    let crc = x25String(name + ' ');
+
+    wireFields
+        .filter(field => !field.extension)
+        .forEach((field) => {
+            const type = field.type === 'uint8_t_mavlink_version' ? 'uint8_t' : field.type;
+
+            crc = x25String(type + ' ', crc);
+            crc = x25String(field.name + ' ', crc);
+
+            if (field.arrayLength) {
+                crc = x25String(String.fromCharCode(field.arrayLength), crc);
+            }
+        });
+
+    /* eslint-disable-next-line no-bitwise */
+    return ((crc & 0xff) ^ (crc >> 8)) & 0xff;
+}
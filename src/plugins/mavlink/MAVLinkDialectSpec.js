@@ -0,0 +1,106 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+describe('The MAVLink dialect', () => {
+    let dialect;
+
+    beforeEach(() => {
+        dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+    });
+
+    it('indexes messages by id and by name', () => {
+        expect(dialect.getMessageById(30).name).toBe('ATTITUDE');
+        expect(dialect.getMessageByName('ATTITUDE').id).toBe(30);
+        expect(dialect.getMessageById(9999)).toBeUndefined();
+    });
+
+    it('computes CRC_EXTRA seeds matching the published dialect', () => {
+        expect(dialect.getMessageByName('HEARTBEAT').crcExtra).toBe(50);
+        expect(dialect.getMessageByName('SYS_STATUS').crcExtra).toBe(124);
+        expect(dialect.getMessageByName('GPS_RAW_INT').crcExtra).toBe(24);
+        expect(dialect.getMessageByName('ATTITUDE').crcExtra).toBe(39);
+        expect(dialect.getMessageByName('GLOBAL_POSITION_INT').crcExtra).toBe(104);
+        expect(dialect.getMessageByName('COMMAND_LONG').crcExtra).toBe(152);
+        expect(dialect.getMessageByName('BATTERY_STATUS').crcExtra).toBe(154);
+        expect(dialect.getMessageByName('STATUSTEXT').crcExtra).toBe(83);
+    });
+
+    it('orders base fields by type size and appends extensions', () => {
+        const wireNames = dialect.getMessageByName('HEARTBEAT').wireFields.map(field => field.name);
+
+        expect(wireNames).toEqual([
+            'custom_mode', 'type', 'autopilot', 'base_mode', 'system_status', 'mavlink_version'
+        ]);
+        expect(dialect.getMessageByName('COMMAND_ACK').wireFields.map(field => field.name)).toEqual([
+            'command', 'result', 'progress', 'result_param2', 'target_system', 'target_component'
+        ]);
+    });
+
+    it('computes base and extended payload lengths', () => {
+        const gpsRawInt = dialect.getMessageByName('GPS_RAW_INT');
+
+        expect(gpsRawInt.baseLength).toBe(30);
+        expect(gpsRawInt.length).toBe(52);
+    });
+
+    it('defines the enums of the dialect', () => {
+        expect(dialect.getEnum('MAV_STATE').entries[4].name).toBe('MAV_STATE_ACTIVE');
+        expect(dialect.getEnum('MAV_MODE_FLAG').bitmask).toBe(true);
+        expect(dialect.getEnum('MAV_STATE').bitmask).toBe(false);
+    });
+
+    it('merges entries into enums that are already defined', () => {
+        dialect.addEnum({
+            name: 'MAV_CMD',
+            entries: [
+                {
+                    name: 'MAV_CMD_DO_SEND_BANNER',
+                    value: 42428
+                },
+                {
+                    name: 'MAV_CMD_NAV_WAYPOINT_RENAMED',
+                    value: 16
+                }
+            ]
+        });
+
+        const entries = dialect.getEnum('MAV_CMD').entries;
+        expect(entries.find(entry => entry.value === 42428).name).toBe('MAV_CMD_DO_SEND_BANNER');
+        expect(entries.find(entry => entry.value === 16).name).toBe('MAV_CMD_NAV_WAYPOINT_RENAMED');
+        expect(entries.find(entry => entry.value === 400).name).toBe('MAV_CMD_COMPONENT_ARM_DISARM');
+    });
+
+    it('rejects unsupported field types', () => {
+        expect(() => dialect.addMessage({
+            id: 50000,
+            name: 'BROKEN',
+            fields: [{
+                name: 'value',
+                type: 'uint128_t'
+            }]
+        })).toThrowError(/Unsupported/);
+    });
+});
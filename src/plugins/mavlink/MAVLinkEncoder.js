@@ -0,0 +1,174 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import { x25 } from './crc';
+import { MAVLINK_V1_MAGIC, MAVLINK_V2_MAGIC } from './MAVLinkParser';
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Encode a MAVLink message as a v1 or v2 frame.
+ *
+ * @param {MAVLinkDialect} dialect the message definitions to encode with
+ * @param {string} name the name of the message to encode, eg. `COMMAND_LONG`
+ * @param {Object} fields field values, keyed by field name; missing fields
+ *        are sent as zero
+ * @param {Object} [options]
+ * @param {number} [options.version=2] the MAVLink protocol version
+ * @param {number} [options.seq=0] the packet sequence number
+ * @param {number} [options.sysid=255] the system id of the sender
+ * @param {number} [options.compid=190] the component id of the sender
+ * @returns {Uint8Array} the encoded frame
+ */
+export default function encodeMessage(dialect, name, fields = {}, options = {}) {
+    const definition = dialect.getMessageByName(name);
+
+    if (!definition) {
+        throw new Error(`Unknown MAVLink message "${name}"`);
+    }
+
+    const version = options.version || 2;
+    const seq = options.seq || 0;
+    const sysid = options.sysid === undefined ? 255 : options.sysid;
+    const compid = options.compid === undefined ? 190 : options.compid;
+
+    let payload = encodePayload(definition, fields);
+    let header;
+
+    if (version === 1) {
+        payload = payload.subarray(0, definition.baseLength);
+        header = [MAVLINK_V1_MAGIC, payload.length, seq, sysid, compid, definition.id];
+    } else {
+        payload = truncatePayload(payload);
+        /* eslint-disable no-bitwise */
+        header = [
+            MAVLINK_V2_MAGIC, payload.length, 0, 0, seq, sysid, compid,
+            definition.id & 0xff, (definition.id >> 8) & 0xff, (definition.id >> 16) & 0xff
+        ];
+        /* eslint-enable no-bitwise */
+    }
+
+    const frame = new Uint8Array(header.length + payload.length + 2);
+    frame.set(header);
+    frame.set(payload, header.length);
+
+    const checksum = x25([definition.crcExtra], 0, 1, x25(frame, 1, header.length + payload.length));
+    frame[frame.length - 2] = checksum % 256;
+    frame[frame.length - 1] = Math.floor(checksum / 256);
+
+    return frame;
+}
+
+/**
+ * @private
+ */
+function encodePayload(definition, fields) {
+    const bytes = new Uint8Array(definition.length);
+    const view = new DataView(bytes.buffer);
+
+    definition.wireFields.forEach((field) => {
+        const value = fields[field.name];
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (field.type === 'char' && field.arrayLength) {
+            const string = String(value);
+
+            for (let i = 0; i < Math.min(string.length, field.arrayLength); i++) {
+                bytes[field.offset + i] = string.charCodeAt(i);
+            }
+        } else if (field.arrayLength) {
+            const itemSize = field.size / field.arrayLength;
+
+            for (let i = 0; i < Math.min(value.length, field.arrayLength); i++) {
+                writeValue(view, field.type, field.offset + (i * itemSize), value[i]);
+            }
+        } else {
+            writeValue(view, field.type, field.offset, value);
+        }
+    });
+
+    return bytes;
+}
+
+/**
+ * MAVLink 2 strips trailing zero bytes from the payload, but always sends
+ * at least one byte.
+ * @private
+ */
+function truncatePayload(payload) {
+    let length = payload.length;
+
+    while (length > 1 && payload[length - 1] === 0) {
+        length--;
+    }
+
+    return payload.subarray(0, length);
+}
+
+/**
+ * @private
+ */
+function writeValue(view, type, offset, value) {
+    const number = type === 'char' ? String(value).charCodeAt(0) : Number(value);
+
+    switch (type) {
+    case 'char':
+    case 'uint8_t':
+    case 'uint8_t_mavlink_version':
+        view.setUint8(offset, number);
+        break;
+    case 'int8_t':
+        view.setInt8(offset, number);
+        break;
+    case 'int16_t':
+        view.setInt16(offset, number, true);
+        break;
+    case 'uint16_t':
+        view.setUint16(offset, number, true);
+        break;
+    case 'int32_t':
+        view.setInt32(offset, number, true);
+        break;
+    case 'uint32_t':
+        view.setUint32(offset, number, true);
+        break;
+    case 'float':
+        view.setFloat32(offset, number, true);
+        break;
+    case 'double':
+        view.setFloat64(offset, number, true);
+        break;
+    case 'int64_t':
+    case 'uint64_t': {
+        const high = Math.floor(number / UINT32_RANGE);
+        view.setUint32(offset, number - (high * UINT32_RANGE), true);
+        view.setInt32(offset + 4, high, true);
+        break;
+    }
+
+    default:
+        throw new Error(`Unsupported MAVLink field type "${type}"`);
+    }
+}
@@ -0,0 +1,168 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    isMAVLinkTelemetryObject,
+    getFieldValueKeys
+} from './utils';
+
+const STRING_TYPES = ['char'];
+// Fields which give the position and heading of a vehicle, and the hints
+// which let views such as maps find them.
+const POSITION_HINTS = {
+    lat: 'latitude',
+    latitude: 'latitude',
+    lon: 'longitude',
+    longitude: 'longitude',
+    hdg: 'heading'
+};
+
+/**
+ * Describes the telemetry of MAVLink message and field objects using the
+ * definitions of the message in the dialect. Message objects have a value
+ * for every field of the message, while field objects have values for
+ * their field only.
+ *
+ * Fields which refer to an enum are formatted as that enum, and fields
+ * which are bitmasks are formatted as the list of flags which are set, and
+ * have their flags as enumerations, so that conditions can test them.
+ * Positions and headings are hinted as `latitude`, `longitude` and
+ * `heading`, in the units of the field (such as `degE7`). Messages which
+ * carry the time since boot have it as a second domain, `boot`.
+ */
+export default class MAVLinkMetadataProvider {
+    constructor(dialect) {
+        this.dialect = dialect;
+    }
+
+    supportsMetadata(domainObject) {
+        return isMAVLinkTelemetryObject(domainObject);
+    }
+
+    getMetadata(domainObject) {
+        const options = domainObject.mavlink || {};
+        const definition = this.dialect.getMessageByName(options.message);
+        const values = [
+            {
+                key: 'utc',
+                source: 'utc',
+                name: 'Timestamp',
+                format: 'utc',
+                hints: {
+                    domain: 1
+                }
+            },
+            {
+                key: 'sysid',
+                name: 'System ID',
+                format: 'number'
+            },
+            {
+                key: 'compid',
+                name: 'Component ID',
+                format: 'number'
+            }
+        ];
+
+        if (definition && definition.fields.some(field => field.name === 'time_boot_ms')) {
+            values.splice(1, 0, {
+                key: 'boot',
+                source: 'boot',
+                name: 'Time Since Boot',
+                format: 'boot',
+                hints: {
+                    domain: 2
+                }
+            });
+        }
+
+        if (definition) {
+            let range = 1;
+
+            definition.fields
+                .filter(field => options.field === undefined || field.name === options.field)
+                .forEach((field) => {
+                    getFieldValueKeys(field).forEach((fieldValue) => {
+                        const valueMetadata = this.getValueMetadata(field);
+
+                        valueMetadata.key = fieldValue.key;
+                        valueMetadata.name = fieldValue.name;
+                        valueMetadata.hints = {
+                            range: range++
+                        };
+
+                        if (POSITION_HINTS[field.name]) {
+                            valueMetadata.hints[POSITION_HINTS[field.name]] = 1;
+                        }
+
+                        values.push(valueMetadata);
+                    });
+                });
+        }
+
+        return {
+            values
+        };
+    }
+
+    /**
+     * @private
+     */
+    getValueMetadata(field) {
+        const valueMetadata = {
+            mavlinkType: field.type
+        };
+        const enumDefinition = field.enum && this.dialect.getEnum(field.enum);
+
+        if (field.units) {
+            valueMetadata.unit = field.units;
+        }
+
+        if (field.description) {
+            valueMetadata.description = field.description;
+        }
+
+        if (STRING_TYPES.includes(field.type)) {
+            valueMetadata.format = 'string';
+        } else if (enumDefinition && (enumDefinition.bitmask || field.display === 'bitmask')) {
+            valueMetadata.format = 'bitmask';
+            valueMetadata.enumerations = enumDefinition.entries.map(toEnumeration);
+        } else if (enumDefinition) {
+            valueMetadata.format = 'enum';
+            valueMetadata.enumerations = enumDefinition.entries.map(toEnumeration);
+        } else {
+            valueMetadata.format = 'number';
+        }
+
+        return valueMetadata;
+    }
+}
+
+/**
+ * @private
+ */
+function toEnumeration(entry) {
+    return {
+        value: entry.value,
+        string: entry.name
+    };
+}
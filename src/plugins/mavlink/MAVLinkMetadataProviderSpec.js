@@ -0,0 +1,158 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import MAVLinkMetadataProvider from './MAVLinkMetadataProvider';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+describe('The MAVLink metadata provider', () => {
+    let provider;
+
+    function valueFor(metadata, key) {
+        return metadata.values.find(value => value.key === key);
+    }
+
+    beforeEach(() => {
+        provider = new MAVLinkMetadataProvider(new MAVLinkDialect(parseDialectXML(commonXML)));
+    });
+
+    it('supports MAVLink message and field objects', () => {
+        expect(provider.supportsMetadata({type: 'mavlink.message'})).toBe(true);
+        expect(provider.supportsMetadata({type: 'mavlink.field'})).toBe(true);
+        expect(provider.supportsMetadata({type: 'folder'})).toBe(false);
+    });
+
+    describe('for a message', () => {
+        let metadata;
+
+        beforeEach(() => {
+            metadata = provider.getMetadata({
+                type: 'mavlink.message',
+                mavlink: {
+                    message: 'HEARTBEAT'
+                }
+            });
+        });
+
+        it('describes a utc timestamp and every field', () => {
+            expect(valueFor(metadata, 'utc').hints.domain).toBe(1);
+            expect(metadata.values.map(value => value.key)).toEqual(jasmine.arrayContaining([
+                'sysid', 'compid', 'type', 'autopilot', 'base_mode', 'custom_mode', 'system_status', 'mavlink_version'
+            ]));
+        });
+
+        it('formats enum fields as enumerations', () => {
+            const systemStatus = valueFor(metadata, 'system_status');
+
+            expect(systemStatus.format).toBe('enum');
+            expect(systemStatus.enumerations).toContain({
+                value: 4,
+                string: 'MAV_STATE_ACTIVE'
+            });
+        });
+
+        it('formats bitmask fields as flags, with the flags as enumerations', () => {
+            const baseMode = valueFor(metadata, 'base_mode');
+
+            expect(baseMode.format).toBe('bitmask');
+            expect(baseMode.enumerations).toContain({
+                value: 128,
+                string: 'MAV_MODE_FLAG_SAFETY_ARMED'
+            });
+        });
+
+        it('formats other fields as numbers', () => {
+            expect(valueFor(metadata, 'custom_mode').format).toBe('number');
+        });
+    });
+
+    it('includes units, and flattens arrays', () => {
+        const metadata = provider.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'BATTERY_STATUS'
+            }
+        });
+
+        expect(valueFor(metadata, 'voltages_9').unit).toBe('mV');
+        expect(valueFor(metadata, 'voltages_9').name).toBe('voltages[9]');
+    });
+
+    it('hints at positions and headings', () => {
+        const metadata = provider.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'GLOBAL_POSITION_INT'
+            }
+        });
+
+        expect(valueFor(metadata, 'lat').hints.latitude).toBe(1);
+        expect(valueFor(metadata, 'lat').unit).toBe('degE7');
+        expect(valueFor(metadata, 'lon').hints.longitude).toBe(1);
+        expect(valueFor(metadata, 'hdg').hints.heading).toBe(1);
+        expect(valueFor(metadata, 'hdg').unit).toBe('cdeg');
+    });
+
+    it('describes the time since boot of messages which carry it', () => {
+        const metadata = provider.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'ATTITUDE'
+            }
+        });
+
+        expect(valueFor(metadata, 'boot').hints.domain).toBe(2);
+        expect(valueFor(metadata, 'boot').format).toBe('boot');
+        expect(valueFor(provider.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'HEARTBEAT'
+            }
+        }), 'boot')).toBeUndefined();
+    });
+
+    it('formats character arrays as strings', () => {
+        const metadata = provider.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'STATUSTEXT'
+            }
+        });
+
+        expect(valueFor(metadata, 'text').format).toBe('string');
+    });
+
+    it('describes only the field of a field object', () => {
+        const metadata = provider.getMetadata({
+            type: 'mavlink.field',
+            mavlink: {
+                message: 'ATTITUDE',
+                field: 'roll'
+            }
+        });
+        const ranges = metadata.values.filter(value => value.hints && value.hints.range);
+
+        expect(ranges.map(value => value.key)).toEqual(['roll']);
+        expect(ranges[0].unit).toBe('rad');
+    });
+});
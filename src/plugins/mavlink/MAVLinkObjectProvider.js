@@ -0,0 +1,156 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    MAVLINK_NAMESPACE,
+    MAVLINK_MESSAGE_TYPE,
+    MAVLINK_FIELD_TYPE,
+    getVehicleNamespace
+} from './utils';
+
+export const ROOT_KEY = 'root';
+
+/**
+ * Provides an object tree generated from the message definitions of a
+ * dialect: a root folder containing an object for each message, each of
+ * which contains an object for each of its fields.
+ *
+ * Message objects are identified by message name (`HEARTBEAT`), and field
+ * objects by message and field name (`HEARTBEAT.base_mode`).
+ *
+ * A provider for a single vehicle provides the same tree in the vehicle's
+ * own namespace (`mavlink-<sysid>`), with telemetry from that vehicle only.
+ */
+export default class MAVLinkObjectProvider {
+    /**
+     * @param {MAVLinkDialect} dialect
+     * @param {Promise} dialectLoaded resolves when all dialects have been
+     *        added to the dialect
+     * @param {number} [sysid] the system id of the vehicle to provide
+     *        objects for; if omitted, objects have telemetry from any
+     *        vehicle
+     */
+    constructor(dialect, dialectLoaded, sysid) {
+        this.dialect = dialect;
+        this.dialectLoaded = dialectLoaded;
+        this.sysid = sysid;
+        this.namespace = sysid === undefined ? MAVLINK_NAMESPACE : getVehicleNamespace(sysid);
+    }
+
+    get(identifier) {
+        return this.dialectLoaded.then(() => {
+            const [messageName, fieldName] = identifier.key.split('.');
+
+            if (identifier.key === ROOT_KEY) {
+                return this.getRoot();
+            }
+
+            const definition = this.dialect.getMessageByName(messageName);
+            if (!definition) {
+                return undefined;
+            }
+
+            if (fieldName === undefined) {
+                return this.getMessageObject(definition);
+            }
+
+            const field = definition.fields.find(f => f.name === fieldName);
+
+            return field ? this.getFieldObject(definition, field) : undefined;
+        });
+    }
+
+    /**
+     * @private
+     */
+    getRoot() {
+        return {
+            identifier: this.makeIdentifier(ROOT_KEY),
+            name: this.sysid === undefined ? 'MAVLink' : `Vehicle ${this.sysid}`,
+            type: 'folder',
+            location: 'ROOT',
+            composition: this.dialect.getMessages()
+                .map(definition => this.makeIdentifier(definition.name))
+        };
+    }
+
+    /**
+     * @private
+     */
+    getMessageObject(definition) {
+        return {
+            identifier: this.makeIdentifier(definition.name),
+            name: definition.name,
+            type: MAVLINK_MESSAGE_TYPE,
+            location: this.makeKeyString(ROOT_KEY),
+            mavlink: this.makeOptions({
+                message: definition.name
+            }),
+            composition: definition.fields
+                .map(field => this.makeIdentifier(`${definition.name}.${field.name}`))
+        };
+    }
+
+    /**
+     * @private
+     */
+    getFieldObject(definition, field) {
+        return {
+            identifier: this.makeIdentifier(`${definition.name}.${field.name}`),
+            name: field.name,
+            type: MAVLINK_FIELD_TYPE,
+            location: this.makeKeyString(definition.name),
+            mavlink: this.makeOptions({
+                message: definition.name,
+                field: field.name
+            })
+        };
+    }
+
+    /**
+     * @private
+     */
+    makeOptions(options) {
+        if (this.sysid !== undefined) {
+            options.sysid = this.sysid;
+        }
+
+        return options;
+    }
+
+    /**
+     * @private
+     */
+    makeIdentifier(key) {
+        return {
+            namespace: this.namespace,
+            key
+        };
+    }
+
+    /**
+     * @private
+     */
+    makeKeyString(key) {
+        return `${this.namespace}:${key}`;
+    }
+}
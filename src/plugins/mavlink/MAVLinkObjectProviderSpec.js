@@ -0,0 +1,126 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import MAVLinkObjectProvider from './MAVLinkObjectProvider';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+describe('The MAVLink object provider', () => {
+    let provider;
+
+    function identifier(key) {
+        return {
+            namespace: 'mavlink',
+            key
+        };
+    }
+
+    beforeEach(() => {
+        provider = new MAVLinkObjectProvider(new MAVLinkDialect(parseDialectXML(commonXML)), Promise.resolve());
+    });
+
+    it('provides a root folder containing every message', () => {
+        return provider.get(identifier('root')).then((root) => {
+            expect(root.type).toBe('folder');
+            expect(root.location).toBe('ROOT');
+            expect(root.composition).toContain(identifier('HEARTBEAT'));
+            expect(root.composition).toContain(identifier('GLOBAL_POSITION_INT'));
+        });
+    });
+
+    it('provides message objects containing every field', () => {
+        return provider.get(identifier('ATTITUDE')).then((message) => {
+            expect(message.type).toBe('mavlink.message');
+            expect(message.mavlink).toEqual({
+                message: 'ATTITUDE'
+            });
+            expect(message.location).toBe('mavlink:root');
+            expect(message.composition.length).toBe(7);
+            expect(message.composition).toContain(identifier('ATTITUDE.roll'));
+        });
+    });
+
+    it('provides field objects', () => {
+        return provider.get(identifier('ATTITUDE.roll')).then((field) => {
+            expect(field.type).toBe('mavlink.field');
+            expect(field.name).toBe('roll');
+            expect(field.mavlink).toEqual({
+                message: 'ATTITUDE',
+                field: 'roll'
+            });
+            expect(field.location).toBe('mavlink:ATTITUDE');
+        });
+    });
+
+    it('provides nothing for unknown messages and fields', () => {
+        return Promise.all([
+            provider.get(identifier('NOT_A_MESSAGE')),
+            provider.get(identifier('ATTITUDE.not_a_field'))
+        ]).then((objects) => {
+            expect(objects).toEqual([undefined, undefined]);
+        });
+    });
+
+    it('provides the tree of a single vehicle in its own namespace', () => {
+        provider = new MAVLinkObjectProvider(new MAVLinkDialect(parseDialectXML(commonXML)), Promise.resolve(), 4);
+
+        return Promise.all([
+            provider.get({
+                namespace: 'mavlink-4',
+                key: 'root'
+            }),
+            provider.get({
+                namespace: 'mavlink-4',
+                key: 'ATTITUDE.roll'
+            })
+        ]).then(([root, field]) => {
+            expect(root.name).toBe('Vehicle 4');
+            expect(root.composition).toContain({
+                namespace: 'mavlink-4',
+                key: 'ATTITUDE'
+            });
+            expect(field.location).toBe('mavlink-4:ATTITUDE');
+            expect(field.mavlink).toEqual({
+                message: 'ATTITUDE',
+                field: 'roll',
+                sysid: 4
+            });
+        });
+    });
+
+    it('waits for dialects to load', () => {
+        const dialect = new MAVLinkDialect();
+        let loaded;
+        provider = new MAVLinkObjectProvider(dialect, new Promise((resolve) => {
+            loaded = resolve;
+        }));
+
+        const promise = provider.get(identifier('HEARTBEAT'));
+        dialect.addDefinitions(parseDialectXML(commonXML));
+        loaded();
+
+        return promise.then((message) => {
+            expect(message.name).toBe('HEARTBEAT');
+        });
+    });
+});
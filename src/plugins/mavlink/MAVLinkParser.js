@@ -0,0 +1,312 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import { x25 } from './crc';
+
+export const MAVLINK_V1_MAGIC = 0xfe;
+export const MAVLINK_V2_MAGIC = 0xfd;
+
+const V1_HEADER_LENGTH = 6;
+const V2_HEADER_LENGTH = 10;
+const CHECKSUM_LENGTH = 2;
+const SIGNATURE_LENGTH = 13;
+const INCOMPAT_FLAG_SIGNED = 0x01;
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Incrementally decodes MAVLink v1 and v2 frames from a byte stream. Bytes
+ * may be supplied in chunks of any size; partial frames are retained until
+ * the rest of the frame arrives.
+ *
+ * Frames for messages which are not defined in the dialect cannot be
+ * checked and are skipped, as are frames which fail their checksum. Either
+ * may have been a stray magic byte, so decoding resumes from the next byte.
+ */
+export default class MAVLinkParser {
+    /**
+     * @param {MAVLinkDialect} dialect the message definitions to decode with
+     */
+    constructor(dialect) {
+        this.dialect = dialect;
+        this.buffer = new Uint8Array(0);
+        this.stats = {
+            received: 0,
+            crcErrors: 0,
+            unknown: 0
+        };
+    }
+
+    /**
+     * Decode every complete frame available after appending `bytes` to the
+     * stream.
+     *
+     * @param {Uint8Array|ArrayBuffer} bytes
+     * @returns {Object[]} the decoded messages, in the order received
+     */
+    parse(bytes) {
+        const messages = [];
+        let buffer = this.append(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+        let index = 0;
+
+        while (index < buffer.length) {
+            const result = this.decodeAt(buffer, index);
+
+            if (result === undefined) {
+                break;
+            }
+
+            if (result.message) {
+                messages.push(result.message);
+            }
+
+            index += result.length;
+        }
+
+        this.buffer = buffer.slice(index);
+
+        return messages;
+    }
+
+    /**
+     * Decode the frame starting at `index`, without buffering. Besides
+     * streams, this reads logs in which each frame is preceded by other data,
+     * such as the timestamps of a telemetry log.
+     *
+     * @param {Uint8Array} buffer
+     * @param {number} index the offset of the frame's magic byte
+     * @returns {{message: (Object|undefined), length: number}|undefined}
+     *          undefined if the frame is incomplete; otherwise the decoded
+     *          message, if any, and the number of bytes to advance by
+     */
+    decodeAt(buffer, index) {
+        const magic = buffer[index];
+
+        if (magic !== MAVLINK_V1_MAGIC && magic !== MAVLINK_V2_MAGIC) {
+            return {
+                length: 1
+            };
+        }
+
+        const frameLength = getFrameLength(buffer, index);
+        if (frameLength === undefined || index + frameLength > buffer.length) {
+            return undefined;
+        }
+
+        const result = this.decodeFrame(buffer.subarray(index, index + frameLength));
+
+        // A frame which could not be checked, or which failed its checksum,
+        // may have been a stray magic byte, so resynchronize from the next
+        // byte rather than skip the frame.
+        return {
+            message: result.message,
+            length: result.resync ? 1 : frameLength
+        };
+    }
+
+    /**
+     * Discard any partially received frame.
+     */
+    reset() {
+        this.buffer = new Uint8Array(0);
+    }
+
+    /**
+     * @private
+     */
+    append(bytes) {
+        if (!this.buffer.length) {
+            return bytes;
+        }
+
+        const buffer = new Uint8Array(this.buffer.length + bytes.length);
+        buffer.set(this.buffer);
+        buffer.set(bytes, this.buffer.length);
+
+        return buffer;
+    }
+
+    /**
+     * @private
+     */
+    decodeFrame(frame) {
+        const isV2 = frame[0] === MAVLINK_V2_MAGIC;
+        const headerLength = isV2 ? V2_HEADER_LENGTH : V1_HEADER_LENGTH;
+        const payloadLength = frame[1];
+        const header = isV2 ? {
+            version: 2,
+            incompatFlags: frame[2],
+            compatFlags: frame[3],
+            seq: frame[4],
+            sysid: frame[5],
+            compid: frame[6],
+            /* eslint-disable-next-line no-bitwise */
+            msgid: frame[7] | (frame[8] << 8) | (frame[9] << 16)
+        } : {
+            version: 1,
+            seq: frame[2],
+            sysid: frame[3],
+            compid: frame[4],
+            msgid: frame[5]
+        };
+        const definition = this.dialect.getMessageById(header.msgid);
+
+        if (!definition) {
+            this.stats.unknown++;
+
+            return {
+                resync: true
+            };
+        }
+
+        const checksumOffset = headerLength + payloadLength;
+        const expected = frame[checksumOffset] + (frame[checksumOffset + 1] * 256);
+        const actual = x25([definition.crcExtra], 0, 1, x25(frame, 1, checksumOffset));
+
+        if (expected !== actual) {
+            this.stats.crcErrors++;
+
+            return {
+                resync: true
+            };
+        }
+
+        this.stats.received++;
+
+        return {
+            message: {
+                version: header.version,
+                seq: header.seq,
+                sysid: header.sysid,
+                compid: header.compid,
+                msgid: header.msgid,
+                name: definition.name,
+                /* eslint-disable-next-line no-bitwise */
+                signed: Boolean(isV2 && (header.incompatFlags & INCOMPAT_FLAG_SIGNED)),
+                fields: decodePayload(definition, frame.subarray(headerLength, checksumOffset))
+            }
+        };
+    }
+}
+
+/**
+ * Determine the total length of the frame starting at `index`, or undefined
+ * if not enough of the header has been received yet.
+ * @private
+ */
+function getFrameLength(buffer, index) {
+    if (index + 3 > buffer.length) {
+        return undefined;
+    }
+
+    const payloadLength = buffer[index + 1];
+
+    if (buffer[index] === MAVLINK_V1_MAGIC) {
+        return V1_HEADER_LENGTH + payloadLength + CHECKSUM_LENGTH;
+    }
+
+    /* eslint-disable-next-line no-bitwise */
+    const signed = buffer[index + 2] & INCOMPAT_FLAG_SIGNED;
+
+    return V2_HEADER_LENGTH + payloadLength + CHECKSUM_LENGTH + (signed ? SIGNATURE_LENGTH : 0);
+}
+
+/**
+ * Decode a payload into an object of field values. MAVLink 2 senders strip
+ * trailing zero bytes from the payload, and older senders omit extension
+ * fields, so the payload is zero-filled to its full length first.
+ *
+ * @param {Object} definition the message definition from a MAVLinkDialect
+ * @param {Uint8Array} payload the payload bytes of a frame or log record
+ * @returns {Object} field values, keyed by field name
+ */
+export function decodePayload(definition, payload) {
+    const bytes = new Uint8Array(Math.max(definition.length, payload.length));
+    bytes.set(payload);
+
+    const view = new DataView(bytes.buffer);
+    const fields = {};
+
+    definition.wireFields.forEach((field) => {
+        if (field.type === 'char' && field.arrayLength) {
+            fields[field.name] = readString(bytes, field.offset, field.arrayLength);
+        } else if (field.arrayLength) {
+            const itemSize = field.size / field.arrayLength;
+            fields[field.name] = [];
+
+            for (let i = 0; i < field.arrayLength; i++) {
+                fields[field.name].push(readValue(view, field.type, field.offset + (i * itemSize)));
+            }
+        } else {
+            fields[field.name] = readValue(view, field.type, field.offset);
+        }
+    });
+
+    return fields;
+}
+
+/**
+ * @private
+ */
+function readString(bytes, offset, length) {
+    let string = '';
+
+    for (let i = offset; i < offset + length && bytes[i] !== 0; i++) {
+        string += String.fromCharCode(bytes[i]);
+    }
+
+    return string;
+}
+
+/**
+ * 64-bit integers are read as (possibly imprecise) Numbers, which is
+ * sufficient for timestamps and counters.
+ * @private
+ */
+function readValue(view, type, offset) {
+    switch (type) {
+    case 'char':
+        return String.fromCharCode(view.getUint8(offset));
+    case 'int8_t':
+        return view.getInt8(offset);
+    case 'uint8_t':
+    case 'uint8_t_mavlink_version':
+        return view.getUint8(offset);
+    case 'int16_t':
+        return view.getInt16(offset, true);
+    case 'uint16_t':
+        return view.getUint16(offset, true);
+    case 'int32_t':
+        return view.getInt32(offset, true);
+    case 'uint32_t':
+        return view.getUint32(offset, true);
+    case 'float':
+        return view.getFloat32(offset, true);
+    case 'double':
+        return view.getFloat64(offset, true);
+    case 'int64_t':
+        return (view.getInt32(offset + 4, true) * UINT32_RANGE) + view.getUint32(offset, true);
+    case 'uint64_t':
+        return (view.getUint32(offset + 4, true) * UINT32_RANGE) + view.getUint32(offset, true);
+    default:
+        throw new Error(`Unsupported MAVLink field type "${type}"`);
+    }
+}
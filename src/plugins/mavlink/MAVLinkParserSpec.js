@@ -0,0 +1,187 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import MAVLinkParser from './MAVLinkParser';
+import encodeMessage from './MAVLinkEncoder';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+import { x25 } from './crc';
+
+describe('The MAVLink parser', () => {
+    let dialect;
+    let parser;
+
+    function concat(...frames) {
+        const bytes = [];
+        frames.forEach(frame => bytes.push(...frame));
+
+        return new Uint8Array(bytes);
+    }
+
+    beforeEach(() => {
+        dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        parser = new MAVLinkParser(dialect);
+    });
+
+    it('decodes a MAVLink 1 heartbeat', () => {
+        const frame = new Uint8Array([
+            0xfe, 0x09, 0x00, 0x01, 0x01, 0x00,
+            0x04, 0x00, 0x00, 0x00, 0x02, 0x03, 0x51, 0x03, 0x03,
+            0xe4, 0xe1
+        ]);
+        const messages = parser.parse(frame);
+
+        expect(messages.length).toBe(1);
+        expect(messages[0]).toEqual(jasmine.objectContaining({
+            version: 1,
+            sysid: 1,
+            compid: 1,
+            name: 'HEARTBEAT'
+        }));
+        expect(messages[0].fields).toEqual({
+            custom_mode: 4,
+            type: 2,
+            autopilot: 3,
+            base_mode: 81,
+            system_status: 3,
+            mavlink_version: 3
+        });
+    });
+
+    it('decodes zero-truncated MAVLink 2 payloads', () => {
+        const frame = encodeMessage(dialect, 'GLOBAL_POSITION_INT', {
+            time_boot_ms: 1000,
+            lat: -353632621
+        }, {
+            sysid: 2
+        });
+        const messages = parser.parse(frame);
+
+        expect(frame[1]).toBeLessThan(dialect.getMessageByName('GLOBAL_POSITION_INT').length);
+        expect(messages[0].version).toBe(2);
+        expect(messages[0].sysid).toBe(2);
+        expect(messages[0].fields.lat).toBe(-353632621);
+        expect(messages[0].fields.hdg).toBe(0);
+    });
+
+    it('decodes strings, arrays and 64 bit integers', () => {
+        const messages = parser.parse(concat(
+            encodeMessage(dialect, 'STATUSTEXT', {
+                severity: 4,
+                text: 'PreArm: Check fence'
+            }),
+            encodeMessage(dialect, 'BATTERY_STATUS', {
+                voltages: [4100, 4110, 4120]
+            }),
+            encodeMessage(dialect, 'SYSTEM_TIME', {
+                time_unix_usec: 1600000000123456
+            })
+        ));
+
+        expect(messages[0].fields.text).toBe('PreArm: Check fence');
+        expect(messages[1].fields.voltages.slice(0, 4)).toEqual([4100, 4110, 4120, 0]);
+        expect(messages[2].fields.time_unix_usec).toBe(1600000000123456);
+    });
+
+    it('decodes frames split across chunks', () => {
+        const frame = encodeMessage(dialect, 'VFR_HUD', {
+            airspeed: 12.5,
+            heading: 270
+        });
+
+        expect(parser.parse(frame.subarray(0, 3))).toEqual([]);
+        expect(parser.parse(frame.subarray(3, 10))).toEqual([]);
+
+        const messages = parser.parse(frame.subarray(10));
+        expect(messages.length).toBe(1);
+        expect(messages[0].fields.airspeed).toBe(12.5);
+        expect(messages[0].fields.heading).toBe(270);
+    });
+
+    it('skips leading noise', () => {
+        const frame = encodeMessage(dialect, 'HEARTBEAT', {type: 1});
+        const messages = parser.parse(concat([0x00, 0x42, 0x13], frame));
+
+        expect(messages.length).toBe(1);
+        expect(messages[0].name).toBe('HEARTBEAT');
+    });
+
+    it('rejects frames with bad checksums and resynchronizes', () => {
+        const corrupt = encodeMessage(dialect, 'ATTITUDE', {roll: 1});
+        corrupt[corrupt.length - 1] = (corrupt[corrupt.length - 1] + 1) % 256;
+
+        const messages = parser.parse(concat(corrupt, encodeMessage(dialect, 'ATTITUDE', {roll: 2})));
+
+        expect(messages.length).toBe(1);
+        expect(messages[0].fields.roll).toBe(2);
+        expect(parser.stats.crcErrors).toBe(1);
+    });
+
+    it('skips messages that are not defined in the dialect', () => {
+        const unknown = new MAVLinkParser(new MAVLinkDialect({
+            messages: [{
+                id: 12000,
+                name: 'UNKNOWN_TO_COMMON',
+                fields: [{
+                    name: 'value',
+                    type: 'uint8_t'
+                }]
+            }]
+        }));
+        const frame = encodeMessage(unknown.dialect, 'UNKNOWN_TO_COMMON', {value: 1});
+        const messages = parser.parse(concat(frame, encodeMessage(dialect, 'HEARTBEAT', {})));
+
+        expect(messages.map(message => message.name)).toEqual(['HEARTBEAT']);
+        expect(parser.stats.unknown).toBe(1);
+    });
+
+    it('resynchronizes after a stray magic byte with an unknown message id', () => {
+        // A MAVLink 1 header for undefined message 240, whose length would
+        // take in the start of the heartbeat that follows it
+        const stray = [0xfe, 0x02, 0x00, 0x01, 0x01, 0xf0];
+        const messages = parser.parse(concat(stray, encodeMessage(dialect, 'HEARTBEAT', {type: 2})));
+
+        expect(messages.length).toBe(1);
+        expect(messages[0].name).toBe('HEARTBEAT');
+        expect(messages[0].fields.type).toBe(2);
+        expect(parser.stats.unknown).toBe(1);
+    });
+
+    it('decodes signed MAVLink 2 frames and skips the signature', () => {
+        const unsigned = encodeMessage(dialect, 'HEARTBEAT', {type: 2});
+        const checksumOffset = unsigned.length - 2;
+        const signed = new Uint8Array(unsigned.length + 13);
+        signed.set(unsigned);
+        signed[2] = 0x01;
+
+        const checksum = x25([dialect.getMessageByName('HEARTBEAT').crcExtra], 0, 1, x25(signed, 1, checksumOffset));
+        signed[checksumOffset] = checksum % 256;
+        signed[checksumOffset + 1] = Math.floor(checksum / 256);
+
+        const messages = parser.parse(concat(signed, encodeMessage(dialect, 'HEARTBEAT', {type: 6})));
+
+        expect(messages.map(message => message.fields.type)).toEqual([2, 6]);
+        expect(messages[0].signed).toBe(true);
+        expect(messages[1].signed).toBe(false);
+    });
+});
@@ -0,0 +1,124 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    isMAVLinkTelemetryObject,
+    isMessageFor,
+    messageToDatum
+} from './utils';
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+/**
+ * Provides realtime telemetry for MAVLink message and field objects, one
+ * datum per received message. The most recent data for each message are
+ * retained so that views opened after a message arrived can request them.
+ */
+export default class MAVLinkTelemetryProvider {
+    /**
+     * @param {MAVLinkConnection} connection
+     * @param {Object} [options]
+     * @param {number} [options.historySize=1000] the number of datums to
+     *        retain for each message and system id
+     */
+    constructor(connection, options = {}) {
+        this.connection = connection;
+        this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+        this.history = {};
+        this.subscribers = [];
+
+        this.connection.on('message', this.onMessage, this);
+    }
+
+    supportsRequest(domainObject) {
+        return isMAVLinkTelemetryObject(domainObject);
+    }
+
+    supportsSubscribe(domainObject) {
+        return isMAVLinkTelemetryObject(domainObject);
+    }
+
+    subscribe(domainObject, callback) {
+        const subscriber = {
+            domainObject,
+            callback
+        };
+
+        this.subscribers.push(subscriber);
+
+        return () => {
+            this.subscribers = this.subscribers.filter(candidate => candidate !== subscriber);
+        };
+    }
+
+    request(domainObject, options = {}) {
+        const start = options.start === undefined ? -Infinity : options.start;
+        const end = options.end === undefined ? Infinity : options.end;
+        const domain = options.domain === 'boot' ? 'boot' : 'utc';
+        const data = Object.values(this.history)
+            .filter(entry => isMessageFor(domainObject, entry.message))
+            .reduce((all, entry) => all.concat(entry.data), [])
+            .filter(datum => datum[domain] >= start && datum[domain] <= end)
+            .sort((a, b) => a[domain] - b[domain]);
+
+        if (options.strategy === 'latest' || options.size === 1) {
+            return Promise.resolve(data.slice(-1));
+        }
+
+        return Promise.resolve(data);
+    }
+
+    /**
+     * Convert each message to a datum once, so that historical and realtime
+     * data carry identical timestamps.
+     * @private
+     */
+    onMessage(message) {
+        const datum = messageToDatum(message, Date.now());
+
+        this.recordHistory(message, datum);
+        this.subscribers
+            .filter(subscriber => isMessageFor(subscriber.domainObject, message))
+            .forEach(subscriber => subscriber.callback(datum));
+    }
+
+    /**
+     * @private
+     */
+    recordHistory(message, datum) {
+        const key = `${message.name}:${message.sysid}`;
+        let entry = this.history[key];
+
+        if (!entry) {
+            entry = this.history[key] = {
+                message,
+                data: []
+            };
+        }
+
+        entry.data.push(datum);
+
+        if (entry.data.length > this.historySize) {
+            entry.data.shift();
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import MAVLinkTelemetryProvider from './MAVLinkTelemetryProvider';
+
+describe('The MAVLink telemetry provider', () => {
+    let connection;
+    let provider;
+    let attitudeObject;
+
+    function receive(name, sysid, fields) {
+        connection.emit('message', {
+            name,
+            sysid,
+            compid: 1,
+            fields
+        });
+    }
+
+    beforeEach(() => {
+        connection = new EventEmitter();
+        provider = new MAVLinkTelemetryProvider(connection, {
+            historySize: 2
+        });
+        attitudeObject = {
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'ATTITUDE'
+            }
+        };
+    });
+
+    it('supports MAVLink message objects only', () => {
+        expect(provider.supportsSubscribe(attitudeObject)).toBe(true);
+        expect(provider.supportsRequest(attitudeObject)).toBe(true);
+        expect(provider.supportsSubscribe({type: 'generator'})).toBe(false);
+    });
+
+    it('delivers one datum per matching message to subscribers', () => {
+        const callback = jasmine.createSpy('callback');
+        provider.subscribe(attitudeObject, callback);
+
+        receive('ATTITUDE', 1, {roll: 0.5});
+        receive('VFR_HUD', 1, {airspeed: 10});
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.calls.mostRecent().args[0]).toEqual(jasmine.objectContaining({
+            sysid: 1,
+            compid: 1,
+            roll: 0.5,
+            utc: jasmine.any(Number)
+        }));
+    });
+
+    it('flattens array fields into one value per element', () => {
+        const callback = jasmine.createSpy('callback');
+        attitudeObject.mavlink.message = 'BATTERY_STATUS';
+        provider.subscribe(attitudeObject, callback);
+
+        receive('BATTERY_STATUS', 1, {voltages: [4100, 4120]});
+
+        expect(callback.calls.mostRecent().args[0].voltages_1).toBe(4120);
+    });
+
+    it('filters by system id when one is configured', () => {
+        const callback = jasmine.createSpy('callback');
+        attitudeObject.mavlink.sysid = 2;
+        provider.subscribe(attitudeObject, callback);
+
+        receive('ATTITUDE', 1, {roll: 0.5});
+        receive('ATTITUDE', 2, {roll: 0.25});
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.calls.mostRecent().args[0].roll).toBe(0.25);
+    });
+
+    it('delivers the same data to subscribers as it retains for requests', () => {
+        const callback = jasmine.createSpy('callback');
+        provider.subscribe(attitudeObject, callback);
+
+        receive('ATTITUDE', 1, {roll: 0.5});
+
+        return provider.request(attitudeObject, {}).then((data) => {
+            expect(data.length).toBe(1);
+            expect(data[0]).toBe(callback.calls.mostRecent().args[0]);
+        });
+    });
+
+    it('stops delivering data when unsubscribed', () => {
+        const callback = jasmine.createSpy('callback');
+        const unsubscribe = provider.subscribe(attitudeObject, callback);
+
+        unsubscribe();
+        receive('ATTITUDE', 1, {roll: 0.5});
+
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('returns retained data for requests', () => {
+        receive('ATTITUDE', 1, {roll: 1});
+        receive('ATTITUDE', 1, {roll: 2});
+        receive('ATTITUDE', 1, {roll: 3});
+
+        return provider.request(attitudeObject, {}).then((data) => {
+            expect(data.map(datum => datum.roll)).toEqual([2, 3]);
+
+            return provider.request(attitudeObject, {strategy: 'latest'});
+        }).then((data) => {
+            expect(data.map(datum => datum.roll)).toEqual([3]);
+
+            return provider.request(attitudeObject, {
+                start: 0,
+                end: 1
+            });
+        }).then((data) => {
+            expect(data).toEqual([]);
+        });
+    });
+
+    it('stamps data with the time since boot, and requests by it', () => {
+        receive('ATTITUDE', 1, {
+            time_boot_ms: 1000,
+            roll: 1
+        });
+        receive('ATTITUDE', 1, {
+            time_boot_ms: 2000,
+            roll: 2
+        });
+
+        return provider.request(attitudeObject, {
+            domain: 'boot',
+            start: 1500,
+            end: 2500
+        }).then((data) => {
+            expect(data.map(datum => datum.boot)).toEqual([2000]);
+        });
+    });
+});
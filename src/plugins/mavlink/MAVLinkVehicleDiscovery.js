@@ -0,0 +1,74 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+
+const MAV_AUTOPILOT_INVALID = 8;
+
+/**
+ * Discovers the vehicles on a MAVLink connection. A vehicle is discovered
+ * when the first HEARTBEAT from its autopilot arrives; heartbeats from
+ * ground stations and other components without an autopilot are ignored.
+ *
+ * Emits `add` with the system id of each vehicle as it is discovered.
+ */
+export default class MAVLinkVehicleDiscovery extends EventEmitter {
+    /**
+     * @param {MAVLinkConnection} connection
+     */
+    constructor(connection) {
+        super();
+
+        this.connection = connection;
+        this.vehicles = [];
+
+        this.onMessage = this.onMessage.bind(this);
+        this.connection.on('message', this.onMessage);
+    }
+
+    /**
+     * @returns {number[]} the system ids of the vehicles discovered so far,
+     *          in the order they were discovered
+     */
+    getVehicles() {
+        return this.vehicles.slice();
+    }
+
+    destroy() {
+        this.connection.off('message', this.onMessage);
+        this.removeAllListeners();
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        if (message.name !== 'HEARTBEAT'
+            || message.fields.autopilot === MAV_AUTOPILOT_INVALID
+            || this.vehicles.includes(message.sysid)) {
+            return;
+        }
+
+        this.vehicles.push(message.sysid);
+        this.emit('add', message.sysid);
+    }
+}
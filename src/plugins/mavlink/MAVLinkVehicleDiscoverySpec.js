@@ -0,0 +1,86 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import MAVLinkVehicleDiscovery from './MAVLinkVehicleDiscovery';
+
+describe('MAVLink vehicle discovery', () => {
+    let connection;
+    let discovery;
+    let added;
+
+    function heartbeat(sysid, autopilot = 3) {
+        connection.emit('message', {
+            name: 'HEARTBEAT',
+            sysid,
+            compid: 1,
+            fields: {
+                type: 2,
+                autopilot
+            }
+        });
+    }
+
+    beforeEach(() => {
+        connection = new EventEmitter();
+        discovery = new MAVLinkVehicleDiscovery(connection);
+        added = jasmine.createSpy('add');
+        discovery.on('add', added);
+    });
+
+    afterEach(() => {
+        discovery.destroy();
+    });
+
+    it('discovers each vehicle once, on its first heartbeat', () => {
+        heartbeat(3);
+        heartbeat(1);
+        heartbeat(3);
+
+        expect(added.calls.allArgs()).toEqual([[3], [1]]);
+        expect(discovery.getVehicles()).toEqual([3, 1]);
+    });
+
+    it('ignores heartbeats without an autopilot', () => {
+        heartbeat(255, 8);
+
+        expect(added).not.toHaveBeenCalled();
+    });
+
+    it('ignores other messages', () => {
+        connection.emit('message', {
+            name: 'ATTITUDE',
+            sysid: 1,
+            compid: 1,
+            fields: {}
+        });
+
+        expect(discovery.getVehicles()).toEqual([]);
+    });
+
+    it('stops listening when destroyed', () => {
+        discovery.destroy();
+        heartbeat(1);
+
+        expect(discovery.getVehicles()).toEqual([]);
+    });
+});
@@ -0,0 +1,71 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * CRC-16/MCRF4XX (the "X.25" checksum used by MAVLink).
+ */
+export const X25_INIT = 0xffff;
+
+/**
+ * Accumulate a single byte into a running X.25 checksum.
+ * @param {number} crc the current checksum
+ * @param {number} byte the byte to accumulate
+ * @returns {number} the updated checksum
+ */
+export function accumulate(crc, byte) {
+    /* eslint-disable no-bitwise */
+    let tmp = (byte ^ (crc & 0xff)) & 0xff;
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+
+    return ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+    /* eslint-enable no-bitwise */
+}
+
+/**
+ * Compute the X.25 checksum of a range of bytes.
+ * @param {Uint8Array|number[]} bytes
+ * @param {number} [start=0]
+ * @param {number} [end=bytes.length]
+ * @param {number} [crc=X25_INIT] a checksum to continue from
+ * @returns {number}
+ */
+export function x25(bytes, start = 0, end = bytes.length, crc = X25_INIT) {
+    for (let i = start; i < end; i++) {
+        crc = accumulate(crc, bytes[i]);
+    }
+
+    return crc;
+}
+
+/**
+ * Compute the X.25 checksum of the characters of an ASCII string.
+ * @param {string} string
+ * @param {number} [crc=X25_INIT] a checksum to continue from
+ * @returns {number}
+ */
+export function x25String(string, crc = X25_INIT) {
+    for (let i = 0; i < string.length; i++) {
+        crc = accumulate(crc, string.charCodeAt(i));
+    }
+
+    return crc;
+}
@@ -0,0 +1,193 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * Parse a MAVLink message-definition XML dialect, such as `common.xml`.
+ *
+ * @param {string} text the XML source of the dialect
+ * @returns {{includes: string[], enums: Object[], messages: Object[]}} the
+ *          names of included dialects, and the enum and message
+ *          definitions of this dialect (excluding its includes)
+ */
+export function parseDialectXML(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    const root = xml.documentElement;
+
+    if (root.nodeName !== 'mavlink' || root.getElementsByTagName('parsererror').length) {
+        throw new Error('Not a MAVLink dialect');
+    }
+
+    return {
+        includes: childElements(root, 'include').map(include => include.textContent.trim()),
+        enums: childElements(root, 'enums', 'enum').map(parseEnum),
+        messages: childElements(root, 'messages', 'message').map(parseMessage)
+    };
+}
+
+/**
+ * Load a dialect, and the dialects it includes, from a URL. Included
+ * dialects are resolved relative to the including dialect, and are loaded
+ * once only.
+ *
+ * @param {string} url the URL of the dialect
+ * @param {Object} [loaded] the absolute URLs of dialects already loaded
+ * @returns {Promise.<{enums: Object[], messages: Object[]}>} the definitions
+ *          of the dialect and its includes, includes first
+ */
+export function loadDialectXML(url, loaded = {}) {
+    const absoluteURL = new URL(url, window.location.href).href;
+
+    if (loaded[absoluteURL]) {
+        return Promise.resolve({
+            enums: [],
+            messages: []
+        });
+    }
+
+    loaded[absoluteURL] = true;
+
+    return fetch(absoluteURL)
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`Could not load MAVLink dialect ${absoluteURL}`);
+            }
+
+            return response.text();
+        })
+        .then((text) => {
+            const dialect = parseDialectXML(text);
+            const includes = dialect.includes.map(include => new URL(include, absoluteURL).href);
+
+            return includes.reduce((promise, include) => {
+                return promise.then((definitions) => {
+                    return loadDialectXML(include, loaded).then(included => mergeDefinitions(definitions, included));
+                });
+            }, Promise.resolve({
+                enums: [],
+                messages: []
+            })).then(definitions => mergeDefinitions(definitions, dialect));
+        });
+}
+
+/**
+ * @private
+ */
+function mergeDefinitions(definitions, more) {
+    return {
+        enums: definitions.enums.concat(more.enums),
+        messages: definitions.messages.concat(more.messages)
+    };
+}
+
+/**
+ * @private
+ */
+function childElements(element, ...path) {
+    return path.reduce((elements, name) => {
+        return elements.reduce((children, parent) => {
+            return children.concat(Array.from(parent.children).filter(child => child.nodeName === name));
+        }, []);
+    }, [element]);
+}
+
+/**
+ * @private
+ */
+function descriptionOf(element) {
+    const description = childElements(element, 'description')[0];
+
+    return description ? description.textContent.trim() : undefined;
+}
+
+/**
+ * Entry values may be decimal, hexadecimal or written as a power of two
+ * (`2**4`). Entries without a value follow on from the previous entry.
+ * @private
+ */
+function parseEnum(element) {
+    let nextValue = 0;
+    const entries = childElements(element, 'entry').map((entry) => {
+        const valueText = entry.getAttribute('value');
+        const power = /^\s*2\s*\*\*\s*(\d+)\s*$/.exec(valueText || '');
+        let value = nextValue;
+
+        if (power) {
+            value = Math.pow(2, Number(power[1]));
+        } else if (valueText !== null) {
+            value = Number(valueText);
+        }
+
+        nextValue = value + 1;
+
+        return {
+            name: entry.getAttribute('name'),
+            value,
+            description: descriptionOf(entry)
+        };
+    });
+
+    return {
+        name: element.getAttribute('name'),
+        bitmask: element.getAttribute('bitmask') === 'true',
+        description: descriptionOf(element),
+        entries
+    };
+}
+
+/**
+ * @private
+ */
+function parseMessage(element) {
+    let extension = false;
+    const fields = [];
+
+    Array.from(element.children).forEach((child) => {
+        if (child.nodeName === 'extensions') {
+            extension = true;
+        } else if (child.nodeName === 'field') {
+            const field = {
+                name: child.getAttribute('name'),
+                type: child.getAttribute('type'),
+                extension
+            };
+
+            ['units', 'enum', 'display'].forEach((attribute) => {
+                if (child.hasAttribute(attribute)) {
+                    field[attribute] = child.getAttribute(attribute);
+                }
+            });
+
+            if (child.textContent.trim()) {
+                field.description = child.textContent.trim();
+            }
+
+            fields.push(field);
+        }
+    });
+
+    return {
+        id: Number(element.getAttribute('id')),
+        name: element.getAttribute('name'),
+        description: descriptionOf(element),
+        fields
+    };
+}
@@ -0,0 +1,160 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    parseDialectXML,
+    loadDialectXML
+} from './dialectXML';
+import {
+    spyOnBuiltins,
+    clearBuiltinSpies
+} from 'utils/testing';
+
+const ARDUPILOT_XML = `<?xml version="1.0"?>
+<mavlink>
+  <include>common.xml</include>
+  <enums>
+    <enum name="MAV_CMD">
+      <entry value="42428" name="MAV_CMD_DO_SEND_BANNER"/>
+    </enum>
+    <enum name="LIMIT_MODULE" bitmask="true">
+      <entry value="2**0" name="LIMIT_GPSLOCK"/>
+      <entry value="0x02" name="LIMIT_GEOFENCE"/>
+      <entry value="4" name="LIMIT_ALTITUDE"/>
+    </enum>
+    <enum name="LIMITS_STATE">
+      <entry name="LIMITS_INIT"/>
+      <entry name="LIMITS_DISABLED"/>
+      <entry value="5" name="LIMITS_RECOVERED"/>
+      <entry name="LIMITS_NEXT"/>
+    </enum>
+  </enums>
+  <messages>
+    <message id="150" name="SENSOR_OFFSETS">
+      <description>Offsets and calibrations values for hardware sensors.</description>
+      <field type="int16_t" name="mag_ofs_x">Magnetometer X offset.</field>
+      <field type="float" name="mag_declination" units="rad">Magnetic declination.</field>
+      <extensions/>
+      <field type="uint8_t" name="mods_enabled" enum="LIMIT_MODULE" display="bitmask">Enabled modules.</field>
+    </message>
+  </messages>
+</mavlink>`;
+
+const COMMON_XML = `<?xml version="1.0"?>
+<mavlink>
+  <messages>
+    <message id="0" name="HEARTBEAT">
+      <field type="uint8_t" name="type"/>
+    </message>
+  </messages>
+</mavlink>`;
+
+describe('MAVLink dialect XML', () => {
+    describe('parsing', () => {
+        let dialect;
+
+        beforeEach(() => {
+            dialect = parseDialectXML(ARDUPILOT_XML);
+        });
+
+        it('lists included dialects', () => {
+            expect(dialect.includes).toEqual(['common.xml']);
+        });
+
+        it('parses messages and fields', () => {
+            const message = dialect.messages[0];
+
+            expect(message.id).toBe(150);
+            expect(message.name).toBe('SENSOR_OFFSETS');
+            expect(message.description).toBe('Offsets and calibrations values for hardware sensors.');
+            expect(message.fields[1]).toEqual({
+                name: 'mag_declination',
+                type: 'float',
+                units: 'rad',
+                extension: false,
+                description: 'Magnetic declination.'
+            });
+        });
+
+        it('marks fields following <extensions/> as extensions', () => {
+            const fields = dialect.messages[0].fields;
+
+            expect(fields.map(field => field.extension)).toEqual([false, false, true]);
+            expect(fields[2].enum).toBe('LIMIT_MODULE');
+            expect(fields[2].display).toBe('bitmask');
+        });
+
+        it('parses decimal, hexadecimal and power of two entry values', () => {
+            const limitModule = dialect.enums.find(e => e.name === 'LIMIT_MODULE');
+
+            expect(limitModule.bitmask).toBe(true);
+            expect(limitModule.entries.map(entry => entry.value)).toEqual([1, 2, 4]);
+        });
+
+        it('numbers entries without values from the previous entry', () => {
+            const limitsState = dialect.enums.find(e => e.name === 'LIMITS_STATE');
+
+            expect(limitsState.bitmask).toBe(false);
+            expect(limitsState.entries.map(entry => entry.value)).toEqual([0, 1, 5, 6]);
+        });
+
+        it('rejects documents which are not dialects', () => {
+            expect(() => parseDialectXML('<html></html>')).toThrowError(/Not a MAVLink dialect/);
+        });
+    });
+
+    describe('loading', () => {
+        beforeEach(() => {
+            spyOnBuiltins(['fetch']);
+            window.fetch.and.callFake((url) => {
+                const documents = {
+                    'http://vehicle/dialects/ardupilotmega.xml': ARDUPILOT_XML,
+                    'http://vehicle/dialects/common.xml': COMMON_XML
+                };
+
+                return Promise.resolve({
+                    ok: Boolean(documents[url]),
+                    text: () => Promise.resolve(documents[url])
+                });
+            });
+        });
+
+        afterEach(() => {
+            clearBuiltinSpies();
+        });
+
+        it('loads included dialects relative to the including dialect', () => {
+            return loadDialectXML('http://vehicle/dialects/ardupilotmega.xml').then((definitions) => {
+                expect(window.fetch).toHaveBeenCalledWith('http://vehicle/dialects/common.xml');
+                expect(definitions.messages.map(message => message.name)).toEqual(['HEARTBEAT', 'SENSOR_OFFSETS']);
+            });
+        });
+
+        it('rejects when a dialect cannot be loaded', () => {
+            return loadDialectXML('http://vehicle/dialects/missing.xml').then(() => {
+                fail('expected a rejection');
+            }, (error) => {
+                expect(error.message).toContain('missing.xml');
+            });
+        });
+    });
+});
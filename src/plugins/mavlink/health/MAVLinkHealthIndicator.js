@@ -0,0 +1,119 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import LinkHealth from './components/LinkHealth.vue';
+import Vue from 'vue';
+
+const STATUS_CLASSES = {
+    ok: 's-status-on',
+    warning: 's-status-caution',
+    error: 's-status-error'
+};
+
+/**
+ * Summarize the health of a link for an indicator.
+ *
+ * @param {Object} status from MAVLinkHealthMonitor.getStatus
+ * @param {Object} [radio] from MAVLinkHealthMonitor.getRadio
+ * @param {number} now the current time
+ * @returns {string}
+ */
+export function describeHealth(status, radio, now) {
+    if (!status.connected) {
+        return 'MAVLink disconnected';
+    }
+
+    if (status.lastHeartbeat === undefined) {
+        return 'Waiting for a MAVLink heartbeat';
+    }
+
+    const parts = [status.vehicles === 1 ? '1 vehicle' : `${status.vehicles} vehicles`];
+
+    if (radio && radio.quality !== undefined) {
+        parts.push(`link ${Math.round(radio.quality * 100)}%`);
+    }
+
+    if (status.loss !== undefined) {
+        parts.push(`${(status.loss * 100).toFixed(1)}% loss`);
+    }
+
+    if (status.level !== 'ok' && now - status.lastHeartbeat >= 1000) {
+        parts.push(`no heartbeat for ${Math.floor((now - status.lastHeartbeat) / 1000)} s`);
+    }
+
+    return `MAVLink: ${parts.join(', ')}`;
+}
+
+/**
+ * Shows the health of a MAVLink link in a simple indicator, which opens a
+ * list of every vehicle and component heard from when clicked.
+ */
+export default class MAVLinkHealthIndicator {
+    /**
+     * @param {OpenMCT} openmct
+     * @param {MAVLinkHealthMonitor} healthMonitor
+     */
+    constructor(openmct, healthMonitor) {
+        this.openmct = openmct;
+        this.healthMonitor = healthMonitor;
+        this.indicator = openmct.indicators.simpleIndicator();
+        this.indicator.iconClass('icon-connectivity');
+        this.indicator.description('MAVLink link health. Click for the status of each vehicle and component.');
+
+        this.render = this.render.bind(this);
+        this.showDetails = this.showDetails.bind(this);
+        this.healthMonitor.on('change', this.render);
+        this.indicator.element.addEventListener('click', this.showDetails);
+        this.render();
+    }
+
+    /**
+     * @private
+     */
+    render() {
+        const status = this.healthMonitor.getStatus();
+
+        this.indicator.text(describeHealth(status, this.healthMonitor.getRadio(), Date.now()));
+        this.indicator.statusClass(STATUS_CLASSES[status.level]);
+    }
+
+    /**
+     * @private
+     */
+    showDetails() {
+        const component = new Vue({
+            provide: {
+                openmct: this.openmct,
+                healthMonitor: this.healthMonitor
+            },
+            components: {
+                LinkHealth
+            },
+            template: '<link-health></link-health>'
+        }).$mount();
+
+        this.openmct.overlays.overlay({
+            element: component.$el,
+            size: 'large',
+            onDestroy: () => component.$destroy()
+        });
+    }
+}
@@ -0,0 +1,283 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import EventEmitter from 'EventEmitter';
+
+const DEFAULT_WARNING_TIMEOUT = 3000;
+const DEFAULT_ERROR_TIMEOUT = 10000;
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_LOSS_WARNING = 0.1;
+// Seconds of packet counts from which the recent packet loss is found.
+const LOSS_WINDOW = 10;
+// A jump in sequence numbers larger than this is a component restarting, or
+// a late or repeated packet, rather than lost packets.
+const MAX_SEQUENCE_GAP = 128;
+const RSSI_UNKNOWN = 255;
+const RSSI_MAX = 254;
+
+export const HEALTH_LEVELS = ['ok', 'warning', 'error'];
+
+function worstLevel(levels) {
+    return levels.reduce((worst, level) => {
+        return HEALTH_LEVELS.indexOf(level) > HEALTH_LEVELS.indexOf(worst) ? level : worst;
+    }, HEALTH_LEVELS[0]);
+}
+
+/**
+ * Watches the health of a MAVLink connection: the HEARTBEAT of every
+ * system and component heard from, packets lost as gaps in each
+ * component's sequence numbers, and the link quality which radios report
+ * in RADIO_STATUS.
+ *
+ * A component's level is `ok` while its heartbeats arrive, `warning` once
+ * none has arrived for the warning timeout, and `error` after the error
+ * timeout. The level of the link is the worst of its components, and is
+ * also `warning` when recent packet loss is high, and `error` when the
+ * connection is closed.
+ *
+ * Emits `change` whenever the health is re-evaluated, once per interval
+ * and when a new component is heard from.
+ */
+export default class MAVLinkHealthMonitor extends EventEmitter {
+    /**
+     * @param {MAVLinkConnection} connection
+     * @param {MAVLinkDialect} dialect
+     * @param {Object} [options]
+     * @param {number} [options.warningTimeout=3000] milliseconds without a
+     *        heartbeat before a component is shown as a warning
+     * @param {number} [options.errorTimeout=10000] milliseconds without a
+     *        heartbeat before a component is shown as an error
+     * @param {number} [options.lossWarning=0.1] the fraction of packets
+     *        lost recently at which the link is shown as a warning
+     * @param {number} [options.interval=1000] milliseconds between checks
+     */
+    constructor(connection, dialect, options = {}) {
+        super();
+
+        this.connection = connection;
+        this.dialect = dialect;
+        this.warningTimeout = options.warningTimeout || DEFAULT_WARNING_TIMEOUT;
+        this.errorTimeout = options.errorTimeout || DEFAULT_ERROR_TIMEOUT;
+        this.lossWarning = options.lossWarning || DEFAULT_LOSS_WARNING;
+        this.components = {};
+        this.radio = undefined;
+        this.counts = {
+            received: 0,
+            lost: 0
+        };
+        this.history = [];
+
+        this.onMessage = this.onMessage.bind(this);
+        this.update = this.update.bind(this);
+        this.connection.on('message', this.onMessage);
+        this.connection.on('connected', this.update);
+        this.connection.on('disconnected', this.update);
+        this.interval = setInterval(this.update, options.interval || DEFAULT_INTERVAL);
+    }
+
+    /**
+     * @returns {Object[]} every component heard from, sorted by system and
+     *          component id. Each has a `sysid`, `compid`, `received` and
+     *          `lost` packet counts, the time it was `lastSeen`, and its
+     *          `level`; those which have sent a HEARTBEAT also have the
+     *          time of the `lastHeartbeat` and its `type`, `autopilot` and
+     *          `state`, named from MAV_TYPE, MAV_AUTOPILOT and MAV_STATE.
+     */
+    getComponents() {
+        const now = Date.now();
+
+        return Object.values(this.components)
+            .sort((a, b) => a.sysid - b.sysid || a.compid - b.compid)
+            .map(component => Object.assign({}, component, {
+                level: this.getComponentLevel(component, now)
+            }));
+    }
+
+    /**
+     * @returns {Object|undefined} the latest RADIO_STATUS, with the link
+     *          `quality` as a fraction of the best signal strength at
+     *          either end, if known
+     */
+    getRadio() {
+        return this.radio;
+    }
+
+    /**
+     * @returns {Object} the `level` of the whole link, whether it is
+     *          `connected`, the number of `vehicles` (systems with an
+     *          autopilot) heard from, the recent `loss` as a fraction of
+     *          packets, and the time since the `lastHeartbeat` from any
+     *          component
+     */
+    getStatus() {
+        const components = this.getComponents();
+        const heartbeats = components.filter(component => component.lastHeartbeat !== undefined);
+        const vehicles = new Set(heartbeats
+            .filter(component => component.autopilot !== undefined && component.autopilot !== 'INVALID')
+            .map(component => component.sysid));
+        const loss = this.getRecentLoss();
+        const levels = heartbeats.map(component => component.level);
+        const lastHeartbeat = heartbeats.length
+            ? Math.max(...heartbeats.map(component => component.lastHeartbeat))
+            : undefined;
+
+        if (!this.connection.connected) {
+            levels.push('error');
+        } else if (!heartbeats.length || (loss !== undefined && loss >= this.lossWarning)) {
+            levels.push('warning');
+        }
+
+        return {
+            level: worstLevel(levels),
+            connected: this.connection.connected,
+            vehicles: vehicles.size,
+            loss,
+            lastHeartbeat
+        };
+    }
+
+    /**
+     * @returns {number|undefined} the fraction of packets lost over the
+     *          last few seconds, or undefined if none were expected
+     */
+    getRecentLoss() {
+        const totals = this.history.concat([this.counts]).reduce((sum, counts) => {
+            sum.received += counts.received;
+            sum.lost += counts.lost;
+
+            return sum;
+        }, {
+            received: 0,
+            lost: 0
+        });
+        const expected = totals.received + totals.lost;
+
+        return expected ? totals.lost / expected : undefined;
+    }
+
+    destroy() {
+        clearInterval(this.interval);
+        this.connection.off('message', this.onMessage);
+        this.connection.off('connected', this.update);
+        this.connection.off('disconnected', this.update);
+        this.removeAllListeners();
+    }
+
+    /**
+     * @private
+     */
+    update() {
+        this.history.push(this.counts);
+        this.history = this.history.slice(-(LOSS_WINDOW - 1));
+        this.counts = {
+            received: 0,
+            lost: 0
+        };
+        this.emit('change');
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        const key = `${message.sysid}/${message.compid}`;
+        let component = this.components[key];
+        const now = Date.now();
+
+        if (!component) {
+            component = this.components[key] = {
+                sysid: message.sysid,
+                compid: message.compid,
+                received: 0,
+                lost: 0
+            };
+        } else {
+            const gap = (message.seq - component.seq - 1 + 256) % 256;
+
+            if (gap < MAX_SEQUENCE_GAP) {
+                component.lost += gap;
+                this.counts.lost += gap;
+            }
+        }
+
+        component.seq = message.seq;
+        component.lastSeen = now;
+        component.received++;
+        this.counts.received++;
+
+        if (message.name === 'HEARTBEAT') {
+            const isNew = component.lastHeartbeat === undefined;
+
+            component.lastHeartbeat = now;
+            component.type = this.getEntryName('MAV_TYPE', message.fields.type);
+            component.autopilot = this.getEntryName('MAV_AUTOPILOT', message.fields.autopilot);
+            component.state = this.getEntryName('MAV_STATE', message.fields.system_status);
+
+            if (isNew) {
+                this.emit('change');
+            }
+        } else if (message.name === 'RADIO_STATUS') {
+            this.radio = Object.assign({}, message.fields, {
+                quality: this.getRadioQuality(message.fields),
+                time: now
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    getComponentLevel(component, now) {
+        if (component.lastHeartbeat === undefined) {
+            return undefined;
+        }
+
+        const age = now - component.lastHeartbeat;
+
+        if (age >= this.errorTimeout) {
+            return 'error';
+        } else if (age >= this.warningTimeout) {
+            return 'warning';
+        }
+
+        return 'ok';
+    }
+
+    /**
+     * @private
+     */
+    getRadioQuality(fields) {
+        const strengths = [fields.rssi, fields.remrssi]
+            .filter(rssi => rssi !== undefined && rssi !== RSSI_UNKNOWN);
+
+        return strengths.length ? Math.min(...strengths) / RSSI_MAX : undefined;
+    }
+
+    /**
+     * @private
+     */
+    getEntryName(enumName, value) {
+        const definition = this.dialect.getEnum(enumName);
+        const entry = definition && definition.entries.find(candidate => candidate.value === value);
+
+        return entry ? entry.name.replace(`${enumName}_`, '') : String(value);
+    }
+}
@@ -0,0 +1,229 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import EventEmitter from 'EventEmitter';
+import MAVLinkHealthMonitor from './MAVLinkHealthMonitor';
+import { describeHealth } from './MAVLinkHealthIndicator';
+import MAVLinkDialect from '../MAVLinkDialect';
+import { parseDialectXML } from '../dialectXML';
+import commonXML from 'raw-loader!../dialects/common.xml';
+
+describe('The MAVLink health monitor', () => {
+    const MAV_TYPE_QUADROTOR = 2;
+    const MAV_AUTOPILOT_ARDUPILOTMEGA = 3;
+    const MAV_STATE_ACTIVE = 4;
+    let connection;
+    let monitor;
+    let sequences;
+    let changes;
+
+    function receive(name, fields, sysid = 1, compid = 1) {
+        const key = `${sysid}/${compid}`;
+        const seq = sequences[key] === undefined ? 0 : (sequences[key] + 1) % 256;
+
+        sequences[key] = seq;
+        connection.emit('message', {
+            name,
+            seq,
+            sysid,
+            compid,
+            fields
+        });
+    }
+
+    function heartbeat(sysid, compid) {
+        receive('HEARTBEAT', {
+            type: MAV_TYPE_QUADROTOR,
+            autopilot: MAV_AUTOPILOT_ARDUPILOTMEGA,
+            system_status: MAV_STATE_ACTIVE
+        }, sysid, compid);
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(Date.UTC(2020, 0, 1)));
+
+        connection = new EventEmitter();
+        connection.connected = true;
+        sequences = {};
+        changes = 0;
+
+        monitor = new MAVLinkHealthMonitor(connection, new MAVLinkDialect(parseDialectXML(commonXML)), {
+            warningTimeout: 3000,
+            errorTimeout: 10000,
+            interval: 1000
+        });
+        monitor.on('change', () => changes++);
+    });
+
+    afterEach(() => {
+        monitor.destroy();
+        jasmine.clock().uninstall();
+    });
+
+    it('warns until a heartbeat is heard', () => {
+        expect(monitor.getStatus().level).toBe('warning');
+
+        heartbeat(1, 1);
+
+        expect(monitor.getStatus()).toEqual(jasmine.objectContaining({
+            level: 'ok',
+            connected: true,
+            vehicles: 1
+        }));
+    });
+
+    it('lists each system and component with its heartbeat', () => {
+        heartbeat(1, 1);
+        receive('ATTITUDE', {}, 1, 154);
+        heartbeat(2, 1);
+
+        const components = monitor.getComponents();
+
+        expect(components.map(component => `${component.sysid}/${component.compid}`)).toEqual(['1/1', '1/154', '2/1']);
+        expect(components[0]).toEqual(jasmine.objectContaining({
+            type: 'QUADROTOR',
+            autopilot: 'ARDUPILOTMEGA',
+            state: 'ACTIVE',
+            lastHeartbeat: Date.now(),
+            level: 'ok'
+        }));
+        expect(components[1].lastHeartbeat).toBeUndefined();
+        expect(components[1].level).toBeUndefined();
+        expect(monitor.getStatus().vehicles).toBe(2);
+    });
+
+    it('goes from ok to warning to error as heartbeats stop', () => {
+        heartbeat(1, 1);
+        jasmine.clock().tick(2000);
+
+        expect(monitor.getStatus().level).toBe('ok');
+
+        jasmine.clock().tick(1000);
+
+        expect(monitor.getStatus().level).toBe('warning');
+
+        jasmine.clock().tick(7000);
+
+        expect(monitor.getStatus().level).toBe('error');
+
+        heartbeat(1, 1);
+
+        expect(monitor.getStatus().level).toBe('ok');
+    });
+
+    it('is an error while disconnected', () => {
+        heartbeat(1, 1);
+        connection.connected = false;
+        connection.emit('disconnected');
+
+        expect(monitor.getStatus().level).toBe('error');
+        expect(changes).toBeGreaterThan(0);
+    });
+
+    it('counts gaps in sequence numbers as lost packets', () => {
+        heartbeat(1, 1);
+        sequences['1/1'] += 3;
+        heartbeat(1, 1);
+
+        expect(monitor.getComponents()[0]).toEqual(jasmine.objectContaining({
+            received: 2,
+            lost: 3
+        }));
+        expect(monitor.getRecentLoss()).toBe(0.6);
+        expect(monitor.getStatus().level).toBe('warning');
+    });
+
+    it('forgets packet loss after a while', () => {
+        heartbeat(1, 1);
+        sequences['1/1'] += 3;
+
+        for (let i = 0; i < 9; i++) {
+            heartbeat(1, 1);
+            jasmine.clock().tick(1000);
+        }
+
+        expect(monitor.getRecentLoss()).toBeCloseTo(3 / 13, 6);
+
+        heartbeat(1, 1);
+        jasmine.clock().tick(1000);
+
+        expect(monitor.getRecentLoss()).toBe(0);
+    });
+
+    it('does not count a restarted sequence as lost packets', () => {
+        sequences['1/1'] = 99;
+        heartbeat(1, 1);
+        sequences['1/1'] = -1;
+        heartbeat(1, 1);
+
+        expect(monitor.getComponents()[0].lost).toBe(0);
+    });
+
+    it('reports link quality from RADIO_STATUS', () => {
+        receive('RADIO_STATUS', {
+            rssi: 200,
+            remrssi: 127,
+            noise: 40,
+            remnoise: 50,
+            rxerrors: 0,
+            fixed: 0,
+            txbuf: 100
+        }, 51, 68);
+
+        expect(monitor.getRadio().quality).toBeCloseTo(0.5, 6);
+
+        receive('RADIO_STATUS', {
+            rssi: 255,
+            remrssi: 255
+        }, 51, 68);
+
+        expect(monitor.getRadio().quality).toBeUndefined();
+    });
+
+    describe('summary', () => {
+        it('describes each state of the link', () => {
+            const now = Date.now();
+
+            expect(describeHealth({
+                connected: false
+            }, undefined, now)).toBe('MAVLink disconnected');
+            expect(describeHealth({
+                connected: true
+            }, undefined, now)).toBe('Waiting for a MAVLink heartbeat');
+            expect(describeHealth({
+                connected: true,
+                level: 'ok',
+                vehicles: 1,
+                loss: 0.012,
+                lastHeartbeat: now
+            }, {
+                quality: 0.87
+            }, now)).toBe('MAVLink: 1 vehicle, link 87%, 1.2% loss');
+            expect(describeHealth({
+                connected: true,
+                level: 'error',
+                vehicles: 2,
+                lastHeartbeat: now - 12500
+            }, undefined, now)).toBe('MAVLink: 2 vehicles, no heartbeat for 12 s');
+        });
+    });
+});
@@ -0,0 +1,349 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+
+const DEFAULT_TIMEOUT = 1500;
+const DEFAULT_ATTEMPTS = 3;
+const MAV_AUTOPILOT_INVALID = 8;
+const MAV_MISSION_ACCEPTED = 0;
+const MAV_MISSION_TYPE_MISSION = 0;
+
+/**
+ * The fields of MISSION_ITEM_INT which make up a mission item. The
+ * sequence number is the item's position in the mission.
+ */
+export const MISSION_ITEM_FIELDS = [
+    'command',
+    'frame',
+    'param1',
+    'param2',
+    'param3',
+    'param4',
+    'x',
+    'y',
+    'z',
+    'autocontinue'
+];
+
+/**
+ * Downloads and uploads the mission of a single vehicle over a MAVLink
+ * connection, using the handshakes of the mission protocol:
+ *
+ * * Download: MISSION_REQUEST_LIST is answered with MISSION_COUNT, after
+ *   which each item is asked for with MISSION_REQUEST_INT and received as
+ *   a MISSION_ITEM_INT, and the transfer is closed with a MISSION_ACK.
+ * * Upload: MISSION_COUNT is answered with a MISSION_REQUEST_INT for each
+ *   item, which is sent as a MISSION_ITEM_INT, and the vehicle closes the
+ *   transfer with a MISSION_ACK.
+ *
+ * Requests which go unanswered are repeated. Emits `progress` with the
+ * kind of transfer and the number of items transferred out of the total,
+ * and `current` with the sequence number of the item the vehicle is
+ * flying to, from MISSION_CURRENT.
+ */
+export default class MAVLinkMissionManager extends EventEmitter {
+    /**
+     * @param {MAVLinkConnection} connection
+     * @param {MAVLinkDialect} dialect
+     * @param {Object} [options]
+     * @param {number} [options.sysid] the system id of the vehicle; if
+     *        not given, the autopilot most recently heard from is used
+     * @param {number} [options.timeout=1500] milliseconds without a reply
+     *        before a request is repeated
+     * @param {number} [options.attempts=3] the number of times to make a
+     *        request before giving up
+     */
+    constructor(connection, dialect, options = {}) {
+        super();
+
+        this.connection = connection;
+        this.dialect = dialect;
+        this.sysid = options.sysid;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.attempts = options.attempts || DEFAULT_ATTEMPTS;
+
+        this.onMessage = this.onMessage.bind(this);
+        this.connection.on('message', this.onMessage);
+    }
+
+    /**
+     * Read the mission from the vehicle.
+     *
+     * @returns {Promise.<Object[]>} the mission items, each with the
+     *          MISSION_ITEM_FIELDS of its MISSION_ITEM_INT
+     */
+    download() {
+        return this.start('download', (transfer) => {
+            if (transfer.count === undefined) {
+                return this.send('MISSION_REQUEST_LIST', {});
+            }
+
+            return this.send('MISSION_REQUEST_INT', {
+                seq: transfer.items.length
+            });
+        }, {
+            items: []
+        });
+    }
+
+    /**
+     * Replace the mission on the vehicle.
+     *
+     * @param {Object[]} items the mission items, each with the
+     *        MISSION_ITEM_FIELDS of a MISSION_ITEM_INT
+     * @returns {Promise} resolves once the vehicle has accepted the mission
+     */
+    upload(items) {
+        return this.start('upload', (transfer) => {
+            // Once the vehicle has started asking for items, it is up to
+            // the vehicle to ask again for any which were lost.
+            if (transfer.requested) {
+                return true;
+            }
+
+            return this.send('MISSION_COUNT', {
+                count: items.length
+            });
+        }, {
+            items
+        });
+    }
+
+    destroy() {
+        this.connection.off('message', this.onMessage);
+
+        if (this.transfer) {
+            this.finish(new Error('The mission view was closed'));
+        }
+
+        this.removeAllListeners();
+    }
+
+    /**
+     * Begin a transfer. The request made by `retry` is repeated whenever
+     * nothing is heard from the vehicle for the timeout.
+     *
+     * @private
+     */
+    start(type, retry, state) {
+        if (this.transfer) {
+            return Promise.reject(new Error(`A mission ${this.transfer.type} is in progress`));
+        }
+
+        if (!this.vehicle) {
+            return Promise.reject(new Error('No vehicle has been heard from'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.transfer = Object.assign({
+                type,
+                retry,
+                resolve,
+                reject,
+                attempt: 0
+            }, state);
+
+            this.request();
+        });
+    }
+
+    /**
+     * @private
+     */
+    request() {
+        const transfer = this.transfer;
+
+        if (transfer.attempt === this.attempts) {
+            this.finish(new Error(`No reply from the vehicle after ${this.attempts} attempts`));
+
+            return;
+        }
+
+        transfer.attempt++;
+
+        if (!transfer.retry(transfer)) {
+            this.finish(new Error('Not connected to a vehicle'));
+
+            return;
+        }
+
+        this.waitForReply();
+    }
+
+    /**
+     * @private
+     */
+    waitForReply() {
+        clearTimeout(this.transfer.timeout);
+        this.transfer.timeout = setTimeout(() => this.request(), this.timeout);
+    }
+
+    /**
+     * Note that the vehicle replied, so that the transfer is only
+     * abandoned once the vehicle goes quiet.
+     *
+     * @private
+     */
+    progress(done, total) {
+        this.transfer.attempt = 0;
+        this.emit('progress', this.transfer.type, done, total);
+    }
+
+    /**
+     * @private
+     */
+    send(name, fields) {
+        return this.connection.send(name, Object.assign({
+            target_system: this.vehicle.sysid,
+            target_component: this.vehicle.compid,
+            mission_type: MAV_MISSION_TYPE_MISSION
+        }, fields));
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        if (message.name === 'HEARTBEAT') {
+            this.onHeartbeat(message);
+
+            return;
+        }
+
+        if (!this.vehicle || message.sysid !== this.vehicle.sysid) {
+            return;
+        }
+
+        if (message.name === 'MISSION_CURRENT') {
+            this.emit('current', message.fields.seq);
+        } else if (this.transfer && this.transfer.type === 'download') {
+            this.onDownloadMessage(message);
+        } else if (this.transfer && this.transfer.type === 'upload') {
+            this.onUploadMessage(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onHeartbeat(message) {
+        if (message.fields.autopilot === MAV_AUTOPILOT_INVALID
+            || (this.sysid !== undefined && message.sysid !== this.sysid)
+            || this.transfer) {
+            return;
+        }
+
+        this.vehicle = {
+            sysid: message.sysid,
+            compid: message.compid,
+            autopilot: message.fields.autopilot,
+            type: message.fields.type
+        };
+    }
+
+    /**
+     * @private
+     */
+    onDownloadMessage(message) {
+        const transfer = this.transfer;
+        const fields = message.fields;
+
+        if (message.name === 'MISSION_COUNT' && transfer.count === undefined) {
+            transfer.count = fields.count;
+        } else if (message.name === 'MISSION_ITEM_INT' && fields.seq === transfer.items.length) {
+            transfer.items.push(MISSION_ITEM_FIELDS.reduce((item, key) => {
+                item[key] = fields[key];
+
+                return item;
+            }, {}));
+        } else if (message.name === 'MISSION_ACK' && fields.type !== MAV_MISSION_ACCEPTED) {
+            this.finish(new Error(this.getResultName(fields.type)));
+
+            return;
+        } else {
+            return;
+        }
+
+        this.progress(transfer.items.length, transfer.count);
+
+        if (transfer.items.length === transfer.count) {
+            this.send('MISSION_ACK', {
+                type: MAV_MISSION_ACCEPTED
+            });
+            this.finish(undefined, transfer.items);
+        } else {
+            this.request();
+        }
+    }
+
+    /**
+     * @private
+     */
+    onUploadMessage(message) {
+        const transfer = this.transfer;
+        const fields = message.fields;
+
+        if (message.name === 'MISSION_ACK') {
+            if (fields.type === MAV_MISSION_ACCEPTED) {
+                this.finish();
+            } else {
+                this.finish(new Error(this.getResultName(fields.type)));
+            }
+        } else if ((message.name === 'MISSION_REQUEST_INT' || message.name === 'MISSION_REQUEST')
+            && fields.seq < transfer.items.length) {
+            transfer.requested = true;
+            this.progress(fields.seq + 1, transfer.items.length);
+            this.send('MISSION_ITEM_INT', Object.assign({
+                seq: fields.seq,
+                current: 0
+            }, transfer.items[fields.seq]));
+            this.waitForReply();
+        }
+    }
+
+    /**
+     * @private
+     */
+    getResultName(result) {
+        const results = this.dialect.getEnum('MAV_MISSION_RESULT');
+        const entry = results && results.entries.find(candidate => candidate.value === result);
+
+        return entry ? entry.name : `Result ${result}`;
+    }
+
+    /**
+     * @private
+     */
+    finish(error, result) {
+        const transfer = this.transfer;
+
+        clearTimeout(transfer.timeout);
+        delete this.transfer;
+
+        if (error) {
+            transfer.reject(error);
+        } else {
+            transfer.resolve(result);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import EventEmitter from 'EventEmitter';
+import MAVLinkMissionManager from './MAVLinkMissionManager';
+import MAVLinkDialect from '../MAVLinkDialect';
+import { parseDialectXML } from '../dialectXML';
+import commonXML from 'raw-loader!../dialects/common.xml';
+
+describe('The MAVLink mission manager', () => {
+    const TARGET = {
+        target_system: 1,
+        target_component: 1,
+        mission_type: 0
+    };
+    let connection;
+    let manager;
+    let items;
+
+    function receive(name, fields, sysid = 1) {
+        connection.emit('message', {
+            name,
+            sysid,
+            compid: 1,
+            fields
+        });
+    }
+
+    function sent(name) {
+        return connection.send.calls.allArgs()
+            .filter(args => args[0] === name)
+            .map(args => args[1]);
+    }
+
+    function makeItem(seq) {
+        return {
+            command: 16,
+            frame: 3,
+            param1: 0,
+            param2: 0,
+            param3: 0,
+            param4: 0,
+            x: 473977420 + seq,
+            y: 85455940,
+            z: 20,
+            autocontinue: 1
+        };
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+
+        connection = new EventEmitter();
+        connection.send = jasmine.createSpy('send').and.returnValue(true);
+
+        manager = new MAVLinkMissionManager(connection, new MAVLinkDialect(parseDialectXML(commonXML)), {
+            timeout: 1000,
+            attempts: 3
+        });
+        items = [makeItem(0), makeItem(1)];
+
+        receive('HEARTBEAT', {
+            autopilot: 3,
+            type: 2
+        });
+    });
+
+    afterEach(() => {
+        manager.destroy();
+        jasmine.clock().uninstall();
+    });
+
+    it('emits the current item', () => {
+        const current = jasmine.createSpy('current');
+        manager.on('current', current);
+
+        receive('MISSION_CURRENT', {seq: 3});
+        receive('MISSION_CURRENT', {seq: 5}, 2);
+
+        expect(current.calls.allArgs()).toEqual([[3]]);
+    });
+
+    it('fails when no vehicle has been heard from', (done) => {
+        manager.destroy();
+        manager = new MAVLinkMissionManager(connection, new MAVLinkDialect(parseDialectXML(commonXML)));
+
+        manager.download().catch((error) => {
+            expect(error.message).toBe('No vehicle has been heard from');
+            done();
+        });
+    });
+
+    describe('downloading', () => {
+        let result;
+
+        beforeEach(() => {
+            result = manager.download();
+            result.catch(() => {});
+        });
+
+        it('requests the list, then each item', () => {
+            expect(sent('MISSION_REQUEST_LIST')).toEqual([TARGET]);
+
+            receive('MISSION_COUNT', {count: 2});
+            expect(sent('MISSION_REQUEST_INT')).toEqual([Object.assign({seq: 0}, TARGET)]);
+
+            receive('MISSION_ITEM_INT', Object.assign({seq: 0}, items[0]));
+            expect(sent('MISSION_REQUEST_INT')[1]).toEqual(Object.assign({seq: 1}, TARGET));
+        });
+
+        it('acknowledges and resolves with the items', () => {
+            receive('MISSION_COUNT', {count: 2});
+            receive('MISSION_ITEM_INT', Object.assign({seq: 0}, items[0]));
+            receive('MISSION_ITEM_INT', Object.assign({seq: 1}, items[1]));
+
+            expect(sent('MISSION_ACK')).toEqual([Object.assign({type: 0}, TARGET)]);
+
+            return result.then((downloaded) => {
+                expect(downloaded).toEqual(items);
+            });
+        });
+
+        it('repeats a request for an item which does not arrive', () => {
+            receive('MISSION_COUNT', {count: 2});
+            receive('MISSION_ITEM_INT', Object.assign({seq: 1}, items[1]));
+            jasmine.clock().tick(1000);
+
+            expect(sent('MISSION_REQUEST_INT')).toEqual([
+                Object.assign({seq: 0}, TARGET),
+                Object.assign({seq: 0}, TARGET)
+            ]);
+        });
+
+        it('fails once the vehicle stops replying', (done) => {
+            jasmine.clock().tick(3000);
+
+            expect(sent('MISSION_REQUEST_LIST').length).toBe(3);
+            result.catch((error) => {
+                expect(error.message).toBe('No reply from the vehicle after 3 attempts');
+                done();
+            });
+        });
+
+        it('allows only one transfer at a time', (done) => {
+            manager.upload(items).catch((error) => {
+                expect(error.message).toBe('A mission download is in progress');
+                done();
+            });
+        });
+    });
+
+    describe('uploading', () => {
+        let result;
+
+        beforeEach(() => {
+            result = manager.upload(items);
+            result.catch(() => {});
+        });
+
+        it('sends the count, then each requested item', () => {
+            expect(sent('MISSION_COUNT')).toEqual([Object.assign({count: 2}, TARGET)]);
+
+            receive('MISSION_REQUEST_INT', {seq: 1});
+            expect(sent('MISSION_ITEM_INT')).toEqual([Object.assign({
+                seq: 1,
+                current: 0
+            }, TARGET, items[1])]);
+        });
+
+        it('answers requests for items made with MISSION_REQUEST', () => {
+            receive('MISSION_REQUEST', {seq: 0});
+
+            expect(sent('MISSION_ITEM_INT').length).toBe(1);
+        });
+
+        it('resolves when the vehicle accepts the mission', () => {
+            receive('MISSION_REQUEST_INT', {seq: 0});
+            receive('MISSION_REQUEST_INT', {seq: 1});
+            receive('MISSION_ACK', {type: 0});
+
+            return result;
+        });
+
+        it('fails with the reason the vehicle rejected the mission', (done) => {
+            receive('MISSION_REQUEST_INT', {seq: 0});
+            receive('MISSION_ACK', {type: 4});
+
+            result.catch((error) => {
+                expect(error.message).toBe('MAV_MISSION_RESULT_NO_SPACE');
+                done();
+            });
+        });
+
+        it('resends the count until the vehicle asks for items', () => {
+            jasmine.clock().tick(1000);
+            expect(sent('MISSION_COUNT').length).toBe(2);
+
+            receive('MISSION_REQUEST_INT', {seq: 0});
+            jasmine.clock().tick(1000);
+            expect(sent('MISSION_COUNT').length).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import TelemetryTableColumn from '../../telemetryTable/TelemetryTableColumn';
+
+/**
+ * A column of the mission table, formatted and parsed as described by the
+ * MISSION_ITEM_INT field it shows. Positions, which MISSION_ITEM_INT
+ * carries as integers in units of 1e-7 degrees, are shown in degrees.
+ */
+export default class MissionItemColumn extends TelemetryTableColumn {
+    /**
+     * @param {OpenMCT} openmct
+     * @param {Object} metadatum the value metadata of the field
+     * @param {number} [scale=1] the size of one unit of the field in the
+     *        units shown
+     */
+    constructor(openmct, metadatum, scale = 1) {
+        super(openmct, metadatum);
+        this.scale = scale;
+    }
+
+    getFormattedValue(value) {
+        return super.getFormattedValue(this.scale === 1 ? value : value * this.scale);
+    }
+
+    getParsedValue(text) {
+        const value = super.getParsedValue(text);
+
+        return this.scale === 1 ? value : Math.round(value / this.scale);
+    }
+
+    /**
+     * @returns {Object[]} the `value` and `string` of each choice, for
+     *          columns which show an enumeration
+     */
+    getEnumerations() {
+        return this.metadatum.enumerations;
+    }
+}
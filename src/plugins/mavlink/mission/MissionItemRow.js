@@ -0,0 +1,48 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import TelemetryTableRow from '../../telemetryTable/TelemetryTableRow';
+
+/**
+ * A row of the mission table, for a single mission item. Mission items
+ * are not subject to limits, so rows have no limit classes.
+ */
+export default class MissionItemRow extends TelemetryTableRow {
+    /**
+     * @param {Object} item the mission item
+     * @param {Object.<string, MissionItemColumn>} columns
+     * @param {string} objectKeyString the key string of the mission object
+     * @param {number} seq the position of the item in the mission
+     */
+    constructor(item, columns, objectKeyString, seq) {
+        super(item, columns, objectKeyString);
+        this.seq = seq;
+    }
+
+    getRowClass() {
+        return undefined;
+    }
+
+    getCellLimitClasses() {
+        return {};
+    }
+}
@@ -0,0 +1,74 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import Mission from './components/Mission.vue';
+import MAVLinkMissionManager from './MAVLinkMissionManager';
+import { MAVLINK_MISSION_TYPE } from '../utils';
+import Vue from 'vue';
+
+export default function MissionViewProvider(openmct, connection, dialect, options = {}) {
+    return {
+        key: 'mavlink.mission',
+        name: 'Mission',
+        cssClass: 'icon-flag',
+        canView(domainObject) {
+            return domainObject.type === MAVLINK_MISSION_TYPE;
+        },
+        view(domainObject) {
+            let component;
+            let missionManager;
+
+            return {
+                show(element) {
+                    const sysid = domainObject.mavlink && domainObject.mavlink.sysid;
+
+                    missionManager = new MAVLinkMissionManager(connection, dialect, {
+                        sysid: sysid === undefined || sysid === '' ? undefined : Number(sysid),
+                        timeout: options.timeout,
+                        attempts: options.attempts
+                    });
+                    component = new Vue({
+                        el: element,
+                        components: {
+                            Mission
+                        },
+                        provide: {
+                            openmct,
+                            domainObject,
+                            missionManager
+                        },
+                        template: '<mission></mission>'
+                    });
+                },
+                destroy() {
+                    component.$destroy();
+                    component = undefined;
+                    missionManager.destroy();
+                    missionManager = undefined;
+                }
+            };
+        },
+        priority() {
+            return 1;
+        }
+    };
+}
@@ -0,0 +1,110 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+const MAV_AUTOPILOT_ARDUPILOTMEGA = 3;
+const POSITION_SCALE = 1e-7;
+
+// QGroundControl's altitude modes, by the MAV_FRAME they are flown in.
+const ALTITUDE_MODES = {
+    0: 2, // MAV_FRAME_GLOBAL: above mean sea level
+    3: 1, // MAV_FRAME_GLOBAL_RELATIVE_ALT: relative to home
+    5: 2, // MAV_FRAME_GLOBAL_INT
+    6: 1, // MAV_FRAME_GLOBAL_RELATIVE_ALT_INT
+    10: 4, // MAV_FRAME_GLOBAL_TERRAIN_ALT: above terrain
+    11: 4 // MAV_FRAME_GLOBAL_TERRAIN_ALT_INT
+};
+
+function toPlanNumber(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+function getPosition(item) {
+    return [
+        item.x * POSITION_SCALE,
+        item.y * POSITION_SCALE,
+        item.z
+    ];
+}
+
+function toPlanItem(item, index) {
+    const position = getPosition(item);
+
+    return {
+        AMSLAltAboveTerrain: null,
+        Altitude: item.z,
+        AltitudeMode: ALTITUDE_MODES[item.frame] || 1,
+        autoContinue: Boolean(item.autocontinue),
+        command: item.command,
+        doJumpId: index + 1,
+        frame: item.frame,
+        params: [
+            item.param1,
+            item.param2,
+            item.param3,
+            item.param4
+        ].concat(position).map(toPlanNumber),
+        type: 'SimpleItem'
+    };
+}
+
+/**
+ * Convert a mission to a QGroundControl `.plan` document.
+ *
+ * ArduPilot keeps the home position as the first item of a mission, so
+ * for ArduPilot vehicles the first item becomes the plan's home position
+ * rather than one of its items.
+ *
+ * @param {Object[]} items mission items, each with the fields of a
+ *        MISSION_ITEM_INT
+ * @param {Object} [vehicle] the `autopilot` and `type` reported in the
+ *        vehicle's HEARTBEAT
+ * @returns {Object} the plan, to be written as JSON
+ */
+export function toPlan(items, vehicle = {}) {
+    const hasHomeItem = vehicle.autopilot === MAV_AUTOPILOT_ARDUPILOTMEGA && items.length > 0;
+    const missionItems = hasHomeItem ? items.slice(1) : items;
+    const home = hasHomeItem
+        ? items[0]
+        : items.find(item => item.x !== 0 || item.y !== 0);
+
+    return {
+        fileType: 'Plan',
+        geoFence: {
+            circles: [],
+            polygons: [],
+            version: 2
+        },
+        groundStation: 'Open MCT',
+        mission: {
+            firmwareType: vehicle.autopilot === undefined ? 0 : vehicle.autopilot,
+            items: missionItems.map(toPlanItem),
+            plannedHomePosition: home ? getPosition(home) : [0, 0, 0],
+            vehicleType: vehicle.type === undefined ? 0 : vehicle.type,
+            version: 2
+        },
+        rallyPoints: {
+            points: [],
+            version: 2
+        },
+        version: 1
+    };
+}
@@ -0,0 +1,100 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import { toPlan } from './missionPlan';
+
+describe('Mission plans', () => {
+    let items;
+
+    beforeEach(() => {
+        items = [
+            {
+                command: 16,
+                frame: 0,
+                param1: 0,
+                param2: 0,
+                param3: 0,
+                param4: 0,
+                x: 473977420,
+                y: 85455940,
+                z: 488,
+                autocontinue: 1
+            },
+            {
+                command: 22,
+                frame: 3,
+                param1: 15,
+                param2: 0,
+                param3: 0,
+                param4: NaN,
+                x: 0,
+                y: 0,
+                z: 20,
+                autocontinue: 1
+            }
+        ];
+    });
+
+    it('are QGroundControl plan documents', () => {
+        const plan = toPlan(items);
+
+        expect(plan.fileType).toBe('Plan');
+        expect(plan.version).toBe(1);
+        expect(plan.mission.version).toBe(2);
+        expect(plan.mission.items.length).toBe(2);
+    });
+
+    it('describe each item as a simple item', () => {
+        const item = toPlan(items).mission.items[1];
+
+        expect(item).toEqual({
+            AMSLAltAboveTerrain: null,
+            Altitude: 20,
+            AltitudeMode: 1,
+            autoContinue: true,
+            command: 22,
+            doJumpId: 2,
+            frame: 3,
+            params: [15, 0, 0, null, 0, 0, 20],
+            type: 'SimpleItem'
+        });
+    });
+
+    it('give positions in degrees', () => {
+        const params = toPlan(items).mission.items[0].params;
+
+        expect(params[4]).toBeCloseTo(47.397742, 7);
+        expect(params[5]).toBeCloseTo(8.545594, 7);
+    });
+
+    it('take the home position from the first item of ArduPilot missions', () => {
+        const plan = toPlan(items, {
+            autopilot: 3,
+            type: 2
+        });
+
+        expect(plan.mission.firmwareType).toBe(3);
+        expect(plan.mission.vehicleType).toBe(2);
+        expect(plan.mission.items.map(item => item.command)).toEqual([22]);
+        expect(plan.mission.plannedHomePosition[0]).toBeCloseTo(47.397742, 7);
+        expect(plan.mission.plannedHomePosition[2]).toBe(488);
+    });
+});
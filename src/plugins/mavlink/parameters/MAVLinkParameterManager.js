@@ -0,0 +1,416 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+import { isSameValue } from './parameterFile';
+
+const DEFAULT_TIMEOUT = 1500;
+const DEFAULT_ATTEMPTS = 3;
+const MAV_AUTOPILOT_INVALID = 8;
+const MAV_PARAM_TYPE_REAL32 = 9;
+
+/**
+ * Reads and writes the parameters of a single vehicle over a MAVLink
+ * connection, using the parameter protocol: the whole list is requested
+ * with PARAM_REQUEST_LIST, any values which were lost on the way are
+ * requested again by index with PARAM_REQUEST_READ, and each PARAM_SET is
+ * confirmed by the PARAM_VALUE which the vehicle sends back.
+ *
+ * Emits `parameter` whenever a value is received, including values the
+ * vehicle sends unprompted, and `progress` with the number received and
+ * the total while the list is fetched.
+ */
+export default class MAVLinkParameterManager extends EventEmitter {
+    /**
+     * @param {MAVLinkConnection} connection
+     * @param {Object} [options]
+     * @param {number} [options.sysid] the system id of the vehicle; if
+     *        not given, the autopilot most recently heard from is used
+     * @param {number} [options.timeout=1500] milliseconds without a reply
+     *        before requests are repeated
+     * @param {number} [options.attempts=3] the number of times to make a
+     *        request before giving up
+     */
+    constructor(connection, options = {}) {
+        super();
+
+        this.connection = connection;
+        this.sysid = options.sysid;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.attempts = options.attempts || DEFAULT_ATTEMPTS;
+        this.parameters = {};
+        this.indices = [];
+        this.count = undefined;
+        this.pendingSets = {};
+
+        this.onMessage = this.onMessage.bind(this);
+        this.connection.on('message', this.onMessage);
+    }
+
+    /**
+     * @returns {Object[]} the `name`, `value`, `type` and `index` of each
+     *          parameter received so far, sorted by name
+     */
+    getParameters() {
+        return Object.keys(this.parameters)
+            .sort()
+            .map(name => this.parameters[name]);
+    }
+
+    /**
+     * @returns {Object.<string, number>} the value of each parameter
+     *          received so far, keyed by name
+     */
+    getValues() {
+        return Object.keys(this.parameters).reduce((values, name) => {
+            values[name] = this.parameters[name].value;
+
+            return values;
+        }, {});
+    }
+
+    /**
+     * Request every parameter from the vehicle.
+     *
+     * @returns {Promise.<Object[]>} the parameters, once all have been
+     *          received
+     */
+    fetch() {
+        if (this.fetching) {
+            return this.fetching.promise;
+        }
+
+        this.parameters = {};
+        this.indices = [];
+        this.count = undefined;
+
+        const fetching = {
+            attempt: 0
+        };
+        fetching.promise = new Promise((resolve, reject) => {
+            fetching.resolve = resolve;
+            fetching.reject = reject;
+        });
+        this.fetching = fetching;
+
+        if (this.vehicle) {
+            this.requestList();
+        } else {
+            // Wait for a HEARTBEAT to say which vehicle to ask.
+            fetching.timeout = setTimeout(() => {
+                this.finishFetch(new Error('No vehicle has been heard from'));
+            }, this.timeout * this.attempts);
+        }
+
+        return fetching.promise;
+    }
+
+    /**
+     * Change the value of a parameter on the vehicle.
+     *
+     * @param {string} name the name of the parameter
+     * @param {number} value the new value
+     * @returns {Promise.<Object>} the parameter, once the vehicle has
+     *          reported the new value
+     */
+    set(name, value) {
+        const parameter = this.parameters[name];
+
+        if (!parameter) {
+            return Promise.reject(new Error(`The vehicle has no parameter named ${name}`));
+        }
+
+        if (this.pendingSets[name]) {
+            return Promise.reject(new Error(`${name} is already being set`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = {
+                name,
+                resolve,
+                reject,
+                attempt: 0,
+                fields: {
+                    target_system: this.vehicle.sysid,
+                    target_component: this.vehicle.compid,
+                    param_id: name,
+                    param_value: Number(value),
+                    param_type: parameter.type || MAV_PARAM_TYPE_REAL32
+                }
+            };
+
+            this.pendingSets[name] = pending;
+            this.transmitSet(pending);
+        });
+    }
+
+    destroy() {
+        this.connection.off('message', this.onMessage);
+
+        if (this.fetching) {
+            this.finishFetch(new Error('The parameter view was closed'));
+        }
+
+        Object.values(this.pendingSets).forEach((pending) => {
+            this.finishSet(pending, new Error('The parameter view was closed'));
+        });
+
+        this.removeAllListeners();
+    }
+
+    /**
+     * @private
+     */
+    requestList() {
+        const fetching = this.fetching;
+
+        if (fetching.attempt === this.attempts) {
+            this.finishFetch(new Error(`No parameters received after ${this.attempts} attempts`));
+
+            return;
+        }
+
+        fetching.attempt++;
+
+        if (!this.connection.send('PARAM_REQUEST_LIST', this.getTarget())) {
+            this.finishFetch(new Error('Not connected to a vehicle'));
+
+            return;
+        }
+
+        this.waitForValues();
+    }
+
+    /**
+     * Ask again, one at a time, for the parameters which have not arrived.
+     *
+     * @private
+     */
+    requestMissing() {
+        const fetching = this.fetching;
+        const missing = this.getMissingIndices();
+
+        if (fetching.attempt === this.attempts) {
+            this.finishFetch(new Error(`${missing.length} of ${this.count} parameters were not received`));
+
+            return;
+        }
+
+        fetching.attempt++;
+
+        const sent = missing.every((index) => {
+            return this.connection.send('PARAM_REQUEST_READ', Object.assign({
+                param_id: '',
+                param_index: index
+            }, this.getTarget()));
+        });
+
+        if (!sent) {
+            this.finishFetch(new Error('Not connected to a vehicle'));
+
+            return;
+        }
+
+        this.waitForValues();
+    }
+
+    /**
+     * Values arrive in a stream; once it has gone quiet for the timeout,
+     * anything still missing is requested again.
+     *
+     * @private
+     */
+    waitForValues() {
+        clearTimeout(this.fetching.timeout);
+        this.fetching.timeout = setTimeout(() => {
+            if (this.count === undefined) {
+                this.requestList();
+            } else {
+                this.requestMissing();
+            }
+        }, this.timeout);
+    }
+
+    /**
+     * @private
+     */
+    getMissingIndices() {
+        const missing = [];
+
+        for (let index = 0; index < this.count; index++) {
+            if (!this.indices[index]) {
+                missing.push(index);
+            }
+        }
+
+        return missing;
+    }
+
+    /**
+     * @private
+     */
+    getTarget() {
+        return {
+            target_system: this.vehicle.sysid,
+            target_component: this.vehicle.compid
+        };
+    }
+
+    /**
+     * @private
+     */
+    transmitSet(pending) {
+        if (pending.attempt === this.attempts) {
+            this.finishSet(pending, new Error(`${pending.name} was not confirmed after ${this.attempts} attempts`));
+
+            return;
+        }
+
+        pending.attempt++;
+
+        if (!this.connection.send('PARAM_SET', pending.fields)) {
+            this.finishSet(pending, new Error('Not connected to a vehicle'));
+
+            return;
+        }
+
+        pending.timeout = setTimeout(() => this.transmitSet(pending), this.timeout);
+    }
+
+    /**
+     * @private
+     */
+    onMessage(message) {
+        if (message.name === 'HEARTBEAT') {
+            this.onHeartbeat(message);
+        } else if (message.name === 'PARAM_VALUE' && this.vehicle && message.sysid === this.vehicle.sysid) {
+            this.onValue(message.fields);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onHeartbeat(message) {
+        if (message.fields.autopilot === MAV_AUTOPILOT_INVALID
+            || (this.sysid !== undefined && message.sysid !== this.sysid)) {
+            return;
+        }
+
+        // Keep talking to the same vehicle while requests are outstanding.
+        if (this.vehicle && (this.fetching || Object.keys(this.pendingSets).length)) {
+            return;
+        }
+
+        const isFirst = !this.vehicle;
+
+        this.vehicle = {
+            sysid: message.sysid,
+            compid: message.compid
+        };
+
+        if (isFirst && this.fetching) {
+            clearTimeout(this.fetching.timeout);
+            this.requestList();
+        }
+    }
+
+    /**
+     * @private
+     */
+    onValue(fields) {
+        const parameter = {
+            name: fields.param_id,
+            value: fields.param_value,
+            type: fields.param_type,
+            index: fields.param_index
+        };
+
+        this.parameters[parameter.name] = parameter;
+        this.count = fields.param_count;
+        // Parameters which are not part of the list, such as those
+        // echoed by some autopilots after a PARAM_SET, have an index
+        // beyond the count.
+        const isNew = parameter.index < this.count && !this.indices[parameter.index];
+        if (isNew) {
+            this.indices[parameter.index] = true;
+        }
+
+        this.emit('parameter', parameter);
+
+        const pending = this.pendingSets[parameter.name];
+        if (pending) {
+            if (isSameValue(parameter.value, pending.fields.param_value)) {
+                this.finishSet(pending, undefined, parameter);
+            } else {
+                this.finishSet(pending, new Error(`The vehicle kept ${parameter.name} at ${parameter.value}`));
+            }
+        }
+
+        if (this.fetching) {
+            const received = this.indices.filter(Boolean).length;
+
+            // Only give up once a whole round of requests goes unanswered.
+            if (isNew) {
+                this.fetching.attempt = 0;
+            }
+
+            this.emit('progress', received, this.count);
+
+            if (received === this.count) {
+                this.finishFetch();
+            } else {
+                this.waitForValues();
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    finishFetch(error) {
+        const fetching = this.fetching;
+
+        clearTimeout(fetching.timeout);
+        delete this.fetching;
+
+        if (error) {
+            fetching.reject(error);
+        } else {
+            fetching.resolve(this.getParameters());
+        }
+    }
+
+    /**
+     * @private
+     */
+    finishSet(pending, error, parameter) {
+        clearTimeout(pending.timeout);
+        delete this.pendingSets[pending.name];
+
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(parameter);
+        }
+    }
+}
@@ -0,0 +1,230 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import EventEmitter from 'EventEmitter';
+import MAVLinkParameterManager from './MAVLinkParameterManager';
+
+describe('The MAVLink parameter manager', () => {
+    const PARAMETERS = ['ARMING_CHECK', 'ATC_RAT_RLL_P', 'BATT_CAPACITY'];
+    let connection;
+    let manager;
+
+    function receive(name, fields, sysid = 1) {
+        connection.emit('message', {
+            name,
+            sysid,
+            compid: 1,
+            fields
+        });
+    }
+
+    function receiveValue(index, value = index, sysid = 1) {
+        receive('PARAM_VALUE', {
+            param_id: PARAMETERS[index],
+            param_value: value,
+            param_type: 9,
+            param_count: PARAMETERS.length,
+            param_index: index
+        }, sysid);
+    }
+
+    function sent(name) {
+        return connection.send.calls.allArgs()
+            .filter(args => args[0] === name)
+            .map(args => args[1]);
+    }
+
+    beforeEach(() => {
+        jasmine.clock().install();
+
+        connection = new EventEmitter();
+        connection.send = jasmine.createSpy('send').and.returnValue(true);
+
+        manager = new MAVLinkParameterManager(connection, {
+            timeout: 1000,
+            attempts: 3
+        });
+    });
+
+    afterEach(() => {
+        manager.destroy();
+        jasmine.clock().uninstall();
+    });
+
+    describe('fetching parameters', () => {
+        let fetched;
+        let failed;
+
+        beforeEach(() => {
+            fetched = jasmine.createSpy('fetched');
+            failed = jasmine.createSpy('failed');
+            receive('HEARTBEAT', {autopilot: 3});
+            manager.fetch().then(fetched, failed);
+        });
+
+        it('requests the list from the vehicle', () => {
+            expect(sent('PARAM_REQUEST_LIST')).toEqual([{
+                target_system: 1,
+                target_component: 1
+            }]);
+        });
+
+        it('resolves once every parameter has been received', (done) => {
+            const progress = jasmine.createSpy('progress');
+            manager.on('progress', progress);
+
+            receiveValue(2);
+            receiveValue(0);
+            receiveValue(1);
+
+            expect(progress.calls.mostRecent().args).toEqual([3, 3]);
+            Promise.resolve().then(() => {
+                expect(fetched).toHaveBeenCalled();
+                expect(fetched.calls.mostRecent().args[0].map(parameter => parameter.name)).toEqual(PARAMETERS);
+                done();
+            });
+        });
+
+        it('ignores parameters from other vehicles', () => {
+            receiveValue(0, 0, 2);
+
+            expect(manager.getParameters()).toEqual([]);
+        });
+
+        it('requests the missing indices again once values stop arriving', (done) => {
+            receiveValue(0);
+            receiveValue(2);
+            jasmine.clock().tick(1000);
+
+            expect(sent('PARAM_REQUEST_READ')).toEqual([{
+                target_system: 1,
+                target_component: 1,
+                param_id: '',
+                param_index: 1
+            }]);
+
+            receiveValue(1);
+            Promise.resolve().then(() => {
+                expect(fetched).toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('repeats the list request if nothing arrives', () => {
+            jasmine.clock().tick(1000);
+
+            expect(sent('PARAM_REQUEST_LIST').length).toBe(2);
+        });
+
+        it('fails when missing parameters never arrive', (done) => {
+            receiveValue(0);
+            jasmine.clock().tick(4000);
+
+            expect(sent('PARAM_REQUEST_READ').length).toBe(6);
+            Promise.resolve().then(() => {
+                expect(failed).toHaveBeenCalledWith(new Error('2 of 3 parameters were not received'));
+                done();
+            });
+        });
+    });
+
+    it('waits for a heartbeat before fetching parameters', () => {
+        manager.fetch().catch(() => {});
+
+        expect(sent('PARAM_REQUEST_LIST').length).toBe(0);
+        receive('HEARTBEAT', {autopilot: 3}, 4);
+
+        expect(sent('PARAM_REQUEST_LIST')).toEqual([{
+            target_system: 4,
+            target_component: 1
+        }]);
+    });
+
+    it('only talks to the configured system', () => {
+        manager.destroy();
+        manager = new MAVLinkParameterManager(connection, {sysid: 2});
+        manager.fetch().catch(() => {});
+
+        receive('HEARTBEAT', {autopilot: 3}, 1);
+        expect(sent('PARAM_REQUEST_LIST').length).toBe(0);
+
+        receive('HEARTBEAT', {autopilot: 3}, 2);
+        expect(sent('PARAM_REQUEST_LIST').length).toBe(1);
+    });
+
+    describe('setting a parameter', () => {
+        let result;
+
+        beforeEach(() => {
+            receive('HEARTBEAT', {autopilot: 3});
+            receiveValue(1, 0.135);
+            result = manager.set('ATC_RAT_RLL_P', 0.15);
+            result.catch(() => {});
+        });
+
+        it('sends PARAM_SET with the parameter\'s type', () => {
+            expect(sent('PARAM_SET')).toEqual([{
+                target_system: 1,
+                target_component: 1,
+                param_id: 'ATC_RAT_RLL_P',
+                param_value: 0.15,
+                param_type: 9
+            }]);
+        });
+
+        it('resolves when the vehicle echoes the new value', (done) => {
+            receiveValue(1, Math.fround(0.15));
+
+            result.then((parameter) => {
+                expect(parameter.value).toBe(Math.fround(0.15));
+                expect(manager.getValues().ATC_RAT_RLL_P).toBe(Math.fround(0.15));
+                done();
+            });
+        });
+
+        it('fails when the vehicle keeps the old value', (done) => {
+            receiveValue(1, 0.135);
+
+            result.catch((error) => {
+                expect(error.message).toBe('The vehicle kept ATC_RAT_RLL_P at 0.135');
+                done();
+            });
+        });
+
+        it('resends until attempts run out', (done) => {
+            jasmine.clock().tick(2000);
+            expect(sent('PARAM_SET').length).toBe(3);
+
+            jasmine.clock().tick(1000);
+            result.catch((error) => {
+                expect(error.message).toBe('ATC_RAT_RLL_P was not confirmed after 3 attempts');
+                done();
+            });
+        });
+
+        it('rejects parameters the vehicle does not have', (done) => {
+            manager.set('NOT_A_PARAMETER', 1).catch((error) => {
+                expect(error.message).toBe('The vehicle has no parameter named NOT_A_PARAMETER');
+                done();
+            });
+        });
+    });
+});
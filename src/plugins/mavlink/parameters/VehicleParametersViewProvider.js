@@ -0,0 +1,75 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import VehicleParameters from './components/VehicleParameters.vue';
+import MAVLinkParameterManager from './MAVLinkParameterManager';
+import { MAVLINK_PARAMETERS_TYPE } from '../utils';
+import Vue from 'vue';
+
+export default function VehicleParametersViewProvider(openmct, connection, options = {}) {
+    return {
+        key: 'mavlink.parameters',
+        name: 'Vehicle Parameters',
+        cssClass: 'icon-dictionary',
+        canView(domainObject) {
+            return domainObject.type === MAVLINK_PARAMETERS_TYPE;
+        },
+        view(domainObject, objectPath) {
+            let component;
+            let parameterManager;
+
+            return {
+                show(element) {
+                    const sysid = domainObject.mavlink && domainObject.mavlink.sysid;
+
+                    parameterManager = new MAVLinkParameterManager(connection, {
+                        sysid: sysid === undefined || sysid === '' ? undefined : Number(sysid),
+                        timeout: options.timeout,
+                        attempts: options.attempts
+                    });
+                    component = new Vue({
+                        el: element,
+                        components: {
+                            VehicleParameters
+                        },
+                        provide: {
+                            openmct,
+                            domainObject,
+                            objectPath,
+                            parameterManager
+                        },
+                        template: '<vehicle-parameters></vehicle-parameters>'
+                    });
+                },
+                destroy() {
+                    component.$destroy();
+                    component = undefined;
+                    parameterManager.destroy();
+                    parameterManager = undefined;
+                }
+            };
+        },
+        priority() {
+            return 1;
+        }
+    };
+}
@@ -0,0 +1,131 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+// Lines of QGroundControl's format carry the system and component ids
+// ahead of the name, value and type.
+const QGC_FIELD_COUNT = 5;
+// Parameter values travel as 32-bit floats, which need at most nine
+// significant digits to be written without loss.
+const MAX_PRECISION = 9;
+
+/**
+ * Compare two parameter values as the vehicle would store them.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean} true if both are the same 32-bit float
+ */
+export function isSameValue(a, b) {
+    return Math.fround(a) === Math.fround(b);
+}
+
+/**
+ * Format a parameter value with the fewest digits which still read back
+ * as the same 32-bit float, so that 0.1 is written as `0.1` rather than
+ * `0.10000000149011612`.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatParameterValue(value) {
+    for (let precision = 1; precision < MAX_PRECISION; precision++) {
+        const text = String(Number(value.toPrecision(precision)));
+
+        if (isSameValue(Number(text), value)) {
+            return text;
+        }
+    }
+
+    return String(Number(value.toPrecision(MAX_PRECISION)));
+}
+
+/**
+ * Read parameter values from the text of a `.param` file. Both the
+ * `NAME,VALUE` form written by Mission Planner and MAVProxy and the
+ * tab-separated form written by QGroundControl are understood; blank
+ * lines and lines starting with `#` are ignored.
+ *
+ * @param {string} text the contents of the file
+ * @returns {Object.<string, number>} values keyed by parameter name
+ * @throws {Error} if a line cannot be read
+ */
+export function parseParameterFile(text) {
+    const values = {};
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+
+        if (!trimmed.length || trimmed.startsWith('#')) {
+            return;
+        }
+
+        let fields = trimmed.split(/[\s,]+/);
+        if (fields.length === QGC_FIELD_COUNT && !isNaN(fields[0]) && !isNaN(fields[1])) {
+            fields = fields.slice(2);
+        }
+
+        const name = fields[0];
+        const value = Number(fields[1]);
+
+        if (fields.length < 2 || fields[1] === '' || isNaN(value)) {
+            throw new Error(`Line ${index + 1} is not a parameter name and value: "${trimmed}"`);
+        }
+
+        values[name] = value;
+    });
+
+    return values;
+}
+
+/**
+ * Write parameter values as the text of a `.param` file, in the
+ * `NAME,VALUE` form, sorted by name.
+ *
+ * @param {Object.<string, number>} values values keyed by parameter name
+ * @returns {string}
+ */
+export function serializeParameterFile(values) {
+    return Object.keys(values)
+        .sort()
+        .map(name => `${name},${formatParameterValue(values[name])}\n`)
+        .join('');
+}
+
+/**
+ * Find the parameters whose values differ between the vehicle and a file.
+ *
+ * @param {Object.<string, number>} current the vehicle's values
+ * @param {Object.<string, number>} values values read from a file
+ * @returns {Object[]} the `name`, `current` and new `value` of each
+ *          differing parameter, sorted by name; `current` is undefined
+ *          for parameters the vehicle does not have
+ */
+export function diffParameters(current, values) {
+    return Object.keys(values)
+        .filter(name => current[name] === undefined || !isSameValue(current[name], values[name]))
+        .sort()
+        .map(name => ({
+            name,
+            current: current[name],
+            value: values[name]
+        }));
+}
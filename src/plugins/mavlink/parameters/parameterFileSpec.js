@@ -0,0 +1,109 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    diffParameters,
+    formatParameterValue,
+    parseParameterFile,
+    serializeParameterFile
+} from './parameterFile';
+
+describe('Parameter files', () => {
+    it('are read from NAME,VALUE lines', () => {
+        expect(parseParameterFile('# Saved parameters\nATC_RAT_RLL_P,0.135\r\n\nARMING_CHECK,1\n')).toEqual({
+            ATC_RAT_RLL_P: 0.135,
+            ARMING_CHECK: 1
+        });
+    });
+
+    it('are read from whitespace separated lines', () => {
+        expect(parseParameterFile('ATC_RAT_RLL_P 0.135\nARMING_CHECK\t1')).toEqual({
+            ATC_RAT_RLL_P: 0.135,
+            ARMING_CHECK: 1
+        });
+    });
+
+    it('are read from QGroundControl files', () => {
+        expect(parseParameterFile('# Vehicle-Id Component-Id Name Value Type\n1\t1\tATC_RAT_RLL_P\t0.135\t9\n')).toEqual({
+            ATC_RAT_RLL_P: 0.135
+        });
+    });
+
+    it('report the line which cannot be read', () => {
+        expect(() => parseParameterFile('ARMING_CHECK,1\nATC_RAT_RLL_P,high')).toThrowError(/Line 2/);
+        expect(() => parseParameterFile('ARMING_CHECK')).toThrowError(/Line 1/);
+    });
+
+    it('are written sorted by name', () => {
+        expect(serializeParameterFile({
+            B_PARAM: 2,
+            A_PARAM: 1
+        })).toBe('A_PARAM,1\nB_PARAM,2\n');
+    });
+
+    it('survive being written and read back', () => {
+        const values = {
+            ATC_RAT_RLL_P: Math.fround(0.135),
+            BIG: 16777216,
+            NEGATIVE: -3
+        };
+        const read = parseParameterFile(serializeParameterFile(values));
+
+        Object.keys(values).forEach((name) => {
+            expect(Math.fround(read[name])).toBe(values[name]);
+        });
+    });
+});
+
+describe('Parameter values', () => {
+    it('are formatted with as few digits as a float needs', () => {
+        expect(formatParameterValue(Math.fround(0.1))).toBe('0.1');
+        expect(formatParameterValue(16777216)).toBe('16777216');
+        expect(formatParameterValue(-2.5)).toBe('-2.5');
+    });
+});
+
+describe('Parameter diffs', () => {
+    it('list the values which differ as 32-bit floats', () => {
+        const diff = diffParameters({
+            SAME: Math.fround(0.1),
+            DIFFERENT: 1,
+            UNCHANGED_ON_VEHICLE: 5
+        }, {
+            SAME: 0.1,
+            DIFFERENT: 2,
+            NEW: 3
+        });
+
+        expect(diff).toEqual([
+            {
+                name: 'DIFFERENT',
+                current: 1,
+                value: 2
+            },
+            {
+                name: 'NEW',
+                current: undefined,
+                value: 3
+            }
+        ]);
+    });
+});
@@ -0,0 +1,254 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import MAVLinkConnection from './MAVLinkConnection';
+import MAVLinkTelemetryProvider from './MAVLinkTelemetryProvider';
+import MAVLinkMetadataProvider from './MAVLinkMetadataProvider';
+import MAVLinkObjectProvider, { ROOT_KEY } from './MAVLinkObjectProvider';
+import MAVLinkCommandProvider from './MAVLinkCommandProvider';
+import MAVLinkVehicleDiscovery from './MAVLinkVehicleDiscovery';
+import ChangeVehicleAction from './ChangeVehicleAction';
+import VehicleParametersViewProvider from './parameters/VehicleParametersViewProvider';
+import MissionViewProvider from './mission/MissionViewProvider';
+import MAVLinkHealthMonitor from './health/MAVLinkHealthMonitor';
+import MAVLinkHealthIndicator from './health/MAVLinkHealthIndicator';
+import MAVLinkBootTimes from './MAVLinkBootTimes';
+import {
+    MAVLINK_NAMESPACE,
+    MAVLINK_MESSAGE_TYPE,
+    MAVLINK_FIELD_TYPE,
+    MAVLINK_PARAMETERS_TYPE,
+    MAVLINK_MISSION_TYPE,
+    getVehicleNamespace
+} from './utils';
+import {
+    parseDialectXML,
+    loadDialectXML
+} from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+const DEFAULT_URL = 'ws://localhost:8080/mavlink';
+
+/**
+ * Provides realtime telemetry decoded from a stream of MAVLink v1 or v2
+ * frames carried over a WebSocket, a tree of telemetry objects generated
+ * from the MAVLink message-definition dialects in use (along with a tree
+ * for each vehicle, added as the vehicle is discovered), commands which
+ * are sent to the vehicle over the same link, views for reading and
+ * changing the vehicle's parameters and mission, and an indicator of the
+ * health of the link.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] the WebSocket URL which carries MAVLink
+ *        frames; defaults to the bridge served by `app.js --mavlink-port`
+ * @param {string[]} [options.dialects] URLs of dialect XML files (such as
+ *        `common.xml` and `ardupilotmega.xml`) to decode with, in addition
+ *        to the bundled subset of `common.xml`
+ * @param {number} [options.historySize] the number of datums to retain for
+ *        each message and system id
+ * @param {number} [options.reconnectInterval] milliseconds to wait before
+ *        reconnecting when the WebSocket closes
+ * @param {number} [options.commandTimeout] milliseconds to wait for a
+ *        command to be acknowledged, or a parameter or mission request
+ *        answered, before resending it
+ * @param {number} [options.commandAttempts] the number of times to send a
+ *        command, parameter or mission request before reporting that it
+ *        failed
+ * @param {number} [options.heartbeatWarningTimeout] milliseconds without a
+ *        HEARTBEAT from a component before the link is shown as a warning
+ * @param {number} [options.heartbeatErrorTimeout] milliseconds without a
+ *        HEARTBEAT from a component before the link is shown as an error
+ */
+export default function MAVLinkPlugin(options = {}) {
+    return function install(openmct) {
+        const dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        const loaded = {};
+        const dialectLoaded = (options.dialects || []).reduce((promise, url) => {
+            return promise
+                .then(() => loadDialectXML(url, loaded))
+                .then(definitions => dialect.addDefinitions(definitions));
+        }, Promise.resolve()).catch((error) => {
+            openmct.notifications.error(`Could not load MAVLink dialects: ${error.message}`);
+            console.error(error);
+        });
+        const connection = new MAVLinkConnection(options.url || DEFAULT_URL, dialect, {
+            reconnectInterval: options.reconnectInterval
+        });
+
+        openmct.types.addType(MAVLINK_MESSAGE_TYPE, {
+            name: 'MAVLink Message',
+            description: 'Realtime telemetry from a single MAVLink message, such as ATTITUDE or GLOBAL_POSITION_INT.',
+            cssClass: 'icon-telemetry',
+            creatable: true,
+            form: [
+                {
+                    key: 'message',
+                    name: 'Message Name',
+                    control: 'textfield',
+                    required: true,
+                    cssClass: 'l-input-lg',
+                    property: [
+                        'mavlink',
+                        'message'
+                    ]
+                },
+                {
+                    key: 'sysid',
+                    name: 'System ID (blank for any)',
+                    control: 'numberfield',
+                    cssClass: 'l-input-sm l-numeric',
+                    property: [
+                        'mavlink',
+                        'sysid'
+                    ]
+                }
+            ],
+            initialize(domainObject) {
+                domainObject.mavlink = {
+                    message: 'HEARTBEAT'
+                };
+            }
+        });
+
+        openmct.types.addType(MAVLINK_FIELD_TYPE, {
+            name: 'MAVLink Field',
+            description: 'Realtime telemetry from a single field of a MAVLink message.',
+            cssClass: 'icon-telemetry',
+            creatable: false
+        });
+
+        openmct.types.addType(MAVLINK_PARAMETERS_TYPE, {
+            name: 'Vehicle Parameters',
+            description: 'Browse, edit, import and export the parameters of a vehicle.',
+            cssClass: 'icon-dictionary',
+            creatable: true,
+            form: [
+                {
+                    key: 'sysid',
+                    name: 'System ID (blank for any)',
+                    control: 'numberfield',
+                    cssClass: 'l-input-sm l-numeric',
+                    property: [
+                        'mavlink',
+                        'sysid'
+                    ]
+                }
+            ],
+            initialize(domainObject) {
+                domainObject.mavlink = {};
+            }
+        });
+
+        openmct.types.addType(MAVLINK_MISSION_TYPE, {
+            name: 'Mission',
+            description: 'A list of mission items which can be downloaded from, edited, and uploaded to a vehicle.',
+            cssClass: 'icon-flag',
+            creatable: true,
+            form: [
+                {
+                    key: 'sysid',
+                    name: 'System ID (blank for any)',
+                    control: 'numberfield',
+                    cssClass: 'l-input-sm l-numeric',
+                    property: [
+                        'mavlink',
+                        'sysid'
+                    ]
+                }
+            ],
+            initialize(domainObject) {
+                domainObject.mavlink = {};
+                domainObject.mission = {
+                    items: []
+                };
+            }
+        });
+
+        openmct.objects.addRoot({
+            namespace: MAVLINK_NAMESPACE,
+            key: ROOT_KEY
+        });
+        openmct.objects.addProvider(MAVLINK_NAMESPACE, new MAVLinkObjectProvider(dialect, dialectLoaded));
+
+        // A vehicle's namespace is registered when it is first needed, rather
+        // than registering a provider for every possible system id up front.
+        const vehicleNamespaces = new Set();
+        function addVehicleProvider(sysid) {
+            const namespace = getVehicleNamespace(sysid);
+
+            if (!vehicleNamespaces.has(namespace)) {
+                vehicleNamespaces.add(namespace);
+                openmct.objects.addProvider(namespace, new MAVLinkObjectProvider(dialect, dialectLoaded, sysid));
+            }
+        }
+
+        const vehicleDiscovery = new MAVLinkVehicleDiscovery(connection);
+        vehicleDiscovery.on('add', (sysid) => {
+            addVehicleProvider(sysid);
+            openmct.objects.addRoot({
+                namespace: getVehicleNamespace(sysid),
+                key: ROOT_KEY
+            });
+        });
+        openmct.contextMenu.registerAction(new ChangeVehicleAction(openmct, addVehicleProvider));
+
+        openmct.telemetry.addProvider(new MAVLinkTelemetryProvider(connection, {
+            historySize: options.historySize
+        }));
+        openmct.telemetry.addProvider(new MAVLinkMetadataProvider(dialect));
+
+        const bootTimes = new MAVLinkBootTimes(connection);
+        openmct.time.addTimeConversion('boot', 'utc', (value, datum) => bootTimes.bootToUTC(value, datum));
+        openmct.time.addTimeConversion('utc', 'boot', (value, datum) => bootTimes.utcToBoot(value, datum));
+
+        const commandProvider = new MAVLinkCommandProvider(connection, dialect, {
+            timeout: options.commandTimeout,
+            attempts: options.commandAttempts
+        });
+        openmct.commands.addProvider(commandProvider);
+
+        openmct.objectViews.addProvider(new VehicleParametersViewProvider(openmct, connection, {
+            timeout: options.commandTimeout,
+            attempts: options.commandAttempts
+        }));
+        openmct.objectViews.addProvider(new MissionViewProvider(openmct, connection, dialect, {
+            timeout: options.commandTimeout,
+            attempts: options.commandAttempts
+        }));
+
+        const healthMonitor = new MAVLinkHealthMonitor(connection, dialect, {
+            warningTimeout: options.heartbeatWarningTimeout,
+            errorTimeout: options.heartbeatErrorTimeout
+        });
+        openmct.indicators.add(new MAVLinkHealthIndicator(openmct, healthMonitor).indicator);
+
+        openmct.on('start', () => connection.connect());
+        openmct.on('destroy', () => {
+            healthMonitor.destroy();
+            bootTimes.destroy();
+            vehicleDiscovery.destroy();
+            commandProvider.destroy();
+            connection.destroy();
+        });
+    };
+}
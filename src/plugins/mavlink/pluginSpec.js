@@ -0,0 +1,251 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkPlugin from './plugin';
+import MAVLinkDialect from './MAVLinkDialect';
+import encodeMessage from './MAVLinkEncoder';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+import {
+    createOpenMct,
+    resetApplicationState,
+    spyOnBuiltins
+} from 'utils/testing';
+
+describe('The MAVLink plugin', () => {
+    let openmct;
+    let mockSocket;
+    let socketListeners;
+    let attitudeObject;
+
+    beforeEach((done) => {
+        socketListeners = {};
+        mockSocket = jasmine.createSpyObj('socket', ['addEventListener', 'removeEventListener', 'send', 'close']);
+        mockSocket.addEventListener.and.callFake((event, listener) => {
+            socketListeners[event] = listener;
+        });
+        spyOnBuiltins(['WebSocket']);
+        window.WebSocket.and.returnValue(mockSocket);
+
+        attitudeObject = {
+            identifier: {
+                namespace: '',
+                key: 'attitude'
+            },
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'ATTITUDE'
+            }
+        };
+
+        openmct = createOpenMct();
+        openmct.install(MAVLinkPlugin({
+            url: 'ws://vehicle/mavlink'
+        }));
+        openmct.on('start', done);
+        openmct.startHeadless();
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('defines a MAVLink message type', () => {
+        expect(openmct.types.get('mavlink.message').definition.creatable).toBe(true);
+    });
+
+    it('connects to the configured WebSocket on start', () => {
+        expect(window.WebSocket).toHaveBeenCalledWith('ws://vehicle/mavlink');
+    });
+
+    it('describes the fields of the message as telemetry', () => {
+        const metadata = openmct.telemetry.getMetadata(attitudeObject);
+
+        expect(metadata.value('utc').hints.domain).toBe(1);
+        expect(metadata.value('roll').unit).toBe('rad');
+        expect(metadata.value('yawspeed')).toBeDefined();
+    });
+
+    it('adds a root containing the messages of the dialect', () => {
+        return openmct.objects.get('mavlink:root').then((root) => {
+            expect(root.name).toBe('MAVLink');
+            expect(root.composition).toContain({
+                namespace: 'mavlink',
+                key: 'HEARTBEAT'
+            });
+        });
+    });
+
+    it('provides the objects of each vehicle in its own namespace once it is discovered', () => {
+        const dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+
+        socketListeners.open();
+        socketListeners.message({
+            data: encodeMessage(dialect, 'HEARTBEAT', {
+                type: 2,
+                autopilot: 3
+            }, {
+                sysid: 3,
+                compid: 1
+            }).buffer
+        });
+
+        return openmct.objects.get('mavlink-3:ATTITUDE').then((message) => {
+            expect(message.mavlink).toEqual({
+                message: 'ATTITUDE',
+                sysid: 3
+            });
+        });
+    });
+
+    it('adds a root for each vehicle as it is discovered', () => {
+        const dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        spyOn(openmct.objects, 'addRoot');
+
+        socketListeners.open();
+        [2, 2, 4].forEach((sysid) => {
+            socketListeners.message({
+                data: encodeMessage(dialect, 'HEARTBEAT', {
+                    type: 2,
+                    autopilot: 3
+                }, {
+                    sysid,
+                    compid: 1
+                }).buffer
+            });
+        });
+
+        expect(openmct.objects.addRoot.calls.allArgs()).toEqual([
+            [{
+                namespace: 'mavlink-2',
+                key: 'root'
+            }],
+            [{
+                namespace: 'mavlink-4',
+                key: 'root'
+            }]
+        ]);
+    });
+
+    it('provides an action to change the vehicle of layouts and condition sets', () => {
+        const action = openmct.contextMenu._allActions.find(candidate => candidate.key === 'mavlink.changeVehicle');
+        const layout = {
+            identifier: {
+                namespace: '',
+                key: 'layout'
+            },
+            type: 'layout'
+        };
+
+        expect(action).toBeDefined();
+        expect(action.appliesTo([layout])).toBe(true);
+        expect(action.appliesTo([attitudeObject])).toBe(false);
+    });
+
+    it('provides commands for the MAVLink root', () => {
+        return openmct.objects.get('mavlink:root').then((root) => {
+            expect(openmct.commands.supportsCommands(root)).toBe(true);
+            expect(openmct.commands.getCommands(root).map(command => command.key)).toContain('arm');
+        });
+    });
+
+    it('provides a parameters view for Vehicle Parameters objects', () => {
+        const parametersObject = {
+            identifier: {
+                namespace: '',
+                key: 'parameters'
+            },
+            type: 'mavlink.parameters',
+            mavlink: {}
+        };
+        const providers = openmct.objectViews.get(parametersObject);
+
+        expect(openmct.types.get('mavlink.parameters').definition.creatable).toBe(true);
+        expect(providers.map(provider => provider.key)).toContain('mavlink.parameters');
+    });
+
+    it('provides a mission view for Mission objects', () => {
+        const missionObject = {
+            identifier: {
+                namespace: '',
+                key: 'mission'
+            },
+            type: 'mavlink.mission',
+            mavlink: {},
+            mission: {
+                items: []
+            }
+        };
+        const providers = openmct.objectViews.get(missionObject);
+
+        expect(openmct.types.get('mavlink.mission').definition.creatable).toBe(true);
+        expect(providers.map(provider => provider.key)).toContain('mavlink.mission');
+    });
+
+    it('formats enum and bitmask fields as text', () => {
+        const metadata = openmct.telemetry.getMetadata({
+            type: 'mavlink.message',
+            mavlink: {
+                message: 'HEARTBEAT'
+            }
+        });
+        const systemStatus = openmct.telemetry.getValueFormatter(metadata.value('system_status'));
+        const baseMode = openmct.telemetry.getValueFormatter(metadata.value('base_mode'));
+
+        expect(systemStatus.format({system_status: 4})).toBe('MAV_STATE_ACTIVE');
+        expect(baseMode.format({base_mode: 129})).toBe('MAV_MODE_FLAG_CUSTOM_MODE_ENABLED, MAV_MODE_FLAG_SAFETY_ARMED');
+    });
+
+    it('delivers decoded messages to subscribers', () => {
+        const dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        const callback = jasmine.createSpy('callback');
+
+        openmct.telemetry.subscribe(attitudeObject, callback);
+        socketListeners.open();
+        socketListeners.message({
+            data: encodeMessage(dialect, 'ATTITUDE', {roll: 0.5}).buffer
+        });
+
+        expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({
+            roll: 0.5
+        }));
+    });
+
+    it('indicates the health of the link', () => {
+        const dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+        const indicator = openmct.indicators.indicatorObjects
+            .map(candidate => candidate.element)
+            .find(element => element.classList.contains('icon-connectivity'));
+
+        socketListeners.open();
+        socketListeners.message({
+            data: encodeMessage(dialect, 'HEARTBEAT', {
+                type: 2,
+                autopilot: 3,
+                system_status: 4
+            }).buffer
+        });
+
+        expect(indicator.textContent).toContain('MAVLink: 1 vehicle');
+        expect(indicator.classList).toContain('s-status-on');
+    });
+});
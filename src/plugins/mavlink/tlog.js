@@ -0,0 +1,82 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkParser from './MAVLinkParser';
+import { messageToDatum } from './utils';
+
+// A .tlog is a sequence of MAVLink frames, each preceded by the time it was
+// received as big-endian microseconds since the Unix epoch.
+const TIMESTAMP_LENGTH = 8;
+const UINT32_RANGE = 0x100000000;
+// Bytes decoded between progress reports.
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+/**
+ * Decode a MAVLink telemetry log (.tlog) into telemetry, stamped with the
+ * time at which each message was received. Large logs take a while to
+ * decode, so this is run in a Web Worker (see tlogWorker.js).
+ *
+ * @param {MAVLinkDialect} dialect the message definitions to decode with
+ * @param {ArrayBuffer} buffer the contents of the log
+ * @param {function(number)} [onProgress] called with the percentage of the
+ *        log decoded so far
+ * @returns {Array.<{name: string, data: Object[]}>} the telemetry of each
+ *          message found in the log, in the order it was logged
+ */
+export default function parseTlog(dialect, buffer, onProgress = () => {}) {
+    const parser = new MAVLinkParser(dialect);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const messages = {};
+    let index = 0;
+    let nextProgress = PROGRESS_INTERVAL;
+
+    while (index < bytes.length - TIMESTAMP_LENGTH) {
+        const result = parser.decodeAt(bytes, index + TIMESTAMP_LENGTH);
+
+        if (result && result.message) {
+            const utc = ((view.getUint32(index) * UINT32_RANGE) + view.getUint32(index + 4)) / 1000;
+            const name = result.message.name;
+
+            if (!messages[name]) {
+                messages[name] = {
+                    name,
+                    data: []
+                };
+            }
+
+            messages[name].data.push(messageToDatum(result.message, utc));
+            index += TIMESTAMP_LENGTH + result.length;
+        } else {
+            // Not a record, or a truncated one, so resynchronize from the
+            // next byte.
+            index++;
+        }
+
+        if (index >= nextProgress) {
+            onProgress((index / bytes.length) * 100);
+            nextProgress += PROGRESS_INTERVAL;
+        }
+    }
+
+    return Object.values(messages);
+}
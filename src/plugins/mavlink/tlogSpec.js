@@ -0,0 +1,95 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import encodeMessage from './MAVLinkEncoder';
+import parseTlog from './tlog';
+import { parseDialectXML } from './dialectXML';
+import commonXML from 'raw-loader!./dialects/common.xml';
+
+describe('Decoding MAVLink telemetry logs', () => {
+    let dialect;
+
+    function concat(...arrays) {
+        const bytes = [];
+        arrays.forEach(array => bytes.push(...array));
+
+        return new Uint8Array(bytes);
+    }
+
+    function record(timestamp, fields) {
+        const time = new Uint8Array(8);
+        const view = new DataView(time.buffer);
+
+        view.setUint32(0, Math.floor(timestamp / 0x100000000));
+        view.setUint32(4, timestamp % 0x100000000);
+
+        return concat(time, encodeMessage(dialect, 'HEARTBEAT', fields));
+    }
+
+    beforeEach(() => {
+        dialect = new MAVLinkDialect(parseDialectXML(commonXML));
+    });
+
+    it('stamps each message with the time it was logged', () => {
+        const log = concat(
+            record(1600000001000000, {
+                type: 2,
+                system_status: 3
+            }),
+            // Bytes which are not a record are skipped
+            [0xfd, 0x01, 0x02],
+            record(1600000000000000, {
+                type: 2,
+                system_status: 4
+            })
+        );
+
+        const messages = parseTlog(dialect, log.buffer);
+
+        expect(messages.length).toBe(1);
+        expect(messages[0].name).toBe('HEARTBEAT');
+        expect(messages[0].data.map(datum => datum.utc)).toEqual([1600000001000, 1600000000000]);
+        expect(messages[0].data.map(datum => datum.system_status)).toEqual([3, 4]);
+        expect(messages[0].data[0].sysid).toBe(255);
+    });
+
+    it('keeps records which follow a stray magic byte with an unknown message id', () => {
+        const log = concat(
+            // A MAVLink 1 header for undefined message 240, whose length
+            // would take in the start of the record that follows it
+            [0, 0, 0, 0, 0, 0, 0, 0, 0xfe, 0x02, 0x00, 0x01, 0x01, 0xf0],
+            record(1600000000000000, {
+                type: 2
+            })
+        );
+
+        const messages = parseTlog(dialect, log.buffer);
+
+        expect(messages.length).toBe(1);
+        expect(messages[0].data.length).toBe(1);
+    });
+
+    it('finds no messages in a log without records', () => {
+        expect(parseTlog(dialect, new ArrayBuffer(16))).toEqual([]);
+    });
+});
@@ -0,0 +1,61 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import MAVLinkDialect from './MAVLinkDialect';
+import parseTlog from './tlog';
+
+/**
+ * Decodes MAVLink telemetry logs (.tlog) off the main thread. This is built
+ * as its own entry point, so that it is bundled with the MAVLink parser.
+ *
+ * The worker accepts a `parse` request carrying the log as an ArrayBuffer,
+ * and the dialect definitions to decode it with, and replies as the flight
+ * log worker does: with any number of `progress` messages followed by
+ * either a `parsed` message, containing the decoded telemetry grouped by
+ * message name, or an `error` message.
+ */
+self.onmessage = function (event) {
+    const request = event.data;
+
+    if (request.request !== 'parse') {
+        return;
+    }
+
+    try {
+        const messages = parseTlog(new MAVLinkDialect(request.definitions), request.buffer, (progress) => {
+            self.postMessage({
+                response: 'progress',
+                progress
+            });
+        });
+
+        self.postMessage({
+            response: 'parsed',
+            messages
+        });
+    } catch (error) {
+        self.postMessage({
+            response: 'error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,146 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+export const MAVLINK_NAMESPACE = 'mavlink';
+export const MAVLINK_MESSAGE_TYPE = 'mavlink.message';
+export const MAVLINK_FIELD_TYPE = 'mavlink.field';
+export const MAVLINK_PARAMETERS_TYPE = 'mavlink.parameters';
+export const MAVLINK_MISSION_TYPE = 'mavlink.mission';
+
+const VEHICLE_NAMESPACE_PREFIX = `${MAVLINK_NAMESPACE}-`;
+export const MIN_SYSID = 1;
+export const MAX_SYSID = 255;
+
+/**
+ * @param {number} sysid a MAVLink system id
+ * @returns {string} the namespace of the objects of the vehicle with the
+ *          system id, such as `mavlink-1`
+ */
+export function getVehicleNamespace(sysid) {
+    return `${VEHICLE_NAMESPACE_PREFIX}${sysid}`;
+}
+
+/**
+ * @param {string} namespace
+ * @returns {number|undefined} the system id of the vehicle whose objects
+ *          are in the namespace, or undefined if it is not a vehicle
+ *          namespace
+ */
+export function getVehicleSysid(namespace) {
+    if (typeof namespace !== 'string' || !namespace.startsWith(VEHICLE_NAMESPACE_PREFIX)) {
+        return undefined;
+    }
+
+    const sysid = namespace.slice(VEHICLE_NAMESPACE_PREFIX.length);
+
+    if (!/^\d+$/.test(sysid) || Number(sysid) < MIN_SYSID || Number(sysid) > MAX_SYSID) {
+        return undefined;
+    }
+
+    return Number(sysid);
+}
+
+/**
+ * @param {Object} domainObject
+ * @returns {boolean} true if the domain object's telemetry comes from a
+ *          MAVLink message
+ */
+export function isMAVLinkTelemetryObject(domainObject) {
+    return domainObject.type === MAVLINK_MESSAGE_TYPE || domainObject.type === MAVLINK_FIELD_TYPE;
+}
+
+/**
+ * Keys under which the values of a field appear in a telemetry datum.
+ * Array fields other than strings are flattened to one key per element.
+ *
+ * @param {Object} field a field definition from a MAVLinkDialect
+ * @returns {Object[]} `key` and `name` for each value of the field
+ */
+export function getFieldValueKeys(field) {
+    if (!field.arrayLength || field.type === 'char') {
+        return [{
+            key: field.name,
+            name: field.name
+        }];
+    }
+
+    const keys = [];
+    for (let i = 0; i < field.arrayLength; i++) {
+        keys.push({
+            key: `${field.name}_${i}`,
+            name: `${field.name}[${i}]`,
+            index: i
+        });
+    }
+
+    return keys;
+}
+
+/**
+ * Convert a decoded message into a telemetry datum. Messages which carry
+ * the time since the vehicle booted are also stamped with it as `boot`.
+ *
+ * @param {Object} message a message decoded by MAVLinkParser
+ * @param {number} timestamp the UTC time at which the message was received
+ * @returns {Object} a telemetry datum
+ */
+export function messageToDatum(message, timestamp) {
+    const datum = {
+        utc: timestamp,
+        sysid: message.sysid,
+        compid: message.compid
+    };
+
+    if (message.fields.time_boot_ms !== undefined) {
+        datum.boot = message.fields.time_boot_ms;
+    }
+
+    Object.keys(message.fields).forEach((name) => {
+        const value = message.fields[name];
+
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                datum[`${name}_${index}`] = item;
+            });
+        } else {
+            datum[name] = value;
+        }
+    });
+
+    return datum;
+}
+
+/**
+ * Check whether a decoded message is the source of telemetry for a
+ * MAVLink message object.
+ *
+ * @param {Object} domainObject a `mavlink.message` domain object
+ * @param {Object} message a message decoded by MAVLinkParser
+ * @returns {boolean}
+ */
+export function isMessageFor(domainObject, message) {
+    const options = domainObject.mavlink || {};
+    const sysid = options.sysid;
+
+    return message.name === options.message
+        && (sysid === undefined || sysid === '' || Number(sysid) === message.sysid);
+}
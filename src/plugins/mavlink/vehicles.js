@@ -0,0 +1,117 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import { getVehicleNamespace, getVehicleSysid } from './utils';
+
+function isIdentifier(value) {
+    return typeof value.namespace === 'string' && value.key !== undefined;
+}
+
+function getKeyStringSysid(keyString) {
+    const separator = keyString.indexOf(':');
+
+    return separator === -1 ? undefined : getVehicleSysid(keyString.slice(0, separator));
+}
+
+function replaceKeyString(keyString, fromSysid, toSysid) {
+    return getKeyStringSysid(keyString) === fromSysid
+        ? getVehicleNamespace(toSysid) + keyString.slice(keyString.indexOf(':'))
+        : keyString;
+}
+
+function visit(value, callback) {
+    if (Array.isArray(value)) {
+        value.forEach(item => visit(item, callback));
+    } else if (value !== null && typeof value === 'object') {
+        if (isIdentifier(value)) {
+            callback(getVehicleSysid(value.namespace));
+        }
+
+        Object.keys(value).forEach((key) => {
+            callback(getKeyStringSysid(key));
+            visit(value[key], callback);
+        });
+    } else if (typeof value === 'string') {
+        callback(getKeyStringSysid(value));
+    }
+}
+
+/**
+ * Find the vehicles whose telemetry a domain object refers to, wherever the
+ * reference appears: as an identifier in a vehicle's namespace (such as
+ * `{namespace: 'mavlink-1', key: 'ATTITUDE'}`), or as a key string (such
+ * as `mavlink-1:ATTITUDE.roll`).
+ *
+ * @param {Object} domainObject
+ * @returns {number[]} the system ids of the vehicles, in ascending order
+ */
+export function getReferencedVehicles(domainObject) {
+    const sysids = [];
+
+    Object.keys(domainObject)
+        .filter(key => key !== 'identifier')
+        .forEach((key) => {
+            visit(domainObject[key], (sysid) => {
+                if (sysid !== undefined && !sysids.includes(sysid)) {
+                    sysids.push(sysid);
+                }
+            });
+        });
+
+    return sysids.sort((a, b) => a - b);
+}
+
+/**
+ * Copy a value, replacing every reference to the objects of one vehicle
+ * with a reference to the same object of another.
+ *
+ * @param {*} value a property of a domain object, such as its composition
+ *        or configuration
+ * @param {number} fromSysid the system id of the vehicle referred to
+ * @param {number} toSysid the system id of the vehicle to refer to instead
+ * @returns {*} the copy
+ */
+export function changeVehicle(value, fromSysid, toSysid) {
+    if (Array.isArray(value)) {
+        return value.map(item => changeVehicle(item, fromSysid, toSysid));
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const copy = Object.keys(value).reduce((result, key) => {
+            result[replaceKeyString(key, fromSysid, toSysid)] = changeVehicle(value[key], fromSysid, toSysid);
+
+            return result;
+        }, {});
+
+        if (isIdentifier(value) && getVehicleSysid(value.namespace) === fromSysid) {
+            copy.namespace = getVehicleNamespace(toSysid);
+        }
+
+        return copy;
+    }
+
+    if (typeof value === 'string') {
+        return replaceKeyString(value, fromSysid, toSysid);
+    }
+
+    return value;
+}
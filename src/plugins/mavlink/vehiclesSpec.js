@@ -0,0 +1,168 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {
+    getReferencedVehicles,
+    changeVehicle
+} from './vehicles';
+
+describe('MAVLink vehicle references', () => {
+    let layout;
+    let conditionSet;
+
+    beforeEach(() => {
+        layout = {
+            identifier: {
+                namespace: '',
+                key: 'layout'
+            },
+            type: 'layout',
+            composition: [
+                {
+                    namespace: 'mavlink-2',
+                    key: 'ATTITUDE'
+                },
+                {
+                    namespace: '',
+                    key: 'notes'
+                }
+            ],
+            configuration: {
+                items: [
+                    {
+                        id: 'a',
+                        type: 'telemetry-view',
+                        identifier: {
+                            namespace: 'mavlink-2',
+                            key: 'ATTITUDE'
+                        },
+                        value: 'roll'
+                    },
+                    {
+                        id: 'b',
+                        type: 'attitude-view',
+                        telemetry: {
+                            roll: 'mavlink-2:ATTITUDE/roll',
+                            pitch: 'mavlink-20:ATTITUDE/pitch'
+                        }
+                    }
+                ]
+            }
+        };
+        conditionSet = {
+            identifier: {
+                namespace: '',
+                key: 'conditions'
+            },
+            type: 'conditionSet',
+            composition: [
+                {
+                    namespace: 'mavlink-7',
+                    key: 'HEARTBEAT.system_status'
+                }
+            ],
+            configuration: {
+                conditionCollection: [
+                    {
+                        configuration: {
+                            criteria: [
+                                {
+                                    telemetry: {
+                                        namespace: 'mavlink-7',
+                                        key: 'HEARTBEAT.system_status'
+                                    },
+                                    metadata: 'system_status'
+                                },
+                                {
+                                    telemetry: 'any'
+                                }
+                            ]
+                        }
+                    }
+                ]
+            }
+        };
+    });
+
+    it('finds the vehicles an object refers to', () => {
+        expect(getReferencedVehicles(layout)).toEqual([2, 20]);
+        expect(getReferencedVehicles(conditionSet)).toEqual([7]);
+    });
+
+    it('ignores the identifier of the object itself', () => {
+        layout.identifier.namespace = 'mavlink-9';
+
+        expect(getReferencedVehicles(layout)).toEqual([2, 20]);
+    });
+
+    it('ignores namespaces which are not vehicles', () => {
+        expect(getReferencedVehicles({
+            composition: [
+                {
+                    namespace: 'mavlink',
+                    key: 'ATTITUDE'
+                },
+                {
+                    namespace: 'mavlink-0',
+                    key: 'ATTITUDE'
+                },
+                {
+                    namespace: 'mavlink-x',
+                    key: 'ATTITUDE'
+                }
+            ]
+        })).toEqual([]);
+    });
+
+    it('replaces identifiers and key strings of one vehicle', () => {
+        const configuration = changeVehicle(layout.configuration, 2, 5);
+
+        expect(configuration.items[0].identifier).toEqual({
+            namespace: 'mavlink-5',
+            key: 'ATTITUDE'
+        });
+        expect(configuration.items[1].telemetry).toEqual({
+            roll: 'mavlink-5:ATTITUDE/roll',
+            pitch: 'mavlink-20:ATTITUDE/pitch'
+        });
+        expect(changeVehicle(layout.composition, 2, 5)[1]).toEqual(layout.composition[1]);
+    });
+
+    it('replaces object keys which are key strings', () => {
+        expect(changeVehicle({
+            'mavlink-7:HEARTBEAT': {
+                visible: true
+            }
+        }, 7, 8)).toEqual({
+            'mavlink-8:HEARTBEAT': {
+                visible: true
+            }
+        });
+    });
+
+    it('does not modify the original', () => {
+        changeVehicle(conditionSet.configuration, 7, 8);
+
+        expect(conditionSet.configuration.conditionCollection[0].configuration.criteria[0].telemetry.namespace)
+            .toBe('mavlink-7');
+    });
+});
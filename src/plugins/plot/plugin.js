@@ -29,6 +29,7 @@ define([
     "./src/telemetry/StackedPlotController",
     "./src/inspector/PlotInspector",
     "./src/inspector/PlotOptionsController",
+    "./src/inspector/PlotStatisticsController",
     "./src/inspector/PlotLegendFormController",
     "./src/inspector/PlotYAxisFormController",
     "./src/inspector/PlotSeriesFormController",
@@ -49,6 +50,7 @@ define([
     StackedPlotController,
     PlotInspector,
     PlotOptionsController,
+    PlotStatisticsController,
     PlotLegendFormController,
     PlotYAxisFormController,
     PlotSeriesFormController,
@@ -177,6 +179,15 @@ define([
                                 "$timeout"
                             ]
                         },
+                        {
+                            "key": "PlotStatisticsController",
+                            "implementation": PlotStatisticsController,
+                            "depends": [
+                                "$scope",
+                                "openmct",
+                                "$timeout"
+                            ]
+                        },
                         {
                             key: "PlotLegendFormController",
                             implementation: PlotLegendFormController,
@@ -56,6 +56,7 @@ function (
             this.lines = [];
             this.pointSets = [];
             this.alarmSets = [];
+            this.yAxes = [];
             this.offset = {};
             this.config = $scope.config;
             this.listenTo(this.$scope, '$destroy', this.destroy, this);
@@ -65,10 +66,10 @@ function (
 
             this.listenTo(this.config.series, 'add', this.onSeriesAdd, this);
             this.listenTo(this.config.series, 'remove', this.onSeriesRemove, this);
-            this.listenTo(this.config.yAxis, 'change:key', this.clearOffset, this);
+            this.listenTo(this.config, 'change:yAxes', this.onYAxesChange, this);
             this.listenTo(this.config.xAxis, 'change:key', this.clearOffset, this);
-            this.listenTo(this.config.yAxis, 'change', this.scheduleDraw);
             this.listenTo(this.config.xAxis, 'change', this.scheduleDraw);
+            this.config.yAxes.forEach(this.onYAxisAdd, this);
             this.$scope.$watch('highlights', this.scheduleDraw);
             this.$scope.$watch('rectangles', this.scheduleDraw);
             this.config.series.forEach(this.onSeriesAdd, this);
@@ -79,7 +80,27 @@ function (
 
     MCTChartController.$inject = ['$scope'];
 
+    MCTChartController.prototype.onYAxisAdd = function (yAxis) {
+        this.yAxes.push(yAxis);
+        this.listenTo(yAxis, 'change:key', this.clearOffset, this);
+        this.listenTo(yAxis, 'change', this.scheduleDraw);
+    };
+
+    MCTChartController.prototype.onYAxesChange = function (yAxes) {
+        this.yAxes
+            .filter(yAxis => !yAxes.includes(yAxis))
+            .forEach(yAxis => {
+                this.stopListening(yAxis);
+                this.yAxes.splice(this.yAxes.indexOf(yAxis), 1);
+            });
+        yAxes
+            .filter(yAxis => !this.yAxes.includes(yAxis))
+            .forEach(this.onYAxisAdd, this);
+        this.scheduleDraw();
+    };
+
     MCTChartController.prototype.onSeriesAdd = function (series) {
+        this.listenTo(series, 'change:yAxisId', this.changeYAxis, this);
         this.listenTo(series, 'change:interpolate', this.changeInterpolate, this);
         this.listenTo(series, 'change:markers', this.changeMarkers, this);
         this.listenTo(series, 'change:alarmMarkers', this.changeAlarmMarkers, this);
@@ -88,6 +109,20 @@ function (
         this.makeChartElement(series);
     };
 
+    /**
+     * Points are offset against the axis a series is plotted against, so
+     * the series is redrawn when it moves to another axis.
+     */
+    MCTChartController.prototype.changeYAxis = function (yAxisId, o, series) {
+        if (yAxisId === o) {
+            return;
+        }
+
+        this.removeChartElement(series);
+        this.makeChartElement(series);
+        this.scheduleDraw();
+    };
+
     MCTChartController.prototype.changeInterpolate = function (mode, o, series) {
         if (mode === o) {
             return;
@@ -171,6 +206,12 @@ function (
         });
     };
 
+    /**
+     * Each Y axis has its own offset, taken from the first value offset
+     * against it, as axes may have very different ranges. Values plotted on
+     * a log scale are offset separately from the linear values of the same
+     * axis.
+     */
     MCTChartController.prototype.setOffset = function (offsetPoint, index, series) {
         if (this.offset.x && this.offset.y) {
             return;
@@ -178,20 +219,27 @@ function (
 
         const offsets = {
             x: series.getXVal(offsetPoint),
-            y: series.getYVal(offsetPoint)
+            y: {}
         };
 
         this.offset.x = function (x) {
             return x - offsets.x;
         }.bind(this);
-        this.offset.y = function (y) {
-            return y - offsets.y;
+        this.offset.y = function (y, yAxisId) {
+            const yAxis = this.config.getYAxis(yAxisId) || this.config.yAxis;
+            const key = yAxis.id + (yAxis.get('logMode') ? ':log' : '');
+
+            if (offsets.y[key] === undefined && Number.isFinite(y)) {
+                offsets.y[key] = y;
+            }
+
+            return y - offsets.y[key];
         }.bind(this);
         this.offset.xVal = function (point, pSeries) {
             return this.offset.x(pSeries.getXVal(point));
         }.bind(this);
         this.offset.yVal = function (point, pSeries) {
-            return this.offset.y(pSeries.getYVal(point));
+            return this.offset.y(pSeries.getYVal(point), this.config.getYAxisId(pSeries));
         }.bind(this);
     };
 
@@ -329,19 +377,39 @@ function (
 
         this.drawAPI.clear();
         if (this.canDraw()) {
-            this.updateViewport();
-            this.drawSeries();
-            this.drawRectangles();
-            this.drawHighlights();
+            this.yAxes.forEach(this.drawYAxis, this);
+            if (this.updateViewport(this.config.yAxis)) {
+                this.drawRectangles();
+            }
+        }
+    };
+
+    /**
+     * Draw the series plotted against a Y axis, and their highlights.
+     */
+    MCTChartController.prototype.drawYAxis = function (yAxis) {
+        if (!this.updateViewport(yAxis)) {
+            return;
         }
+
+        const isOnAxis = (element) => this.config.getYAxisId(element.series) === yAxis.id;
+
+        this.lines.filter(isOnAxis).forEach(this.drawLine, this);
+        this.pointSets.filter(isOnAxis).forEach(this.drawPoints, this);
+        this.alarmSets.filter(isOnAxis).forEach(this.drawAlarmPoints, this);
+        this.drawHighlights(isOnAxis);
     };
 
-    MCTChartController.prototype.updateViewport = function () {
+    /**
+     * Set the viewport to the display ranges of the X axis and a Y axis.
+     * @returns {boolean} true if both axes have a display range
+     */
+    MCTChartController.prototype.updateViewport = function (yAxis) {
         const xRange = this.config.xAxis.get('displayRange');
-        const yRange = this.config.yAxis.get('displayRange');
+        const yRange = yAxis.get('displayRange');
 
         if (!xRange || !yRange) {
-            return;
+            return false;
         }
 
         const dimensions = [
@@ -351,19 +419,15 @@ function (
 
         const origin = [
             this.offset.x(xRange.min),
-            this.offset.y(yRange.min)
+            this.offset.y(yRange.min, yAxis.id)
         ];
 
         this.drawAPI.setDimensions(
             dimensions,
             origin
         );
-    };
 
-    MCTChartController.prototype.drawSeries = function () {
-        this.lines.forEach(this.drawLine, this);
-        this.pointSets.forEach(this.drawPoints, this);
-        this.alarmSets.forEach(this.drawAlarmPoints, this);
+        return true;
     };
 
     MCTChartController.prototype.drawAlarmPoints = function (alarmSet) {
@@ -392,9 +456,9 @@ function (
         );
     };
 
-    MCTChartController.prototype.drawHighlights = function () {
+    MCTChartController.prototype.drawHighlights = function (isOnAxis) {
         if (this.$scope.highlights && this.$scope.highlights.length) {
-            this.$scope.highlights.forEach(this.drawHighlight, this);
+            this.$scope.highlights.filter(isOnAxis).forEach(this.drawHighlight, this);
         }
     };
 
@@ -421,11 +485,11 @@ function (
         this.drawAPI.drawSquare(
             [
                 this.offset.x(rect.start.x),
-                this.offset.y(rect.start.y)
+                this.offset.y(rect.start.y, this.config.yAxis.id)
             ],
             [
                 this.offset.x(rect.end.x),
-                this.offset.y(rect.end.y)
+                this.offset.y(rect.end.y, this.config.yAxis.id)
             ],
             rect.color
         );
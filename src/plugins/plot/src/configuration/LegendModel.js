@@ -54,7 +54,8 @@ define([
                 showValueWhenExpanded: true,
                 showMaximumWhenExpanded: true,
                 showMinimumWhenExpanded: true,
-                showUnitsWhenExpanded: true
+                showUnitsWhenExpanded: true,
+                showStatisticsWhenExpanded: false
             };
         }
     });
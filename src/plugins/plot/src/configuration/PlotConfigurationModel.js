@@ -52,17 +52,21 @@ define([
          */
         initialize: function (options) {
             this.openmct = options.openmct;
+            this.timeContext = options.timeContext || options.openmct.time;
 
             this.xAxis = new XAxisModel({
                 model: options.model.xAxis,
                 plot: this,
-                openmct: options.openmct
+                openmct: options.openmct,
+                timeContext: options.timeContext
             });
             this.yAxis = new YAxisModel({
                 model: options.model.yAxis,
                 plot: this,
                 openmct: options.openmct
             });
+            this.yAxes = [this.yAxis];
+            options.model.additionalYAxes.forEach(this.addYAxis, this);
             this.legend = new LegendModel({
                 model: options.model.legend,
                 plot: this,
@@ -82,11 +86,74 @@ define([
                 );
             }
 
-            this.yAxis.listenToSeriesCollection(this.series);
+            this.yAxes.forEach(axis => axis.listenToSeriesCollection(this.series));
             this.legend.listenToSeriesCollection(this.series);
 
+            this.listenTo(this, 'change:domainObject', this.updateYAxes, this);
             this.listenTo(this, 'destroy', this.onDestroy, this);
         },
+        /**
+         * Add a Y axis from its persisted configuration.
+         * @private
+         */
+        addYAxis: function (axisConfig) {
+            const axis = new YAxisModel({
+                model: JSON.parse(JSON.stringify(axisConfig)),
+                plot: this,
+                openmct: this.openmct
+            });
+            this.yAxes.push(axis);
+
+            return axis;
+        },
+        /**
+         * Add and remove additional Y axes to match the domain object.
+         * Emits `change:yAxes` when axes have been added or removed.
+         * @private
+         */
+        updateYAxes: function (domainObject) {
+            const axisConfigs = (domainObject.configuration || {}).additionalYAxes || [];
+            const removed = this.yAxes.filter(axis => {
+                return !axis.isPrimary() && !axisConfigs.some(axisConfig => axisConfig.id === axis.id);
+            });
+            const added = axisConfigs
+                .filter(axisConfig => !this.getYAxis(axisConfig.id))
+                .map(this.addYAxis, this);
+
+            if (!removed.length && !added.length) {
+                return;
+            }
+
+            removed.forEach(axis => {
+                this.yAxes.splice(this.yAxes.indexOf(axis), 1);
+                axis.destroy();
+            });
+            added.forEach(axis => axis.listenToSeriesCollection(this.series));
+            // Series of removed axes move to the primary axis.
+            this.yAxes.forEach(axis => axis.updateSeriesAxes());
+            this.emit('change:yAxes', this.yAxes);
+        },
+        /**
+         * @returns {YAxisModel} the Y axis with the given id, if any
+         */
+        getYAxis: function (id) {
+            return this.yAxes.find(axis => axis.id === id);
+        },
+        /**
+         * @returns {number} the id of the Y axis a series is plotted against
+         */
+        getYAxisId: function (series) {
+            const axis = this.getYAxis(series.get('yAxisId'));
+
+            return axis ? axis.id : this.yAxis.id;
+        },
+        /**
+         * @returns {YAxisModel[]} the Y axes on one side of the plot, from
+         *          the plot outwards
+         */
+        getYAxesAt: function (position) {
+            return this.yAxes.filter(axis => axis.get('position') === position);
+        },
         /**
          * Retrieve the persisted series config for a given identifier.
          */
@@ -125,7 +192,7 @@ define([
          */
         onDestroy: function () {
             this.xAxis.destroy();
-            this.yAxis.destroy();
+            this.yAxes.forEach(axis => axis.destroy());
             this.series.destroy();
             this.legend.destroy();
             if (this.removeMutationListener) {
@@ -143,6 +210,8 @@ define([
                 xAxis: {
                 },
                 yAxis: _.cloneDeep(_.get(options.domainObject, 'configuration.yAxis', {})),
+                // Cloned as each axis is added.
+                additionalYAxes: (options.domainObject.configuration || {}).additionalYAxes || [],
                 legend: _.cloneDeep(_.get(options.domainObject, 'configuration.legend', {}))
             };
         }
@@ -25,13 +25,15 @@ define([
     '../configuration/Model',
     '../lib/extend',
     'EventEmitter',
-    '../draw/MarkerShapes'
+    '../draw/MarkerShapes',
+    '../lib/mathUtils'
 ], function (
     _,
     Model,
     extend,
     EventEmitter,
-    MARKER_SHAPES
+    MARKER_SHAPES,
+    mathUtils
 ) {
 
     /**
@@ -53,6 +55,7 @@ define([
      *               series.
      * `xKey`: the telemetry value key for x values fetched from this series.
      * `yKey`: the telemetry value key for y values fetched from this series.
+     * `yAxisId`: the id of the Y axis this series is plotted against.
      * `interpolate`: interpolate method, either `undefined` (no interpolation),
      *                `linear` (points are connected via straight lines), or
      *                `stepAfter` (points are connected by steps).
@@ -104,6 +107,7 @@ define([
                 unit: range.unit,
                 xKey: options.collection.plot.xAxis.get('key'),
                 yKey: range.key,
+                yAxisId: 1,
                 markers: true,
                 markerShape: 'point',
                 markerSize: 2.0,
@@ -122,6 +126,7 @@ define([
 
         initialize: function (options) {
             this.openmct = options.openmct;
+            this.timeContext = options.collection.plot.timeContext;
             this.domainObject = options.domainObject;
             this.keyString = this.openmct.objects.makeKeyString(this.domainObject.identifier);
             this.limitEvaluator = this.openmct.telemetry.limitEvaluator(options.domainObject);
@@ -164,7 +169,8 @@ define([
                         this.domainObject,
                         this.add.bind(this),
                         {
-                            filters: this.filters
+                            filters: this.filters,
+                            timeContext: this.timeContext
                         }
                     );
             }
@@ -212,7 +218,24 @@ define([
                 return this.limitEvaluator.evaluate(datum, valueMetadata);
             }.bind(this);
             const format = this.formats[newKey];
-            this.getYVal = format.parse.bind(format);
+            this.getYVal = function (value) {
+                const y = format.parse(value);
+
+                return this.logMode ? mathUtils.symlog(y) : y;
+            }.bind(this);
+        },
+
+        /**
+         * Plot y values on a log scale, or not. Existing data is re-added so
+         * that stats and drawn points are recalculated.
+         */
+        setLogMode: function (logMode) {
+            if (Boolean(logMode) === Boolean(this.logMode)) {
+                return;
+            }
+
+            this.logMode = logMode;
+            this.reset(this.data);
         },
 
         formatX: function (point) {
@@ -223,6 +246,28 @@ define([
             return this.formats[this.get('yKey')].format(point);
         },
 
+        /**
+         * Get the x and y values of the series for computing statistics.
+         * Y values are as measured, even when plotted on a log scale.
+         *
+         * @returns {{x: Float64Array, y: Float64Array}}
+         */
+        getValues: function () {
+            const yFormat = this.formats[this.get('yKey')];
+            const x = new Float64Array(this.data.length);
+            const y = new Float64Array(this.data.length);
+
+            this.data.forEach((point, index) => {
+                x[index] = this.getXVal(point);
+                y[index] = yFormat.parse(point);
+            });
+
+            return {
+                x: x,
+                y: y
+            };
+        },
+
         /**
          * Clear stats and recalculate from existing data.
          */
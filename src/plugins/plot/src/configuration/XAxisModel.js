@@ -70,8 +70,9 @@ define([
             });
         },
         defaults: function (options) {
-            const bounds = options.openmct.time.bounds();
-            const timeSystem = options.openmct.time.timeSystem();
+            const timeContext = options.timeContext || options.openmct.time;
+            const bounds = timeContext.bounds();
+            const timeSystem = timeContext.timeSystem();
             const format = options.openmct.$injector.get('formatService')
                 .getFormat(timeSystem.timeFormat);
 
@@ -21,19 +21,27 @@
  *****************************************************************************/
 define([
     './Model',
-    'lodash'
+    '../lib/mathUtils'
 ], function (
     Model,
-    _
+    mathUtils
 ) {
 
+    const PRIMARY_AXIS_ID = 1;
+
     /**
      * YAxis model
       *
      * TODO: docstrings.
      *
+     * A plot has a primary Y axis, and may have additional Y axes. Each
+     * series is plotted against the axis whose id matches its `yAxisId`, or
+     * against the primary axis if there is no such axis.
+     *
      * has the following Model properties:
      *
+     * `id`: number, identifies the axis; the primary axis is 1.
+     * `position`: `left` or `right`, the side of the plot the axis is on.
      * `autoscale`: boolean, whether or not to autoscale.
      * `autoscalePadding`: float, percent of padding to display in plots.
      * `displayRange`: the current display range for the x Axis.
@@ -41,6 +49,8 @@ define([
      * `frozen`: boolean, if true, displayRange will not be updated automatically.
      *           Used to temporarily disable automatic updates during user interaction.
      * `label`: label to display on axis.
+     * `logMode`: boolean, whether values are plotted on a (symmetric) log
+     *            scale. When set, `stats` and `displayRange` are log values.
      * `stats`: Min and Max Values of data, automatically updated by observing
      *          plot series.
      * `values`: for enumerated types, an array of possible display values.
@@ -51,31 +61,123 @@ define([
     const YAxisModel = Model.extend({
         initialize: function (options) {
             this.plot = options.plot;
+            this.id = this.get('id');
+            this.series = [];
             this.listenTo(this, 'change:stats', this.calculateAutoscaleExtents, this);
             this.listenTo(this, 'change:autoscale', this.toggleAutoscale, this);
             this.listenTo(this, 'change:autoscalePadding', this.updatePadding, this);
             this.listenTo(this, 'change:frozen', this.toggleFreeze, this);
             this.listenTo(this, 'change:range', this.updateDisplayRange, this);
+            this.listenTo(this, 'change:logMode', this.onLogModeChange, this);
+            this.listenTo(this, 'destroy', this.onDestroy, this);
             this.updateDisplayRange(this.get('range'));
         },
+        onDestroy: function () {
+            this.stopListening();
+        },
+        isPrimary: function () {
+            return this.id === PRIMARY_AXIS_ID;
+        },
+        /**
+         * The path of this axis' configuration within a plot object.
+         */
+        getPersistedPath: function (domainObject) {
+            if (this.isPrimary()) {
+                return 'configuration.yAxis';
+            }
+
+            const additionalYAxes = (domainObject.configuration || {}).additionalYAxes || [];
+            const index = additionalYAxes.findIndex(axis => axis.id === this.id);
+
+            return 'configuration.additionalYAxes[' + index + ']';
+        },
+        /**
+         * A name which distinguishes this axis from others on the same side
+         * of the plot, such as "Left 1".
+         */
+        getName: function () {
+            const position = this.get('position');
+            const index = this.plot.yAxes
+                .filter(axis => axis.get('position') === position)
+                .indexOf(this);
+
+            return position.charAt(0).toUpperCase() + position.slice(1) + ' ' + (index + 1);
+        },
+        /**
+         * Format a value on this axis, such as the position of a tick, for
+         * display.
+         */
+        formatValue: function (value) {
+            const format = this.get('format');
+            if (this.get('logMode')) {
+                value = mathUtils.antisymlog(value);
+            }
+
+            return format ? format(value) : value;
+        },
         listenToSeriesCollection: function (seriesCollection) {
             this.seriesCollection = seriesCollection;
-            this.listenTo(this.seriesCollection, 'add', (series => {
+            this.listenTo(this.seriesCollection, 'add', this.onSeriesAdd, this);
+            this.listenTo(this.seriesCollection, 'remove', this.onSeriesRemove, this);
+            this.seriesCollection.forEach(this.onSeriesAdd, this);
+            this.updateFromSeries(this.series);
+        },
+        onSeriesAdd: function (series) {
+            this.listenTo(series, 'change:yAxisId', () => {
+                this.updateSeriesAxis(series);
+            });
+            this.updateSeriesAxis(series);
+        },
+        onSeriesRemove: function (series) {
+            this.stopListening(series);
+            if (this.series.includes(series)) {
+                this.series.splice(this.series.indexOf(series), 1);
+                this.resetStats();
+                this.updateFromSeries(this.series);
+            }
+        },
+        /**
+         * Track every series plotted against this axis, and stop tracking
+         * those which have moved to another axis. Called when a series'
+         * axis changes, and when axes are added to or removed from the plot.
+         */
+        updateSeriesAxes: function () {
+            if (this.seriesCollection) {
+                this.seriesCollection.forEach(this.updateSeriesAxis, this);
+            }
+        },
+        updateSeriesAxis: function (series) {
+            const isTracked = this.series.includes(series);
+            const belongs = this.plot.getYAxisId(series) === this.id;
+
+            if (belongs && !isTracked) {
                 this.trackSeries(series);
-                this.updateFromSeries(this.seriesCollection);
-            }), this);
-            this.listenTo(this.seriesCollection, 'remove', (series => {
+                this.updateFromSeries(this.series);
+            } else if (!belongs && isTracked) {
                 this.untrackSeries(series);
-                this.updateFromSeries(this.seriesCollection);
-            }), this);
-            this.seriesCollection.forEach(this.trackSeries, this);
-            this.updateFromSeries(this.seriesCollection);
+            }
+        },
+        getTransformedRange: function (range) {
+            if (!range || !this.get('logMode')) {
+                return range;
+            }
+
+            return {
+                min: mathUtils.symlog(range.min),
+                max: mathUtils.symlog(range.max)
+            };
         },
         updateDisplayRange: function (range) {
             if (!this.get('autoscale')) {
-                this.set('displayRange', range);
+                this.set('displayRange', this.getTransformedRange(range));
             }
         },
+        onLogModeChange: function (logMode) {
+            this.series.forEach(series => series.setLogMode(logMode));
+            // Stats were partly updated as each series re-added its data.
+            this.resetStats();
+            this.toggleAutoscale(this.get('autoscale'));
+        },
         toggleFreeze: function (frozen) {
             if (!frozen) {
                 this.toggleAutoscale(this.get('autoscale'));
@@ -137,13 +239,19 @@ define([
         },
         resetStats: function () {
             this.unset('stats');
-            this.seriesCollection.forEach(function (series) {
+            this.series.forEach(function (series) {
                 if (series.has('stats')) {
                     this.updateStats(series.get('stats'));
                 }
             }, this);
         },
         trackSeries: function (series) {
+            this.series.push(series);
+            series.setLogMode(this.get('logMode'));
+            if (series.has('stats')) {
+                this.updateStats(series.get('stats'));
+            }
+
             this.listenTo(series, 'change:stats', seriesStats => {
                 if (!seriesStats) {
                     this.resetStats();
@@ -152,28 +260,35 @@ define([
                 }
             });
             this.listenTo(series, 'change:yKey', () => {
-                this.updateFromSeries(this.seriesCollection);
+                this.updateFromSeries(this.series);
             });
         },
         untrackSeries: function (series) {
-            this.stopListening(series);
+            this.stopListening(series, 'change:stats');
+            this.stopListening(series, 'change:yKey');
+            this.series.splice(this.series.indexOf(series), 1);
             this.resetStats();
-            this.updateFromSeries(this.seriesCollection);
+            this.updateFromSeries(this.series);
         },
         toggleAutoscale: function (autoscale) {
             if (autoscale && this.has('stats')) {
                 this.set('displayRange', this.applyPadding(this.get('stats')));
             } else {
-                this.set('displayRange', this.get('range'));
+                this.set('displayRange', this.getTransformedRange(this.get('range')));
             }
         },
         /**
-         * Update yAxis format, values, and label from known series.
+         * Update yAxis format, values, and label from the series plotted
+         * against it.
          */
         updateFromSeries: function (series) {
             const plotModel = this.plot.get('domainObject');
-            const label = _.get(plotModel, 'configuration.yAxis.label');
-            const sampleSeries = series.first();
+            const configuration = plotModel.configuration || {};
+            const persistedAxis = this.isPrimary()
+                ? configuration.yAxis
+                : (configuration.additionalYAxes || []).find(axis => axis.id === this.id);
+            const label = persistedAxis && persistedAxis.label;
+            const sampleSeries = series[0];
             if (!sampleSeries) {
                 if (!label) {
                     this.unset('label');
@@ -231,13 +346,18 @@ define([
         },
         defaults: function (options) {
             return {
+                id: PRIMARY_AXIS_ID,
+                position: 'left',
                 frozen: false,
                 autoscale: true,
-                autoscalePadding: 0.1
+                autoscalePadding: 0.1,
+                logMode: false
             };
         }
     });
 
+    YAxisModel.PRIMARY_AXIS_ID = PRIMARY_AXIS_ID;
+
     return YAxisModel;
 
 });
@@ -70,6 +70,11 @@ define([
                 modelProp: 'showUnitsWhenExpanded',
                 coerce: Boolean,
                 objectPath: 'configuration.legend.showUnitsWhenExpanded'
+            },
+            {
+                modelProp: 'showStatisticsWhenExpanded',
+                coerce: Boolean,
+                objectPath: 'configuration.legend.showStatisticsWhenExpanded'
             }
         ]
     });
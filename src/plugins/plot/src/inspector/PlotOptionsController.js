@@ -23,11 +23,13 @@
 define([
     '../configuration/configStore',
     '../lib/eventHelpers',
-    'objectUtils'
+    'objectUtils',
+    'lodash'
 ], function (
     configStore,
     eventHelpers,
-    objectUtils
+    objectUtils,
+    _
 ) {
 
     function PlotOptionsController($scope, openmct, $timeout) {
@@ -61,6 +63,8 @@ define([
 
         this.config = this.$scope.config = config;
         this.$scope.plotSeries = [];
+        this.$scope.addYAxis = this.addYAxis.bind(this);
+        this.$scope.removeYAxis = this.removeYAxis.bind(this);
 
         this.updateDomainObject(this.config.get('domainObject'));
         this.unlisten = this.openmct.objects.observe(this.domainObject, '*', this.updateDomainObject.bind(this));
@@ -88,6 +92,56 @@ define([
         }.bind(this));
     };
 
+    /**
+     * Add a Y axis to the right of the plot, to which series may then be
+     * assigned.
+     */
+    PlotOptionsController.prototype.addYAxis = function () {
+        const additionalYAxes = this.domainObject.configuration.additionalYAxes || [];
+        const id = Math.max.apply(Math, this.config.yAxes.map(axis => axis.id)) + 1;
+
+        this.openmct.objects.mutate(
+            this.domainObject,
+            'configuration.additionalYAxes',
+            additionalYAxes.concat([{
+                id: id,
+                position: 'right',
+                autoscale: true,
+                autoscalePadding: 0.1,
+                logMode: false
+            }])
+        );
+    };
+
+    /**
+     * Remove an additional Y axis, moving its series to the primary axis.
+     */
+    PlotOptionsController.prototype.removeYAxis = function (yAxis) {
+        const primaryAxisId = this.config.yAxis.id;
+
+        this.config.series
+            .filter(series => this.config.getYAxisId(series) === yAxis.id)
+            .forEach(series => {
+                const index = this.domainObject.configuration.series.findIndex(s => {
+                    return _.isEqual(s.identifier, series.get('identifier'));
+                });
+
+                series.set('yAxisId', primaryAxisId);
+                this.openmct.objects.mutate(
+                    this.domainObject,
+                    'configuration.series[' + index + '].yAxisId',
+                    primaryAxisId
+                );
+            });
+
+        this.openmct.objects.mutate(
+            this.domainObject,
+            'configuration.additionalYAxes',
+            this.domainObject.configuration.additionalYAxes
+                .filter(axisConfig => axisConfig.id !== yAxis.id)
+        );
+    };
+
     return PlotOptionsController;
 });
 
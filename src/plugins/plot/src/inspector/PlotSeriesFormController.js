@@ -109,6 +109,11 @@ define([
                 modelProp: 'yKey',
                 objectPath: dynamicPathForKey('yKey')
             },
+            {
+                modelProp: 'yAxisId',
+                coerce: Number,
+                objectPath: dynamicPathForKey('yAxisId')
+            },
             {
                 modelProp: 'interpolate',
                 objectPath: dynamicPathForKey('interpolate')
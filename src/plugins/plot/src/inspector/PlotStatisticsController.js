@@ -0,0 +1,179 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    '../configuration/configStore',
+    '../lib/eventHelpers',
+    '../lib/StatisticsCalculator'
+], function (
+    configStore,
+    eventHelpers,
+    StatisticsCalculator
+) {
+
+    // Minimum time between updates of the statistics, in ms.
+    const UPDATE_INTERVAL = 250;
+
+    /**
+     * Shows the statistics of each series of a plot over the range of x
+     * values brushed in the plot, and copies them to the clipboard.
+     */
+    function PlotStatisticsController($scope, openmct, $timeout) {
+        this.$scope = $scope;
+        this.openmct = openmct;
+        this.$timeout = $timeout;
+        this.calculator = new StatisticsCalculator();
+
+        this.configId = $scope.domainObject.getId();
+        this.$scope.copyStatistics = this.copy.bind(this);
+        this.listenTo(this.$scope, '$destroy', this.destroy, this);
+        this.setUpScope();
+    }
+
+    eventHelpers.extend(PlotStatisticsController.prototype);
+
+    PlotStatisticsController.prototype.setUpScope = function () {
+        const config = configStore.get(this.configId);
+        if (!config) {
+            this.setUpTimeout = this.$timeout(this.setUpScope.bind(this));
+
+            return;
+        }
+
+        this.config = config;
+        this.listenTo(config, 'change:brush', this.scheduleUpdate, this);
+        this.listenTo(config.series, 'add', this.onSeriesAdd, this);
+        this.listenTo(config.series, 'remove', this.onSeriesRemove, this);
+        config.series.forEach(this.onSeriesAdd, this);
+        this.update();
+    };
+
+    PlotStatisticsController.prototype.onSeriesAdd = function (series) {
+        this.listenTo(series, 'add', this.scheduleUpdate, this);
+        this.listenTo(series, 'reset', this.scheduleUpdate, this);
+        this.listenTo(series, 'change:yKey', this.scheduleUpdate, this);
+        this.scheduleUpdate();
+    };
+
+    PlotStatisticsController.prototype.onSeriesRemove = function (series) {
+        this.stopListening(series);
+        this.scheduleUpdate();
+    };
+
+    /**
+     * @private
+     */
+    PlotStatisticsController.prototype.scheduleUpdate = function () {
+        if (this.updateTimeout === undefined) {
+            this.updateTimeout = window.setTimeout(() => {
+                this.updateTimeout = undefined;
+                this.update();
+            }, UPDATE_INTERVAL);
+        }
+    };
+
+    /**
+     * Compute the statistics of each series over the brushed range, and
+     * format them for display.
+     * @private
+     */
+    PlotStatisticsController.prototype.update = function () {
+        const brush = this.config.get('brush');
+        const request = this.request = {};
+
+        if (!brush) {
+            this.$scope.brushStatistics = undefined;
+            this.$scope.$evalAsync();
+
+            return;
+        }
+
+        const series = this.config.series.models;
+        const formatX = this.config.xAxis.get('format');
+
+        Promise.all(series.map(s => this.calculator.compute(s.getValues(), brush)))
+            .then(results => {
+                if (request !== this.request) {
+                    return;
+                }
+
+                this.$scope.brushStatistics = {
+                    start: formatX(brush.min),
+                    end: formatX(brush.max),
+                    series: results.map((statistics, index) => {
+                        const plotSeries = series[index];
+                        const row = {
+                            name: plotSeries.get('name'),
+                            color: plotSeries.get('color').asHexString(),
+                            count: statistics.count
+                        };
+
+                        ['min', 'max', 'mean', 'stddev'].forEach(key => {
+                            row[key] = statistics.count ? plotSeries.formatY(statistics[key]) : '';
+                        });
+
+                        return row;
+                    })
+                };
+                this.$scope.$evalAsync();
+            }, () => {
+                // No statistics are shown if they could not be computed, or
+                // the calculator was destroyed along with the inspector.
+            });
+    };
+
+    /**
+     * Copy the statistics to the clipboard as tab separated values, for
+     * pasting into a spreadsheet.
+     */
+    PlotStatisticsController.prototype.copy = function () {
+        const statistics = this.$scope.brushStatistics;
+        const lines = [
+            ['Series', 'Min', 'Max', 'Mean', 'Std Dev', 'Count', 'Start', 'End']
+        ].concat(statistics.series.map(row => [
+            row.name,
+            row.min,
+            row.max,
+            row.mean,
+            row.stddev,
+            row.count,
+            statistics.start,
+            statistics.end
+        ]));
+        const text = lines.map(line => line.join('\t')).join('\n');
+
+        return navigator.clipboard.writeText(text).then(() => {
+            this.openmct.notifications.info('Statistics copied to the clipboard');
+        }, (error) => {
+            this.openmct.notifications.error('Could not copy statistics: ' + error.message);
+        });
+    };
+
+    PlotStatisticsController.prototype.destroy = function () {
+        this.stopListening();
+        this.$timeout.cancel(this.setUpTimeout);
+        window.clearTimeout(this.updateTimeout);
+        this.calculator.destroy();
+    };
+
+    return PlotStatisticsController;
+});
@@ -26,25 +26,40 @@ define([
     PlotModelFormController
 ) {
 
+    function dynamicPathForKey(key) {
+        return function (object, model) {
+            return model.getPersistedPath(object) + '.' + key;
+        };
+    }
+
     const PlotYAxisFormController = PlotModelFormController.extend({
         fields: [
             {
                 modelProp: 'label',
-                objectPath: 'configuration.yAxis.label'
+                objectPath: dynamicPathForKey('label')
+            },
+            {
+                modelProp: 'position',
+                objectPath: dynamicPathForKey('position')
+            },
+            {
+                modelProp: 'logMode',
+                coerce: Boolean,
+                objectPath: dynamicPathForKey('logMode')
             },
             {
                 modelProp: 'autoscale',
                 coerce: Boolean,
-                objectPath: 'configuration.yAxis.autoscale'
+                objectPath: dynamicPathForKey('autoscale')
             },
             {
                 modelProp: 'autoscalePadding',
                 coerce: Number,
-                objectPath: 'configuration.yAxis.autoscalePadding'
+                objectPath: dynamicPathForKey('autoscalePadding')
             },
             {
                 modelProp: 'range',
-                objectPath: 'configuration.yAxis.range',
+                objectPath: dynamicPathForKey('range'),
                 coerce: function coerceRange(range) {
                     if (!range) {
                         return {
@@ -0,0 +1,62 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    './statistics',
+    'raw-loader!./statistics.js',
+    '../../../../utils/ModuleWorker'
+], function (
+    computeStatistics,
+    statisticsText,
+    ModuleWorker
+) {
+    /**
+     * Computes statistics of plot series in a Web Worker, so that large
+     * series do not block the user interface. Computes on the main thread
+     * instead where workers are unavailable.
+     *
+     * @constructor
+     */
+    function StatisticsCalculator() {
+        this.worker = new ModuleWorker.default(statisticsText, computeStatistics);
+    }
+
+    /**
+     * Compute the statistics of a series within a range of x values.
+     *
+     * @param {{x: Float64Array, y: Float64Array}} values the values of the
+     *        series, as from `PlotSeries#getValues`; these are transferred
+     *        to the worker, so must not be used afterwards
+     * @param {{min: number, max: number}} [range] the range of x values
+     * @returns {Promise.<object>} a promise for the statistics, rejected if
+     *          they could not be computed; see `computeStatistics`
+     */
+    StatisticsCalculator.prototype.compute = function (values, range) {
+        return this.worker.call([values.x, values.y, range], [values.x.buffer, values.y.buffer]);
+    };
+
+    StatisticsCalculator.prototype.destroy = function () {
+        this.worker.destroy(new Error('Statistics calculator destroyed'));
+    };
+
+    return StatisticsCalculator;
+});
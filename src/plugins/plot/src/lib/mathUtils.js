@@ -0,0 +1,50 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+
+], function (
+
+) {
+
+    /**
+     * Symmetric logarithm: the base 10 logarithm of a value's magnitude,
+     * offset by one so that it passes smoothly through zero and keeps the
+     * sign of the value. Used to plot values on a log scale which may be
+     * zero or negative.
+     */
+    function symlog(value) {
+        return Math.sign(value) * Math.log10(Math.abs(value) + 1);
+    }
+
+    /**
+     * The inverse of `symlog`.
+     */
+    function antisymlog(value) {
+        return Math.sign(value) * (Math.pow(10, Math.abs(value)) - 1);
+    }
+
+    return {
+        symlog: symlog,
+        antisymlog: antisymlog
+    };
+});
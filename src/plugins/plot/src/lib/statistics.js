@@ -0,0 +1,92 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([], function () {
+
+    /**
+     * Summarize the values of a series within a range of its x values:
+     * their minimum, maximum, mean, population standard deviation and
+     * number. Values which are not finite are skipped. The mean and
+     * variance are accumulated with Welford's method, which stays accurate
+     * for large numbers of values.
+     *
+     * This is also run in a Web Worker, so must not depend on anything
+     * outside of itself.
+     *
+     * @param {ArrayLike<number>} x the x value of each point
+     * @param {ArrayLike<number>} y the y value of each point
+     * @param {{min: number, max: number}} [range] the range of x values to
+     *        include; all points are included if omitted
+     * @returns {{count: number, min: number, max: number, mean: number,
+     *          stddev: number}} the statistics; all but count are undefined
+     *          if there are no values in the range
+     */
+    function computeStatistics(x, y, range) {
+        let count = 0;
+        let mean = 0;
+        let squares = 0;
+        let min;
+        let max;
+
+        for (let index = 0; index < y.length; index++) {
+            const value = y[index];
+
+            if (range && (x[index] < range.min || x[index] > range.max)) {
+                continue;
+            }
+
+            if (!Number.isFinite(value)) {
+                continue;
+            }
+
+            count++;
+
+            const delta = value - mean;
+            mean += delta / count;
+            squares += delta * (value - mean);
+
+            if (min === undefined || value < min) {
+                min = value;
+            }
+
+            if (max === undefined || value > max) {
+                max = value;
+            }
+        }
+
+        if (count === 0) {
+            return {
+                count: 0
+            };
+        }
+
+        return {
+            count: count,
+            min: min,
+            max: max,
+            mean: mean,
+            stddev: Math.sqrt(squares / count)
+        };
+    }
+
+    return computeStatistics;
+});
@@ -0,0 +1,92 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([
+    'lodash'
+], function (
+    _
+) {
+    const e10 = Math.sqrt(50);
+    const e5 = Math.sqrt(10);
+    const e2 = Math.sqrt(2);
+
+    /**
+     * Nicely formatted tick steps from d3-array.
+     */
+    function tickStep(start, stop, count) {
+        const step0 = Math.abs(stop - start) / Math.max(0, count);
+        let step1 = Math.pow(10, Math.floor(Math.log(step0) / Math.LN10));
+        const error = step0 / step1;
+        if (error >= e10) {
+            step1 *= 10;
+        } else if (error >= e5) {
+            step1 *= 5;
+        } else if (error >= e2) {
+            step1 *= 2;
+        }
+
+        return stop < start ? -step1 : step1;
+    }
+
+    /**
+     * Find the precision (number of decimals) of a step.  Used to round
+     * ticks to precise values.
+     */
+    function getPrecision(step) {
+        const exponential = step.toExponential();
+        const i = exponential.indexOf('e');
+        if (i === -1) {
+            return 0;
+        }
+
+        let precision = Math.max(0, -(Number(exponential.slice(i + 1))));
+
+        if (precision > 20) {
+            precision = 20;
+        }
+
+        return precision;
+    }
+
+    /**
+     * Linear tick generation from d3-array.
+     *
+     * @param {number} start the start of the range
+     * @param {number} stop the end of the range
+     * @param {number} count the approximate number of ticks to generate
+     * @returns {number[]} nicely rounded values within the range
+     */
+    function ticks(start, stop, count) {
+        const step = tickStep(start, stop, count);
+        const precision = getPrecision(step);
+
+        return _.range(
+            Math.ceil(start / step) * step,
+            Math.floor(stop / step) * step + step / 2, // inclusive
+            step
+        ).map(function round(tick) {
+            return Number(tick.toFixed(precision));
+        });
+    }
+
+    return ticks;
+});
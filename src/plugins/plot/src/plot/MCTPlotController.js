@@ -22,16 +22,28 @@
 
 define([
     './LinearScale',
-    '../lib/eventHelpers'
+    '../lib/eventHelpers',
+    '../lib/StatisticsCalculator'
 ], function (
     LinearScale,
-    eventHelpers
+    eventHelpers,
+    StatisticsCalculator
 ) {
 
+    // Minimum time between updates of the statistics in the legend, in ms.
+    const STATISTICS_INTERVAL = 250;
+    // Minimum time between updates of the time of interest while hovering, in ms.
+    const HOVER_INTERVAL = 100;
+
     /**
      * MCTPlotController handles user interactions with the plot canvas.
      * It supports pan and zoom, implements zoom history, and supports locating
-     * values near the cursor.
+     * values near the cursor. Hovering sets the time of interest, which other
+     * views follow, until the cursor leaves the plot, and clicking locks the
+     * values near the cursor and the time of interest. Shift-clicking or
+     * shift-dragging annotates a point or span of time on the plotted
+     * telemetry. In brushing mode, dragging selects a range of x values for
+     * the statistics shown in the inspector.
      */
     function MCTPlotController($scope, $element, $window) {
         this.$onInit = () => {
@@ -42,10 +54,12 @@ define([
             this.$window = $window;
 
             this.xScale = new LinearScale(this.config.xAxis.get('displayRange'));
-            this.yScale = new LinearScale(this.config.yAxis.get('displayRange'));
+            this.yScales = {};
 
             this.pan = undefined;
             this.marquee = undefined;
+            this.annotationDraft = undefined;
+            this.brushDraft = undefined;
 
             this.chartElementBounds = undefined;
             this.tickUpdate = false;
@@ -87,6 +101,7 @@ define([
 
         this.$scope.xAxis = this.config.xAxis;
         this.$scope.yAxis = this.config.yAxis;
+        this.$scope.cursorGuideValues = {};
         this.$scope.series = this.config.series.models;
         this.$scope.legend = this.config.legend;
 
@@ -103,9 +118,186 @@ define([
         this.listenTo(this.$scope, 'plot:highlight:set', this.onPlotHighlightSet, this);
         this.listenTo(this.$scope, 'plot:reinitializeCanvas', this.initCanvas, this);
         this.listenTo(this.config.xAxis, 'change:displayRange', this.onXAxisChange, this);
-        this.listenTo(this.config.yAxis, 'change:displayRange', this.onYAxisChange, this);
+        this.listenTo(this.config, 'change:yAxes', this.onYAxesChange, this);
+        this.config.yAxes.forEach(this.onYAxisAdd, this);
+        this.updateYAxes();
 
         this.setUpYAxisOptions();
+
+        this.annotations = [];
+        this.$scope.annotationMarkers = [];
+        this.listenTo(this.config.openmct.annotations, 'change', this.loadAnnotations, this);
+        this.listenTo(this.config.series, 'add', this.loadAnnotations, this);
+        this.listenTo(this.config.series, 'remove', this.loadAnnotations, this);
+        this.listenTo(this.config.xAxis, 'change:key', this.updateAnnotationMarkers, this);
+        this.loadAnnotations();
+
+        this.$scope.statistics = {};
+        this.$scope.brushing = false;
+        this.config.series.forEach(this.onSeriesAdd, this);
+        this.listenTo(this.config.series, 'add', this.onSeriesAdd, this);
+        this.listenTo(this.config.series, 'remove', this.onSeriesRemove, this);
+        this.listenTo(this.config.legend, 'change:expanded', this.scheduleStatistics, this);
+        this.listenTo(this.config.legend, 'change:showStatisticsWhenExpanded', this.scheduleStatistics, this);
+        this.listenTo(this.config, 'change:brush', this.updateBrushMarker, this);
+        this.updateBrushMarker();
+
+        this.timeContext = this.config.timeContext;
+        this.timeOfInterest = this.timeContext.timeOfInterest();
+        this.listenTo(this.timeContext, 'timeOfInterest', this.onTimeOfInterestChange, this);
+        this.updateTimeOfInterestMarker();
+    };
+
+    MCTPlotController.prototype.onSeriesAdd = function (series) {
+        this.listenTo(series, 'add', this.scheduleStatistics, this);
+        this.listenTo(series, 'reset', this.scheduleStatistics, this);
+        this.listenTo(series, 'change:yKey', this.scheduleStatistics, this);
+        this.scheduleStatistics();
+    };
+
+    MCTPlotController.prototype.onSeriesRemove = function (series) {
+        this.stopListening(series);
+        this.scheduleStatistics();
+    };
+
+    /**
+     * Update the statistics in the legend soon, at most once per
+     * STATISTICS_INTERVAL while data arrive.
+     * @private
+     */
+    MCTPlotController.prototype.scheduleStatistics = function () {
+        if (this.statisticsTimeout === undefined) {
+            this.statisticsTimeout = window.setTimeout(() => {
+                this.statisticsTimeout = undefined;
+                this.updateStatistics();
+            }, STATISTICS_INTERVAL);
+        }
+    };
+
+    /**
+     * Compute the statistics of each series over the displayed range of x
+     * values, if the legend shows them.
+     * @private
+     */
+    MCTPlotController.prototype.updateStatistics = function () {
+        const legend = this.config.legend;
+        const range = this.config.xAxis.get('displayRange');
+
+        if (!range || !legend.get('expanded') || !legend.get('showStatisticsWhenExpanded')) {
+            return;
+        }
+
+        if (!this.statisticsCalculator) {
+            this.statisticsCalculator = new StatisticsCalculator();
+        }
+
+        const request = this.statisticsRequest = {};
+        const series = this.config.series.models;
+
+        Promise.all(series.map(s => this.statisticsCalculator.compute(s.getValues(), range)))
+            .then(results => {
+                if (request !== this.statisticsRequest) {
+                    return;
+                }
+
+                this.$scope.statistics = {};
+                results.forEach((statistics, index) => {
+                    this.$scope.statistics[series[index].keyString] = statistics;
+                });
+                this.$scope.$evalAsync();
+            }, () => {
+                // No statistics are shown if they could not be computed, or
+                // the calculator was destroyed along with the plot.
+            });
+    };
+
+    /**
+     * Load the annotations of the plotted telemetry.
+     * @private
+     */
+    MCTPlotController.prototype.loadAnnotations = function () {
+        const targets = this.config.series.map(series => series.keyString);
+
+        this.config.openmct.annotations.get(targets).then(annotations => {
+            this.annotations = annotations;
+            this.updateAnnotationMarkers();
+            this.$scope.$evalAsync();
+        });
+    };
+
+    /**
+     * Position a marker for each annotation which is in the plot's time
+     * system and overlaps its displayed range, as percentages of the width
+     * of the plot.
+     * @private
+     */
+    MCTPlotController.prototype.updateAnnotationMarkers = function () {
+        const range = this.config.xAxis.get('displayRange');
+        const key = this.config.xAxis.get('key');
+
+        if (!range || !this.annotations) {
+            this.$scope.annotationMarkers = [];
+
+            return;
+        }
+
+        this.$scope.annotationMarkers = this.annotations
+            .filter(annotation => annotation.timeSystem === key
+                && annotation.end >= range.min
+                && annotation.start <= range.max)
+            .map(annotation => {
+                const left = this.toXPercent(annotation.start, range);
+
+                return {
+                    annotation: annotation,
+                    isSpan: annotation.end > annotation.start,
+                    left: left,
+                    width: this.toXPercent(annotation.end, range) - left,
+                    title: (annotation.tag ? '[' + annotation.tag + '] ' : '') + annotation.name
+                };
+            });
+    };
+
+    /**
+     * The position of an x value as a percentage of the width of the plot.
+     * @private
+     */
+    MCTPlotController.prototype.toXPercent = function (value, range) {
+        return 100 * (value - range.min) / (range.max - range.min);
+    };
+
+    MCTPlotController.prototype.showAnnotation = function (annotation) {
+        this.config.openmct.annotations.show(annotation);
+    };
+
+    MCTPlotController.prototype.onYAxisAdd = function (yAxis) {
+        this.yScales[yAxis.id] = new LinearScale(yAxis.get('displayRange'));
+        this.listenTo(yAxis, 'change:displayRange', (displayBounds) => {
+            this.onYAxisChange(yAxis, displayBounds);
+        });
+        this.listenTo(yAxis, 'change:position', this.updateYAxes, this);
+    };
+
+    MCTPlotController.prototype.onYAxesChange = function (yAxes) {
+        Object.keys(this.yScales).forEach(id => {
+            if (!this.config.getYAxis(Number(id))) {
+                delete this.yScales[id];
+            }
+        });
+        yAxes
+            .filter(yAxis => !this.yScales[yAxis.id])
+            .forEach(this.onYAxisAdd, this);
+        this.updateYAxes();
+        this.$scope.$evalAsync();
+    };
+
+    /**
+     * Arrange the Y axes on either side of the plot.
+     */
+    MCTPlotController.prototype.updateYAxes = function () {
+        this.$scope.yAxes = this.config.yAxes;
+        this.$scope.leftYAxes = this.config.getYAxesAt('left');
+        this.$scope.rightYAxes = this.config.getYAxesAt('right');
     };
 
     MCTPlotController.prototype.setUpYAxisOptions = function () {
@@ -137,11 +329,16 @@ define([
         if (displayBounds) {
             this.xScale.domain(displayBounds);
         }
+
+        this.updateAnnotationMarkers();
+        this.updateBrushMarker();
+        this.updateTimeOfInterestMarker();
+        this.scheduleStatistics();
     };
 
-    MCTPlotController.prototype.onYAxisChange = function (displayBounds) {
+    MCTPlotController.prototype.onYAxisChange = function (yAxis, displayBounds) {
         if (displayBounds) {
-            this.yScale.domain(displayBounds);
+            this.yScales[yAxis.id].domain(displayBounds);
         }
     };
 
@@ -165,10 +362,6 @@ define([
             min: 0,
             max: this.chartElementBounds.width
         });
-        this.yScale.range({
-            min: 0,
-            max: this.chartElementBounds.height
-        });
 
         this.positionOverElement = {
             x: $event.clientX - this.chartElementBounds.left,
@@ -176,17 +369,34 @@ define([
                 - ($event.clientY - this.chartElementBounds.top)
         };
 
+        // `y` is the position on the primary axis, and `yAxes` the position
+        // on every axis, by axis id.
         this.positionOverPlot = {
             x: this.xScale.invert(this.positionOverElement.x),
-            y: this.yScale.invert(this.positionOverElement.y)
+            yAxes: {}
         };
+        this.config.yAxes.forEach(yAxis => {
+            const yScale = this.yScales[yAxis.id];
+            yScale.range({
+                min: 0,
+                max: this.chartElementBounds.height
+            });
+            this.positionOverPlot.yAxes[yAxis.id] = yScale.invert(this.positionOverElement.y);
+        });
+        this.positionOverPlot.y = this.positionOverPlot.yAxes[this.config.yAxis.id];
 
         if (this.cursorGuide) {
             this.updateCrosshairs($event);
         }
 
         this.highlightValues(this.positionOverPlot.x);
+        if (!this.$scope.lockHighlightPoint) {
+            this.scheduleHoverTimeOfInterest();
+        }
+
         this.updateMarquee();
+        this.updateAnnotationDraft();
+        this.updateBrushDraft();
         this.updatePan();
         this.$scope.$digest();
         $event.preventDefault();
@@ -195,6 +405,31 @@ define([
     MCTPlotController.prototype.updateCrosshairs = function ($event) {
         this.cursorGuideVertical.style.left = ($event.clientX - this.chartElementBounds.x) + 'px';
         this.cursorGuideHorizontal.style.top = ($event.clientY - this.chartElementBounds.y) + 'px';
+        this.updateCursorGuideValues();
+    };
+
+    /**
+     * Show the value at the horizontal cursor guide on each Y axis, beside
+     * the axis.
+     */
+    MCTPlotController.prototype.updateCursorGuideValues = function () {
+        const values = {
+            left: [],
+            right: []
+        };
+
+        this.config.yAxes.forEach(yAxis => {
+            const value = this.positionOverPlot.yAxes[yAxis.id];
+
+            if (value !== undefined && yAxis.get('displayRange')) {
+                values[yAxis.get('position')].push({
+                    text: yAxis.formatValue(value),
+                    title: yAxis.get('label')
+                });
+            }
+        });
+
+        this.$scope.cursorGuideValues = values;
     };
 
     MCTPlotController.prototype.trackChartElementBounds = function ($event) {
@@ -240,6 +475,7 @@ define([
     MCTPlotController.prototype.untrackMousePosition = function () {
         this.positionOverElement = undefined;
         this.positionOverPlot = undefined;
+        this.clearHoverTimeOfInterest();
         this.highlightValues();
     };
 
@@ -253,6 +489,10 @@ define([
         this.listenTo(this.$window, 'mousemove', this.trackMousePosition, this);
         if (event.altKey) {
             return this.startPan($event);
+        } else if ($event.shiftKey) {
+            return this.startAnnotation($event);
+        } else if (this.$scope.brushing) {
+            return this.startBrush($event);
         } else {
             return this.startMarquee($event);
         }
@@ -263,7 +503,9 @@ define([
         this.stopListening(this.$window, 'mousemove', this.trackMousePosition, this);
 
         if (this.isMouseClick()) {
+            this.cancelHoverTimeOfInterest();
             this.$scope.lockHighlightPoint = !this.$scope.lockHighlightPoint;
+            this.setTimeOfInterest(this.$scope.lockHighlightPoint ? this.highlightPoint : undefined);
         }
 
         if (this.pan) {
@@ -273,6 +515,14 @@ define([
         if (this.marquee) {
             return this.endMarquee($event);
         }
+
+        if (this.annotationDraft) {
+            return this.endAnnotation($event);
+        }
+
+        if (this.brushDraft) {
+            return this.endBrush($event);
+        }
     };
 
     MCTPlotController.prototype.isMouseClick = function () {
@@ -326,9 +576,16 @@ define([
                 min: Math.min(this.marquee.start.x, this.marquee.end.x),
                 max: Math.max(this.marquee.start.x, this.marquee.end.x)
             });
-            this.$scope.yAxis.set('displayRange', {
-                min: Math.min(this.marquee.start.y, this.marquee.end.y),
-                max: Math.max(this.marquee.start.y, this.marquee.end.y)
+            this.config.yAxes.forEach(yAxis => {
+                const start = this.marquee.start.yAxes[yAxis.id];
+                const end = this.marquee.end.yAxes[yAxis.id];
+
+                if (start !== undefined && end !== undefined) {
+                    yAxis.set('displayRange', {
+                        min: Math.min(start, end),
+                        max: Math.max(start, end)
+                    });
+                }
             });
             this.$scope.$emit('user:viewport:change:end');
         } else {
@@ -341,13 +598,285 @@ define([
         this.marquee = undefined;
     };
 
+    MCTPlotController.prototype.startAnnotation = function ($event) {
+        this.trackMousePosition($event);
+        if (this.positionOverPlot && this.config.xAxis.get('displayRange')) {
+            this.annotationDraft = {
+                startPixels: this.positionOverElement,
+                endPixels: this.positionOverElement,
+                start: this.positionOverPlot.x,
+                end: this.positionOverPlot.x
+            };
+            this.updateAnnotationDraft();
+        }
+
+        $event.preventDefault();
+    };
+
+    /**
+     * Follow the mouse with the end of the annotation being drawn.
+     * @private
+     */
+    MCTPlotController.prototype.updateAnnotationDraft = function () {
+        if (!this.annotationDraft) {
+            return;
+        }
+
+        if (this.positionOverPlot) {
+            this.annotationDraft.end = this.positionOverPlot.x;
+            this.annotationDraft.endPixels = this.positionOverElement;
+        }
+
+        const range = this.config.xAxis.get('displayRange');
+        const start = Math.min(this.annotationDraft.start, this.annotationDraft.end);
+        const end = Math.max(this.annotationDraft.start, this.annotationDraft.end);
+        const left = this.toXPercent(start, range);
+
+        this.$scope.annotationDraft = {
+            left: left,
+            width: this.toXPercent(end, range) - left
+        };
+    };
+
+    /**
+     * Ask for the text and tag of the annotation which has been drawn, then
+     * save it. Drags of less than 7.5 pixels annotate a point in time.
+     * @private
+     */
+    MCTPlotController.prototype.endAnnotation = function () {
+        const draft = this.annotationDraft;
+        const distance = Math.abs(draft.startPixels.x - draft.endPixels.x);
+        const openmct = this.config.openmct;
+        const dialogService = openmct.$injector.get('dialogService');
+        const form = {
+            name: 'Add Annotation',
+            sections: [{
+                rows: [
+                    {
+                        key: 'name',
+                        control: 'textfield',
+                        name: 'Text',
+                        required: true,
+                        cssClass: 'l-input-lg'
+                    },
+                    {
+                        key: 'tag',
+                        control: 'textfield',
+                        name: 'Tag',
+                        cssClass: 'l-input-sm'
+                    }
+                ]
+            }]
+        };
+
+        this.annotationDraft = undefined;
+
+        dialogService.getUserInput(form, {}).then(input => {
+            return openmct.annotations.create({
+                targets: this.config.series.map(series => series.keyString),
+                timeSystem: this.config.xAxis.get('key'),
+                start: draft.start,
+                end: distance > 7.5 ? draft.end : draft.start,
+                name: input.name,
+                tag: input.tag
+            });
+        }).catch(error => {
+            if (error) {
+                openmct.notifications.error(error.message);
+            }
+        }).then(() => {
+            this.$scope.annotationDraft = undefined;
+            this.$scope.$evalAsync();
+        });
+    };
+
+    /**
+     * Turn brushing on or off. Turning it off clears the brushed range.
+     */
+    MCTPlotController.prototype.toggleBrushing = function () {
+        this.$scope.brushing = !this.$scope.brushing;
+
+        if (!this.$scope.brushing) {
+            this.config.unset('brush');
+        }
+    };
+
+    MCTPlotController.prototype.startBrush = function ($event) {
+        this.trackMousePosition($event);
+        if (this.positionOverPlot && this.config.xAxis.get('displayRange')) {
+            this.brushDraft = {
+                startPixels: this.positionOverElement,
+                endPixels: this.positionOverElement,
+                start: this.positionOverPlot.x,
+                end: this.positionOverPlot.x
+            };
+        }
+
+        $event.preventDefault();
+    };
+
+    /**
+     * @private
+     */
+    MCTPlotController.prototype.updateBrushDraft = function () {
+        if (!this.brushDraft || !this.positionOverPlot) {
+            return;
+        }
+
+        this.brushDraft.end = this.positionOverPlot.x;
+        this.brushDraft.endPixels = this.positionOverElement;
+        this.config.set('brush', {
+            min: Math.min(this.brushDraft.start, this.brushDraft.end),
+            max: Math.max(this.brushDraft.start, this.brushDraft.end)
+        });
+    };
+
+    /**
+     * Keep the brushed range, shared through the plot configuration with
+     * the inspector. Clicking without dragging clears it.
+     * @private
+     */
+    MCTPlotController.prototype.endBrush = function () {
+        const draft = this.brushDraft;
+
+        this.brushDraft = undefined;
+
+        if (Math.abs(draft.startPixels.x - draft.endPixels.x) <= 7.5) {
+            this.config.unset('brush');
+        }
+    };
+
+    /**
+     * @private
+     */
+    MCTPlotController.prototype.updateBrushMarker = function () {
+        const brush = this.config.get('brush');
+        const range = this.config.xAxis.get('displayRange');
+
+        if (!brush || !range) {
+            this.$scope.brushMarker = undefined;
+            this.$scope.$evalAsync();
+
+            return;
+        }
+
+        const left = this.toXPercent(brush.min, range);
+
+        this.$scope.brushMarker = {
+            left: left,
+            width: this.toXPercent(brush.max, range) - left
+        };
+        this.$scope.$evalAsync();
+    };
+
+    /**
+     * Whether x values are times in the time system of the plot's time
+     * context, and so can be compared with the time of interest.
+     * @private
+     */
+    MCTPlotController.prototype.isXAxisTimeSystem = function () {
+        return this.config.xAxis.get('key') === this.timeContext.timeSystem().key;
+    };
+
+    /**
+     * @private
+     */
+    MCTPlotController.prototype.setTimeOfInterest = function (time) {
+        if (this.isXAxisTimeSystem()) {
+            this.timeContext.timeOfInterest(time);
+        }
+    };
+
+    /**
+     * Set the time of interest to the time under the cursor, at most once
+     * every HOVER_INTERVAL while the cursor moves.
+     * @private
+     */
+    MCTPlotController.prototype.scheduleHoverTimeOfInterest = function () {
+        if (this.hoverTimeout === undefined) {
+            this.hoverTimeout = window.setTimeout(() => {
+                this.hoverTimeout = undefined;
+
+                if (this.positionOverPlot && !this.$scope.lockHighlightPoint
+                    && this.positionOverPlot.x !== this.timeOfInterest) {
+                    this.hoverTimeOfInterest = this.positionOverPlot.x;
+                    this.setTimeOfInterest(this.hoverTimeOfInterest);
+                }
+            }, HOVER_INTERVAL);
+        }
+    };
+
+    /**
+     * Stop setting the time of interest from the cursor, leaving it where
+     * it is.
+     * @private
+     */
+    MCTPlotController.prototype.cancelHoverTimeOfInterest = function () {
+        window.clearTimeout(this.hoverTimeout);
+        this.hoverTimeout = undefined;
+        this.hoverTimeOfInterest = undefined;
+    };
+
+    /**
+     * Clear the time of interest if it was set by hovering over this plot.
+     * @private
+     */
+    MCTPlotController.prototype.clearHoverTimeOfInterest = function () {
+        const hovering = this.hoverTimeOfInterest !== undefined;
+
+        this.cancelHoverTimeOfInterest();
+
+        if (hovering && !this.$scope.lockHighlightPoint) {
+            this.setTimeOfInterest(undefined);
+        }
+    };
+
+    /**
+     * Lock the highlighted values at the time of interest when it is set by
+     * another view or by clicking this one, and release them when it is
+     * cleared. Where it was set by hovering over this plot, the highlighted
+     * values already follow the cursor.
+     * @private
+     */
+    MCTPlotController.prototype.onTimeOfInterestChange = function (time) {
+        this.timeOfInterest = time;
+        this.updateTimeOfInterestMarker();
+
+        if (!this.isXAxisTimeSystem() || (time !== undefined && time === this.hoverTimeOfInterest)) {
+            return;
+        }
+
+        this.$scope.lockHighlightPoint = false;
+        this.highlightValues(time);
+        this.$scope.lockHighlightPoint = time !== undefined;
+    };
+
+    /**
+     * @private
+     */
+    MCTPlotController.prototype.updateTimeOfInterestMarker = function () {
+        const range = this.config.xAxis.get('displayRange');
+        const time = this.timeOfInterest;
+
+        if (time === undefined || !range || !this.isXAxisTimeSystem()
+            || time < range.min || time > range.max) {
+            this.$scope.timeOfInterestMarker = undefined;
+        } else {
+            this.$scope.timeOfInterestMarker = {
+                left: this.toXPercent(time, range)
+            };
+        }
+
+        this.$scope.$evalAsync();
+    };
+
     MCTPlotController.prototype.zoom = function (zoomDirection, zoomFactor) {
         const currentXaxis = this.$scope.xAxis.get('displayRange');
-        const currentYaxis = this.$scope.yAxis.get('displayRange');
+        const yAxes = this.config.yAxes.filter(yAxis => yAxis.get('displayRange'));
 
         // when there is no plot data, the ranges can be undefined
         // in which case we should not perform zoom
-        if (!currentXaxis || !currentYaxis) {
+        if (!currentXaxis || !yAxes.length) {
             return;
         }
 
@@ -355,27 +884,22 @@ define([
         this.trackHistory();
 
         const xAxisDist = (currentXaxis.max - currentXaxis.min) * zoomFactor;
-        const yAxisDist = (currentYaxis.max - currentYaxis.min) * zoomFactor;
+        const direction = zoomDirection === 'in' ? 1 : -1;
 
-        if (zoomDirection === 'in') {
+        if (zoomDirection === 'in' || zoomDirection === 'out') {
             this.$scope.xAxis.set('displayRange', {
-                min: currentXaxis.min + xAxisDist,
-                max: currentXaxis.max - xAxisDist
+                min: currentXaxis.min + direction * xAxisDist,
+                max: currentXaxis.max - direction * xAxisDist
             });
 
-            this.$scope.yAxis.set('displayRange', {
-                min: currentYaxis.min + yAxisDist,
-                max: currentYaxis.max - yAxisDist
-            });
-        } else if (zoomDirection === 'out') {
-            this.$scope.xAxis.set('displayRange', {
-                min: currentXaxis.min - xAxisDist,
-                max: currentXaxis.max + xAxisDist
-            });
+            yAxes.forEach(yAxis => {
+                const currentYaxis = yAxis.get('displayRange');
+                const yAxisDist = (currentYaxis.max - currentYaxis.min) * zoomFactor;
 
-            this.$scope.yAxis.set('displayRange', {
-                min: currentYaxis.min - yAxisDist,
-                max: currentYaxis.max + yAxisDist
+                yAxis.set('displayRange', {
+                    min: currentYaxis.min + direction * yAxisDist,
+                    max: currentYaxis.max - direction * yAxisDist
+                });
             });
         }
 
@@ -391,60 +915,35 @@ define([
         }
 
         let xDisplayRange = this.$scope.xAxis.get('displayRange');
-        let yDisplayRange = this.$scope.yAxis.get('displayRange');
+        let yAxes = this.config.yAxes.filter(yAxis => yAxis.get('displayRange'));
 
         // when there is no plot data, the ranges can be undefined
         // in which case we should not perform zoom
-        if (!xDisplayRange || !yDisplayRange) {
+        if (!xDisplayRange || !yAxes.length) {
             return;
         }
 
         this.freeze();
         window.clearTimeout(this.stillZooming);
 
-        let xAxisDist = (xDisplayRange.max - xDisplayRange.min);
-        let yAxisDist = (yDisplayRange.max - yDisplayRange.min);
-        let xDistMouseToMax = xDisplayRange.max - this.positionOverPlot.x;
-        let xDistMouseToMin = this.positionOverPlot.x - xDisplayRange.min;
-        let yDistMouseToMax = yDisplayRange.max - this.positionOverPlot.y;
-        let yDistMouseToMin = this.positionOverPlot.y - yDisplayRange.min;
-        let xAxisMaxDist = xDistMouseToMax / xAxisDist;
-        let xAxisMinDist = xDistMouseToMin / xAxisDist;
-        let yAxisMaxDist = yDistMouseToMax / yAxisDist;
-        let yAxisMinDist = yDistMouseToMin / yAxisDist;
-
         let plotHistoryStep;
 
         if (!plotHistoryStep) {
-            plotHistoryStep = {
-                x: xDisplayRange,
-                y: yDisplayRange
-            };
+            plotHistoryStep = this.getHistoryStep();
         }
 
-        if (event.wheelDelta < 0) {
-
-            this.$scope.xAxis.set('displayRange', {
-                min: xDisplayRange.min + ((xAxisDist * ZOOM_AMT) * xAxisMinDist),
-                max: xDisplayRange.max - ((xAxisDist * ZOOM_AMT) * xAxisMaxDist)
-            });
-
-            this.$scope.yAxis.set('displayRange', {
-                min: yDisplayRange.min + ((yAxisDist * ZOOM_AMT) * yAxisMinDist),
-                max: yDisplayRange.max - ((yAxisDist * ZOOM_AMT) * yAxisMaxDist)
-            });
-        } else if (event.wheelDelta >= 0) {
-
-            this.$scope.xAxis.set('displayRange', {
-                min: xDisplayRange.min - ((xAxisDist * ZOOM_AMT) * xAxisMinDist),
-                max: xDisplayRange.max + ((xAxisDist * ZOOM_AMT) * xAxisMaxDist)
-            });
-
-            this.$scope.yAxis.set('displayRange', {
-                min: yDisplayRange.min - ((yAxisDist * ZOOM_AMT) * yAxisMinDist),
-                max: yDisplayRange.max + ((yAxisDist * ZOOM_AMT) * yAxisMaxDist)
-            });
-        }
+        // Zoom in when the wheel is rolled back, and out when it is rolled
+        // forward, keeping the position under the mouse in place.
+        const zoomAmount = event.wheelDelta < 0 ? ZOOM_AMT : -ZOOM_AMT;
+
+        this.$scope.xAxis.set('displayRange', this.zoomAround(xDisplayRange, this.positionOverPlot.x, zoomAmount));
+        yAxes.forEach(yAxis => {
+            yAxis.set('displayRange', this.zoomAround(
+                yAxis.get('displayRange'),
+                this.positionOverPlot.yAxes[yAxis.id],
+                zoomAmount
+            ));
+        });
 
         this.stillZooming = window.setTimeout(function () {
             this.plotHistory.push(plotHistoryStep);
@@ -453,6 +952,22 @@ define([
         }.bind(this), 250);
     };
 
+    /**
+     * Shrink (or, for a negative amount, grow) a range by a fraction of its
+     * size, keeping a position within it in place.
+     * @private
+     */
+    MCTPlotController.prototype.zoomAround = function (range, position, amount) {
+        const dist = range.max - range.min;
+        const distToMax = range.max - position;
+        const distToMin = position - range.min;
+
+        return {
+            min: range.min + ((dist * amount) * (distToMin / dist)),
+            max: range.max - ((dist * amount) * (distToMax / dist))
+        };
+    };
+
     MCTPlotController.prototype.startPan = function ($event) {
         this.$canvas.addClass('plot-drag');
         this.$canvas.removeClass('plot-marquee');
@@ -475,25 +990,44 @@ define([
         }
 
         const dX = this.pan.start.x - this.positionOverPlot.x;
-        const dY = this.pan.start.y - this.positionOverPlot.y;
         const xRange = this.config.xAxis.get('displayRange');
-        const yRange = this.config.yAxis.get('displayRange');
 
         this.config.xAxis.set('displayRange', {
             min: xRange.min + dX,
             max: xRange.max + dX
         });
-        this.config.yAxis.set('displayRange', {
-            min: yRange.min + dY,
-            max: yRange.max + dY
+        this.config.yAxes.forEach(yAxis => {
+            const yRange = yAxis.get('displayRange');
+            const dY = this.pan.start.yAxes[yAxis.id] - this.positionOverPlot.yAxes[yAxis.id];
+
+            if (yRange && !Number.isNaN(dY)) {
+                yAxis.set('displayRange', {
+                    min: yRange.min + dY,
+                    max: yRange.max + dY
+                });
+            }
         });
     };
 
-    MCTPlotController.prototype.trackHistory = function () {
-        this.plotHistory.push({
+    /**
+     * The display ranges of every axis, by axis id for Y axes.
+     * @private
+     */
+    MCTPlotController.prototype.getHistoryStep = function () {
+        const step = {
             x: this.config.xAxis.get('displayRange'),
-            y: this.config.yAxis.get('displayRange')
+            y: {}
+        };
+
+        this.config.yAxes.forEach(yAxis => {
+            step.y[yAxis.id] = yAxis.get('displayRange');
         });
+
+        return step;
+    };
+
+    MCTPlotController.prototype.trackHistory = function () {
+        this.plotHistory.push(this.getHistoryStep());
     };
 
     MCTPlotController.prototype.endPan = function () {
@@ -502,12 +1036,12 @@ define([
     };
 
     MCTPlotController.prototype.freeze = function () {
-        this.config.yAxis.set('frozen', true);
+        this.config.yAxes.forEach(yAxis => yAxis.set('frozen', true));
         this.config.xAxis.set('frozen', true);
     };
 
     MCTPlotController.prototype.clear = function () {
-        this.config.yAxis.set('frozen', false);
+        this.config.yAxes.forEach(yAxis => yAxis.set('frozen', false));
         this.config.xAxis.set('frozen', false);
         this.$scope.plotHistory = this.plotHistory = [];
         this.$scope.$emit('user:viewport:change:end');
@@ -522,12 +1056,22 @@ define([
         }
 
         this.config.xAxis.set('displayRange', previousAxisRanges.x);
-        this.config.yAxis.set('displayRange', previousAxisRanges.y);
+        this.config.yAxes.forEach(yAxis => {
+            if (previousAxisRanges.y[yAxis.id]) {
+                yAxis.set('displayRange', previousAxisRanges.y[yAxis.id]);
+            }
+        });
         this.$scope.$emit('user:viewport:change:end');
     };
 
     MCTPlotController.prototype.destroy = function () {
         this.stopListening();
+        window.clearTimeout(this.statisticsTimeout);
+        this.clearHoverTimeOfInterest();
+
+        if (this.statisticsCalculator) {
+            this.statisticsCalculator.destroy();
+        }
     };
 
     MCTPlotController.prototype.toggleCursorGuide = function ($event) {
@@ -21,67 +21,45 @@
  *****************************************************************************/
 
 define([
-    'lodash',
-    '../lib/eventHelpers'
+    '../lib/eventHelpers',
+    '../lib/mathUtils',
+    '../lib/ticks'
 ], function (
-    _,
-    eventHelpers
+    eventHelpers,
+    mathUtils,
+    ticks
 ) {
-    const e10 = Math.sqrt(50);
-    const e5 = Math.sqrt(10);
-    const e2 = Math.sqrt(2);
-
-    /**
-     * Nicely formatted tick steps from d3-array.
-     */
-    function tickStep(start, stop, count) {
-        const step0 = Math.abs(stop - start) / Math.max(0, count);
-        let step1 = Math.pow(10, Math.floor(Math.log(step0) / Math.LN10));
-        const error = step0 / step1;
-        if (error >= e10) {
-            step1 *= 10;
-        } else if (error >= e5) {
-            step1 *= 5;
-        } else if (error >= e2) {
-            step1 *= 2;
-        }
-
-        return stop < start ? -step1 : step1;
-    }
-
     /**
-     * Find the precision (number of decimals) of a step.  Used to round
-     * ticks to precise values.
+     * Tick generation for ranges on a symmetric log scale (see
+     * `mathUtils.symlog`). Ticks are placed at powers of ten and at zero,
+     * skipping powers so that there are at most `count` ticks; falls back to
+     * linear ticks when the range spans less than two powers of ten.
      */
-    function getPrecision(step) {
-        const exponential = step.toExponential();
-        const i = exponential.indexOf('e');
-        if (i === -1) {
-            return 0;
+    function logTicks(start, stop, count) {
+        const maxPower = Math.ceil(Math.max(Math.abs(start), Math.abs(stop)));
+        const candidates = [0];
+        for (let power = 0; power <= maxPower; power++) {
+            const value = mathUtils.symlog(Math.pow(10, power));
+            candidates.push(value, -value);
         }
 
-        let precision = Math.max(0, -(Number(exponential.slice(i + 1))));
+        let result = candidates
+            .filter(function (value) {
+                return value >= start && value <= stop;
+            })
+            .sort(function (a, b) {
+                return a - b;
+            });
 
-        if (precision > 20) {
-            precision = 20;
+        if (result.length < 2) {
+            return ticks(start, stop, count);
         }
 
-        return precision;
-    }
+        const skip = Math.ceil(result.length / count);
+        const zeroIndex = Math.max(0, result.indexOf(0));
 
-    /**
-     * Linear tick generation from d3-array.
-     */
-    function ticks(start, stop, count) {
-        const step = tickStep(start, stop, count);
-        const precision = getPrecision(step);
-
-        return _.range(
-            Math.ceil(start / step) * step,
-            Math.floor(stop / step) * step + step / 2, // inclusive
-            step
-        ).map(function round(tick) {
-            return Number(tick.toFixed(precision));
+        return result.filter(function (value, index) {
+            return (index - zeroIndex) % skip === 0;
         });
     }
 
@@ -126,6 +104,7 @@ define([
             this.tickUpdate = false;
             this.listenTo(this.axis, 'change:displayRange', this.updateTicks, this);
             this.listenTo(this.axis, 'change:format', this.updateTicks, this);
+            this.listenTo(this.axis, 'change:logMode', this.onLogModeChange, this);
             this.listenTo(this.$scope, '$destroy', this.stopListening, this);
             this.updateTicks();
         };
@@ -164,17 +143,44 @@ define([
 
     MCTTicksController.prototype.getTicks = function () {
         const number = this.tickCount;
-        const clampRange = this.axis.get('values');
+        const logMode = this.axis.get('logMode');
+        let clampRange = this.axis.get('values');
         const range = this.axis.get('displayRange');
         if (clampRange) {
+            if (logMode) {
+                clampRange = clampRange.map(mathUtils.symlog);
+            }
+
             return clampRange.filter(function (value) {
                 return value <= range.max && value >= range.min;
             }, this);
         }
 
+        if (logMode) {
+            return logTicks(range.min, range.max, number);
+        }
+
         return ticks(range.min, range.max, number);
     };
 
+    /**
+     * Format a tick value, which is on a log scale when the axis is in
+     * log mode.
+     * @private
+     */
+    MCTTicksController.prototype.formatTick = function (format, tickValue) {
+        if (this.axis.get('logMode')) {
+            tickValue = Number(mathUtils.antisymlog(tickValue).toPrecision(12));
+        }
+
+        return format(tickValue);
+    };
+
+    MCTTicksController.prototype.onLogModeChange = function () {
+        delete this.tickRange;
+        this.updateTicks();
+    };
+
     MCTTicksController.prototype.updateTicks = function () {
         const range = this.axis.get('displayRange');
         if (!range) {
@@ -208,7 +214,7 @@ define([
                 .map(function (tickValue) {
                     return {
                         value: tickValue,
-                        text: format(tickValue)
+                        text: this.formatTick(format, tickValue)
                     };
                 }, this);
 
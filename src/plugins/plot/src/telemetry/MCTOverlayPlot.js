@@ -30,7 +30,8 @@ define([
             restrict: "E",
             template: PlotTemplate,
             scope: {
-                domainObject: "="
+                domainObject: "=",
+                objectPath: "="
             }
         };
     };
@@ -60,6 +60,7 @@ define([
         this.objectService = objectService;
         this.exportImageService = exportImageService;
         this.cursorGuide = false;
+        this.timeContext = openmct.time.getContextForView($scope.objectPath);
 
         $scope.pending = 0;
 
@@ -89,8 +90,8 @@ define([
     eventHelpers.extend(PlotController.prototype);
 
     PlotController.prototype.followTimeConductor = function () {
-        this.listenTo(this.openmct.time, 'bounds', this.updateDisplayBounds, this);
-        this.listenTo(this.openmct.time, 'timeSystem', this.onTimeSystemChange, this);
+        this.listenTo(this.timeContext, 'bounds', this.updateDisplayBounds, this);
+        this.listenTo(this.timeContext, 'timeSystem', this.onTimeSystemChange, this);
         this.synchronized(true);
     };
 
@@ -102,9 +103,12 @@ define([
         }
 
         this.startLoading();
+        const bounds = this.timeContext.bounds();
         const options = {
             size: this.$element[0].offsetWidth,
-            domain: this.config.xAxis.get('key')
+            domain: this.config.xAxis.get('key'),
+            start: bounds.start,
+            end: bounds.end
         };
 
         series.load(options)
@@ -150,14 +154,20 @@ define([
     };
 
     PlotController.prototype.getConfig = function (domainObject) {
-        const configId = domainObject.getId();
+        let configId = domainObject.getId();
+        if (this.timeContext !== this.openmct.time) {
+            // Plots in an independent time context keep their own axes
+            configId += '@' + this.openmct.time.getContextKey(this.$scope.objectPath);
+        }
+
         let config = configStore.get(configId);
         if (!config) {
             const newDomainObject = domainObject.useCapability('adapter');
             config = new PlotConfigurationModel({
                 id: configId,
                 domainObject: newDomainObject,
-                openmct: this.openmct
+                openmct: this.openmct,
+                timeContext: this.timeContext
             });
             configStore.add(configId, config);
         }
@@ -183,6 +193,11 @@ define([
         }
     };
 
+    /**
+     * Load data for a range at the resolution of the plot. Telemetry is
+     * decimated to the plot's width, so this is called again as the user
+     * zooms in to load finer data.
+     */
     PlotController.prototype.loadMoreData = function (range, purge) {
         this.config.series.forEach(plotSeries => {
             this.startLoading();
@@ -191,7 +206,7 @@ define([
                 start: range.min,
                 end: range.max
             })
-                .then(this.stopLoading());
+                .then(() => this.stopLoading(), () => this.stopLoading());
             if (purge) {
                 plotSeries.purgeRecordsOutsideRange(range);
             }
@@ -247,7 +262,7 @@ define([
     PlotController.prototype.synchronized = function (value) {
         if (typeof value !== 'undefined') {
             this._synchronized = value;
-            const isUnsynced = !value && this.openmct.time.clock();
+            const isUnsynced = !value && this.timeContext.clock();
             if (this.$scope.domainObject.getCapability('status')) {
                 this.$scope.domainObject.getCapability('status')
                     .set('timeconductor-unsynced', isUnsynced);
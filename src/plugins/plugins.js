@@ -54,7 +54,19 @@ define([
     './themes/snow',
     './URLTimeSettingsSynchronizer/plugin',
     './notificationIndicator/plugin',
-    './newFolderAction/plugin'
+    './newFolderAction/plugin',
+    './sendCommandAction/plugin',
+    './mavlink/plugin',
+    './map/plugin',
+    './xyPlot/plugin',
+    './spectrum/plugin',
+    './derivedTelemetry/plugin',
+    './annotations/plugin',
+    './exportTelemetry/plugin',
+    './replay/plugin',
+    './gpsTimeSystem/plugin',
+    './bootTimeSystem/plugin',
+    './timeBookmarks/plugin'
 ], function (
     _,
     UTCTimeSystem,
@@ -89,7 +101,19 @@ define([
     Snow,
     URLTimeSettingsSynchronizer,
     NotificationIndicator,
-    NewFolderAction
+    NewFolderAction,
+    SendCommandAction,
+    MAVLink,
+    MapPlugin,
+    XYPlotPlugin,
+    SpectrumPlugin,
+    DerivedTelemetryPlugin,
+    AnnotationsPlugin,
+    ExportTelemetry,
+    Replay,
+    GPSTimeSystem,
+    BootTimeSystem,
+    TimeBookmarks
 ) {
     const bundleMap = {
         LocalStorage: 'platform/persistence/local',
@@ -201,6 +225,18 @@ define([
     plugins.URLTimeSettingsSynchronizer = URLTimeSettingsSynchronizer.default;
     plugins.NotificationIndicator = NotificationIndicator.default;
     plugins.NewFolderAction = NewFolderAction.default;
+    plugins.SendCommandAction = SendCommandAction.default;
+    plugins.MAVLink = MAVLink.default;
+    plugins.Map = MapPlugin.default;
+    plugins.XYPlot = XYPlotPlugin.default;
+    plugins.Spectrum = SpectrumPlugin.default;
+    plugins.DerivedTelemetry = DerivedTelemetryPlugin.default;
+    plugins.Annotations = AnnotationsPlugin.default;
+    plugins.ExportTelemetry = ExportTelemetry.default;
+    plugins.Replay = Replay.default;
+    plugins.GPSTimeSystem = GPSTimeSystem.default;
+    plugins.BootTimeSystem = BootTimeSystem.default;
+    plugins.TimeBookmarks = TimeBookmarks.default;
 
     return plugins;
 });
@@ -0,0 +1,225 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import EventEmitter from 'EventEmitter';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 100;
+
+/**
+ * A clock which replays a span of past time. It ticks from a chosen time,
+ * at a chosen multiple of real speed, and may be paused, stepped and moved
+ * to another time.
+ *
+ * @param {object} [options]
+ * @param {number} [options.start] the start of the span of time to replay
+ * @param {number} [options.end] the end of the span of time to replay
+ * @param {number} [options.period] how often the clock ticks, in ms
+ */
+export default class ReplayClock extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.key = 'replay';
+        this.mode = 'replay';
+        this.cssClass = 'icon-history';
+        this.name = 'Replay';
+        this.description = 'Replays past telemetry from a chosen time, at a chosen speed.';
+
+        this.period = options.period || 100;
+        this.range = {
+            end: options.end !== undefined ? options.end : Date.now()
+        };
+        this.range.start = options.start !== undefined ? options.start : this.range.end - ONE_DAY;
+        this.replayTime = this.range.start;
+        this.speed = 1;
+        this.playing = false;
+        this.timeoutHandle = undefined;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    play() {
+        if (!this.playing) {
+            this.playing = true;
+            this.start();
+            this.emitState();
+        }
+    }
+
+    pause() {
+        if (this.playing) {
+            this.stop();
+            this.playing = false;
+            this.emitState();
+        }
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * @param {number} speed a multiple of real speed, between MIN_SPEED and
+     * MAX_SPEED
+     */
+    setSpeed(speed) {
+        if (this.timeoutHandle) {
+            // Keep the time elapsed at the previous speed
+            this.advance();
+        }
+
+        this.speed = Math.min(Math.max(speed, MIN_SPEED), MAX_SPEED);
+        this.emitState();
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+
+    getRange() {
+        return Object.assign({}, this.range);
+    }
+
+    /**
+     * Move to the given time. Unlike a tick, views are expected to reload
+     * their telemetry for the new time.
+     * @fires ReplayClock#seek
+     */
+    seek(time) {
+        this.replayTime = time;
+        this.lastWallTime = Date.now();
+        this.range.start = Math.min(this.range.start, time);
+        this.range.end = Math.max(this.range.end, time);
+
+        this.emit('seek', time);
+        this.emitState();
+    }
+
+    /**
+     * Advance by the given duration, as though the clock had played for it,
+     * stopping at the end of the range.
+     * @param {number} duration the duration in ms to advance by
+     */
+    step(duration = 1000) {
+        this.replayTime = Math.min(this.replayTime + duration, this.range.end);
+        this.emit('tick', this.replayTime);
+        this.emitStateOrPauseAtEnd();
+    }
+
+    /**
+     * @returns {number} the current replay time
+     */
+    currentValue() {
+        return this.replayTime;
+    }
+
+    on(event) {
+        const result = super.on(...arguments);
+
+        if (event === 'tick' && this.listeners('tick').length === 1 && this.playing) {
+            this.start();
+        }
+
+        return result;
+    }
+
+    off(event) {
+        const result = super.off(...arguments);
+
+        if (event === 'tick' && this.listeners('tick').length === 0) {
+            this.stop();
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    start() {
+        if (!this.timeoutHandle && this.listeners('tick').length > 0) {
+            this.lastWallTime = Date.now();
+            this.timeoutHandle = setTimeout(this.tick, this.period);
+        }
+    }
+
+    /**
+     * @private
+     */
+    stop() {
+        if (this.timeoutHandle) {
+            clearTimeout(this.timeoutHandle);
+            this.timeoutHandle = undefined;
+        }
+    }
+
+    /**
+     * @private
+     */
+    tick() {
+        this.timeoutHandle = undefined;
+        this.advance();
+        this.emit('tick', this.replayTime);
+        this.emitStateOrPauseAtEnd();
+
+        if (this.playing) {
+            this.timeoutHandle = setTimeout(this.tick, this.period);
+        }
+    }
+
+    /**
+     * @private
+     */
+    advance() {
+        const now = Date.now();
+
+        this.replayTime = Math.min(this.replayTime + (now - this.lastWallTime) * this.speed, this.range.end);
+        this.lastWallTime = now;
+    }
+
+    /**
+     * Playback stops at the end of the range, rather than carrying on past
+     * the replayed span and into the future.
+     * @private
+     */
+    emitStateOrPauseAtEnd() {
+        if (this.playing && this.replayTime >= this.range.end) {
+            this.pause();
+        } else {
+            this.emitState();
+        }
+    }
+
+    /**
+     * @private
+     */
+    emitState() {
+        this.emit('state', {
+            playing: this.playing,
+            speed: this.speed,
+            time: this.replayTime,
+            range: this.getRange()
+        });
+    }
+}
@@ -0,0 +1,135 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ReplayClock from './ReplayClock';
+
+describe('The replay clock', () => {
+    let clock;
+    let tickListener;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        clock = new ReplayClock({
+            start: 1000,
+            end: 5000,
+            period: 100
+        });
+        tickListener = jasmine.createSpy('tick');
+        clock.on('tick', tickListener);
+    });
+
+    afterEach(() => {
+        clock.off('tick', tickListener);
+        jasmine.clock().uninstall();
+    });
+
+    it('starts paused at the start of its range', () => {
+        jasmine.clock().tick(1000);
+
+        expect(clock.isPlaying()).toBe(false);
+        expect(clock.currentValue()).toBe(1000);
+        expect(tickListener).not.toHaveBeenCalled();
+    });
+
+    it('ticks at the chosen speed while playing', () => {
+        clock.setSpeed(10);
+        clock.play();
+        jasmine.clock().tick(100);
+
+        expect(tickListener).toHaveBeenCalledWith(2000);
+
+        clock.pause();
+        jasmine.clock().tick(1000);
+
+        expect(tickListener.calls.count()).toBe(1);
+        expect(clock.currentValue()).toBe(2000);
+    });
+
+    it('limits speed to between 0.1 and 100 times real speed', () => {
+        clock.setSpeed(1000);
+        expect(clock.getSpeed()).toBe(100);
+
+        clock.setSpeed(0);
+        expect(clock.getSpeed()).toBe(0.1);
+    });
+
+    it('steps forward while paused', () => {
+        clock.step(500);
+
+        expect(tickListener).toHaveBeenCalledWith(1500);
+        expect(clock.currentValue()).toBe(1500);
+    });
+
+    it('stops at the end of its range', () => {
+        const stateListener = jasmine.createSpy('state');
+        clock.on('state', stateListener);
+
+        clock.setSpeed(100);
+        clock.play();
+        jasmine.clock().tick(100);
+
+        expect(tickListener).toHaveBeenCalledWith(5000);
+        expect(clock.currentValue()).toBe(5000);
+        expect(clock.isPlaying()).toBe(false);
+        expect(stateListener.calls.mostRecent().args[0].playing).toBe(false);
+
+        jasmine.clock().tick(1000);
+
+        expect(tickListener.calls.count()).toBe(1);
+        expect(clock.currentValue()).toBe(5000);
+    });
+
+    it('steps no further than the end of its range', () => {
+        clock.play();
+        clock.step(10000);
+
+        expect(tickListener).toHaveBeenCalledWith(5000);
+        expect(clock.currentValue()).toBe(5000);
+        expect(clock.isPlaying()).toBe(false);
+    });
+
+    it('seeks without ticking, expanding its range if needed', () => {
+        const seekListener = jasmine.createSpy('seek');
+        clock.on('seek', seekListener);
+
+        clock.seek(8000);
+
+        expect(seekListener).toHaveBeenCalledWith(8000);
+        expect(tickListener).not.toHaveBeenCalled();
+        expect(clock.currentValue()).toBe(8000);
+        expect(clock.getRange()).toEqual({
+            start: 1000,
+            end: 8000
+        });
+    });
+
+    it('only runs a timer while it has tick listeners', () => {
+        clock.play();
+        clock.off('tick', tickListener);
+        jasmine.clock().tick(1000);
+
+        expect(clock.currentValue()).toBe(1000);
+        expect(tickListener).not.toHaveBeenCalled();
+    });
+});
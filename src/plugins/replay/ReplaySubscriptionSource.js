@@ -0,0 +1,169 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * How far ahead of the replay clock, in real time, telemetry is requested.
+ */
+const LOOKAHEAD = 5000;
+
+/**
+ * Serves telemetry subscriptions from historical telemetry while a
+ * {@link ReplayClock} is active. Telemetry is requested ahead of the clock,
+ * and released to subscribers as the clock reaches it.
+ */
+export default class ReplaySubscriptionSource {
+    constructor(openmct, clock) {
+        this.openmct = openmct;
+        this.clock = clock;
+        this.streams = new Set();
+        this.generation = 0;
+
+        this.release = this.release.bind(this);
+    }
+
+    activate() {
+        this.clock.on('tick', this.release);
+        this.reset(this.clock.currentValue());
+    }
+
+    deactivate() {
+        this.clock.off('tick', this.release);
+    }
+
+    /**
+     * Only subscriptions of views whose time context uses the replay clock
+     * are replayed; views with an independent time context keep their own.
+     * @param {DomainObject} domainObject
+     * @param {TimeAPI} [timeContext] the time context of the subscribing
+     *        view, or undefined for the global time context
+     */
+    supportsSubscribe(domainObject, timeContext = this.openmct.time) {
+        return timeContext.clock() === this.clock;
+    }
+
+    subscribe(domainObject, callback, options) {
+        const timeSystemKey = this.openmct.time.timeSystem().key;
+        const metadata = this.openmct.telemetry.getMetadata(domainObject);
+        const timeMetadatum = metadata && metadata.value(timeSystemKey);
+
+        if (!timeMetadatum) {
+            return () => {};
+        }
+
+        const stream = {
+            domainObject,
+            callback,
+            options,
+            timeSystemKey,
+            timeFormatter: this.openmct.telemetry.getValueFormatter(timeMetadatum),
+            buffer: [],
+            requestedUntil: this.clock.currentValue(),
+            includeStart: true,
+            pending: false
+        };
+
+        this.streams.add(stream);
+        this.fill(stream);
+
+        return () => {
+            this.streams.delete(stream);
+        };
+    }
+
+    /**
+     * Discard buffered and requested telemetry, and request telemetry from
+     * the given time onwards.
+     * @param {number} time the time replay continues from
+     */
+    reset(time) {
+        this.generation++;
+
+        this.streams.forEach(stream => {
+            stream.buffer = [];
+            stream.requestedUntil = time;
+            stream.includeStart = true;
+            stream.pending = false;
+            this.fill(stream);
+        });
+    }
+
+    /**
+     * Pass buffered telemetry up to the given time to subscribers.
+     * @private
+     */
+    release(time) {
+        this.streams.forEach(stream => {
+            let count = 0;
+
+            while (count < stream.buffer.length && stream.timeFormatter.parse(stream.buffer[count]) <= time) {
+                count++;
+            }
+
+            stream.buffer.splice(0, count).forEach(datum => stream.callback(datum));
+            this.fill(stream);
+        });
+    }
+
+    /**
+     * Request the next span of telemetry for a stream once less than half of
+     * the lookahead is buffered or requested.
+     * @private
+     */
+    fill(stream) {
+        const time = this.clock.currentValue();
+        const lookahead = LOOKAHEAD * this.clock.getSpeed();
+
+        if (stream.pending || stream.requestedUntil >= time + lookahead / 2) {
+            return;
+        }
+
+        const generation = this.generation;
+        const start = stream.requestedUntil;
+        const end = time + lookahead;
+        // Only later spans exclude their start, which ended the span before
+        const includeStart = stream.includeStart;
+
+        stream.pending = true;
+
+        this.openmct.telemetry.request(stream.domainObject, Object.assign({}, stream.options, {
+            start,
+            end,
+            domain: stream.timeSystemKey
+        })).catch(() => []).then(data => {
+            if (generation !== this.generation || !this.streams.has(stream)) {
+                return;
+            }
+
+            stream.buffer = stream.buffer.concat(data
+                .map(datum => ({
+                    datum,
+                    time: stream.timeFormatter.parse(datum)
+                }))
+                .filter(item => (includeStart ? item.time >= start : item.time > start) && item.time <= end)
+                .sort((a, b) => a.time - b.time)
+                .map(item => item.datum));
+            stream.requestedUntil = end;
+            stream.includeStart = false;
+            stream.pending = false;
+        });
+    }
+}
@@ -0,0 +1,169 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ReplayClock from './ReplayClock';
+import ReplaySubscriptionSource from './ReplaySubscriptionSource';
+
+describe('The replay subscription source', () => {
+    let openmct;
+    let clock;
+    let source;
+    let domainObject;
+    let requests;
+
+    function respond(index, data) {
+        requests[index].resolve(data);
+
+        return new Promise(resolve => setTimeout(resolve));
+    }
+
+    beforeEach(() => {
+        requests = [];
+        domainObject = {
+            identifier: {
+                namespace: '',
+                key: 'a'
+            }
+        };
+        openmct = {
+            time: jasmine.createSpyObj('time', ['timeSystem']),
+            telemetry: jasmine.createSpyObj('telemetry', ['getMetadata', 'getValueFormatter', 'request'])
+        };
+        openmct.time.timeSystem.and.returnValue({key: 'utc'});
+        openmct.telemetry.getMetadata.and.returnValue({
+            value: key => key === 'utc' ? {key: 'utc'} : undefined
+        });
+        openmct.telemetry.getValueFormatter.and.returnValue({
+            parse: datum => datum.utc
+        });
+        openmct.telemetry.request.and.callFake((object, options) => {
+            return new Promise(resolve => {
+                requests.push({
+                    options,
+                    resolve
+                });
+            });
+        });
+
+        clock = new ReplayClock({
+            start: 1000,
+            end: 100000
+        });
+        source = new ReplaySubscriptionSource(openmct, clock);
+        source.activate();
+    });
+
+    afterEach(() => {
+        source.deactivate();
+    });
+
+    it('requests telemetry ahead of the replay clock', () => {
+        source.subscribe(domainObject, () => {}, {filters: {}});
+
+        expect(requests.length).toBe(1);
+        expect(requests[0].options).toEqual({
+            filters: {},
+            start: 1000,
+            end: 6000,
+            domain: 'utc'
+        });
+    });
+
+    it('releases telemetry as the clock reaches it', () => {
+        const callback = jasmine.createSpy('callback');
+        source.subscribe(domainObject, callback);
+
+        return respond(0, [{utc: 3000}, {utc: 2000}, {utc: 1000}]).then(() => {
+            clock.step(1000);
+            expect(callback.calls.allArgs()).toEqual([[{utc: 1000}], [{utc: 2000}]]);
+
+            clock.step(1000);
+            expect(callback.calls.allArgs()).toEqual([[{utc: 1000}], [{utc: 2000}], [{utc: 3000}]]);
+        });
+    });
+
+    it('includes telemetry at the time replay continues from, but not at the end of the span before', () => {
+        const callback = jasmine.createSpy('callback');
+        source.subscribe(domainObject, callback);
+        clock.seek(50000);
+        source.reset(50000);
+
+        return respond(1, [{utc: 50000}]).then(() => {
+            clock.step(3000);
+
+            return respond(2, [{utc: 55000}, {utc: 56000}]);
+        }).then(() => {
+            clock.step(3000);
+            expect(requests[2].options.start).toBe(55000);
+            expect(callback.calls.allArgs()).toEqual([[{utc: 50000}], [{utc: 56000}]]);
+        });
+    });
+
+    it('requests more telemetry as the clock advances', () => {
+        source.subscribe(domainObject, () => {});
+
+        return respond(0, []).then(() => {
+            clock.step(2000);
+            expect(requests.length).toBe(1);
+
+            clock.step(1000);
+            expect(requests.length).toBe(2);
+            expect(requests[1].options.start).toBe(6000);
+            expect(requests[1].options.end).toBe(9000);
+        });
+    });
+
+    it('discards telemetry requested before a seek', () => {
+        const callback = jasmine.createSpy('callback');
+        source.subscribe(domainObject, callback);
+        clock.seek(50000);
+        source.reset(50000);
+
+        expect(requests[1].options.start).toBe(50000);
+
+        return respond(0, [{utc: 2000}]).then(() => {
+            clock.step(1000);
+            expect(callback).not.toHaveBeenCalled();
+        });
+    });
+
+    it('ignores objects without values for the time system', () => {
+        openmct.time.timeSystem.and.returnValue({key: 'other'});
+
+        const unsubscribe = source.subscribe(domainObject, () => {});
+
+        expect(unsubscribe).toEqual(jasmine.any(Function));
+        expect(requests.length).toBe(0);
+    });
+
+    it('stops releasing telemetry when unsubscribed', () => {
+        const callback = jasmine.createSpy('callback');
+        const unsubscribe = source.subscribe(domainObject, callback);
+
+        return respond(0, [{utc: 2000}]).then(() => {
+            unsubscribe();
+            clock.step(2000);
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ReplayClock from './ReplayClock';
+import ReplaySubscriptionSource from './ReplaySubscriptionSource';
+
+/**
+ * Adds a replay clock. While it is the active clock, subscriptions are served
+ * from historical telemetry as the clock reaches it.
+ *
+ * @param {object} [options]
+ * @param {number} [options.start] the start of the span of time to replay,
+ *        defaults to one day ago
+ * @param {number} [options.end] the end of the span of time to replay,
+ *        defaults to now
+ */
+export default function (options) {
+    return function (openmct) {
+        const clock = new ReplayClock(options);
+        const source = new ReplaySubscriptionSource(openmct, clock);
+        let active = false;
+
+        openmct.time.addClock(clock);
+
+        openmct.time.on('clock', (newClock) => {
+            if (newClock === clock && !active) {
+                active = true;
+                source.activate();
+                openmct.telemetry.setSubscriptionSource(source);
+            } else if (newClock !== clock && active) {
+                active = false;
+                source.deactivate();
+                openmct.telemetry.setSubscriptionSource(undefined);
+            }
+        });
+
+        clock.on('seek', (time) => {
+            if (active) {
+                source.reset(time);
+                // Recomputes the bounds from the new time, which views treat
+                // as a change of bounds rather than a tick.
+                openmct.time.clockOffsets(openmct.time.clockOffsets());
+            }
+        });
+    };
+}
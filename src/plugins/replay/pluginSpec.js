@@ -0,0 +1,138 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ReplayPlugin from './plugin';
+import TimeAPI from '../../api/time/TimeAPI';
+import TelemetryAPI from '../../api/telemetry/TelemetryAPI';
+
+describe('The replay plugin', () => {
+    let openmct;
+    let provider;
+    let domainObject;
+
+    beforeEach(() => {
+        openmct = {
+            time: new TimeAPI(),
+            on: jasmine.createSpy('on'),
+            $injector: jasmine.createSpyObj('injector', ['get'])
+        };
+        openmct.$injector.get.and.returnValue({
+            getFormat() {
+                throw new Error('No format');
+            },
+            getType() {
+                return {
+                    typeDef: {}
+                };
+            }
+        });
+        openmct.telemetry = new TelemetryAPI(openmct);
+
+        openmct.time.addTimeSystem({
+            key: 'utc',
+            name: 'UTC'
+        });
+        const localClock = jasmine.createSpyObj('clock', ['on', 'off', 'currentValue']);
+        localClock.key = 'local';
+        localClock.currentValue.and.returnValue(1000);
+        openmct.time.addClock(localClock);
+        openmct.time.timeSystem('utc', {
+            start: 0,
+            end: 1000
+        });
+
+        provider = jasmine.createSpyObj('provider', [
+            'supportsSubscribe',
+            'subscribe',
+            'supportsRequest',
+            'request'
+        ]);
+        provider.supportsSubscribe.and.returnValue(true);
+        provider.subscribe.and.returnValue(() => {});
+        provider.supportsRequest.and.returnValue(true);
+        provider.request.and.returnValue(Promise.resolve([]));
+        openmct.telemetry.addProvider(provider);
+
+        domainObject = {
+            identifier: {
+                namespace: '',
+                key: 'a'
+            },
+            telemetry: {
+                values: [{
+                    key: 'utc',
+                    hints: {
+                        domain: 1
+                    }
+                }]
+            }
+        };
+
+        ReplayPlugin({
+            start: 0,
+            end: 100000
+        })(openmct);
+    });
+
+    afterEach(() => {
+        openmct.time.stopClock();
+    });
+
+    it('replays the subscriptions of views following the replay clock', () => {
+        openmct.telemetry.subscribe(domainObject, () => {}, {
+            timeContext: openmct.time
+        });
+        expect(provider.subscribe.calls.count()).toBe(1);
+
+        openmct.time.clock('replay', {
+            start: -1000,
+            end: 0
+        });
+
+        expect(provider.request).toHaveBeenCalled();
+    });
+
+    it('leaves views with an independent real-time context subscribed to live telemetry', () => {
+        const unsubscribeLive = jasmine.createSpy('unsubscribe');
+        const timeContext = openmct.time.addIndependentContext('layout/a', {
+            clock: 'local',
+            clockOffsets: {
+                start: -1000,
+                end: 0
+            }
+        });
+        provider.subscribe.and.returnValue(unsubscribeLive);
+        openmct.telemetry.subscribe(domainObject, () => {}, {
+            timeContext
+        });
+
+        openmct.time.clock('replay', {
+            start: -1000,
+            end: 0
+        });
+
+        expect(provider.subscribe.calls.count()).toBe(1);
+        expect(provider.subscribe.calls.mostRecent().args[2]).toEqual({});
+        expect(unsubscribeLive).not.toHaveBeenCalled();
+        expect(provider.request).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,148 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+export default class SendCommandAction {
+    constructor(openmct) {
+        this.name = 'Send Command';
+        this.key = 'sendCommand';
+        this.description = 'Send a command to the system this object represents.';
+        this.cssClass = 'icon-arrow-right';
+
+        this._openmct = openmct;
+    }
+
+    invoke(objectPath) {
+        let domainObject = objectPath[0];
+        let commands = this._openmct.commands.getCommands(domainObject);
+        let dialogService = this._openmct.$injector.get('dialogService');
+
+        return dialogService.getUserInput(this._getCommandForm(commands), {command: commands[0].key})
+            .then((input) => {
+                let command = commands.find(definition => definition.key === input.command);
+
+                return this._getArguments(dialogService, command)
+                    .then(args => this._confirm(domainObject, command).then(() => {
+                        return this._openmct.commands.send(domainObject, command.key, args);
+                    }));
+            })
+            .catch(() => {
+                // Cancelled by the user, or failed and already reported.
+            });
+    }
+
+    appliesTo(objectPath) {
+        return this._openmct.commands.supportsCommands(objectPath[0]);
+    }
+
+    _getCommandForm(commands) {
+        return {
+            name: 'Send Command',
+            sections: [
+                {
+                    rows: [
+                        {
+                            key: 'command',
+                            control: 'select',
+                            name: 'Command',
+                            required: true,
+                            options: commands.map(command => {
+                                return {
+                                    name: command.name,
+                                    value: command.key
+                                };
+                            })
+                        }
+                    ]
+                }
+            ]
+        };
+    }
+
+    _getArguments(dialogService, command) {
+        let commandArguments = command.arguments || [];
+
+        if (!commandArguments.length) {
+            return Promise.resolve({});
+        }
+
+        let defaults = commandArguments.reduce((values, argument) => {
+            values[argument.key] = argument.value;
+
+            return values;
+        }, {});
+
+        return dialogService.getUserInput({
+            name: command.name,
+            sections: [
+                {
+                    rows: commandArguments.map(argument => {
+                        let row = {
+                            key: argument.key,
+                            name: argument.unit ? `${argument.name} (${argument.unit})` : argument.name,
+                            required: true
+                        };
+
+                        if (argument.options) {
+                            row.control = 'select';
+                            row.options = argument.options;
+                        } else {
+                            row.control = 'numberfield';
+                        }
+
+                        return row;
+                    })
+                }
+            ]
+        }, defaults);
+    }
+
+    _confirm(domainObject, command) {
+        if (!command.hazardous) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            let dialog = this._openmct.overlays.dialog({
+                title: `Send ${command.name}`,
+                iconClass: 'alert',
+                message: `Warning! ${command.name} is a hazardous command. Are you sure you want to send it to ${domainObject.name}?`,
+                buttons: [
+                    {
+                        label: 'Send',
+                        emphasis: true,
+                        callback: () => {
+                            dialog.dismiss();
+                            resolve();
+                        }
+                    },
+                    {
+                        label: 'Cancel',
+                        callback: () => {
+                            dialog.dismiss();
+                            reject();
+                        }
+                    }
+                ]
+            });
+        });
+    }
+}
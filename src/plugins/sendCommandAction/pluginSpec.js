@@ -0,0 +1,151 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    createOpenMct,
+    resetApplicationState
+} from 'utils/testing';
+
+describe('the send command action', () => {
+    let openmct;
+    let sendCommandAction;
+    let provider;
+    let vehicle;
+    let mockDialogService;
+    let mockDialog;
+
+    beforeEach((done) => {
+        openmct = createOpenMct();
+
+        provider = jasmine.createSpyObj('provider', ['supportsCommands', 'getCommands', 'send']);
+        provider.supportsCommands.and.callFake(object => object.type === 'vehicle');
+        provider.getCommands.and.returnValue([
+            {
+                key: 'rtl',
+                name: 'Return'
+            },
+            {
+                key: 'takeoff',
+                name: 'Takeoff',
+                hazardous: true,
+                arguments: [{
+                    key: 'altitude',
+                    name: 'Altitude',
+                    unit: 'm',
+                    value: 10
+                }]
+            }
+        ]);
+        provider.send.and.returnValue(Promise.resolve());
+        openmct.commands.addProvider(provider);
+
+        vehicle = {
+            name: 'Vehicle',
+            type: 'vehicle',
+            identifier: {
+                namespace: '',
+                key: 'vehicle'
+            }
+        };
+
+        mockDialogService = jasmine.createSpyObj('dialogService', ['getUserInput']);
+        mockDialog = jasmine.createSpyObj('dialog', ['dismiss']);
+
+        openmct.on('start', done);
+        openmct.startHeadless();
+
+        sendCommandAction = openmct.contextMenu._allActions.find(action => action.key === 'sendCommand');
+        spyOn(openmct.$injector, 'get').and.returnValue(mockDialogService);
+        spyOn(openmct.overlays, 'dialog').and.returnValue(mockDialog);
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('applies to objects which commands can be sent for', () => {
+        expect(sendCommandAction.appliesTo([vehicle])).toBe(true);
+        expect(sendCommandAction.appliesTo([{type: 'folder'}])).toBe(false);
+    });
+
+    it('sends the command chosen by the user', () => {
+        mockDialogService.getUserInput.and.returnValue(Promise.resolve({command: 'rtl'}));
+
+        return sendCommandAction.invoke([vehicle]).then(() => {
+            const options = mockDialogService.getUserInput.calls.first().args[0].sections[0].rows[0].options;
+
+            expect(options.map(option => option.value)).toEqual(['rtl', 'takeoff']);
+            expect(openmct.overlays.dialog).not.toHaveBeenCalled();
+            expect(provider.send).toHaveBeenCalledWith(vehicle, jasmine.objectContaining({key: 'rtl'}), {}, jasmine.any(Function));
+        });
+    });
+
+    describe('for hazardous commands', () => {
+        beforeEach(() => {
+            mockDialogService.getUserInput.and.returnValues(
+                Promise.resolve({command: 'takeoff'}),
+                Promise.resolve({altitude: 20})
+            );
+            openmct.overlays.dialog.and.callFake((options) => {
+                Promise.resolve().then(() => {
+                    options.buttons.find(button => button.label === 'Send').callback();
+                });
+
+                return mockDialog;
+            });
+        });
+
+        it('asks for the values of its arguments', () => {
+            return sendCommandAction.invoke([vehicle]).then(() => {
+                const form = mockDialogService.getUserInput.calls.mostRecent().args[0];
+
+                expect(form.sections[0].rows[0].name).toBe('Altitude (m)');
+                expect(mockDialogService.getUserInput.calls.mostRecent().args[1]).toEqual({altitude: 10});
+            });
+        });
+
+        it('sends the command once the user confirms it', () => {
+            return sendCommandAction.invoke([vehicle]).then(() => {
+                expect(openmct.overlays.dialog).toHaveBeenCalled();
+                expect(provider.send).toHaveBeenCalledWith(
+                    vehicle,
+                    jasmine.objectContaining({key: 'takeoff'}),
+                    {altitude: 20},
+                    jasmine.any(Function)
+                );
+            });
+        });
+
+        it('does not send the command if the user cancels', () => {
+            openmct.overlays.dialog.and.callFake((options) => {
+                Promise.resolve().then(() => {
+                    options.buttons.find(button => button.label === 'Cancel').callback();
+                });
+
+                return mockDialog;
+            });
+
+            return sendCommandAction.invoke([vehicle]).then(() => {
+                expect(provider.send).not.toHaveBeenCalled();
+            });
+        });
+    });
+});
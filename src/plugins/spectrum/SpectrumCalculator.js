@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import spectrum from './spectrum';
+import spectrumText from 'raw-loader!./spectrum.js';
+import ModuleWorker from '../../utils/ModuleWorker';
+
+// Run in the worker, so must not depend on anything outside itself.
+function getBuffers(result) {
+    return result.frames.map(function (frame) {
+        return frame.amplitudes.buffer;
+    }).concat(result.average ? [result.average.buffer] : []);
+}
+
+/**
+ * Computes spectra in a Web Worker, so that long series of high-rate
+ * telemetry do not block the user interface. Computes them on the main
+ * thread instead where workers are unavailable.
+ */
+export default class SpectrumCalculator {
+    constructor() {
+        this.worker = new ModuleWorker(spectrumText, spectrum, {
+            functionName: 'computeSpectrum',
+            getTransfers: getBuffers
+        });
+    }
+
+    /**
+     * Compute the spectrum of telemetry. The buffers of `times` and
+     * `values` are transferred to the worker, so must not be used
+     * afterwards.
+     *
+     * @param {Float64Array} times the time of each sample, in milliseconds,
+     *        in ascending order
+     * @param {Float64Array} values the value of each sample
+     * @param {Object} options spectrum options; see `computeSpectrum`
+     * @returns {Promise<Object>} a promise for the spectrum, rejected if it
+     *          could not be computed
+     */
+    compute(times, values, options) {
+        return this.worker.call([times, values, options], [times.buffer, values.buffer]);
+    }
+
+    destroy() {
+        this.worker.destroy(new Error('Spectrum calculator destroyed'));
+    }
+}
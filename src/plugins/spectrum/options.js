@@ -0,0 +1,65 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import spectrum from './spectrum';
+
+export const WINDOW_SIZES = [64, 128, 256, 512, 1024, 2048, 4096];
+export const WINDOW_TYPES = spectrum.WINDOW_TYPES;
+export const OVERLAPS = [0, 0.25, 0.5, 0.75];
+export const DISPLAYS = ['magnitude', 'spectrogram'];
+
+const DEFAULTS = {
+    size: 256,
+    window: 'hann',
+    overlap: 0.5,
+    display: 'magnitude'
+};
+
+/**
+ * The values whose spectra may be shown: numeric range values.
+ *
+ * @param {TelemetryMetadataManager} metadata
+ * @returns {Array<Object>} value metadata
+ */
+export function getSpectrumValues(metadata) {
+    return metadata.valuesForHints(['range'])
+        .filter(value => value.format !== 'string' && value.format !== 'enum');
+}
+
+/**
+ * The options of a spectrum view, from those saved with the telemetry
+ * object, or defaults where those are missing or invalid.
+ *
+ * @param {Object} [saved] the `configuration.spectrum` of the telemetry
+ *        object
+ * @returns {Object} the `key` of the value to transform, the window
+ *          `size`, `window` type and `overlap` between windows, and the
+ *          `display`: `magnitude` or `spectrogram`
+ */
+export function getSpectrumOptions(saved = {}) {
+    return {
+        key: saved.key,
+        size: WINDOW_SIZES.includes(saved.size) ? saved.size : DEFAULTS.size,
+        window: WINDOW_TYPES.includes(saved.window) ? saved.window : DEFAULTS.window,
+        overlap: OVERLAPS.includes(saved.overlap) ? saved.overlap : DEFAULTS.overlap,
+        display: DISPLAYS.includes(saved.display) ? saved.display : DEFAULTS.display
+    };
+}
@@ -0,0 +1,168 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import SpectrumPlugin from './plugin';
+import Vue from 'vue';
+import {
+    createOpenMct,
+    getMockTelemetryObject,
+    resetApplicationState
+} from 'utils/testing';
+
+describe('The Spectrum plugin', () => {
+    let openmct;
+    let accelerometer;
+    let statusObject;
+
+    function waitFor(predicate) {
+        return new Promise((resolve) => {
+            function check() {
+                if (predicate()) {
+                    resolve();
+                } else {
+                    setTimeout(check, 50);
+                }
+            }
+
+            check();
+        });
+    }
+
+    beforeEach((done) => {
+        accelerometer = getMockTelemetryObject('accelerometer', [
+            {
+                key: 'x',
+                name: 'X Acceleration',
+                units: 'm/s^2',
+                hints: {
+                    range: 1
+                }
+            },
+            {
+                key: 'mode',
+                name: 'Mode',
+                format: 'string',
+                hints: {
+                    range: 2
+                }
+            }
+        ]);
+        statusObject = getMockTelemetryObject('status', [
+            {
+                key: 'state',
+                name: 'State',
+                format: 'enum',
+                enumerations: [],
+                hints: {
+                    range: 1
+                }
+            }
+        ]);
+
+        openmct = createOpenMct();
+        openmct.install(SpectrumPlugin());
+        openmct.time.bounds({
+            start: 0,
+            end: 10000
+        });
+        openmct.on('start', done);
+        openmct.startHeadless();
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('provides a view for telemetry with numeric values only', () => {
+        expect(openmct.objectViews.get(accelerometer).map(provider => provider.key)).toContain('spectrum');
+        expect(openmct.objectViews.get(statusObject).map(provider => provider.key)).not.toContain('spectrum');
+    });
+
+    describe('the spectrum view', () => {
+        let element;
+        let view;
+
+        beforeEach(() => {
+            spyOn(openmct.telemetry, 'request').and.callFake(() => {
+                const data = [];
+
+                // A 10 Hz sinusoid, sampled at 100 Hz.
+                for (let index = 0; index < 500; index++) {
+                    data.push({
+                        utc: index * 10,
+                        x: Math.sin(2 * Math.PI * index / 10),
+                        mode: 'hover'
+                    });
+                }
+
+                return Promise.resolve(data);
+            });
+
+            element = document.createElement('div');
+            element.style.width = '400px';
+            element.style.height = '300px';
+            document.body.appendChild(element);
+
+            const provider = openmct.objectViews.get(accelerometer).find(candidate => candidate.key === 'spectrum');
+            view = provider.view(accelerometer, [accelerometer]);
+            view.show(element);
+
+            return waitFor(() => element.querySelector('.c-spectrum__message') === null).then(Vue.nextTick);
+        });
+
+        afterEach(() => {
+            view.destroy();
+            element.remove();
+        });
+
+        it('requests telemetry for the current bounds', () => {
+            expect(openmct.telemetry.request).toHaveBeenCalledWith(accelerometer, jasmine.objectContaining({
+                start: 0,
+                end: 10000
+            }));
+        });
+
+        it('shows the sample rate and frequency resolution', () => {
+            expect(element.querySelector('.c-spectrum__resolution').textContent)
+                .toContain('100 Hz sampling, 0.390625 Hz resolution');
+        });
+
+        it('plots amplitude against frequency up to the Nyquist frequency', () => {
+            const labels = [...element.querySelectorAll('.c-spectrum__axis-label')].map(label => label.textContent.trim());
+            const xTicks = [...element.querySelectorAll('.c-spectrum__axis--x .c-spectrum__tick')]
+                .map(tick => Number(tick.textContent));
+
+            expect(labels).toContain('Frequency (Hz)');
+            expect(labels).toContain('X Acceleration (m/s^2)');
+            expect(Math.max(...xTicks)).toBe(50);
+        });
+
+        it('saves options with the telemetry object', () => {
+            const select = [...element.querySelectorAll('.c-spectrum__control select')]
+                .find(candidate => [...candidate.options].some(option => option.value === 'spectrogram'));
+
+            select.value = 'spectrogram';
+            select.dispatchEvent(new Event('change'));
+
+            expect(accelerometer.configuration.spectrum.display).toBe('spectrogram');
+        });
+    });
+});
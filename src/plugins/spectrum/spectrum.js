@@ -0,0 +1,284 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define([], function () {
+
+    const WINDOWS = {
+        hann: function (index, size) {
+            return 0.5 - 0.5 * Math.cos(2 * Math.PI * index / (size - 1));
+        },
+        hamming: function (index, size) {
+            return 0.54 - 0.46 * Math.cos(2 * Math.PI * index / (size - 1));
+        },
+        rectangular: function () {
+            return 1;
+        }
+    };
+
+    function isPowerOfTwo(size) {
+        /* eslint-disable-next-line no-bitwise */
+        return size > 1 && Math.floor(size) === size && (size & (size - 1)) === 0;
+    }
+
+    /**
+     * @param {string} type `hann`, `hamming` or `rectangular`
+     * @param {number} size the number of samples in the window
+     * @returns {Float64Array} the coefficient for each sample
+     */
+    function getWindow(type, size) {
+        const windowFunction = WINDOWS[type];
+        const coefficients = new Float64Array(size);
+
+        if (!windowFunction) {
+            throw new Error('Unknown window type: ' + type);
+        }
+
+        for (let index = 0; index < size; index++) {
+            coefficients[index] = windowFunction(index, size);
+        }
+
+        return coefficients;
+    }
+
+    /**
+     * Transform complex values in place with a radix-2 fast Fourier
+     * transform.
+     *
+     * @param {Float64Array} real the real parts, whose length must be a
+     *        power of two
+     * @param {Float64Array} imaginary the imaginary parts
+     */
+    function fft(real, imaginary) {
+        const size = real.length;
+        let swap;
+
+        /* eslint-disable no-bitwise */
+        // Reorder values by the bit-reversal of their indices...
+        for (let index = 1, reversed = 0; index < size; index++) {
+            let bit = size >> 1;
+
+            for (; reversed & bit; bit >>= 1) {
+                reversed ^= bit;
+            }
+
+            reversed ^= bit;
+
+            if (index < reversed) {
+                swap = real[index];
+                real[index] = real[reversed];
+                real[reversed] = swap;
+                swap = imaginary[index];
+                imaginary[index] = imaginary[reversed];
+                imaginary[reversed] = swap;
+            }
+        }
+
+        // ...then combine transforms of increasing length.
+        for (let length = 2; length <= size; length <<= 1) {
+            const half = length >> 1;
+            const angle = -2 * Math.PI / length;
+            const stepReal = Math.cos(angle);
+            const stepImaginary = Math.sin(angle);
+
+            for (let start = 0; start < size; start += length) {
+                let twiddleReal = 1;
+                let twiddleImaginary = 0;
+
+                for (let offset = 0; offset < half; offset++) {
+                    const even = start + offset;
+                    const odd = even + half;
+                    const oddReal = real[odd] * twiddleReal - imaginary[odd] * twiddleImaginary;
+                    const oddImaginary = real[odd] * twiddleImaginary + imaginary[odd] * twiddleReal;
+                    const nextTwiddleReal = twiddleReal * stepReal - twiddleImaginary * stepImaginary;
+
+                    real[odd] = real[even] - oddReal;
+                    imaginary[odd] = imaginary[even] - oddImaginary;
+                    real[even] += oddReal;
+                    imaginary[even] += oddImaginary;
+
+                    twiddleImaginary = twiddleReal * stepImaginary + twiddleImaginary * stepReal;
+                    twiddleReal = nextTwiddleReal;
+                }
+            }
+        }
+        /* eslint-enable no-bitwise */
+    }
+
+    /**
+     * The single-sided amplitude spectrum of one segment of samples, with
+     * the mean of the segment removed, so that a sinusoid of amplitude A
+     * at the frequency of a bin has an amplitude of A in that bin.
+     *
+     * @param {ArrayLike<number>} values the samples
+     * @param {number} offset the index of the first sample in the segment
+     * @param {Float64Array} windowCoefficients the window, whose length
+     *        is the number of samples in the segment
+     * @returns {Float32Array} the amplitude of each frequency bin, from
+     *          zero to the Nyquist frequency
+     */
+    function getAmplitudes(values, offset, windowCoefficients) {
+        const size = windowCoefficients.length;
+        const real = new Float64Array(size);
+        const imaginary = new Float64Array(size);
+        const amplitudes = new Float32Array(size / 2 + 1);
+        let mean = 0;
+        let gain = 0;
+
+        for (let index = 0; index < size; index++) {
+            mean += values[offset + index];
+            gain += windowCoefficients[index];
+        }
+
+        mean /= size;
+
+        for (let index = 0; index < size; index++) {
+            real[index] = (values[offset + index] - mean) * windowCoefficients[index];
+        }
+
+        fft(real, imaginary);
+
+        for (let bin = 0; bin < amplitudes.length; bin++) {
+            const scale = (bin === 0 || bin === size / 2) ? 1 : 2;
+
+            amplitudes[bin] = scale * Math.sqrt(real[bin] * real[bin] + imaginary[bin] * imaginary[bin]) / gain;
+        }
+
+        return amplitudes;
+    }
+
+    /**
+     * The sample rate, from the median interval between samples, so that
+     * gaps in telemetry do not affect it.
+     *
+     * @param {ArrayLike<number>} times the time of each sample, in
+     *        milliseconds, in ascending order
+     * @returns {number|undefined} the sample rate in Hertz
+     */
+    function getSampleRate(times) {
+        const intervals = [];
+
+        for (let index = 1; index < times.length; index++) {
+            intervals.push(times[index] - times[index - 1]);
+        }
+
+        intervals.sort(function (a, b) {
+            return a - b;
+        });
+
+        const median = intervals[Math.floor(intervals.length / 2)];
+
+        return median > 0 ? 1000 / median : undefined;
+    }
+
+    /**
+     * Compute the spectrum of telemetry over a series of overlapping
+     * segments. The last segment ends with the latest sample, and there is
+     * a frame for each segment; where there would be more than `maxFrames`
+     * segments, they overlap less, or are spaced apart.
+     *
+     * This is also run in a Web Worker, so must not depend on anything
+     * outside of itself.
+     *
+     * @param {ArrayLike<number>} times the time of each sample, in
+     *        milliseconds, in ascending order
+     * @param {ArrayLike<number>} values the value of each sample
+     * @param {object} options
+     * @param {number} options.size the number of samples in each segment,
+     *        which must be a power of two
+     * @param {string} options.window the window type; see `getWindow`
+     * @param {number} options.overlap the fraction of each segment which
+     *        overlaps the next, from 0 to less than 1
+     * @param {boolean} [options.frames] true to return the spectrum of
+     *        each segment, as well as the average
+     * @param {number} [options.maxFrames] the maximum number of segments
+     * @returns {object} the `sampleRate` and `binWidth` in Hertz, the
+     *          root mean square `average` of the amplitudes of each
+     *          segment, and if requested, the `frames`, each with the
+     *          `start` and `end` time of its segment and its `amplitudes`
+     */
+    function computeSpectrum(times, values, options) {
+        const size = options.size;
+        const count = values.length;
+        const sampleRate = getSampleRate(times);
+        const result = {
+            sampleRate: sampleRate,
+            binWidth: sampleRate / size,
+            average: undefined,
+            frames: []
+        };
+
+        if (!isPowerOfTwo(size)) {
+            throw new Error('Spectrum size must be a power of two: ' + size);
+        }
+
+        if (count < size || sampleRate === undefined) {
+            return result;
+        }
+
+        const windowCoefficients = getWindow(options.window, size);
+        const overlap = Math.min(Math.max(options.overlap || 0, 0), 0.99);
+        let step = Math.max(1, Math.round(size * (1 - overlap)));
+        let segments = Math.floor((count - size) / step) + 1;
+
+        if (options.maxFrames > 0 && segments > options.maxFrames) {
+            step = Math.ceil((count - size + 1) / options.maxFrames);
+            segments = Math.floor((count - size) / step) + 1;
+        }
+
+        const sumOfSquares = new Float64Array(size / 2 + 1);
+
+        for (let segment = 0; segment < segments; segment++) {
+            const offset = count - size - (segments - 1 - segment) * step;
+            const amplitudes = getAmplitudes(values, offset, windowCoefficients);
+
+            for (let bin = 0; bin < amplitudes.length; bin++) {
+                sumOfSquares[bin] += amplitudes[bin] * amplitudes[bin];
+            }
+
+            if (options.frames) {
+                result.frames.push({
+                    start: times[offset],
+                    end: times[offset + size - 1],
+                    amplitudes: amplitudes
+                });
+            }
+        }
+
+        result.average = new Float32Array(sumOfSquares.length);
+
+        for (let bin = 0; bin < sumOfSquares.length; bin++) {
+            result.average[bin] = Math.sqrt(sumOfSquares[bin] / segments);
+        }
+
+        return result;
+    }
+
+    return {
+        WINDOW_TYPES: Object.keys(WINDOWS),
+        isPowerOfTwo: isPowerOfTwo,
+        getWindow: getWindow,
+        fft: fft,
+        getAmplitudes: getAmplitudes,
+        getSampleRate: getSampleRate,
+        computeSpectrum: computeSpectrum
+    };
+});
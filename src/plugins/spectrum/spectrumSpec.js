@@ -0,0 +1,125 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import spectrum from './spectrum';
+
+describe('The spectrum computation', () => {
+    const SAMPLE_RATE = 100;
+
+    function sample(count, signal) {
+        const times = new Float64Array(count);
+        const values = new Float64Array(count);
+
+        for (let index = 0; index < count; index++) {
+            times[index] = 1000 * index / SAMPLE_RATE;
+            values[index] = signal(times[index] / 1000);
+        }
+
+        return {
+            times,
+            values
+        };
+    }
+
+    function peakBin(amplitudes) {
+        return amplitudes.indexOf(Math.max(...amplitudes));
+    }
+
+    it('transforms an impulse to a flat spectrum', () => {
+        const real = new Float64Array([1, 0, 0, 0, 0, 0, 0, 0]);
+        const imaginary = new Float64Array(8);
+
+        spectrum.fft(real, imaginary);
+
+        real.forEach(value => expect(value).toBeCloseTo(1, 10));
+        imaginary.forEach(value => expect(value).toBeCloseTo(0, 10));
+    });
+
+    it('finds the amplitude and frequency of a sinusoid', () => {
+        // 12.5 Hz is at the center of bin 32 of 256 at 100 Hz.
+        const samples = sample(256, time => 10 + 3 * Math.sin(2 * Math.PI * 12.5 * time));
+        const amplitudes = spectrum.getAmplitudes(samples.values, 0, spectrum.getWindow('rectangular', 256));
+
+        expect(peakBin(amplitudes)).toBe(32);
+        expect(amplitudes[32]).toBeCloseTo(3, 5);
+        // The mean is removed.
+        expect(amplitudes[0]).toBeCloseTo(0, 5);
+    });
+
+    it('estimates the sample rate from the median interval', () => {
+        const times = [0, 10, 20, 30, 1000, 1010, 1020];
+
+        expect(spectrum.getSampleRate(times)).toBe(100);
+        expect(spectrum.getSampleRate([0])).toBeUndefined();
+    });
+
+    it('computes overlapping segments ending with the latest sample', () => {
+        const samples = sample(1000, time => Math.sin(2 * Math.PI * 20 * time));
+        const result = spectrum.computeSpectrum(samples.times, samples.values, {
+            size: 128,
+            window: 'hann',
+            overlap: 0.5,
+            frames: true
+        });
+
+        expect(result.sampleRate).toBe(SAMPLE_RATE);
+        expect(result.binWidth).toBe(SAMPLE_RATE / 128);
+        expect(result.frames.length).toBe(14);
+        expect(result.frames[result.frames.length - 1].end).toBe(samples.times[999]);
+        expect(result.frames[1].start - result.frames[0].start).toBe(640);
+        expect(result.average.length).toBe(65);
+        expect(peakBin(result.average) * result.binWidth).toBeCloseTo(20, 0);
+    });
+
+    it('spaces segments apart to limit the number of frames', () => {
+        const samples = sample(1000, time => Math.sin(2 * Math.PI * 20 * time));
+        const result = spectrum.computeSpectrum(samples.times, samples.values, {
+            size: 64,
+            window: 'hamming',
+            overlap: 0.75,
+            frames: true,
+            maxFrames: 10
+        });
+
+        expect(result.frames.length).toBe(10);
+    });
+
+    it('computes nothing until there are enough samples', () => {
+        const samples = sample(100, time => time);
+        const result = spectrum.computeSpectrum(samples.times, samples.values, {
+            size: 128,
+            window: 'hann',
+            overlap: 0
+        });
+
+        expect(result.average).toBeUndefined();
+        expect(result.frames).toEqual([]);
+    });
+
+    it('requires a power of two segment size', () => {
+        const samples = sample(100, time => time);
+
+        expect(() => spectrum.computeSpectrum(samples.times, samples.values, {
+            size: 50,
+            window: 'hann'
+        })).toThrow();
+    });
+});
@@ -130,7 +130,11 @@ define ([
         this.telemetryTypesById[objectId] = {};
         Object.values(this.telemetryMetadataById[objectId]).forEach(function (valueMetadata) {
             let type;
-            if (valueMetadata.enumerations !== undefined) {
+            // Bitmask values carry their flags as enumerations, but are
+            // compared as the numbers they are.
+            if (valueMetadata.format === 'bitmask') {
+                type = 'number';
+            } else if (valueMetadata.enumerations !== undefined) {
                 type = 'enum';
             } else if (Object.prototype.hasOwnProperty.call(valueMetadata.hints, 'range')) {
                 type = 'number';
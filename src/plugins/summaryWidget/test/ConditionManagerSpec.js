@@ -328,6 +328,34 @@ define(['../src/ConditionManager'], function (ConditionManager) {
             expect(metadataCallbackSpy).toHaveBeenCalled();
         });
 
+        it('treats bitmask telemetry properties as numbers', function () {
+            conditionManager.telemetryMetadataById.mockBitmaskObject = {
+                flags: {
+                    key: 'flags',
+                    name: 'Flags',
+                    format: 'bitmask',
+                    enumerations: [
+                        {
+                            value: 1,
+                            string: 'FLAG_A'
+                        },
+                        {
+                            value: 2,
+                            string: 'FLAG_B'
+                        }
+                    ],
+                    hints: {}
+                }
+            };
+            conditionManager.parsePropertyTypes({
+                identifier: {
+                    key: 'mockBitmaskObject'
+                }
+            });
+            expect(conditionManager.getTelemetryPropertyType('mockBitmaskObject', 'flags'))
+                .toEqual('number');
+        });
+
         it('responds to a composition add event and invokes the appropriate handlers', function () {
             mockComposition.triggerCallback('add', mockCompObject3);
             expect(addCallbackSpy).toHaveBeenCalledWith(mockCompObject3);
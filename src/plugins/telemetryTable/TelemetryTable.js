@@ -25,6 +25,7 @@ define([
     'lodash',
     './collections/BoundedTableRowCollection',
     './collections/FilteredTableRowCollection',
+    './collections/GroupedTableRowCollection',
     './TelemetryTableRow',
     './TelemetryTableColumn',
     './TelemetryTableUnitColumn',
@@ -34,18 +35,19 @@ define([
     _,
     BoundedTableRowCollection,
     FilteredTableRowCollection,
+    GroupedTableRowCollection,
     TelemetryTableRow,
     TelemetryTableColumn,
     TelemetryTableUnitColumn,
     TelemetryTableConfiguration
 ) {
     class TelemetryTable extends EventEmitter {
-        constructor(domainObject, openmct) {
+        constructor(domainObject, openmct, objectPath) {
             super();
 
             this.domainObject = domainObject;
             this.openmct = openmct;
-            this.rowCount = 100;
+            this.timeContext = openmct.time.getContextForView(objectPath);
             this.subscriptions = {};
             this.tableComposition = undefined;
             this.telemetryObjects = [];
@@ -54,6 +56,8 @@ define([
             this.configuration = new TelemetryTableConfiguration(domainObject, openmct);
             this.paused = false;
             this.keyString = this.openmct.objects.makeKeyString(this.domainObject.identifier);
+            this.annotations = [];
+            this.annotatedPointRows = undefined;
 
             this.addTelemetryObject = this.addTelemetryObject.bind(this);
             this.removeTelemetryObject = this.removeTelemetryObject.bind(this);
@@ -62,13 +66,21 @@ define([
             this.requestDataFor = this.requestDataFor.bind(this);
             this.updateFilters = this.updateFilters.bind(this);
             this.buildOptionsFromConfiguration = this.buildOptionsFromConfiguration.bind(this);
+            this.loadAnnotations = this.loadAnnotations.bind(this);
+            this.clearAnnotatedPointRows = this.clearAnnotatedPointRows.bind(this);
+            this.updateRowLimit = this.updateRowLimit.bind(this);
+            this.updateGrouping = this.updateGrouping.bind(this);
 
             this.filterObserver = undefined;
 
             this.createTableRowCollections();
 
-            openmct.time.on('bounds', this.refreshData);
-            openmct.time.on('timeSystem', this.refreshData);
+            this.timeContext.on('bounds', this.refreshData);
+            this.timeContext.on('timeSystem', this.refreshData);
+            openmct.annotations.on('change', this.loadAnnotations);
+            this.timeContext.on('clock', this.updateRowLimit);
+            this.configuration.on('change', this.updateRowLimit);
+            this.configuration.on('change', this.updateGrouping);
         }
 
         initialize() {
@@ -81,18 +93,44 @@ define([
         }
 
         createTableRowCollections() {
-            this.boundedRows = new BoundedTableRowCollection(this.openmct);
+            this.boundedRows = new BoundedTableRowCollection(this.openmct, this.timeContext);
             this.filteredRows = new FilteredTableRowCollection(this.boundedRows);
 
+            this.boundedRows.on('add', this.clearAnnotatedPointRows);
+            this.boundedRows.on('remove', this.clearAnnotatedPointRows);
+
             //Fetch any persisted default sort
             let sortOptions = this.configuration.getConfiguration().sortOptions;
 
             //If no persisted sort order, default to sorting by time system, ascending.
             sortOptions = sortOptions || {
-                key: this.openmct.time.timeSystem().key,
+                key: this.timeContext.timeSystem().key,
                 direction: 'asc'
             };
             this.filteredRows.sortBy(sortOptions);
+            this.updateRowLimit();
+
+            this.groupedRows = new GroupedTableRowCollection(this);
+            this.updateGrouping();
+        }
+
+        /**
+         * Retained rows are only limited in real-time mode. In fixed time mode
+         * all rows within the time bounds are retained.
+         * @private
+         */
+        updateRowLimit() {
+            let rowLimit = this.configuration.getConfiguration().rowLimit;
+            let isRealTime = this.timeContext.clock() !== undefined;
+
+            this.boundedRows.setRowLimit(isRealTime ? rowLimit : undefined);
+        }
+
+        /**
+         * @private
+         */
+        updateGrouping() {
+            this.groupedRows.setGrouping(this.configuration.getGrouping());
         }
 
         loadComposition() {
@@ -114,6 +152,7 @@ define([
             this.requestDataFor(telemetryObject);
             this.subscribeTo(telemetryObject);
             this.telemetryObjects.push(telemetryObject);
+            this.loadAnnotations();
 
             this.emit('object-added', telemetryObject);
         }
@@ -133,13 +172,18 @@ define([
             this.boundedRows.removeAllRowsForObject(keyString);
             this.unsubscribe(keyString);
             this.telemetryObjects = this.telemetryObjects.filter((object) => !_.eq(objectIdentifier, object.identifier));
+            this.loadAnnotations();
 
             this.emit('object-removed', objectIdentifier);
         }
 
         requestDataFor(telemetryObject) {
             this.incrementOutstandingRequests();
-            let requestOptions = this.buildOptionsFromConfiguration(telemetryObject);
+            let bounds = this.timeContext.bounds();
+            let requestOptions = Object.assign({
+                start: bounds.start,
+                end: bounds.end
+            }, this.buildOptionsFromConfiguration(telemetryObject));
 
             return this.openmct.telemetry.request(telemetryObject, requestOptions)
                 .then(telemetryData => {
@@ -189,7 +233,7 @@ define([
             if (!isTick && this.outstandingRequests === 0) {
                 this.filteredRows.clear();
                 this.boundedRows.clear();
-                this.boundedRows.sortByTimeSystem(this.openmct.time.timeSystem());
+                this.boundedRows.sortByTimeSystem(this.timeContext.timeSystem());
                 this.telemetryObjects.forEach(this.requestDataFor);
             }
         }
@@ -232,7 +276,9 @@ define([
         }
 
         subscribeTo(telemetryObject) {
-            let subscribeOptions = this.buildOptionsFromConfiguration(telemetryObject);
+            let subscribeOptions = Object.assign({
+                timeContext: this.timeContext
+            }, this.buildOptionsFromConfiguration(telemetryObject));
             let keyString = this.openmct.objects.makeKeyString(telemetryObject.identifier);
             let columnMap = this.getColumnMapForObject(keyString);
             let limitEvaluator = this.openmct.telemetry.limitEvaluator(telemetryObject);
@@ -259,16 +305,136 @@ define([
         }
 
         processDatumCache() {
-            this.datumCache.forEach(cachedDatum => {
-                this.processRealtimeDatum(cachedDatum.datum, cachedDatum.columnMap, cachedDatum.keyString, cachedDatum.limitEvaluator);
+            let telemetryRows = this.datumCache.map(cachedDatum => {
+                return new TelemetryTableRow(cachedDatum.datum, cachedDatum.columnMap, cachedDatum.keyString, cachedDatum.limitEvaluator);
             });
+
             this.datumCache = [];
+            this.boundedRows.add(telemetryRows);
         }
 
         processRealtimeDatum(datum, columnMap, keyString, limitEvaluator) {
             this.boundedRows.add(new TelemetryTableRow(datum, columnMap, keyString, limitEvaluator));
         }
 
+        loadAnnotations() {
+            let targets = this.telemetryObjects.map(object => this.openmct.objects.makeKeyString(object.identifier));
+
+            return this.openmct.annotations.get(targets).then(annotations => {
+                this.annotations = annotations;
+                this.clearAnnotatedPointRows();
+                this.emit('annotations', annotations);
+            });
+        }
+
+        /**
+         * Get the annotations marked on a row: spans of time which contain
+         * the row's time, and points in time for which the row is the first
+         * of its telemetry object at or after the point.
+         */
+        getRowAnnotations(row) {
+            if (!this.annotations.length) {
+                return [];
+            }
+
+            let timeSystemKey = this.timeContext.timeSystem().key;
+            let time = this.boundedRows.getValueForSortColumn(row);
+            let spans = this.annotations.filter(annotation => annotation.timeSystem === timeSystemKey
+                && annotation.end > annotation.start
+                && annotation.targets.includes(row.objectKeyString)
+                && time >= annotation.start
+                && time <= annotation.end);
+
+            return spans.concat(this.getAnnotatedPointRows().get(row) || []);
+        }
+
+        /**
+         * @private
+         */
+        getAnnotatedPointRows() {
+            if (this.annotatedPointRows) {
+                return this.annotatedPointRows;
+            }
+
+            let timeSystemKey = this.timeContext.timeSystem().key;
+            let rows = this.boundedRows.getRows();
+
+            this.annotatedPointRows = new Map();
+            this.annotations
+                .filter(annotation => annotation.timeSystem === timeSystemKey && annotation.end === annotation.start)
+                .forEach(annotation => {
+                    let firstIndex = this.findFirstRowAtOrAfter(rows, annotation.start);
+
+                    annotation.targets.forEach(target => {
+                        for (let i = firstIndex; i < rows.length; i++) {
+                            if (rows[i].objectKeyString === target) {
+                                let rowAnnotations = this.annotatedPointRows.get(rows[i]) || [];
+                                this.annotatedPointRows.set(rows[i], rowAnnotations.concat(annotation));
+                                break;
+                            }
+                        }
+                    });
+                });
+
+            return this.annotatedPointRows;
+        }
+
+        /**
+         * Binary search of rows sorted by time.
+         * @private
+         */
+        findFirstRowAtOrAfter(rows, time) {
+            let low = 0;
+            let high = rows.length;
+
+            while (low < high) {
+                let middle = Math.floor((low + high) / 2);
+
+                if (this.boundedRows.getValueForSortColumn(rows[middle]) < time) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+
+            return low;
+        }
+
+        /**
+         * Find the row closest in time to the given time. Rows need not be
+         * sorted by time, and group header rows are ignored.
+         * @param {Array} rows the rows to search, as displayed
+         * @param {number} time the time to look for
+         * @returns {number} the index of the nearest row, or -1 if there
+         *          are no telemetry rows
+         */
+        findRowNearestTo(rows, time) {
+            let nearestIndex = -1;
+            let nearestDistance = Number.POSITIVE_INFINITY;
+
+            rows.forEach((row, index) => {
+                if (row.isGroup) {
+                    return;
+                }
+
+                let distance = Math.abs(this.boundedRows.getValueForSortColumn(row) - time);
+
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearestIndex = index;
+                }
+            });
+
+            return nearestIndex;
+        }
+
+        /**
+         * @private
+         */
+        clearAnnotatedPointRows() {
+            this.annotatedPointRows = undefined;
+        }
+
         isTelemetryObject(domainObject) {
             return Object.prototype.hasOwnProperty.call(domainObject, 'telemetry');
         }
@@ -311,9 +477,14 @@ define([
         destroy() {
             this.boundedRows.destroy();
             this.filteredRows.destroy();
+            this.groupedRows.destroy();
             Object.keys(this.subscriptions).forEach(this.unsubscribe, this);
-            this.openmct.time.off('bounds', this.refreshData);
-            this.openmct.time.off('timeSystem', this.refreshData);
+            this.timeContext.off('bounds', this.refreshData);
+            this.timeContext.off('timeSystem', this.refreshData);
+            this.openmct.annotations.off('change', this.loadAnnotations);
+            this.timeContext.off('clock', this.updateRowLimit);
+            this.configuration.off('change', this.updateRowLimit);
+            this.configuration.off('change', this.updateGrouping);
 
             if (this.filterObserver) {
                 this.filterObserver();
@@ -48,6 +48,8 @@ define([
             configuration.columnOrder = configuration.columnOrder || [];
             configuration.cellFormat = configuration.cellFormat || {};
             configuration.autosize = configuration.autosize === undefined ? true : configuration.autosize;
+            configuration.grouping = configuration.grouping || {};
+            configuration.grouping.aggregates = configuration.grouping.aggregates || {};
 
             return configuration;
         }
@@ -90,6 +92,18 @@ define([
                 //There may be more than one column with the same key (eg. time system columns)
                 if (!this.hasColumnWithKey(column.getKey())) {
                     delete configuration.hiddenColumns[column.getKey()];
+
+                    if (configuration.grouping) {
+                        if (configuration.grouping.aggregates) {
+                            delete configuration.grouping.aggregates[column.getKey()];
+                        }
+
+                        if (configuration.grouping.columnKey === column.getKey()) {
+                            delete configuration.grouping.groupBy;
+                            delete configuration.grouping.columnKey;
+                        }
+                    }
+
                     configurationChanged = true;
                 }
             });
@@ -164,6 +178,12 @@ define([
             this.updateConfiguration(configuration);
         }
 
+        getGrouping() {
+            let configuration = this.getConfiguration();
+
+            return configuration.grouping;
+        }
+
         destroy() {
             this.unlistenFromMutation();
         }
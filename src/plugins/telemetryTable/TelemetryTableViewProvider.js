@@ -52,7 +52,7 @@ define([
                 return domainObject.type === 'table';
             },
             view(domainObject, objectPath) {
-                let table = new TelemetryTable(domainObject, openmct);
+                let table = new TelemetryTable(domainObject, openmct, objectPath);
                 let component;
 
                 let markingProp = {
@@ -31,18 +31,19 @@ define(
     ) {
 
         class BoundedTableRowCollection extends SortedTableRowCollection {
-            constructor(openmct) {
+            constructor(openmct, timeContext = openmct.time) {
                 super();
 
                 this.futureBuffer = new SortedTableRowCollection();
                 this.openmct = openmct;
+                this.timeContext = timeContext;
 
                 this.sortByTimeSystem = this.sortByTimeSystem.bind(this);
                 this.bounds = this.bounds.bind(this);
 
-                this.sortByTimeSystem(openmct.time.timeSystem());
+                this.sortByTimeSystem(timeContext.timeSystem());
 
-                this.lastBounds = openmct.time.bounds();
+                this.lastBounds = timeContext.bounds();
 
                 this.subscribeToBounds();
             }
@@ -64,17 +65,63 @@ define(
                 return false;
             }
 
-            sortByTimeSystem(timeSystem) {
-                this.sortBy({
-                    key: timeSystem.key,
-                    direction: 'asc'
+            addMany(rows) {
+                let inBounds = [];
+                let afterEndOfBounds = [];
+
+                rows.forEach(row => {
+                    let parsedValue = this.getValueForSortColumn(row);
+
+                    if (parsedValue > this.lastBounds.end) {
+                        afterEndOfBounds.push(row);
+                    } else if (!(parsedValue < this.lastBounds.start)) {
+                        inBounds.push(row);
+                    }
                 });
+
+                this.futureBuffer.addMany(afterEndOfBounds);
+
+                return super.addMany(inBounds);
+            }
+
+            add(rows) {
+                super.add(rows);
+                this.discardRowsOverLimit();
+            }
+
+            /**
+             * Limit the number of rows retained. When the limit is exceeded
+             * the oldest rows are discarded.
+             * @param {number} [rowLimit] the maximum number of rows to retain,
+             * or undefined for no limit
+             */
+            setRowLimit(rowLimit) {
+                this.rowLimit = rowLimit;
+                this.discardRowsOverLimit();
+            }
+
+            /**
+             * @private
+             */
+            discardRowsOverLimit() {
+                if (this.rowLimit > 0 && this.rows.length > this.rowLimit) {
+                    let discarded = this.rows.splice(0, this.rows.length - this.rowLimit);
+
+                    this.emit('remove', discarded);
+                }
+            }
+
+            sortByTimeSystem(timeSystem) {
                 let formatter = this.openmct.telemetry.getValueFormatter({
                     key: timeSystem.key,
                     source: timeSystem.key,
                     format: timeSystem.timeFormat
                 });
                 this.parseTime = formatter.parse.bind(formatter);
+                this.sortBy({
+                    key: timeSystem.key,
+                    direction: 'asc'
+                });
                 this.futureBuffer.sortBy({
                     key: timeSystem.key,
                     direction: 'asc'
@@ -150,11 +197,11 @@ define(
             }
 
             unsubscribeFromBounds() {
-                this.openmct.time.off('bounds', this.bounds);
+                this.timeContext.off('bounds', this.bounds);
             }
 
             subscribeToBounds() {
-                this.openmct.time.on('bounds', this.bounds);
+                this.timeContext.on('bounds', this.bounds);
             }
 
             destroy() {
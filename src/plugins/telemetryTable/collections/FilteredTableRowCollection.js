@@ -82,6 +82,10 @@ define(
                 return this.matchesFilters(row) && super.addOne(row);
             }
 
+            addMany(rows) {
+                return super.addMany(rows.filter(this.matchesFilters, this));
+            }
+
             /**
              * @private
              */
@@ -0,0 +1,264 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2018, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+define(
+    [
+        'EventEmitter'
+    ],
+    function (
+        EventEmitter
+    ) {
+        const GROUP_BY_OBJECT = 'object';
+        const GROUP_BY_COLUMN = 'column';
+        const AGGREGATES = {
+            sum: {
+                name: 'Sum',
+                calculate: (values) => values.reduce((sum, value) => sum + value, 0)
+            },
+            mean: {
+                name: 'Mean',
+                calculate: (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+            },
+            max: {
+                name: 'Max',
+                calculate: (values) => values.reduce((max, value) => Math.max(max, value), -Infinity)
+            }
+        };
+
+        /**
+         * The rows of a table as they are displayed: when grouping, a header
+         * for each group followed by the rows of the group, unless it is
+         * collapsed. Groups are ordered by their first row in the filtered
+         * rows, and are recalculated whenever the filtered rows change.
+         * @constructor
+         */
+        class GroupedTableRowCollection extends EventEmitter {
+            constructor(table) {
+                super();
+
+                this.table = table;
+                this.filteredRows = table.filteredRows;
+                this.grouping = {};
+                this.collapsedGroups = new Set();
+                this.rows = undefined;
+
+                this.invalidate = this.invalidate.bind(this);
+
+                this.filteredRows.on('add', this.invalidate);
+                this.filteredRows.on('remove', this.invalidate);
+                this.filteredRows.on('sort', this.invalidate);
+                this.filteredRows.on('filter', this.invalidate);
+            }
+
+            /**
+             * @param {object} grouping
+             * @param {string} [grouping.groupBy] 'object' to group rows by
+             * telemetry object, 'column' to group rows by the value of a
+             * column, or undefined for no grouping
+             * @param {string} [grouping.columnKey] the column to group by
+             * @param {object} [grouping.aggregates] the aggregate ('sum', 'mean'
+             * or 'max') to show in group headers, by column key
+             */
+            setGrouping(grouping) {
+                this.grouping = grouping || {};
+                this.invalidate();
+            }
+
+            isGrouped() {
+                return this.grouping.groupBy === GROUP_BY_OBJECT
+                    || (this.grouping.groupBy === GROUP_BY_COLUMN && this.grouping.columnKey !== undefined);
+            }
+
+            getRows() {
+                if (!this.isGrouped()) {
+                    return this.filteredRows.getRows();
+                }
+
+                if (this.rows === undefined) {
+                    this.rows = this.groupRows();
+                }
+
+                return this.rows;
+            }
+
+            toggleGroup(groupKey) {
+                if (this.collapsedGroups.has(groupKey)) {
+                    this.collapsedGroups.delete(groupKey);
+                } else {
+                    this.collapsedGroups.add(groupKey);
+                }
+
+                this.invalidate();
+            }
+
+            /**
+             * @private
+             */
+            invalidate() {
+                this.rows = undefined;
+            }
+
+            /**
+             * @private
+             */
+            groupRows() {
+                let groups = new Map();
+
+                this.filteredRows.getRows().forEach(row => {
+                    let groupKey = this.getGroupKey(row);
+                    let group = groups.get(groupKey);
+
+                    if (group === undefined) {
+                        group = {
+                            key: groupKey,
+                            rows: []
+                        };
+                        groups.set(groupKey, group);
+                    }
+
+                    group.rows.push(row);
+                });
+
+                let displayRows = [];
+
+                groups.forEach(group => {
+                    let isCollapsed = this.collapsedGroups.has(group.key);
+
+                    displayRows.push(this.createGroupHeader(group, isCollapsed));
+
+                    if (!isCollapsed) {
+                        group.rows.forEach(row => displayRows.push(row));
+                    }
+                });
+
+                return displayRows;
+            }
+
+            /**
+             * @private
+             */
+            getGroupKey(row) {
+                if (this.grouping.groupBy === GROUP_BY_OBJECT) {
+                    return row.objectKeyString;
+                }
+
+                let value = row.getFormattedValue(this.grouping.columnKey);
+
+                return value === undefined ? '' : value;
+            }
+
+            /**
+             * @private
+             */
+            createGroupHeader(group, isCollapsed) {
+                let timeKey = this.table.timeContext.timeSystem().key;
+                let firstRow;
+                let lastRow;
+                let firstTime;
+                let lastTime;
+
+                group.rows.forEach(row => {
+                    let time = this.table.boundedRows.getValueForSortColumn(row);
+
+                    if (firstRow === undefined || time < firstTime) {
+                        firstRow = row;
+                        firstTime = time;
+                    }
+
+                    if (lastRow === undefined || time > lastTime) {
+                        lastRow = row;
+                        lastTime = time;
+                    }
+                });
+
+                return {
+                    isGroup: true,
+                    key: group.key,
+                    label: this.getGroupLabel(group),
+                    count: group.rows.length,
+                    isCollapsed,
+                    firstTime: firstRow.getFormattedValue(timeKey),
+                    lastTime: lastRow.getFormattedValue(timeKey),
+                    aggregates: this.getAggregates(group.rows)
+                };
+            }
+
+            /**
+             * @private
+             */
+            getGroupLabel(group) {
+                if (this.grouping.groupBy === GROUP_BY_OBJECT) {
+                    let telemetryObject = this.table.telemetryObjects.find(object => {
+                        return this.table.openmct.objects.makeKeyString(object.identifier) === group.key;
+                    });
+
+                    return telemetryObject ? telemetryObject.name : group.key;
+                }
+
+                return group.key === '' ? 'None' : group.key;
+            }
+
+            /**
+             * Aggregates of the numeric values of columns, formatted by the
+             * column.
+             * @private
+             */
+            getAggregates(rows) {
+                let aggregates = this.grouping.aggregates || {};
+
+                return Object.keys(aggregates).reduce((formattedAggregates, columnKey) => {
+                    let aggregate = AGGREGATES[aggregates[columnKey]];
+                    let column;
+                    let values = [];
+
+                    rows.forEach(row => {
+                        let value = row.getParsedValue(columnKey);
+
+                        if (typeof value === 'number' && Number.isFinite(value)) {
+                            column = row.columns[columnKey];
+                            values.push(value);
+                        }
+                    });
+
+                    if (aggregate && values.length) {
+                        formattedAggregates[columnKey] = {
+                            name: aggregate.name,
+                            value: column.getFormattedValue(aggregate.calculate(values))
+                        };
+                    }
+
+                    return formattedAggregates;
+                }, {});
+            }
+
+            destroy() {
+                this.filteredRows.off('add', this.invalidate);
+                this.filteredRows.off('remove', this.invalidate);
+                this.filteredRows.off('sort', this.invalidate);
+                this.filteredRows.off('filter', this.invalidate);
+            }
+        }
+
+        GroupedTableRowCollection.AGGREGATES = AGGREGATES;
+
+        return GroupedTableRowCollection;
+    });
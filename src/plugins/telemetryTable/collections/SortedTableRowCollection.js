@@ -32,6 +32,7 @@ define(
         const LESS_THAN = -1;
         const EQUAL = 0;
         const GREATER_THAN = 1;
+        const MAX_INDEXED_REMOVALS = 100;
 
         /**
          * @constructor
@@ -56,7 +57,7 @@ define(
                 if (Array.isArray(rows)) {
                     this.dupeCheck = false;
 
-                    let rowsAdded = rows.filter(this.addOne, this);
+                    let rowsAdded = this.addMany(rows);
                     if (rowsAdded.length > 0) {
                         this.emit('add', rowsAdded);
                     }
@@ -106,6 +107,77 @@ define(
                 return false;
             }
 
+            /**
+             * Adds a batch of rows without a duplicate check. The batch is
+             * sorted on its own and then merged in a single pass, which is
+             * much cheaper than inserting rows one at a time into a large
+             * collection.
+             * @private
+             * @returns {object[]} the rows added, in sort order
+             */
+            addMany(rows) {
+                if (this.sortOptions === undefined) {
+                    throw 'Please specify sort options';
+                }
+
+                if (rows.length === 0) {
+                    return [];
+                }
+
+                let rowsToAdd = this.orderRows(rows);
+                let isAscending = this.sortOptions.direction === 'asc';
+                let existingRows = this.rows;
+                let mergedRows = [];
+                let mergedLength = existingRows.length + rowsToAdd.length;
+                let existingIndex = 0;
+                let addedIndex = 0;
+
+                for (let i = 0; i < mergedLength; i++) {
+                    let takeExisting = addedIndex >= rowsToAdd.length;
+
+                    if (!takeExisting && existingIndex < existingRows.length) {
+                        let existingValue = this.getValueForSortColumn(existingRows[existingIndex]);
+                        let addedValue = this.getValueForSortColumn(rowsToAdd[addedIndex]);
+
+                        // Existing rows come first on ties to maintain stable sort
+                        takeExisting = isAscending ? existingValue <= addedValue : existingValue >= addedValue;
+                    }
+
+                    if (takeExisting) {
+                        mergedRows.push(existingRows[existingIndex++]);
+                    } else {
+                        mergedRows.push(rowsToAdd[addedIndex++]);
+                    }
+                }
+
+                this.rows = mergedRows;
+
+                return rowsToAdd;
+            }
+
+            /**
+             * Stable sort of the given rows by the current sort options. Each
+             * row's sort value is only parsed once.
+             * @private
+             */
+            orderRows(rows) {
+                let values = rows.map(row => this.getValueForSortColumn(row));
+                let indices = rows.map((row, index) => index);
+                let direction = this.sortOptions.direction === 'asc' ? 1 : -1;
+
+                indices.sort((a, b) => {
+                    if (values[a] < values[b]) {
+                        return -direction;
+                    } else if (values[a] > values[b]) {
+                        return direction;
+                    }
+
+                    return a - b;
+                });
+
+                return indices.map(index => rows[index]);
+            }
+
             sortedLastIndex(rows, testRow) {
                 return this.sortedIndex(rows, testRow, _.sortedLastIndex);
             }
@@ -204,7 +276,7 @@ define(
             sortBy(sortOptions) {
                 if (arguments.length > 0) {
                     this.sortOptions = sortOptions;
-                    this.rows = _.orderBy(this.rows, (row) => row.getParsedValue(sortOptions.key), sortOptions.direction);
+                    this.rows = this.orderRows(this.rows);
                     this.emit('sort');
                 }
 
@@ -232,13 +304,80 @@ define(
             }
 
             remove(removedRows) {
-                this.rows = this.rows.filter(row => {
-                    return removedRows.indexOf(row) === -1;
-                });
+                let rowsToRemove = new Set(removedRows);
+                let leadingCount = this.countMatchingRows(rowsToRemove, 0, 1);
+
+                // Rows are most often discarded from either end of the collection,
+                // in which case there is no need to visit every row. A few rows
+                // can be found by a binary search on their sort value.
+                if (leadingCount === rowsToRemove.size) {
+                    this.rows.splice(0, leadingCount);
+                } else if (leadingCount === 0
+                    && this.countMatchingRows(rowsToRemove, this.rows.length - 1, -1) === rowsToRemove.size) {
+                    this.rows.splice(this.rows.length - rowsToRemove.size);
+                } else if (rowsToRemove.size <= MAX_INDEXED_REMOVALS) {
+                    rowsToRemove.forEach(row => {
+                        let index = this.indexOfRow(row);
+
+                        if (index !== -1) {
+                            this.rows.splice(index, 1);
+                        }
+                    });
+                } else {
+                    this.rows = this.rows.filter(row => !rowsToRemove.has(row));
+                }
 
                 this.emit('remove', removedRows);
             }
 
+            /**
+             * Finds a row using a binary search on its sort value.
+             * @private
+             * @returns {number} the index of the row, or -1 if not found
+             */
+            indexOfRow(row) {
+                let value = this.getValueForSortColumn(row);
+                let isAscending = this.sortOptions.direction === 'asc';
+                let low = 0;
+                let high = this.rows.length;
+
+                while (low < high) {
+                    let middle = Math.floor((low + high) / 2);
+                    let middleValue = this.getValueForSortColumn(this.rows[middle]);
+
+                    if (isAscending ? middleValue < value : middleValue > value) {
+                        low = middle + 1;
+                    } else {
+                        high = middle;
+                    }
+                }
+
+                for (let i = low; i < this.rows.length; i++) {
+                    if (this.rows[i] === row) {
+                        return i;
+                    } else if (this.getValueForSortColumn(this.rows[i]) !== value) {
+                        break;
+                    }
+                }
+
+                return -1;
+            }
+
+            /**
+             * Counts consecutive rows from the given index which are in the
+             * given set.
+             * @private
+             */
+            countMatchingRows(rowSet, fromIndex, step) {
+                let count = 0;
+
+                for (let i = fromIndex; i >= 0 && i < this.rows.length && rowSet.has(this.rows[i]); i += step) {
+                    count++;
+                }
+
+                return count;
+            }
+
             getRows() {
                 return this.rows;
             }
@@ -20,6 +20,9 @@
  * at runtime from the About dialog for additional information.
  *****************************************************************************/
 import TablePlugin from './plugin.js';
+import BoundedTableRowCollection from './collections/BoundedTableRowCollection';
+import FilteredTableRowCollection from './collections/FilteredTableRowCollection';
+import GroupedTableRowCollection from './collections/GroupedTableRowCollection';
 import Vue from 'vue';
 import {
     createOpenMct,
@@ -222,4 +225,123 @@ describe("the plugin", () => {
             });
         });
     });
+
+    describe("The table row collections", () => {
+        let boundedRows;
+        let filteredRows;
+
+        function createRow(utc, value, severity) {
+            return {
+                datum: {
+                    utc,
+                    value,
+                    severity
+                },
+                objectKeyString: 'test-object',
+                columns: {
+                    value: {
+                        getFormattedValue: (formattedValue) => String(formattedValue)
+                    }
+                },
+                getParsedValue(key) {
+                    return this.datum[key];
+                },
+                getFormattedValue(key) {
+                    return String(this.datum[key]);
+                }
+            };
+        }
+
+        function valuesOf(collection, key) {
+            return collection.getRows().map(row => row.datum[key]);
+        }
+
+        beforeEach(() => {
+            boundedRows = new BoundedTableRowCollection(openmct);
+            filteredRows = new FilteredTableRowCollection(boundedRows);
+            filteredRows.sortBy({
+                key: 'value',
+                direction: 'desc'
+            });
+        });
+
+        afterEach(() => {
+            filteredRows.destroy();
+            boundedRows.destroy();
+        });
+
+        it("merges batches of rows in sort order", () => {
+            boundedRows.add([createRow(3, 10), createRow(1, 30), createRow(5, 0)]);
+            boundedRows.add([createRow(2, 20), createRow(4, 40)]);
+
+            expect(valuesOf(boundedRows, 'utc')).toEqual([1, 2, 3, 4]);
+            expect(valuesOf(boundedRows.futureBuffer, 'utc')).toEqual([5]);
+            expect(valuesOf(filteredRows, 'value')).toEqual([40, 30, 20, 10]);
+        });
+
+        it("discards the oldest rows when over the row limit", () => {
+            boundedRows.add([createRow(1, 30), createRow(2, 10), createRow(3, 20)]);
+            boundedRows.setRowLimit(2);
+
+            expect(valuesOf(boundedRows, 'utc')).toEqual([2, 3]);
+            expect(valuesOf(filteredRows, 'value')).toEqual([20, 10]);
+
+            boundedRows.add(createRow(4, 15));
+
+            expect(valuesOf(boundedRows, 'utc')).toEqual([3, 4]);
+            expect(valuesOf(filteredRows, 'value')).toEqual([20, 15]);
+        });
+
+        describe("when grouped", () => {
+            let groupedRows;
+
+            beforeEach(() => {
+                groupedRows = new GroupedTableRowCollection({
+                    openmct,
+                    boundedRows,
+                    filteredRows,
+                    telemetryObjects: []
+                });
+                groupedRows.setGrouping({
+                    groupBy: 'column',
+                    columnKey: 'severity',
+                    aggregates: {
+                        value: 'sum'
+                    }
+                });
+                boundedRows.add([
+                    createRow(1, 30, 'WARN'),
+                    createRow(2, 10, 'INFO'),
+                    createRow(3, 20, 'WARN')
+                ]);
+            });
+
+            afterEach(() => {
+                groupedRows.destroy();
+            });
+
+            it("shows a header for each group followed by its rows", () => {
+                let rows = groupedRows.getRows();
+
+                expect(rows.length).toBe(5);
+                expect(rows[0].isGroup).toBe(true);
+                expect(rows[0].label).toBe('WARN');
+                expect(rows[0].count).toBe(2);
+                expect(rows[0].aggregates.value.value).toBe('50');
+                expect(rows.slice(1, 3).map(row => row.datum.value)).toEqual([30, 20]);
+                expect(rows[3].label).toBe('INFO');
+                expect(rows[4].datum.value).toBe(10);
+            });
+
+            it("hides the rows of collapsed groups", () => {
+                groupedRows.toggleGroup('WARN');
+
+                let rows = groupedRows.getRows();
+
+                expect(rows.length).toBe(3);
+                expect(rows[0].isCollapsed).toBe(true);
+                expect(rows[1].label).toBe('INFO');
+            });
+        });
+    });
 });
@@ -0,0 +1,48 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {TIME_BOOKMARK_TYPE, applyTimeSettings} from './timeBookmarks';
+
+export default class ApplyTimeBookmarkAction {
+    constructor(openmct) {
+        this.name = 'Apply Bookmark';
+        this.key = 'applyTimeBookmark';
+        this.description = 'Set the time system, and the bounds or real-time offsets, of the time conductor to those of this bookmark.';
+        this.cssClass = 'icon-clock';
+
+        this._openmct = openmct;
+    }
+
+    invoke(objectPath) {
+        let bookmark = objectPath[0];
+
+        try {
+            applyTimeSettings(this._openmct.time, bookmark.timeSettings);
+        } catch (error) {
+            this._openmct.notifications.error(`Could not apply ${bookmark.name}: ${error.message}`);
+        }
+    }
+
+    appliesTo(objectPath) {
+        return objectPath[0].type === TIME_BOOKMARK_TYPE;
+    }
+}
@@ -0,0 +1,56 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import {saveAs} from 'file-saver/FileSaver';
+import {TIME_BOOKMARK_TYPE, exportBookmarkSet} from './timeBookmarks';
+
+export default class ExportTimeBookmarksAction {
+    constructor(openmct) {
+        this.name = 'Export Time Bookmarks';
+        this.key = 'exportTimeBookmarks';
+        this.description = 'Save the time bookmarks in this folder to a file which can be imported elsewhere.';
+        this.cssClass = 'icon-export';
+
+        this._openmct = openmct;
+    }
+
+    invoke(objectPath) {
+        let folder = objectPath[0];
+
+        return this._openmct.composition.get(folder).load().then(children => {
+            let bookmarks = children.filter(child => child.type === TIME_BOOKMARK_TYPE);
+
+            if (!bookmarks.length) {
+                this._openmct.notifications.alert(`${folder.name} has no time bookmarks to export`);
+
+                return;
+            }
+
+            let blob = new Blob([exportBookmarkSet(folder.name, bookmarks)], { type: 'application/json' });
+            saveAs(blob, `${folder.name}.json`);
+        });
+    }
+
+    appliesTo(objectPath) {
+        return objectPath[0].type === 'folder';
+    }
+}
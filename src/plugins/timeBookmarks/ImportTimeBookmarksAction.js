@@ -0,0 +1,100 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import uuid from 'uuid';
+import {TIME_BOOKMARK_TYPE, parseBookmarkSet, validateTimeSettings} from './timeBookmarks';
+
+export default class ImportTimeBookmarksAction {
+    constructor(openmct) {
+        this.name = 'Import Time Bookmarks';
+        this.key = 'importTimeBookmarks';
+        this.description = 'Add a folder of time bookmarks exported from Open MCT to this folder.';
+        this.cssClass = 'icon-import';
+
+        this._openmct = openmct;
+    }
+
+    invoke(objectPath) {
+        let parent = objectPath[0];
+
+        return this._openmct.$injector.get('fileInputService').getInput()
+            .then(file => this._import(parent, file))
+            .catch(error => {
+                if (error) {
+                    this._openmct.notifications.error(`Could not import time bookmarks: ${error.message || error}`);
+                }
+            });
+    }
+
+    appliesTo(objectPath) {
+        return objectPath[0].type === 'folder';
+    }
+
+    /**
+     * Create a folder named after the set of bookmarks, containing a new
+     * bookmark object for each bookmark in the file.
+     * @private
+     */
+    _import(parent, file) {
+        let bookmarkSet = parseBookmarkSet(file.body);
+        let invalid = bookmarkSet.bookmarks.find(bookmark => validateTimeSettings(this._openmct.time, bookmark.timeSettings));
+
+        if (invalid) {
+            throw new Error(`${invalid.name}: ${validateTimeSettings(this._openmct.time, invalid.timeSettings)}`);
+        }
+
+        let folder = this._create(parent, {
+            type: 'folder',
+            name: bookmarkSet.name || file.name.replace(/\.json$/i, ''),
+            composition: []
+        });
+        let composition = this._openmct.composition.get(folder);
+
+        bookmarkSet.bookmarks.forEach(bookmark => {
+            composition.add(this._create(folder, {
+                type: TIME_BOOKMARK_TYPE,
+                name: bookmark.name,
+                timeSettings: bookmark.timeSettings
+            }));
+        });
+
+        this._openmct.composition.get(parent).add(folder);
+        this._openmct.notifications.info(`Imported ${bookmarkSet.bookmarks.length} time bookmarks into ${folder.name}`);
+    }
+
+    /**
+     * @private
+     */
+    _create(parent, model) {
+        let domainObject = Object.assign({
+            identifier: {
+                key: uuid(),
+                namespace: parent.identifier.namespace
+            },
+            location: this._openmct.objects.makeKeyString(parent.identifier)
+        }, model);
+
+        this._openmct.objects.mutate(domainObject, 'created', Date.now());
+
+        return domainObject;
+    }
+}
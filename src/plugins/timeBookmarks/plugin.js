@@ -0,0 +1,54 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ApplyTimeBookmarkAction from './ApplyTimeBookmarkAction';
+import ExportTimeBookmarksAction from './ExportTimeBookmarksAction';
+import ImportTimeBookmarksAction from './ImportTimeBookmarksAction';
+import TimeBookmarkViewProvider from './TimeBookmarkViewProvider';
+import {TIME_BOOKMARK_TYPE, getTimeSettings} from './timeBookmarks';
+
+/**
+ * Named time bookmarks, such as "Flight 12 takeoff", which save the time
+ * system and the bounds or real-time offsets of the time conductor so that
+ * they can be applied together later. Bookmarks are domain objects, kept in
+ * folders, and folders of bookmarks can be exported and imported to share
+ * a standard set between teams. Bookmarks in the tree can also be applied
+ * from the time conductor.
+ */
+export default function TimeBookmarksPlugin() {
+    return function install(openmct) {
+        openmct.types.addType(TIME_BOOKMARK_TYPE, {
+            name: 'Time Bookmark',
+            creatable: true,
+            description: 'A named span of time, saving the current time system and the bounds or real-time offsets of the time conductor so that they can be applied again later.',
+            cssClass: 'icon-clock',
+            initialize(domainObject) {
+                domainObject.timeSettings = getTimeSettings(openmct.time);
+            }
+        });
+
+        openmct.objectViews.addProvider(new TimeBookmarkViewProvider(openmct));
+        openmct.contextMenu.registerAction(new ApplyTimeBookmarkAction(openmct));
+        openmct.contextMenu.registerAction(new ExportTimeBookmarksAction(openmct));
+        openmct.contextMenu.registerAction(new ImportTimeBookmarksAction(openmct));
+    };
+}
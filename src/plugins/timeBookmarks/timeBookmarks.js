@@ -0,0 +1,224 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+export const TIME_BOOKMARK_TYPE = 'time-bookmark';
+
+const BOOKMARK_SET_FORMAT = 'openmct.timeBookmarks';
+const BOOKMARK_SET_VERSION = 1;
+
+/**
+ * The time conductor settings saved by a time bookmark. Bookmarks of fixed
+ * timespans have bounds; bookmarks of real-time spans have a clock and
+ * clock offsets instead.
+ *
+ * @typedef {object} TimeSettings
+ * @property {string} timeSystem the key of the time system
+ * @property {string} [clock] the key of the clock, for real-time bookmarks
+ * @property {module:openmct.TimeAPI~TimeConductorBounds} [bounds]
+ * @property {module:openmct.TimeAPI~ClockOffsets} [clockOffsets]
+ */
+
+/**
+ * The current settings of a time API, as saved by a bookmark.
+ *
+ * @param {module:openmct.TimeAPI} time
+ * @returns {TimeSettings}
+ */
+export function getTimeSettings(time) {
+    const clock = time.clock();
+
+    if (clock === undefined) {
+        return {
+            timeSystem: time.timeSystem().key,
+            bounds: time.bounds()
+        };
+    }
+
+    return {
+        timeSystem: time.timeSystem().key,
+        clock: clock.key,
+        clockOffsets: Object.assign({}, time.clockOffsets())
+    };
+}
+
+/**
+ * Check that time settings can be applied to a time API, whose time system
+ * and clock must be registered.
+ *
+ * @param {module:openmct.TimeAPI} time
+ * @param {TimeSettings} timeSettings
+ * @returns {string|undefined} the reason the settings cannot be applied,
+ *          or undefined if they can
+ */
+export function validateTimeSettings(time, timeSettings) {
+    if (!timeSettings || typeof timeSettings !== 'object') {
+        return 'No time settings were given';
+    }
+
+    if (!time.timeSystems.has(timeSettings.timeSystem)) {
+        return `Unknown time system ${timeSettings.timeSystem}`;
+    }
+
+    if (timeSettings.clock !== undefined) {
+        if (!time.clocks.has(timeSettings.clock)) {
+            return `Unknown clock ${timeSettings.clock}`;
+        }
+
+        if (!isTimeSpan(timeSettings.clockOffsets)
+            || timeSettings.clockOffsets.start > 0
+            || timeSettings.clockOffsets.end < 0) {
+            return 'Invalid clock offsets';
+        }
+    } else if (!isTimeSpan(timeSettings.bounds)
+        || timeSettings.bounds.start > timeSettings.bounds.end) {
+        return 'Invalid bounds';
+    }
+}
+
+/**
+ * Apply the time system, and the bounds or clock and offsets, of a
+ * bookmark to a time API together.
+ *
+ * @param {module:openmct.TimeAPI} time
+ * @param {TimeSettings} timeSettings
+ */
+export function applyTimeSettings(time, timeSettings) {
+    const error = validateTimeSettings(time, timeSettings);
+
+    if (error) {
+        throw new Error(error);
+    }
+
+    if (timeSettings.clock !== undefined) {
+        time.clock(timeSettings.clock, timeSettings.clockOffsets);
+        time.timeSystem(timeSettings.timeSystem);
+    } else {
+        time.stopClock();
+        time.timeSystem(timeSettings.timeSystem, timeSettings.bounds);
+    }
+}
+
+/**
+ * Find the time bookmarks in a folder and in the folders it contains.
+ *
+ * @param {module:openmct} openmct
+ * @param {object} folder the domain object to search
+ * @returns {Promise.<Array.<{folder: object, bookmarks: object[]}>>} the
+ *          bookmarks of each folder which has any, in tree order
+ */
+export function findTimeBookmarks(openmct, folder) {
+    const visited = new Set();
+
+    function search(domainObject) {
+        const keyString = openmct.objects.makeKeyString(domainObject.identifier);
+        const composition = openmct.composition.get(domainObject);
+
+        if (visited.has(keyString) || composition === undefined) {
+            return Promise.resolve([]);
+        }
+
+        visited.add(keyString);
+
+        return composition.load().then(children => {
+            const bookmarks = children.filter(child => child.type === TIME_BOOKMARK_TYPE);
+            const folders = children.filter(child => child.type === 'folder');
+
+            return Promise.all(folders.map(search)).then(results => {
+                const sets = bookmarks.length ? [{
+                    folder: domainObject,
+                    bookmarks
+                }] : [];
+
+                return sets.concat(...results);
+            });
+        }).catch(() => []);
+    }
+
+    return search(folder);
+}
+
+/**
+ * Serialize bookmarks to a file which can be shared and imported.
+ *
+ * @param {string} name the name of the set of bookmarks
+ * @param {object[]} bookmarks time bookmark domain objects
+ * @returns {string} JSON
+ */
+export function exportBookmarkSet(name, bookmarks) {
+    return JSON.stringify({
+        format: BOOKMARK_SET_FORMAT,
+        version: BOOKMARK_SET_VERSION,
+        name,
+        bookmarks: bookmarks.map(bookmark => {
+            return {
+                name: bookmark.name,
+                timeSettings: bookmark.timeSettings
+            };
+        })
+    }, null, 4);
+}
+
+/**
+ * Read a set of bookmarks written by {@link exportBookmarkSet}.
+ *
+ * @param {string} text the contents of the file
+ * @returns {{name: string, bookmarks: object[]}} the name of the set and
+ *          the name and time settings of each bookmark
+ * @throws {Error} if the file is not a set of bookmarks
+ */
+export function parseBookmarkSet(text) {
+    let bookmarkSet;
+
+    try {
+        bookmarkSet = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!bookmarkSet
+        || bookmarkSet.format !== BOOKMARK_SET_FORMAT
+        || !Array.isArray(bookmarkSet.bookmarks)) {
+        throw new Error('The file is not a set of time bookmarks');
+    }
+
+    if (bookmarkSet.version > BOOKMARK_SET_VERSION) {
+        throw new Error(`Time bookmarks of version ${bookmarkSet.version} are not supported`);
+    }
+
+    bookmarkSet.bookmarks.forEach((bookmark, index) => {
+        if (typeof bookmark.name !== 'string' || !bookmark.timeSettings) {
+            throw new Error(`Bookmark ${index + 1} has no name or time settings`);
+        }
+    });
+
+    return {
+        name: bookmarkSet.name,
+        bookmarks: bookmarkSet.bookmarks
+    };
+}
+
+function isTimeSpan(span) {
+    return span !== undefined
+        && span !== null
+        && Number.isFinite(span.start)
+        && Number.isFinite(span.end);
+}
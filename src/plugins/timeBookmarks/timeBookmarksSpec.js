@@ -0,0 +1,180 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import TimeAPI from '../../api/time/TimeAPI';
+import {
+    applyTimeSettings,
+    exportBookmarkSet,
+    getTimeSettings,
+    parseBookmarkSet,
+    validateTimeSettings
+} from './timeBookmarks';
+
+describe('Time bookmarks', () => {
+    let time;
+    let clock;
+
+    beforeEach(() => {
+        time = new TimeAPI();
+        time.addTimeSystem({
+            key: 'utc',
+            name: 'UTC'
+        });
+        time.addTimeSystem({
+            key: 'gps',
+            name: 'GPS'
+        });
+        clock = jasmine.createSpyObj('clock', ['on', 'off', 'currentValue']);
+        clock.key = 'local';
+        clock.currentValue.and.returnValue(1000);
+        time.addClock(clock);
+        time.timeSystem('utc', {
+            start: 0,
+            end: 100
+        });
+    });
+
+    it('saves the bounds of a fixed timespan', () => {
+        expect(getTimeSettings(time)).toEqual({
+            timeSystem: 'utc',
+            bounds: {
+                start: 0,
+                end: 100
+            }
+        });
+    });
+
+    it('saves the clock and offsets of a real-time span', () => {
+        time.clock('local', {
+            start: -60,
+            end: 10
+        });
+
+        expect(getTimeSettings(time)).toEqual({
+            timeSystem: 'utc',
+            clock: 'local',
+            clockOffsets: {
+                start: -60,
+                end: 10
+            }
+        });
+    });
+
+    it('applies the time system and bounds together', () => {
+        time.clock('local', {
+            start: -60,
+            end: 10
+        });
+
+        applyTimeSettings(time, {
+            timeSystem: 'gps',
+            bounds: {
+                start: 200,
+                end: 300
+            }
+        });
+
+        expect(time.clock()).toBeUndefined();
+        expect(time.timeSystem().key).toBe('gps');
+        expect(time.bounds()).toEqual({
+            start: 200,
+            end: 300
+        });
+    });
+
+    it('applies the time system, clock and offsets together', () => {
+        applyTimeSettings(time, {
+            timeSystem: 'gps',
+            clock: 'local',
+            clockOffsets: {
+                start: -60,
+                end: 10
+            }
+        });
+
+        expect(time.clock()).toBe(clock);
+        expect(time.timeSystem().key).toBe('gps');
+        expect(time.bounds()).toEqual({
+            start: 940,
+            end: 1010
+        });
+    });
+
+    it('rejects settings with an unknown time system or clock', () => {
+        expect(validateTimeSettings(time, {
+            timeSystem: 'met',
+            bounds: {
+                start: 0,
+                end: 1
+            }
+        })).toBeDefined();
+        expect(validateTimeSettings(time, {
+            timeSystem: 'utc',
+            clock: 'remote',
+            clockOffsets: {
+                start: -1,
+                end: 0
+            }
+        })).toBeDefined();
+        expect(() => applyTimeSettings(time, {
+            timeSystem: 'utc',
+            bounds: {
+                start: 10,
+                end: 0
+            }
+        })).toThrowError();
+        expect(time.bounds()).toEqual({
+            start: 0,
+            end: 100
+        });
+    });
+
+    it('exports bookmarks to a file which can be imported', () => {
+        const bookmarks = [{
+            identifier: {
+                namespace: '',
+                key: 'takeoff'
+            },
+            type: 'time-bookmark',
+            name: 'Flight 12 takeoff',
+            timeSettings: getTimeSettings(time)
+        }];
+
+        expect(parseBookmarkSet(exportBookmarkSet('Campaign', bookmarks))).toEqual({
+            name: 'Campaign',
+            bookmarks: [{
+                name: 'Flight 12 takeoff',
+                timeSettings: {
+                    timeSystem: 'utc',
+                    bounds: {
+                        start: 0,
+                        end: 100
+                    }
+                }
+            }]
+        });
+    });
+
+    it('does not import files which are not sets of bookmarks', () => {
+        expect(() => parseBookmarkSet('not json')).toThrowError();
+        expect(() => parseBookmarkSet('{"bookmarks": []}')).toThrowError();
+    });
+});
@@ -0,0 +1,117 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * Find the sample nearest in time to a given time.
+ *
+ * @param {Array<Object>} samples samples with a `time`, sorted by time
+ * @param {number} time
+ * @returns {number} the index of the nearest sample, or -1 if there are
+ *          no samples
+ */
+export function nearestIndex(samples, time) {
+    if (!samples.length) {
+        return -1;
+    }
+
+    let low = 0;
+    let high = samples.length - 1;
+
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+
+        if (samples[middle].time < time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    // `low` is the first sample at or after the time; the one before it
+    // may be nearer.
+    if (low > 0 && time - samples[low - 1].time <= samples[low].time - time) {
+        return low - 1;
+    }
+
+    return low;
+}
+
+/**
+ * Pair the samples of two telemetry values by time, for values which may
+ * be sampled at different rates. Each sample of the value with fewer
+ * samples is paired with the nearest sample in time of the other, so that
+ * no sample of the slower value is repeated.
+ *
+ * @param {Array<Object>} xSamples `time` and `value` of each sample of
+ *        the X value, sorted by time
+ * @param {Array<Object>} ySamples `time` and `value` of each sample of
+ *        the Y value, sorted by time
+ * @returns {Array<Object>} `time`, `x` and `y` of each pair, where `time`
+ *          is the time of the sample of the slower value
+ */
+export function pairSamples(xSamples, ySamples) {
+    const xIsSlower = xSamples.length <= ySamples.length;
+    const slower = xIsSlower ? xSamples : ySamples;
+    const faster = xIsSlower ? ySamples : xSamples;
+
+    if (!faster.length) {
+        return [];
+    }
+
+    return slower.map((sample) => {
+        const nearest = faster[nearestIndex(faster, sample.time)];
+
+        return {
+            time: sample.time,
+            x: xIsSlower ? sample.value : nearest.value,
+            y: xIsSlower ? nearest.value : sample.value
+        };
+    });
+}
+
+/**
+ * Divide points into groups by their age within time bounds, so that
+ * older points may be drawn fainter than newer ones.
+ *
+ * @param {Array<Object>} points points with a `time`
+ * @param {Object} bounds the `start` and `end` of the time bounds
+ * @param {number} groupCount the number of groups
+ * @returns {Array<Array<Object>>} the points in each group, from oldest
+ *          to newest
+ */
+export function groupByAge(points, bounds, groupCount) {
+    const groups = [];
+    const duration = bounds.end - bounds.start;
+
+    for (let index = 0; index < groupCount; index++) {
+        groups.push([]);
+    }
+
+    points.forEach((point) => {
+        const age = duration > 0 ? (point.time - bounds.start) / duration : 1;
+        const index = Math.floor(age * groupCount);
+
+        groups[Math.max(0, Math.min(groupCount - 1, index))].push(point);
+    });
+
+    return groups;
+}
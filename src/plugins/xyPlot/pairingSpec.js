@@ -0,0 +1,130 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    groupByAge,
+    nearestIndex,
+    pairSamples
+} from './pairing';
+
+describe('X-Y plot pairing', () => {
+    function makeSamples(times, values) {
+        return times.map((time, index) => {
+            return {
+                time,
+                value: values[index]
+            };
+        });
+    }
+
+    describe('nearestIndex', () => {
+        const samples = makeSamples([10, 20, 30], []);
+
+        it('finds the nearest sample', () => {
+            expect(nearestIndex(samples, 14)).toBe(0);
+            expect(nearestIndex(samples, 16)).toBe(1);
+            expect(nearestIndex(samples, 30)).toBe(2);
+        });
+
+        it('prefers the earlier sample when two are equally near', () => {
+            expect(nearestIndex(samples, 25)).toBe(1);
+        });
+
+        it('finds the first or last sample for times out of range', () => {
+            expect(nearestIndex(samples, 0)).toBe(0);
+            expect(nearestIndex(samples, 100)).toBe(2);
+        });
+
+        it('finds nothing when there are no samples', () => {
+            expect(nearestIndex([], 10)).toBe(-1);
+        });
+    });
+
+    describe('pairSamples', () => {
+        it('pairs samples at the same times', () => {
+            const pairs = pairSamples(
+                makeSamples([1, 2], ['a', 'b']),
+                makeSamples([1, 2], ['c', 'd'])
+            );
+
+            expect(pairs).toEqual([
+                {
+                    time: 1,
+                    x: 'a',
+                    y: 'c'
+                },
+                {
+                    time: 2,
+                    x: 'b',
+                    y: 'd'
+                }
+            ]);
+        });
+
+        it('pairs each sample of the slower value with the nearest of the faster', () => {
+            const pairs = pairSamples(
+                makeSamples([0, 1, 2, 3, 4, 5], [0, 10, 20, 30, 40, 50]),
+                makeSamples([1.2, 3.9], [100, 200])
+            );
+
+            expect(pairs).toEqual([
+                {
+                    time: 1.2,
+                    x: 10,
+                    y: 100
+                },
+                {
+                    time: 3.9,
+                    x: 40,
+                    y: 200
+                }
+            ]);
+        });
+
+        it('pairs nothing when either value has no samples', () => {
+            expect(pairSamples([], makeSamples([1], [1]))).toEqual([]);
+            expect(pairSamples(makeSamples([1], [1]), [])).toEqual([]);
+        });
+    });
+
+    describe('groupByAge', () => {
+        const bounds = {
+            start: 0,
+            end: 100
+        };
+
+        it('groups points from oldest to newest', () => {
+            const groups = groupByAge([{ time: 10 }, { time: 60 }, { time: 99 }], bounds, 2);
+
+            expect(groups).toEqual([
+                [{ time: 10 }],
+                [{ time: 60 }, { time: 99 }]
+            ]);
+        });
+
+        it('puts points outside the bounds in the first or last group', () => {
+            const groups = groupByAge([{ time: -10 }, { time: 100 }, { time: 200 }], bounds, 4);
+
+            expect(groups[0]).toEqual([{ time: -10 }]);
+            expect(groups[3]).toEqual([{ time: 100 }, { time: 200 }]);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import XYPlotViewProvider from './XYPlotViewProvider';
+import xyPlotCompositionPolicy from './XYPlotCompositionPolicy';
+
+/**
+ * Plots one telemetry value against another, such as airspeed against
+ * angle of attack. The values may be two fields of one telemetry object,
+ * or fields of two telemetry objects sampled at different rates, in which
+ * case samples are paired by time.
+ */
+export default function XYPlotPlugin() {
+    return function install(openmct) {
+        openmct.types.addType('telemetry.plot.xy', {
+            name: 'X-Y Plot',
+            creatable: true,
+            description: 'Plot one telemetry value against another, from one or two telemetry elements, with older values fading over the current time bounds.',
+            cssClass: 'icon-plot-overlay',
+            initialize(domainObject) {
+                domainObject.composition = [];
+                domainObject.configuration = {};
+            }
+        });
+
+        openmct.objectViews.addProvider(new XYPlotViewProvider(openmct));
+        openmct.composition.addPolicy(xyPlotCompositionPolicy(openmct));
+    };
+}
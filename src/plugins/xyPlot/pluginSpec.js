@@ -0,0 +1,197 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import XYPlotPlugin from './plugin';
+import Vue from 'vue';
+import {
+    createOpenMct,
+    getMockTelemetryObject,
+    resetApplicationState
+} from 'utils/testing';
+
+describe('The X-Y Plot plugin', () => {
+    let openmct;
+    let airspeedObject;
+    let angleObject;
+    let xyPlot;
+
+    function nextFrame() {
+        return new Promise(resolve => window.requestAnimationFrame(resolve));
+    }
+
+    beforeEach((done) => {
+        airspeedObject = getMockTelemetryObject('airspeed', [
+            {
+                key: 'airspeed',
+                name: 'Airspeed',
+                units: 'm/s',
+                hints: {
+                    range: 1
+                }
+            }
+        ]);
+        angleObject = getMockTelemetryObject('angle', [
+            {
+                key: 'aoa',
+                name: 'Angle of Attack',
+                hints: {
+                    range: 1
+                }
+            }
+        ]);
+        xyPlot = {
+            identifier: {
+                namespace: '',
+                key: 'xy'
+            },
+            name: 'Flight envelope',
+            type: 'telemetry.plot.xy',
+            composition: [],
+            configuration: {}
+        };
+
+        openmct = createOpenMct();
+        openmct.install(XYPlotPlugin());
+        openmct.time.bounds({
+            start: 0,
+            end: 10
+        });
+        openmct.on('start', done);
+        openmct.startHeadless();
+    });
+
+    afterEach(() => {
+        return resetApplicationState(openmct);
+    });
+
+    it('defines a creatable X-Y plot type', () => {
+        expect(openmct.types.get('telemetry.plot.xy').definition.creatable).toBe(true);
+    });
+
+    it('provides a view for X-Y plots only', () => {
+        expect(openmct.objectViews.get(xyPlot).map(provider => provider.key)).toContain('xyPlot');
+        expect(openmct.objectViews.get(airspeedObject).map(provider => provider.key)).not.toContain('xyPlot');
+    });
+
+    it('allows up to two telemetry objects in an X-Y plot', () => {
+        expect(openmct.composition.checkPolicy(xyPlot, airspeedObject)).toBe(true);
+
+        xyPlot.composition = [airspeedObject.identifier, angleObject.identifier];
+
+        expect(openmct.composition.checkPolicy(xyPlot, angleObject)).toBe(false);
+    });
+
+    it('does not allow other objects in an X-Y plot', () => {
+        expect(openmct.composition.checkPolicy(xyPlot, {
+            identifier: {
+                namespace: '',
+                key: 'folder'
+            },
+            type: 'folder'
+        })).toBe(false);
+    });
+
+    describe('the X-Y plot view', () => {
+        let element;
+        let view;
+
+        beforeEach(() => {
+            const objects = {
+                airspeed: airspeedObject,
+                angle: angleObject
+            };
+
+            xyPlot.composition = [airspeedObject.identifier, angleObject.identifier];
+            spyOn(openmct.objects, 'get').and.callFake((identifier) => {
+                return Promise.resolve(objects[identifier.key]);
+            });
+            spyOn(openmct.telemetry, 'request').and.callFake((domainObject) => {
+                if (domainObject === airspeedObject) {
+                    return Promise.resolve([
+                        {
+                            utc: 1,
+                            airspeed: 20
+                        },
+                        {
+                            utc: 2,
+                            airspeed: 22
+                        },
+                        {
+                            utc: 3,
+                            airspeed: 24
+                        }
+                    ]);
+                }
+
+                return Promise.resolve([
+                    {
+                        utc: 2.9,
+                        aoa: 5
+                    }
+                ]);
+            });
+
+            element = document.createElement('div');
+            element.style.width = '400px';
+            element.style.height = '300px';
+            document.body.appendChild(element);
+
+            const provider = openmct.objectViews.get(xyPlot).find(candidate => candidate.key === 'xyPlot');
+            view = provider.view(xyPlot, [xyPlot]);
+            view.show(element);
+
+            return nextFrame().then(nextFrame).then(Vue.nextTick);
+        });
+
+        afterEach(() => {
+            view.destroy();
+            element.remove();
+        });
+
+        it('requests telemetry for the current bounds', () => {
+            expect(openmct.telemetry.request).toHaveBeenCalledWith(airspeedObject, jasmine.objectContaining({
+                start: 0,
+                end: 10
+            }));
+            expect(openmct.telemetry.request).toHaveBeenCalledWith(angleObject, jasmine.objectContaining({
+                start: 0,
+                end: 10
+            }));
+        });
+
+        it('labels each axis with its telemetry object and value', () => {
+            const labels = [...element.querySelectorAll('.c-xy-plot__axis-label')].map(label => label.textContent.trim());
+
+            expect(labels).toContain('airspeed: Airspeed (m/s)');
+            expect(labels).toContain('angle: Angle of Attack');
+        });
+
+        it('plots samples paired by time', () => {
+            const xTicks = [...element.querySelectorAll('.c-xy-plot__axis--x .c-xy-plot__tick')]
+                .map(tick => Number(tick.textContent));
+
+            expect(element.querySelector('.c-xy-plot__message')).toBeNull();
+            // The angle of attack at 2.9 is paired with the airspeed at 3.
+            expect(Math.min(...xTicks)).toBeGreaterThan(22);
+            expect(Math.max(...xTicks)).toBeLessThan(26);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+/**
+ * The number of telemetry objects an X-Y plot may contain: one, with
+ * values plotted against each other, or two, with a value of the first
+ * plotted against a value of the second.
+ */
+export const MAX_SOURCES = 2;
+
+/**
+ * The values which may be plotted on an axis.
+ *
+ * @param {TelemetryMetadataManager} metadata
+ * @returns {Array<Object>} value metadata
+ */
+export function getValueOptions(metadata) {
+    return metadata.valuesForHints(['range']);
+}
+
+/**
+ * Choose the values to plot on each axis: those whose keys are in the
+ * plot's configuration, or by default the first value of each telemetry
+ * object. When both values come from one telemetry object, its first two
+ * values are plotted by default.
+ *
+ * @param {TelemetryMetadataManager} xMetadata metadata of the telemetry
+ *        whose values are plotted on the X axis
+ * @param {TelemetryMetadataManager} yMetadata metadata of the telemetry
+ *        whose values are plotted on the Y axis, which may be the same as
+ *        `xMetadata`
+ * @param {Object} [configuration] the plot's configuration, with the
+ *        `xKey` and `yKey` of the values to plot
+ * @returns {Object} the `x` and `y` value metadata, either of which is
+ *          undefined if there are no values to plot
+ */
+export function getAxisValues(xMetadata, yMetadata, configuration = {}) {
+    const xOptions = getValueOptions(xMetadata);
+    const yOptions = getValueOptions(yMetadata);
+    const x = xOptions.find(value => value.key === configuration.xKey) || xOptions[0];
+    const defaultY = yMetadata === xMetadata
+        ? yOptions.find(value => value !== x) || yOptions[0]
+        : yOptions[0];
+
+    return {
+        x,
+        y: yOptions.find(value => value.key === configuration.yKey) || defaultY
+    };
+}
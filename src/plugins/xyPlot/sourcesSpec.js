@@ -0,0 +1,88 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+import {
+    getAxisValues,
+    getValueOptions
+} from './sources';
+
+describe('X-Y plot sources', () => {
+    function makeMetadata(keys) {
+        const values = keys.map((key) => {
+            return { key };
+        });
+
+        return {
+            valuesForHints: jasmine.createSpy('valuesForHints').and.returnValue(values)
+        };
+    }
+
+    it('offers range values for plotting', () => {
+        const metadata = makeMetadata(['a', 'b']);
+
+        expect(getValueOptions(metadata).map(value => value.key)).toEqual(['a', 'b']);
+        expect(metadata.valuesForHints).toHaveBeenCalledWith(['range']);
+    });
+
+    it('plots the first two values of a single telemetry object by default', () => {
+        const metadata = makeMetadata(['a', 'b', 'c']);
+        const values = getAxisValues(metadata, metadata);
+
+        expect(values.x.key).toBe('a');
+        expect(values.y.key).toBe('b');
+    });
+
+    it('plots the first value of each of two telemetry objects by default', () => {
+        const values = getAxisValues(makeMetadata(['a', 'b']), makeMetadata(['c', 'd']));
+
+        expect(values.x.key).toBe('a');
+        expect(values.y.key).toBe('c');
+    });
+
+    it('plots the configured values', () => {
+        const metadata = makeMetadata(['a', 'b', 'c']);
+        const values = getAxisValues(metadata, metadata, {
+            xKey: 'c',
+            yKey: 'a'
+        });
+
+        expect(values.x.key).toBe('c');
+        expect(values.y.key).toBe('a');
+    });
+
+    it('ignores configured values which no longer exist', () => {
+        const values = getAxisValues(makeMetadata(['a']), makeMetadata(['c']), {
+            xKey: 'missing',
+            yKey: 'missing'
+        });
+
+        expect(values.x.key).toBe('a');
+        expect(values.y.key).toBe('c');
+    });
+
+    it('plots one value against itself when there is only one', () => {
+        const metadata = makeMetadata(['a']);
+        const values = getAxisValues(metadata, metadata);
+
+        expect(values.x.key).toBe('a');
+        expect(values.y.key).toBe('a');
+    });
+});
@@ -0,0 +1,206 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+// Loads the module into the worker, in place of a module loader.
+const DEFINE_SHIM = 'self.define = function (dependencies, factory) { self.workerModule = factory(); };\n';
+
+function getWorkerScript(functionName, getTransfers) {
+    const fn = functionName === undefined
+        ? 'self.workerModule'
+        : `self.workerModule[${JSON.stringify(functionName)}]`;
+    const transfers = getTransfers === undefined
+        ? 'function () { return []; }'
+        : String(getTransfers);
+
+    return `
+self.onmessage = function (event) {
+    var message = event.data;
+    var getTransfers = ${transfers};
+
+    try {
+        var result = ${fn}.apply(undefined, message.args);
+
+        self.postMessage({
+            id: message.id,
+            result: result
+        }, getTransfers(result));
+    } catch (e) {
+        self.postMessage({
+            id: message.id,
+            error: e.name + ': ' + e.message
+        });
+    }
+};
+`;
+}
+
+/**
+ * Calls a function of a module in a Web Worker, so that long computations
+ * do not block the user interface. The function is called on the main
+ * thread instead where workers are unavailable, and after a worker fails.
+ *
+ * The module must be an AMD module without dependencies, whose source is
+ * loaded into the worker with `raw-loader`.
+ *
+ * @param {string} moduleText the source of the module
+ * @param {*} module the module, as loaded on the main thread
+ * @param {object} [options]
+ * @param {string} [options.functionName] the function to call, where the
+ *        module is an object of functions rather than a function
+ * @param {function(*): ArrayBuffer[]} [options.getTransfers] returns the
+ *        buffers of a result to transfer from the worker rather than copy.
+ *        It is run in the worker, so may not refer to anything outside
+ *        itself.
+ */
+export default class ModuleWorker {
+    constructor(moduleText, module, options = {}) {
+        this.moduleText = moduleText;
+        this.module = module;
+        this.functionName = options.functionName;
+        this.script = getWorkerScript(options.functionName, options.getTransfers);
+        this.requests = {};
+        this.nextId = 0;
+    }
+
+    /**
+     * @private
+     */
+    getWorker() {
+        if (this.worker === undefined) {
+            try {
+                const blob = new Blob(
+                    [DEFINE_SHIM, this.moduleText, this.script],
+                    {type: 'application/javascript'}
+                );
+                const url = URL.createObjectURL(blob);
+
+                try {
+                    this.worker = new Worker(url);
+                } finally {
+                    // The worker has its own reference to the script once constructed.
+                    URL.revokeObjectURL(url);
+                }
+
+                this.worker.onmessage = this.onMessage.bind(this);
+                this.worker.onerror = this.onError.bind(this);
+            } catch (e) {
+                this.fallBack(e);
+            }
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * @private
+     */
+    onMessage(event) {
+        const message = event.data;
+        const request = this.requests[message.id];
+
+        if (!request) {
+            return;
+        }
+
+        delete this.requests[message.id];
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * If the worker fails, pending calls are rejected, and later calls are
+     * made on the main thread.
+     * @private
+     */
+    onError(event) {
+        const error = new Error(event.message);
+
+        this.destroy(error);
+        this.fallBack(error);
+    }
+
+    /**
+     * Make later calls on the main thread.
+     * @private
+     */
+    fallBack(error) {
+        this.worker = null;
+        console.warn('Worker unavailable, calling functions on the main thread instead:', error);
+    }
+
+    /**
+     * @private
+     */
+    callOnMainThread(args) {
+        return this.functionName === undefined
+            ? this.module(...args)
+            : this.module[this.functionName](...args);
+    }
+
+    /**
+     * Call the function.
+     *
+     * @param {Array} args the arguments of the function
+     * @param {ArrayBuffer[]} [transfer] buffers of the arguments to transfer
+     *        to the worker rather than copy; these must not be used afterwards
+     * @returns {Promise} a promise for the result of the function, rejected
+     *          if the function throws or the worker fails
+     */
+    call(args, transfer = []) {
+        const worker = this.getWorker();
+
+        if (!worker) {
+            return new Promise(resolve => resolve(this.callOnMainThread(args)));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+
+            this.requests[id] = {
+                resolve,
+                reject
+            };
+            worker.postMessage({
+                id,
+                args
+            }, transfer);
+        });
+    }
+
+    /**
+     * Stop the worker, rejecting any pending calls.
+     * @param {Error} [error] the reason pending calls are rejected
+     */
+    destroy(error = new Error('Worker destroyed')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = undefined;
+        }
+
+        Object.values(this.requests).forEach(request => request.reject(error));
+        this.requests = {};
+    }
+}
@@ -0,0 +1,110 @@
+/*****************************************************************************
+ * Open MCT, Copyright (c) 2014-2020, United States Government
+ * as represented by the Administrator of the National Aeronautics and Space
+ * Administration. All rights reserved.
+ *
+ * Open MCT is licensed under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * http://www.apache.org/licenses/LICENSE-2.0.
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ *
+ * Open MCT includes source code licensed under additional open source
+ * licenses. See the Open Source Licenses file (LICENSES.md) included with
+ * this source code distribution or the Licensing information page available
+ * at runtime from the About dialog for additional information.
+ *****************************************************************************/
+
+import ModuleWorker from './ModuleWorker';
+
+const MODULE_TEXT = `define([], function () {
+    return {
+        sum: function (values) {
+            if (!values.length) {
+                throw new Error('No values');
+            }
+
+            return values.reduce(function (a, b) {
+                return a + b;
+            });
+        }
+    };
+});
+`;
+
+describe('ModuleWorker', () => {
+    let module;
+    let moduleWorker;
+
+    beforeEach(() => {
+        module = {
+            sum: values => {
+                if (!values.length) {
+                    throw new Error('No values');
+                }
+
+                return values.reduce((a, b) => a + b);
+            }
+        };
+        moduleWorker = new ModuleWorker(MODULE_TEXT, module, {functionName: 'sum'});
+    });
+
+    afterEach(() => {
+        moduleWorker.destroy();
+    });
+
+    it('resolves the result of the function', (done) => {
+        moduleWorker.call([[1, 2, 3]]).then((result) => {
+            expect(result).toBe(6);
+        }).then(done, done.fail);
+    });
+
+    it('rejects when the function throws', (done) => {
+        moduleWorker.call([[]]).then(done.fail, (error) => {
+            expect(error.message).toContain('No values');
+        }).then(done, done.fail);
+    });
+
+    it('calls the function on the main thread without a worker', (done) => {
+        spyOn(moduleWorker, 'getWorker').and.returnValue(null);
+        spyOn(module, 'sum').and.callThrough();
+
+        moduleWorker.call([[1, 2]]).then((result) => {
+            expect(result).toBe(3);
+            expect(module.sum).toHaveBeenCalledWith([1, 2]);
+        }).then(done, done.fail);
+    });
+
+    it('revokes the URL of the worker script once the worker is constructed', () => {
+        spyOn(URL, 'revokeObjectURL').and.callThrough();
+
+        moduleWorker.getWorker();
+
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    });
+
+    it('calls functions on the main thread after the worker fails, warning once', (done) => {
+        spyOn(console, 'warn');
+
+        const pending = moduleWorker.call([[1, 2]]);
+        moduleWorker.worker.onerror({message: 'Worker failed'});
+
+        pending.then(done.fail, (error) => {
+            expect(error.message).toBe('Worker failed');
+
+            return Promise.all([
+                moduleWorker.call([[1, 2]]),
+                moduleWorker.call([[3, 4]])
+            ]);
+        }).then((results) => {
+            expect(results).toEqual([3, 7]);
+            expect(moduleWorker.worker).toBeNull();
+            expect(console.warn).toHaveBeenCalledTimes(1);
+        }).then(done, done.fail);
+    });
+});
@@ -46,8 +46,9 @@ export function deleteSearchParam(paramName) {
 /**
  * Will replace all current search parameters with the ones defined in urlSearchParams
  * @param {URLSearchParams} paramMap
+ * @param {boolean} [replace] replace the current browser history entry, rather than adding one
  */
-export function setAllSearchParams(newSearchParams) {
+export function setAllSearchParams(newSearchParams, replace = false) {
     let url = getHashRelativeURL();
 
     Array.from(url.searchParams.keys()).forEach((key) => url.searchParams.delete(key));
@@ -56,7 +57,7 @@ export function setAllSearchParams(newSearchParams) {
         url.searchParams.set(key, newSearchParams.get(key));
     });
 
-    setLocationFromUrl(url);
+    setLocationFromUrl(url, replace);
 }
 
 export function getSearchParam(paramName) {
@@ -99,8 +100,14 @@ function isDomainObject(potentialObject) {
     return potentialObject.identifier === undefined;
 }
 
-function setLocationFromUrl(url) {
-    window.location.hash = `${url.pathname}${url.search}`;
+function setLocationFromUrl(url, replace = false) {
+    let hash = `${url.pathname}${url.search}`;
+
+    if (replace) {
+        window.location.replace(`#${hash}`);
+    } else {
+        window.location.hash = hash;
+    }
 }
 
 function getHashRelativeURL() {
@@ -68,6 +68,16 @@ describe('the openmct location utility functions', () => {
         expect(window.location.hash).toBe('#/?testParam1=updatedTestValue1&testParam2=testValue2&newTestParam4=newTestValue4');
     });
 
+    it('The setAllSearchParams function can replace the current browser history entry rather than add one', () => {
+        window.location.hash = '#/?testParam1=testValue1';
+        let historyLength = window.history.length;
+        let searchParams = getAllSearchParams();
+        searchParams.set('testParam1', 'updatedTestValue1');
+        setAllSearchParams(searchParams, true);
+        expect(window.location.hash).toBe('#/?testParam1=updatedTestValue1');
+        expect(window.history.length).toBe(historyLength);
+    });
+
     it('The getObjectPath function returns the current object path', () => {
         window.location.hash = '#/some/object/path?someParameter=someValue';
         expect(getObjectPath()).toBe('/some/object/path');
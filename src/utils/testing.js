@@ -241,6 +241,39 @@ export function getMockTelemetry(opts = {}) {
     return telemetry;
 }
 
+// A telemetry object with a utc domain and the given values, keyed and
+// named by `key`.
+// EXAMPLE:
+// getMockTelemetryObject('position', [
+//     {
+//         key: 'lat',
+//         hints: {
+//             range: 1
+//         }
+//     }
+// ])
+export function getMockTelemetryObject(key, values = []) {
+    return {
+        identifier: {
+            namespace: '',
+            key
+        },
+        name: key,
+        type: 'test-object',
+        telemetry: {
+            values: [
+                {
+                    key: 'utc',
+                    format: 'utc',
+                    hints: {
+                        domain: 1
+                    }
+                }
+            ].concat(values)
+        }
+    };
+}
+
 // copy objects a bit more easily
 function copyObj(obj) {
     return JSON.parse(JSON.stringify(obj));
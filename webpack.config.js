@@ -24,12 +24,16 @@ const webpackConfig = {
         openmct: './openmct.js',
         espressoTheme: './src/plugins/themes/espresso-theme.scss',
         snowTheme: './src/plugins/themes/snow-theme.scss',
-        maelstromTheme: './src/plugins/themes/maelstrom-theme.scss'
+        maelstromTheme: './src/plugins/themes/maelstrom-theme.scss',
+        tlogWorker: './src/plugins/mavlink/tlogWorker.js'
     },
     output: {
         filename: '[name].js',
         library: '[name]',
         libraryTarget: 'umd',
+        // Refer to the global object as `this`, rather than `window`, so
+        // that entries such as tlogWorker can also run in a Web Worker.
+        globalObject: 'this',
         path: path.resolve(__dirname, 'dist')
     },
     resolve: {